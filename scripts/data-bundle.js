@@ -0,0 +1,109 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const {
+  BUNDLE_SCOPES,
+  exportBundle,
+  importBundle,
+} = require("../src/services/dataBundle");
+require("dotenv").config();
+
+const usage = () => {
+  console.log("Usage:");
+  console.log(
+    "  node scripts/data-bundle.js export [--scope system|term|teacher] [--id <termOrTeacherId>] [--out bundle.zip]"
+  );
+  console.log("  node scripts/data-bundle.js import <bundle.zip> [--dry-run]");
+  console.log("");
+  console.log("Examples:");
+  console.log("  node scripts/data-bundle.js export --out backup.zip");
+  console.log(
+    "  node scripts/data-bundle.js export --scope term --id 650f1c... --out term.zip"
+  );
+  console.log("  node scripts/data-bundle.js import backup.zip --dry-run");
+};
+
+// Read "--name value" options and bare "--flag" switches
+const parseArgs = (args) => {
+  const options = { _: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      options._.push(args[i]);
+    } else if (args[i + 1] && !args[i + 1].startsWith("--")) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      options[args[i].slice(2)] = true;
+    }
+  }
+  return options;
+};
+
+const printSummary = (summary) => {
+  Object.entries(summary).forEach(([name, counts]) => {
+    console.log(
+      `  ${name}: ${counts.in_bundle} in bundle, ${counts.inserted} new, ${counts.remapped} remapped, ${counts.matched_existing} already present`
+    );
+  });
+};
+
+const run = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (!["export", "import"].includes(command)) {
+    usage();
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/unitrack_attendance"
+    );
+    console.log("✅ Connected to database");
+
+    if (command === "export") {
+      const scope = options.scope || "system";
+      if (!BUNDLE_SCOPES.includes(scope)) {
+        throw new Error(`Scope must be one of: ${BUNDLE_SCOPES.join(", ")}`);
+      }
+
+      const out = options.out || `unitrack_${scope}_bundle_${Date.now()}.zip`;
+      const { buffer, manifest } = await exportBundle({
+        scope,
+        scopeId: options.id,
+      });
+      fs.writeFileSync(out, buffer);
+
+      console.log(`📦 Exported ${scope} bundle to ${out}`);
+      manifest.collections.forEach(({ name, count }) => {
+        console.log(`  ${name}: ${count}`);
+      });
+      console.log(`  evidence files: ${manifest.files.length}`);
+    } else {
+      const file = options._[0];
+      if (!file || !fs.existsSync(file)) {
+        throw new Error("Bundle file not found");
+      }
+
+      const dryRun = options["dry-run"] === true;
+      const result = await importBundle(fs.readFileSync(file), { dryRun });
+
+      console.log(
+        dryRun
+          ? "🔍 Dry run - nothing was written:"
+          : "🎉 Bundle imported successfully:"
+      );
+      printSummary(result.summary);
+      result.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    (error.details || []).forEach((detail) => console.error(`  - ${detail}`));
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    process.exit(exitCode);
+  }
+};
+
+run();
@@ -0,0 +1,214 @@
+const net = require("net");
+const crypto = require("crypto");
+
+const usage = () => {
+  console.log("Usage:");
+  console.log(
+    "  node scripts/smtp-sink.js [--port 2525] [--fail <n>] [--reject <address,...>]"
+  );
+  console.log("");
+  console.log(
+    "Accepts every message and logs its recipient and subject. Point the API at it with EMAIL_HOST=localhost EMAIL_PORT=2525."
+  );
+  console.log(
+    "--fail <n> answers 451 to the first n messages, to exercise retries."
+  );
+  console.log(
+    "--reject answers 550 for the given recipients, a permanent failure."
+  );
+};
+
+// Read "--name value" options and bare "--flag" switches
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) continue;
+    if (args[i + 1] && !args[i + 1].startsWith("--")) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      options[args[i].slice(2)] = true;
+    }
+  }
+  return options;
+};
+
+const addressOf = (argument) => {
+  const match = /<([^>]*)>/.exec(argument);
+  return (match ? match[1] : argument).trim().toLowerCase();
+};
+
+const headerOf = (data, name) => {
+  const match = new RegExp(`^${name}:\\s*(.*)$`, "im").exec(
+    data.split("\r\n\r\n")[0]
+  );
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * A plain-text SMTP server that accepts mail for any recipient and keeps
+ * it in `server.messages` so tests can assert on it. Any credentials are
+ * accepted. `failFirst` answers 451 to the first n messages, and
+ * `reject` answers 550 for the listed recipients.
+ */
+function createSmtpSink({ failFirst = 0, reject = [], onMessage } = {}) {
+  const messages = [];
+  const rejected = reject.map((address) => address.toLowerCase());
+  let received = 0;
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let mode = "command";
+    let envelope = { from: null, to: [] };
+    let dataLines = [];
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const [verb, ...rest] = line.split(" ");
+      const argument = rest.join(" ");
+
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply("250-localhost");
+          reply("250-AUTH PLAIN LOGIN");
+          reply("250 8BITMIME");
+          break;
+        case "HELO":
+          reply("250 localhost");
+          break;
+        case "AUTH":
+          if (/^LOGIN/i.test(argument)) {
+            mode = "auth-login-user";
+            reply("334 VXNlcm5hbWU6");
+          } else if (/^PLAIN\s+\S/i.test(argument)) {
+            reply("235 2.7.0 Authentication successful");
+          } else {
+            mode = "auth-plain";
+            reply("334 ");
+          }
+          break;
+        case "MAIL":
+          received += 1;
+          if (received <= failFirst) {
+            reply("451 4.3.0 Temporary failure, try again later");
+            break;
+          }
+          envelope = {
+            from: addressOf(argument.replace(/^FROM:/i, "")),
+            to: [],
+          };
+          reply("250 2.1.0 OK");
+          break;
+        case "RCPT": {
+          const address = addressOf(argument.replace(/^TO:/i, ""));
+          if (rejected.includes(address)) {
+            reply("550 5.1.1 Mailbox does not exist");
+            break;
+          }
+          envelope.to.push(address);
+          reply("250 2.1.5 OK");
+          break;
+        }
+        case "DATA":
+          mode = "data";
+          dataLines = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+          break;
+        case "RSET":
+          envelope = { from: null, to: [] };
+          reply("250 2.0.0 OK");
+          break;
+        case "NOOP":
+          reply("250 2.0.0 OK");
+          break;
+        case "QUIT":
+          reply("221 2.0.0 Bye");
+          socket.end();
+          break;
+        default:
+          reply("502 5.5.2 Command not recognized");
+      }
+    };
+
+    const handleLine = (line) => {
+      if (mode === "data") {
+        if (line !== ".") {
+          // Lines starting with a dot are sent with an extra one
+          dataLines.push(line.startsWith("..") ? line.slice(1) : line);
+          return;
+        }
+
+        mode = "command";
+        const data = dataLines.join("\r\n");
+        const message = {
+          id: crypto.randomBytes(6).toString("hex").toUpperCase(),
+          from: envelope.from,
+          to: envelope.to,
+          subject: headerOf(data, "Subject"),
+          data,
+          received_at: new Date(),
+        };
+        messages.push(message);
+        if (onMessage) onMessage(message);
+        reply(`250 2.0.0 OK queued as ${message.id}`);
+        return;
+      }
+
+      if (mode === "auth-login-user") {
+        mode = "auth-login-pass";
+        reply("334 UGFzc3dvcmQ6");
+        return;
+      }
+      if (mode === "auth-login-pass" || mode === "auth-plain") {
+        mode = "command";
+        reply("235 2.7.0 Authentication successful");
+        return;
+      }
+
+      handleCommand(line);
+    };
+
+    reply("220 localhost UniTrack SMTP sink");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index = buffer.indexOf("\r\n");
+      while (index !== -1) {
+        handleLine(buffer.slice(0, index));
+        buffer = buffer.slice(index + 2);
+        index = buffer.indexOf("\r\n");
+      }
+    });
+    socket.on("error", () => {
+      // The client hung up; nothing to clean up
+    });
+  });
+
+  server.messages = messages;
+  return server;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    usage();
+    process.exit(0);
+  }
+
+  const port = parseInt(options.port) || 2525;
+  const server = createSmtpSink({
+    failFirst: parseInt(options.fail) || 0,
+    reject: typeof options.reject === "string" ? options.reject.split(",") : [],
+    onMessage: (message) => {
+      console.log(
+        `📨 ${message.to.join(", ")} - ${message.subject} (${message.id})`
+      );
+    },
+  });
+
+  server.listen(port, () => {
+    console.log(`📭 SMTP sink listening on localhost:${port}`);
+  });
+}
+
+module.exports = { createSmtpSink };
@@ -0,0 +1,114 @@
+const http = require("http");
+const { verifySignature } = require("../src/services/webhooks");
+
+const usage = () => {
+  console.log("Usage:");
+  console.log(
+    "  node scripts/webhook-receiver.js --secret <whsec_...> [--port 4001] [--fail <n>]"
+  );
+  console.log("");
+  console.log(
+    "Logs every delivery and answers 401 when the signature does not verify."
+  );
+  console.log(
+    "--fail <n> answers 500 to the first n deliveries, to exercise retries."
+  );
+};
+
+// Read "--name value" options and bare "--flag" switches
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) continue;
+    if (args[i + 1] && !args[i + 1].startsWith("--")) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      options[args[i].slice(2)] = true;
+    }
+  }
+  return options;
+};
+
+/**
+ * An HTTP server that accepts webhook deliveries, checks their signatures
+ * and keeps them in `server.deliveries` so tests can assert on them.
+ * `failFirst` makes the first n deliveries answer 500.
+ */
+function createWebhookReceiver({ secret, failFirst = 0, onDelivery } = {}) {
+  const deliveries = [];
+  let received = 0;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const verified = verifySignature(secret, {
+        signature: req.headers["x-unitrack-signature"],
+        timestamp: req.headers["x-unitrack-timestamp"],
+        body,
+      });
+      received += 1;
+
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        // Kept as null; the signature check still reports the raw body
+      }
+
+      const delivery = {
+        id: req.headers["x-unitrack-delivery"],
+        event: req.headers["x-unitrack-event"],
+        verified,
+        payload,
+        received_at: new Date(),
+      };
+      deliveries.push(delivery);
+      if (onDelivery) onDelivery(delivery);
+
+      let status = 200;
+      if (!verified) {
+        status = 401;
+      } else if (received <= failFirst) {
+        status = 500;
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: status === 200 }));
+    });
+  });
+
+  server.deliveries = deliveries;
+  return server;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.secret || options.secret === true) {
+    usage();
+    process.exit(1);
+  }
+
+  const port = parseInt(options.port) || 4001;
+  const server = createWebhookReceiver({
+    secret: options.secret,
+    failFirst: parseInt(options.fail) || 0,
+    onDelivery: (delivery) => {
+      console.log(
+        `${delivery.verified ? "✅" : "❌"} ${delivery.event} (${delivery.id})${delivery.verified ? "" : " - signature did not verify"}`
+      );
+      console.log(JSON.stringify(delivery.payload, null, 2));
+    },
+  });
+
+  server.listen(port, () => {
+    console.log(`📬 Webhook receiver listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createWebhookReceiver };
@@ -14,11 +14,15 @@ const auditLogger = (action) => {
       if (user && res.statusCode < 400) {
         setImmediate(async () => {
           try {
-            // Determine actor type based on user type
-            const actorType = req.userType === "admin" ? "Admin" : "Teacher";
+            // Determine actor type based on user type; API key requests are
+            // attributed to the key rather than the admin who issued it
+            let actorType = req.userType === "admin" ? "Admin" : "Teacher";
+            if (req.apiKey) {
+              actorType = "ApiKey";
+            }
 
             await AuditLog.create({
-              actor_id: user._id,
+              actor_id: req.apiKey ? req.apiKey._id : user._id,
               actor_type: actorType,
               action,
               payload: {
@@ -1,8 +1,44 @@
 const jwt = require("jsonwebtoken");
 const Teacher = require("../models/Teacher");
 const Admin = require("../models/Admin");
+const Student = require("../models/Student");
+const {
+  isAccountSuspended,
+  isLoginSessionActive,
+} = require("../services/loginSessions");
+const {
+  API_KEY_HEADER,
+  authenticateApiKey,
+  recordApiKeyUsage,
+} = require("../services/apiKeys");
+
+// API keys act as the admin who issued them, limited to the scope the route
+// accepts (see allowApiKey). Their requests are audited under the key's id.
+const authenticateWithApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, admin } = await authenticateApiKey(req, req.apiKeyScope);
+    recordApiKeyUsage(req, res, apiKey, req.apiKeyScope);
+
+    req.apiKey = apiKey;
+    req.admin = admin;
+    req.user = admin;
+    req.userType = "admin";
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("API key authentication error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Verify the bearer token and attach the matching user to the request
+const authenticate = async (req, res, next) => {
+  if (req.header(API_KEY_HEADER) && !req.header("Authorization")) {
+    return authenticateWithApiKey(req, res, next);
+  }
 
-const auth = async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
 
@@ -14,11 +50,23 @@ const auth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Staff tokens belong to a login session, which may have been revoked
+    if (decoded.userType !== "student") {
+      if (!decoded.sid || !(await isLoginSessionActive(decoded.sid))) {
+        return res
+          .status(401)
+          .json({ error: "Session has been revoked. Please log in again." });
+      }
+    }
+
     // Get user based on userType in token
     let user;
     if (decoded.userType === "admin") {
       user = await Admin.findById(decoded.id);
       req.admin = user;
+    } else if (decoded.userType === "student") {
+      user = await Student.findById(decoded.id);
+      req.student = user;
     } else {
       user = await Teacher.findById(decoded.id);
       req.teacher = user;
@@ -28,14 +76,31 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: "Invalid token." });
     }
 
+    if (isAccountSuspended(user)) {
+      return res.status(403).json({ error: "Account suspended." });
+    }
+
     req.user = user; // Generic user object
     req.userType = decoded.userType;
+    req.loginSessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ error: "Invalid token." });
   }
 };
 
+// Staff (teacher or admin) authentication
+const auth = async (req, res, next) => {
+  authenticate(req, res, () => {
+    if (req.userType === "student") {
+      return res
+        .status(403)
+        .json({ error: "Access denied. Staff account required." });
+    }
+    next();
+  });
+};
+
 const adminAuth = async (req, res, next) => {
   auth(req, res, () => {
     if (req.userType !== "admin" && req.user?.role !== "admin") {
@@ -47,6 +112,52 @@ const adminAuth = async (req, res, next) => {
   });
 };
 
+// Super-admins hold every permission. Teachers promoted to the admin role
+// have no permission list and keep the default admin access.
+const hasPermission = (req, permission) =>
+  req.userType === "admin"
+    ? req.admin.hasPermission(permission)
+    : req.user?.role === "admin";
+
+const checkPermissions = (req, res, next, permissions) => {
+  const missing = permissions.filter(
+    (permission) => !hasPermission(req, permission)
+  );
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: "Access denied. Missing admin permission.",
+      details: missing.map((permission) => `Requires ${permission}`),
+    });
+  }
+  next();
+};
+
+// Admin-only routes that also need specific permissions
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) =>
+    adminAuth(req, res, () => checkPermissions(req, res, next, permissions));
+
+// Shared staff routes (after `auth`): teachers pass, admins need permissions
+const adminPermission =
+  (...permissions) =>
+  (req, res, next) =>
+    req.userType === "admin"
+      ? checkPermissions(req, res, next, permissions)
+      : next();
+
+// Destructive and account-management operations
+const superAdminAuth = async (req, res, next) => {
+  adminAuth(req, res, () => {
+    if (req.userType !== "admin" || !req.admin.is_super_admin) {
+      return res
+        .status(403)
+        .json({ error: "Access denied. Super-admin required." });
+    }
+    next();
+  });
+};
+
 const teacherAuth = async (req, res, next) => {
   auth(req, res, () => {
     if (req.userType !== "teacher") {
@@ -58,4 +169,42 @@ const teacherAuth = async (req, res, next) => {
   });
 };
 
-module.exports = { auth, adminAuth, teacherAuth };
+const studentAuth = async (req, res, next) => {
+  authenticate(req, res, () => {
+    if (req.userType !== "student") {
+      return res
+        .status(403)
+        .json({ error: "Access denied. Student account required." });
+    }
+    next();
+  });
+};
+
+// EventSource cannot set request headers, so streaming endpoints also accept
+// the bearer token as ?access_token=
+const allowQueryToken = (req, res, next) => {
+  if (!req.header("Authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Let integrations call a route with an API key holding `scope`. Place it
+// before the auth middleware; routes without it reject API keys.
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+module.exports = {
+  auth,
+  adminAuth,
+  teacherAuth,
+  studentAuth,
+  requirePermission,
+  adminPermission,
+  superAdminAuth,
+  hasPermission,
+  allowQueryToken,
+  allowApiKey,
+};
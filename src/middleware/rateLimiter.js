@@ -46,10 +46,20 @@ const supportLimiter = rateLimit({
   },
 });
 
+// Ticket status lookups by reference and email
+const ticketLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Max 20 lookups per 15 minutes
+  message: {
+    error: "Too many ticket lookups. Please wait before trying again.",
+  },
+});
+
 module.exports = {
   generalLimiter,
   strictLimiter,
   otpLimiter,
   attendanceLimiter,
   supportLimiter,
+  ticketLookupLimiter,
 };
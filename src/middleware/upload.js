@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+
+const UPLOAD_ROOT =
+  process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads");
+const EVIDENCE_DIR = path.join(UPLOAD_ROOT, "evidence");
+
+const EVIDENCE_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "application/pdf",
+];
+
+// Evidence files (medical notes, screenshots) attached to attendance appeals
+const evidenceStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(EVIDENCE_DIR, { recursive: true }, (error) =>
+      cb(error, EVIDENCE_DIR)
+    );
+  },
+  filename: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const suffix = crypto.randomBytes(8).toString("hex");
+    cb(null, `${Date.now()}-${suffix}${extension}`);
+  },
+});
+
+const evidenceUpload = multer({
+  storage: evidenceStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (!EVIDENCE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "evidence"));
+    }
+    cb(null, true);
+  },
+});
+
+// Data bundles (zip) for admin imports, kept in memory and never stored
+const BUNDLE_MAX_SIZE_MB = parseInt(process.env.BUNDLE_MAX_SIZE_MB) || 100;
+
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BUNDLE_MAX_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== ".zip") {
+      return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "bundle"));
+    }
+    cb(null, true);
+  },
+});
+
+// Class rosters (CSV/XLSX) for bulk enrollment, parsed straight from memory
+const ROSTER_EXTENSIONS = [".csv", ".xlsx"];
+
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!ROSTER_EXTENSIONS.includes(extension)) {
+      return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", "file"));
+    }
+    cb(null, true);
+  },
+});
+
+// Run a multer middleware and turn upload errors into 400 responses
+const handleUpload = (uploader) => (req, res, next) => {
+  uploader(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: "File is too large",
+        LIMIT_UNEXPECTED_FILE: "Unsupported file type or field",
+      };
+      return res.status(400).json({
+        error: "File upload failed",
+        details: [messages[error.code] || error.message],
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Delete the uploaded file if the request ends in an error response
+const discardUploadOnError = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode >= 400 && req.file && req.file.path) {
+      fs.unlink(req.file.path, () => {});
+    }
+  });
+  next();
+};
+
+module.exports = {
+  UPLOAD_ROOT,
+  EVIDENCE_DIR,
+  evidenceUpload,
+  bundleUpload,
+  rosterUpload,
+  handleUpload,
+  discardUploadOnError,
+};
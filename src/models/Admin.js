@@ -1,6 +1,15 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+// Grantable admin permissions; super-admins implicitly hold all of them
+const ADMIN_PERMISSIONS = [
+  "view_all_reports",
+  "manage_teachers",
+  "manage_students",
+  "manage_courses",
+  "system_settings",
+];
+
 const adminSchema = new mongoose.Schema(
   {
     name: {
@@ -32,14 +41,13 @@ const adminSchema = new mongoose.Schema(
       type: Date,
     },
     permissions: {
-      type: [String],
-      default: [
-        "view_all_reports",
-        "manage_teachers",
-        "manage_students",
-        "manage_courses",
-        "system_settings",
+      type: [
+        {
+          type: String,
+          enum: ADMIN_PERMISSIONS,
+        },
       ],
+      default: () => [...ADMIN_PERMISSIONS],
     },
     is_super_admin: {
       type: Boolean,
@@ -104,6 +112,19 @@ adminSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password_hash);
 };
 
+adminSchema.statics.PERMISSIONS = ADMIN_PERMISSIONS;
+
+adminSchema.methods.hasPermission = function (permission) {
+  return this.is_super_admin || this.permissions.includes(permission);
+};
+
+// Remove password from JSON output
+adminSchema.methods.toJSON = function () {
+  const admin = this.toObject();
+  delete admin.password_hash;
+  return admin;
+};
+
 // Update last login
 adminSchema.methods.updateLastLogin = function () {
   this.last_login = new Date();
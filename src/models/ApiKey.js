@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// A named key for machine-to-machine access. It acts with the permissions
+// of the admin who issued it, narrowed to its scopes. Only a hash of the
+// key is stored.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    key_hash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // IPv4/IPv6 addresses or CIDR ranges; empty allows any address
+    ip_allowlist: {
+      type: [String],
+      default: [],
+    },
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+    last_used_ip: {
+      type: String,
+    },
+    rotated_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ created_by: 1, created_at: -1 });
+
+apiKeySchema.methods.isExpired = function () {
+  return !!this.expires_at && this.expires_at <= new Date();
+};
+
+// Hide the hash even when it was selected explicitly
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.key_hash;
+  return apiKey;
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Term = require("./Term");
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -40,6 +41,25 @@ const attendanceSchema = new mongoose.Schema(
     distance_from_location: {
       type: Number,
     },
+    altitude: {
+      type: Number,
+    },
+    // Which venue geofence rule accepted the submission (venue sessions)
+    venue_match: {
+      venue_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Venue",
+      },
+      venue_name: String,
+      rule_type: {
+        type: String,
+        enum: ["polygon", "circle"],
+      },
+      rule_index: Number,
+      rule_label: String,
+      distance_m: Number,
+      altitude_delta_m: Number,
+    },
     // FingerprintJS integration fields
     fpjs_visitor_id: {
       type: String,
@@ -64,12 +84,57 @@ const attendanceSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["present", "absent", "rejected", "manual_present"],
+      enum: [
+        "present",
+        "late",
+        "absent",
+        "rejected",
+        "manual_present",
+        "excused",
+        "pending_review",
+      ],
       default: "present",
     },
     reason: {
       type: String,
     },
+    // Why a submission was held for review instead of being accepted
+    flags: [
+      {
+        _id: false,
+        code: {
+          type: String,
+          required: true,
+        },
+        message: String,
+        details: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    review: {
+      // Status the submission receives if a reviewer approves it
+      requested_status: {
+        type: String,
+        enum: ["present", "late"],
+      },
+      decision: {
+        type: String,
+        enum: ["approved", "rejected"],
+      },
+      decided_by: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      decided_by_type: {
+        type: String,
+        enum: ["Admin", "Teacher"],
+      },
+      decided_at: {
+        type: Date,
+      },
+      decision_note: {
+        type: String,
+        trim: true,
+      },
+    },
     submitted_at: {
       type: Date,
       default: Date.now,
@@ -78,6 +143,12 @@ const attendanceSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Academic term, copied from the session
+    term_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Term",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -94,4 +165,26 @@ attendanceSchema.index(
   { unique: true }
 );
 
+attendanceSchema.index({ status: 1, course_id: 1 });
+attendanceSchema.index({ device_fingerprint: 1, submitted_at: -1 });
+attendanceSchema.index({ term_id: 1, course_id: 1 });
+
+attendanceSchema.pre("validate", async function () {
+  if (this.isNew && !this.term_id) {
+    const session = await mongoose
+      .model("Session")
+      .findById(this.session_id)
+      .select("term_id");
+    this.term_id = session ? session.term_id : null;
+  }
+  if (await Term.isArchivedTerm(this.term_id)) {
+    this.invalidate("term_id", "Attendance in an archived term is read-only");
+  }
+});
+
+Term.guardArchivedQueries(
+  attendanceSchema,
+  "Attendance in an archived term is read-only"
+);
+
 module.exports = mongoose.model("Attendance", attendanceSchema);
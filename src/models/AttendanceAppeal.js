@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const attendanceAppealSchema = new mongoose.Schema(
+  {
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    matric_no: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    // "excuse" for a justified absence, "appeal" to contest a record
+    type: {
+      type: String,
+      enum: ["excuse", "appeal"],
+      default: "excuse",
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    evidence: {
+      filename: String,
+      original_name: String,
+      mime_type: String,
+      size: Number,
+    },
+    filed_by_type: {
+      type: String,
+      enum: ["Student", "Admin", "Teacher"],
+      required: true,
+    },
+    filed_by_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    // Attendance status before the decision, kept for the audit trail
+    previous_status: {
+      type: String,
+    },
+    attendance_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+    },
+    decided_by: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    decided_by_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+    },
+    decided_at: {
+      type: Date,
+    },
+    decision_note: {
+      type: String,
+      trim: true,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one open appeal per student and session
+attendanceAppealSchema.index(
+  { session_id: 1, student_id: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+attendanceAppealSchema.index({ course_id: 1, status: 1, created_at: -1 });
+attendanceAppealSchema.index({ student_id: 1, created_at: -1 });
+
+module.exports = mongoose.model("AttendanceAppeal", attendanceAppealSchema);
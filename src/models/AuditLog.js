@@ -5,11 +5,11 @@ const auditLogSchema = new mongoose.Schema(
     actor_id: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
-      // Generic reference - can point to either Teacher or Admin
+      // Generic reference - can point to a Teacher, Admin, Student or ApiKey
     },
     actor_type: {
       type: String,
-      enum: ["Teacher", "Admin", "System"],
+      enum: ["Teacher", "Admin", "Student", "System", "ApiKey"],
       required: true,
     },
     action: {
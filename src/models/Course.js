@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Term = require("./Term");
 
 const courseSchema = new mongoose.Schema(
   {
@@ -7,6 +8,29 @@ const courseSchema = new mongoose.Schema(
       ref: "Teacher",
       required: true,
     },
+    // Lecturers who teach the course alongside the owner (teacher_id). What
+    // each role may do is defined in services/courseAccess.
+    members: [
+      {
+        teacher_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Teacher",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["co_lecturer", "ta"],
+          required: true,
+        },
+        added_by: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        added_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     course_code: {
       type: String,
       required: true,
@@ -31,6 +55,81 @@ const courseSchema = new mongoose.Schema(
           "Level must be between 100 and 600 in increments of 100 (100, 200, 300, 400, 500, 600)",
       },
     },
+    // Exam-eligibility policy applied to this course's attendance
+    attendance_policy: {
+      min_percentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 75,
+      },
+      count_manual_present: {
+        type: Boolean,
+        default: true,
+      },
+      excused_absence_grace: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+      warning_margin: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 10,
+      },
+      warning_emails_enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Early-warning rules for the at-risk report; 0 turns a rule off
+      consecutive_absence_limit: {
+        type: Number,
+        min: 0,
+        default: 3,
+      },
+      trend_window: {
+        type: Number,
+        min: 2,
+        default: 4,
+      },
+      trend_drop: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 25,
+      },
+    },
+    // Dates on which timetabled sessions are not opened (public holidays,
+    // exam weeks). end_date is inclusive and defaults to start_date.
+    timetable_skip_dates: [
+      {
+        start_date: {
+          type: Date,
+          required: true,
+        },
+        end_date: {
+          type: Date,
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 200,
+        },
+      },
+    ],
+    // Academic term the course runs in (the current term when created)
+    term_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Term",
+      default: null,
+    },
+    // Course this one was cloned from during a term rollover
+    cloned_from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
     created_at: {
       type: Date,
       default: Date.now,
@@ -44,4 +143,30 @@ const courseSchema = new mongoose.Schema(
 // Remove unique constraint on course code to allow multiple teachers to use same code
 courseSchema.index({ teacher_id: 1, course_code: 1, level: 1 });
 
+courseSchema.index({ term_id: 1 });
+// A rollover copies each course into the next term once
+courseSchema.index(
+  { term_id: 1, cloned_from: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { cloned_from: { $type: "objectId" } },
+  }
+);
+courseSchema.index({ "members.teacher_id": 1 });
+
+courseSchema.pre("validate", async function () {
+  if (this.isNew && !this.term_id) {
+    const current = await Term.findCurrent();
+    this.term_id = current ? current._id : null;
+  }
+  if (await Term.isArchivedTerm(this.term_id)) {
+    this.invalidate("term_id", "Courses in an archived term are read-only");
+  }
+});
+
+Term.guardArchivedQueries(
+  courseSchema,
+  "Courses in an archived term are read-only"
+);
+
 module.exports = mongoose.model("Course", courseSchema);
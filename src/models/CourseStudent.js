@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Term = require("./Term");
 
 const courseStudentSchema = new mongoose.Schema(
   {
@@ -21,6 +22,11 @@ const courseStudentSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // When the student was last emailed an at-risk alert for this course
+    at_risk_alerted_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -30,4 +36,22 @@ const courseStudentSchema = new mongoose.Schema(
 // Ensure a student can only be added once to a course
 courseStudentSchema.index({ course_id: 1, student_id: 1 }, { unique: true });
 
+// Rosters of courses in an archived term are frozen
+courseStudentSchema.pre("validate", async function () {
+  if (!this.isNew) return;
+  const course = await mongoose
+    .model("Course")
+    .findById(this.course_id)
+    .select("term_id");
+  if (course && (await Term.isArchivedTerm(course.term_id))) {
+    this.invalidate("course_id", "Courses in an archived term are read-only");
+  }
+});
+
+Term.guardArchivedQueries(
+  courseStudentSchema,
+  "Courses in an archived term are read-only",
+  { viaCourse: true }
+);
+
 module.exports = mongoose.model("CourseStudent", courseStudentSchema);
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+
+const EMAIL_STATUSES = ["pending", "sent", "failed"];
+
+// One try at handing a message to the SMTP server
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed"],
+      required: true,
+    },
+    // The server's reply, e.g. "250 2.0.0 OK queued as 4F1C9A2B"
+    smtp_response: {
+      type: String,
+    },
+    response_code: {
+      type: Number,
+    },
+    message_id: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    duration_ms: {
+      type: Number,
+    },
+    attempted_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// An outgoing email. EmailService renders the message and stores it here;
+// the job queue sends it and retries failed attempts.
+const emailMessageSchema = new mongoose.Schema(
+  {
+    // The email template it was rendered from, e.g. "otp"
+    type: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+      required: true,
+    },
+    attachments: [
+      {
+        _id: false,
+        filename: String,
+        content: Buffer,
+        content_type: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: EMAIL_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    delivery_attempts: [deliveryAttemptSchema],
+    last_error: {
+      type: String,
+    },
+    message_id: {
+      type: String,
+    },
+    next_attempt_at: {
+      type: Date,
+    },
+    sent_at: {
+      type: Date,
+    },
+    job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Callers that may run twice, like job retries, pass a key so the same
+    // email is only stored and sent once
+    dedupe_key: {
+      type: String,
+    },
+    // Set on messages created by an admin resending a failed one
+    resend_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailMessageSchema.index({ to: 1, created_at: -1 });
+emailMessageSchema.index({ type: 1, status: 1, created_at: -1 });
+emailMessageSchema.index({ status: 1, created_at: -1 });
+emailMessageSchema.index({ dedupe_key: 1 }, { unique: true, sparse: true });
+
+emailMessageSchema.statics.STATUSES = EMAIL_STATUSES;
+
+module.exports = mongoose.model("EmailMessage", emailMessageSchema);
@@ -15,7 +15,20 @@ const emailOtpSchema = new mongoose.Schema(
     purpose: {
       type: String,
       required: true,
-      enum: ["registration", "password_reset", "login", "email_change"],
+      enum: [
+        "registration",
+        "password_reset",
+        "login",
+        "email_change",
+        "student_login",
+      ],
+    },
+    // Student login codes belong to one student record, since several
+    // students can share an email address
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
     },
     expires_at: {
       type: Date,
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// An admin's edited copy of an email template. Templates without a document
+// here use the subject in services/emailTemplates and the .hbs file on disk.
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    // The EmailTemplateVersion this copy was saved from
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "updated_by_type",
+    },
+    updated_by_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+    },
+    updated_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const VERSION_SOURCES = ["edit", "rollback", "reset"];
+
+// Every subject and body an email template has had, so an admin can see
+// what changed and roll back. A reset records the default it went back to.
+const emailTemplateVersionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: VERSION_SOURCES,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "created_by_type",
+    },
+    created_by_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailTemplateVersionSchema.index({ name: 1, version: -1 }, { unique: true });
+
+emailTemplateVersionSchema.statics.SOURCES = VERSION_SOURCES;
+
+module.exports = mongoose.model(
+  "EmailTemplateVersion",
+  emailTemplateVersionSchema
+);
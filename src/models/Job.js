@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    run_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Higher runs first among due jobs of the same lane
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    max_attempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    last_error: {
+      type: String,
+    },
+    locked_at: {
+      type: Date,
+    },
+    locked_by: {
+      type: String,
+    },
+    completed_at: {
+      type: Date,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for the worker picking up due jobs
+jobSchema.index({ status: 1, priority: -1, run_at: 1 });
+jobSchema.index({ created_by: 1, type: 1, run_at: -1 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// An event on a session's live feed, kept so reconnecting clients can catch
+// up from the last event they saw
+const liveEventSchema = new mongoose.Schema(
+  {
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        "attendance_submitted",
+        "attendance_rejected",
+        "attendance_marked",
+        "session_ended",
+      ],
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+liveEventSchema.index({ session_id: 1, _id: 1 });
+
+// Catch-up is only useful while a session is running
+liveEventSchema.index({ created_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("LiveEvent", liveEventSchema);
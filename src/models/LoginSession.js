@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// A staff login. Access tokens carry its id (`sid`), so revoking the
+// session invalidates them immediately; the refresh token rotates on use.
+const loginSessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    user_type: {
+      type: String,
+      enum: ["teacher", "admin"],
+      required: true,
+    },
+    refresh_token_hash: {
+      type: String,
+      required: true,
+    },
+    // Last rotated-out token; presenting it again means the token leaked
+    previous_refresh_token_hash: {
+      type: String,
+      default: null,
+    },
+    device: {
+      type: String,
+    },
+    user_agent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    last_used_at: {
+      type: Date,
+      default: Date.now,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_reason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "admin_forced",
+        "account_suspended",
+        "refresh_token_reuse",
+        null,
+      ],
+      default: null,
+    },
+    revoked_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginSessionSchema.index({ user_id: 1, user_type: 1, revoked_at: 1 });
+
+// Expired logins are no longer useful, even for the device list
+loginSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+loginSessionSchema.methods.isActive = function () {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+module.exports = mongoose.model("LoginSession", loginSessionSchema);
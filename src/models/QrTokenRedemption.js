@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const qrTokenRedemptionSchema = new mongoose.Schema(
+  {
+    session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    token_hash: {
+      type: String,
+      required: true,
+    },
+    // The student who redeemed the token; every student in the room
+    // scans the same token, so each gets their own redemption
+    matric_no: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    device_fingerprint: {
+      type: String,
+      required: true,
+    },
+    redeemed_at: {
+      type: Date,
+      default: Date.now,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A student's use of a QR token is bound to the device they redeemed it on
+qrTokenRedemptionSchema.index(
+  { token_hash: 1, matric_no: 1 },
+  { unique: true }
+);
+
+// Redemptions are only needed while the token could still be valid
+qrTokenRedemptionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("QrTokenRedemption", qrTokenRedemptionSchema);
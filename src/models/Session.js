@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const Term = require("./Term");
 
 const sessionSchema = new mongoose.Schema(
   {
@@ -51,6 +52,57 @@ const sessionSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Rotating QR-code mode: students must scan the live QR token shown
+    // on the projector instead of (or in addition to) typing the code
+    qr_enabled: {
+      type: Boolean,
+      default: false,
+    },
+    qr_rotation_seconds: {
+      type: Number,
+      default: 30,
+      min: 10,
+      max: 300,
+    },
+    // Minutes after start during which submissions count as present;
+    // later submissions are marked late. Null disables late marking.
+    grace_period_minutes: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 480,
+    },
+    // Worst acceptable GPS accuracy in meters (null = server default) and
+    // whether poorer readings are rejected outright or held for review
+    max_accuracy_m: {
+      type: Number,
+      default: null,
+      min: 5,
+      max: 5000,
+    },
+    accuracy_action: {
+      type: String,
+      enum: ["reject", "flag"],
+      default: "flag",
+    },
+    // Registered venue whose geofence replaces the lat/lng/radius circle
+    venue_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Venue",
+      default: null,
+    },
+    // Set when the session was opened automatically from the timetable
+    timetable_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timetable",
+      default: null,
+    },
+    // Academic term, copied from the course
+    term_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Term",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -60,10 +112,45 @@ const sessionSchema = new mongoose.Schema(
 // Index for efficient session code lookup
 sessionSchema.index({ session_code: 1, is_active: 1 });
 sessionSchema.index({ expiry_ts: 1 });
+sessionSchema.index({ term_id: 1 });
+
+sessionSchema.pre("validate", async function () {
+  if (this.isNew && !this.term_id) {
+    const course = await mongoose
+      .model("Course")
+      .findById(this.course_id)
+      .select("term_id");
+    this.term_id = course ? course.term_id : null;
+  }
+  if (await Term.isArchivedTerm(this.term_id)) {
+    this.invalidate("term_id", "Sessions in an archived term are read-only");
+  }
+});
 
 // Auto-expire sessions
 sessionSchema.methods.isExpired = function () {
   return Date.now() > this.expiry_ts;
 };
 
+// Whether a submission at the given time falls after the grace period
+sessionSchema.methods.isLateSubmission = function (at = Date.now()) {
+  const grace = this.grace_period_minutes;
+  if (grace === undefined || grace === null) {
+    return false;
+  }
+  const graceEnd = this.start_ts.getTime() + grace * 60000;
+  return new Date(at).getTime() > graceEnd;
+};
+
+// Index of the QR rotation window a timestamp falls into
+sessionSchema.methods.getQrWindow = function (at = Date.now()) {
+  const elapsed = Math.max(0, new Date(at).getTime() - this.start_ts.getTime());
+  return Math.floor(elapsed / (this.qr_rotation_seconds * 1000));
+};
+
+Term.guardArchivedQueries(
+  sessionSchema,
+  "Sessions in an archived term are read-only"
+);
+
 module.exports = mongoose.model("Session", sessionSchema);
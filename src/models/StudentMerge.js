@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+// A merge of a duplicate student record into the surviving one. Keeps what
+// is needed to undo it: the removed student, the ids of every record that
+// was moved and copies of the records that had to be dropped.
+const studentMergeSchema = new mongoose.Schema(
+  {
+    surviving_student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    merged_student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The duplicate as it was before it was deleted
+    merged_student: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Surviving student fields the merge overwrote (e.g. a corrected matric_no)
+    previous_values: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    moved: {
+      course_students: [mongoose.Schema.Types.ObjectId],
+      attendance: [mongoose.Schema.Types.ObjectId],
+      device_fingerprints: [mongoose.Schema.Types.ObjectId],
+      attendance_appeals: [mongoose.Schema.Types.ObjectId],
+      share_requests: [mongoose.Schema.Types.ObjectId],
+    },
+    // Records of the duplicate that clashed with the survivor's and were removed
+    removed: {
+      course_students: [mongoose.Schema.Types.Mixed],
+      attendance: [mongoose.Schema.Types.Mixed],
+      // Share requests that listed both students and dropped the duplicate
+      share_requests: [mongoose.Schema.Types.ObjectId],
+    },
+    status: {
+      type: String,
+      enum: ["merged", "undone"],
+      default: "merged",
+    },
+    performed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    performed_by_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+      required: true,
+    },
+    undo_expires_at: {
+      type: Date,
+      required: true,
+    },
+    undone_at: {
+      type: Date,
+    },
+    undone_by: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    undone_by_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentMergeSchema.index({ surviving_student_id: 1, created_at: -1 });
+studentMergeSchema.index({ merged_student_id: 1 });
+
+studentMergeSchema.methods.canUndo = function () {
+  return this.status === "merged" && this.undo_expires_at > new Date();
+};
+
+module.exports = mongoose.model("StudentMerge", studentMergeSchema);
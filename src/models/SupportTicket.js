@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+
+const TICKET_STATUSES = ["open", "in_progress", "resolved", "closed"];
+
+// A message on a ticket: the requester's original message is the ticket
+// itself, replies come from admins
+const ticketReplySchema = new mongoose.Schema(
+  {
+    author_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    author_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+      required: true,
+    },
+    author_name: {
+      type: String,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Whether the reply was queued for the requester; email_id is the
+    // outbox message that tracks its delivery
+    emailed: {
+      type: Boolean,
+      default: false,
+    },
+    email_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailMessage",
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const supportTicketSchema = new mongoose.Schema(
+  {
+    // Shown to the requester, e.g. TK1724489400000AB12
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    user_type: {
+      type: String,
+      enum: ["student", "teacher", "admin", "other"],
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String,
+    },
+    matric_no: {
+      type: String,
+    },
+    course_info: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error_details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    browser_info: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip_address: {
+      type: String,
+    },
+    user_agent: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: TICKET_STATUSES,
+      default: "open",
+    },
+    assigned_to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    assigned_at: {
+      type: Date,
+    },
+    replies: [ticketReplySchema],
+    resolved_at: {
+      type: Date,
+    },
+    closed_at: {
+      type: Date,
+    },
+    last_activity_at: {
+      type: Date,
+      default: Date.now,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supportTicketSchema.index({ status: 1, priority: 1, created_at: -1 });
+supportTicketSchema.index({ assigned_to: 1, status: 1 });
+supportTicketSchema.index({ email: 1, created_at: -1 });
+
+// Keep the resolution timestamps in step with the status
+supportTicketSchema.pre("save", function (next) {
+  if (this.isModified("status")) {
+    if (this.status === "resolved" && !this.resolved_at) {
+      this.resolved_at = new Date();
+    }
+    if (this.status === "closed" && !this.closed_at) {
+      this.closed_at = new Date();
+    }
+    if (["open", "in_progress"].includes(this.status)) {
+      this.resolved_at = undefined;
+      this.closed_at = undefined;
+    }
+  }
+  next();
+});
+
+supportTicketSchema.statics.STATUSES = TICKET_STATUSES;
+
+module.exports = mongoose.model("SupportTicket", supportTicketSchema);
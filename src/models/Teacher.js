@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+const NOTIFICATION_FREQUENCIES = ["instant", "daily", "weekly", "off"];
+
 const teacherSchema = new mongoose.Schema(
   {
     name: {
@@ -28,6 +30,11 @@ const teacherSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Suspended accounts cannot log in and their sessions are revoked
+    active: {
+      type: Boolean,
+      default: true,
+    },
     otp: {
       type: String,
       default: null,
@@ -54,6 +61,15 @@ const teacherSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // How each lecturer notification is delivered; see
+    // services/notificationPreferences for the events
+    notification_preferences: {
+      session_started: { type: String, enum: NOTIFICATION_FREQUENCIES },
+      attendance_warning: { type: String, enum: NOTIFICATION_FREQUENCIES },
+      share_request: { type: String, enum: NOTIFICATION_FREQUENCIES },
+      share_response: { type: String, enum: NOTIFICATION_FREQUENCIES },
+      course_assignment: { type: String, enum: ["instant", "off"] },
+    },
     created_at: {
       type: Date,
       default: Date.now,
@@ -92,4 +108,6 @@ teacherSchema.methods.toJSON = function () {
   return teacher;
 };
 
+teacherSchema.statics.NOTIFICATION_FREQUENCIES = NOTIFICATION_FREQUENCIES;
+
 module.exports = mongoose.model("Teacher", teacherSchema);
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+
+const SEMESTER_LABELS = {
+  first: "First Semester",
+  second: "Second Semester",
+  summer: "Summer Session",
+};
+
+// An academic term (session + semester). Courses, sessions and attendance
+// are stamped with the term they belong to; archived terms are read-only.
+const termSchema = new mongoose.Schema(
+  {
+    // e.g. "2024/2025"
+    academic_session: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^\d{4}\/\d{4}$/,
+    },
+    semester: {
+      type: String,
+      required: true,
+      enum: Object.keys(SEMESTER_LABELS),
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    start_date: {
+      type: Date,
+      required: true,
+    },
+    end_date: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["upcoming", "active", "archived"],
+      default: "upcoming",
+    },
+    archived_at: {
+      type: Date,
+      default: null,
+    },
+    archived_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    // The term a rollover of this one activates. Set before the rollover
+    // does anything else, so a second rollover cannot start and a failed
+    // one can be run again to finish.
+    rolled_over_to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Term",
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+termSchema.index({ academic_session: 1, semester: 1 }, { unique: true });
+
+// Only one term can be current at a time
+termSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+termSchema.pre("validate", function (next) {
+  if (this.isModified("academic_session") || this.isModified("semester")) {
+    this.name = `${this.academic_session} ${SEMESTER_LABELS[this.semester]}`;
+  }
+  if (this.end_date && this.start_date && this.end_date <= this.start_date) {
+    this.invalidate("end_date", "Term end date must be after its start date");
+  }
+  next();
+});
+
+termSchema.methods.isArchived = function () {
+  return this.status === "archived";
+};
+
+// Records in archived terms are read-only
+termSchema.statics.isArchivedTerm = async function (termId) {
+  return !!termId && !!(await this.exists({ _id: termId, status: "archived" }));
+};
+
+// Query writes skip the validate hooks that keep archived terms read-only
+const GUARDED_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+];
+
+/**
+ * Refuse query updates and deletes on `schema` that would touch records in
+ * an archived term. Records carry `term_id`, or with `viaCourse` belong to
+ * a course that does. Deliberate clean-ups pass the `allowArchived` option.
+ */
+termSchema.statics.guardArchivedQueries = function (
+  schema,
+  message,
+  { viaCourse = false } = {}
+) {
+  const Term = this;
+  schema.pre(GUARDED_QUERIES, async function () {
+    if (this.getOptions().allowArchived) return;
+
+    const archivedTermIds = await Term.find({ status: "archived" }).distinct(
+      "_id"
+    );
+    if (archivedTermIds.length === 0) return;
+
+    const inArchivedTerm = viaCourse
+      ? {
+          course_id: {
+            $in: await mongoose
+              .model("Course")
+              .find({ term_id: { $in: archivedTermIds } })
+              .distinct("_id"),
+          },
+        }
+      : { term_id: { $in: archivedTermIds } };
+    if (await this.model.exists({ $and: [this.getFilter(), inArchivedTerm] })) {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    }
+  });
+};
+
+// The current term, or null before the first term is set up
+termSchema.statics.findCurrent = function () {
+  return this.findOne({ status: "active" });
+};
+
+module.exports = mongoose.model("Term", termSchema);
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// A weekly timetable slot from which attendance sessions are opened
+// automatically. Times are in the server's local time zone.
+const timetableSchema = new mongoose.Schema(
+  {
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    teacher_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Teacher",
+      required: true,
+    },
+    // 0 = Sunday ... 6 = Saturday
+    weekday: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    // "HH:mm", 24-hour clock
+    start_time: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    duration_minutes: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 480,
+    },
+    // Registered venue; when set its geofence is used for the sessions
+    venue_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Venue",
+      default: null,
+    },
+    // Ad-hoc location used when no registered venue is set
+    venue: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      lat: {
+        type: Number,
+      },
+      lng: {
+        type: Number,
+      },
+    },
+    radius_m: {
+      type: Number,
+      default: 100,
+      min: 10,
+      max: 10000,
+    },
+    grace_period_minutes: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 480,
+    },
+    qr_enabled: {
+      type: Boolean,
+      default: false,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    // Next scheduled opening and the queued job that will perform it
+    next_run_at: {
+      type: Date,
+      default: null,
+    },
+    next_job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timetableSchema.pre("validate", function (next) {
+  const hasCoordinates =
+    typeof this.venue?.lat === "number" && typeof this.venue?.lng === "number";
+  if (!this.venue_id && !hasCoordinates) {
+    this.invalidate("venue", "A venue_id or venue coordinates are required");
+  }
+  next();
+});
+
+timetableSchema.index({ course_id: 1, weekday: 1, start_time: 1 });
+timetableSchema.index({ is_active: 1 });
+
+module.exports = mongoose.model("Timetable", timetableSchema);
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+const pointSchema = new mongoose.Schema(
+  {
+    lat: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90,
+    },
+    lng: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180,
+    },
+  },
+  { _id: false }
+);
+
+// A named venue with one or more geofence rules. A submission is inside the
+// venue when it falls in any polygon or any circle.
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    building: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    polygons: [
+      {
+        label: {
+          type: String,
+          trim: true,
+        },
+        points: {
+          type: [pointSchema],
+          validate: {
+            validator: (points) => points.length >= 3,
+            message: "A polygon needs at least 3 points",
+          },
+        },
+      },
+    ],
+    circles: [
+      {
+        label: {
+          type: String,
+          trim: true,
+        },
+        lat: {
+          type: Number,
+          required: true,
+          min: -90,
+          max: 90,
+        },
+        lng: {
+          type: Number,
+          required: true,
+          min: -180,
+          max: 180,
+        },
+        radius_m: {
+          type: Number,
+          required: true,
+          min: 5,
+          max: 10000,
+        },
+      },
+    ],
+    // Hints for lecturers and reviewers; not enforced on submission
+    floor: {
+      type: String,
+      trim: true,
+    },
+    altitude_m: {
+      type: Number,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+venueSchema.index({ name: 1 }, { unique: true });
+venueSchema.index({ code: 1 }, { unique: true, sparse: true });
+
+venueSchema.pre("validate", function (next) {
+  if (this.polygons.length === 0 && this.circles.length === 0) {
+    this.invalidate("polygons", "A venue needs at least one polygon or circle");
+  }
+  next();
+});
+
+// Representative point used as the session lat/lng for venue sessions
+venueSchema.methods.getCenter = function () {
+  if (this.circles.length > 0) {
+    return { lat: this.circles[0].lat, lng: this.circles[0].lng };
+  }
+
+  const points = this.polygons[0].points;
+  return {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length,
+  };
+};
+
+module.exports = mongoose.model("Venue", venueSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// One event sent to one subscription, with the outcome of its latest attempt
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    event_id: {
+      type: String,
+      required: true,
+    },
+    // The JSON body sent to the endpoint
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    response_status: {
+      type: Number,
+    },
+    // First few KB of the endpoint's response
+    response_body: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    duration_ms: {
+      type: Number,
+    },
+    next_attempt_at: {
+      type: Date,
+    },
+    delivered_at: {
+      type: Date,
+    },
+    job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Set on deliveries created by a manual redelivery
+    redelivery_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ subscription_id: 1, created_at: -1 });
+webhookDeliverySchema.index({ event_id: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
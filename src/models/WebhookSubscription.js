@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// An endpoint that receives signed event deliveries. Admin subscriptions
+// receive every event; teacher subscriptions only events about their own
+// courses and share requests.
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Event names, or "<prefix>.*" for a whole family (e.g. share_request.*)
+    events: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    // HMAC key for the X-UniTrack-Signature header
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    owner_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    owner_type: {
+      type: String,
+      enum: ["Admin", "Teacher"],
+      required: true,
+    },
+    last_delivery_at: {
+      type: Date,
+    },
+    last_delivery_status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSubscriptionSchema.index({ owner_type: 1, owner_id: 1 });
+webhookSubscriptionSchema.index({ is_active: 1, events: 1 });
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
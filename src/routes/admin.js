@@ -8,15 +8,28 @@ const Session = require("../models/Session");
 const Attendance = require("../models/Attendance");
 const AuditLog = require("../models/AuditLog");
 const Admin = require("../models/Admin");
-const EmailOtp = require("../models/EmailOtp");
-const DeviceFingerprint = require("../models/DeviceFingerprint");
-const StudentShareRequest = require("../models/StudentShareRequest");
-const FAQ = require("../models/FAQ");
-const { adminAuth } = require("../middleware/auth");
+const {
+  requirePermission,
+  superAdminAuth,
+  allowApiKey,
+} = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
 const EmailService = require("../services/emailService");
+const { emitTeacherCreated } = require("../services/webhooks");
+const {
+  listLoginSessions,
+  revokeLoginSessions,
+} = require("../services/loginSessions");
 const ReportGenerator = require("../utils/reportGenerator");
+const { generateRandomPassword } = require("../utils/helpers");
+const { resolveTermFilter } = require("../services/termService");
+const {
+  BUNDLE_SCOPES,
+  exportBundle,
+  importBundle,
+} = require("../services/dataBundle");
+const { bundleUpload, handleUpload } = require("../middleware/upload");
 
 const emailService = new EmailService();
 const router = express.Router();
@@ -60,6 +73,7 @@ async function generateCourseAttendanceData(courseId) {
         level: student.level,
         sessions_attended: 0,
         sessions_missed: 0,
+        sessions_excused: 0,
         total_sessions: sessions.length,
         attendance_rate: 0,
         risk_level: "low",
@@ -73,6 +87,7 @@ async function generateCourseAttendanceData(courseId) {
         start_ts: session.start_ts,
         present_count: 0,
         absent_count: 0,
+        excused_count: 0,
         total_enrolled: enrolledStudents.length,
         attendance_rate: 0,
       };
@@ -84,9 +99,14 @@ async function generateCourseAttendanceData(courseId) {
       const sessionId = record.session_id._id;
 
       if (studentStats[studentId] && sessionStats[sessionId]) {
-        if (record.status === "present" || record.status === "manual_present") {
+        if (
+          ["present", "late", "manual_present"].includes(record.status)
+        ) {
           studentStats[studentId].sessions_attended++;
           sessionStats[sessionId].present_count++;
+        } else if (record.status === "excused") {
+          studentStats[studentId].sessions_excused++;
+          sessionStats[sessionId].excused_count++;
         } else {
           studentStats[studentId].sessions_missed++;
           sessionStats[sessionId].absent_count++;
@@ -98,10 +118,12 @@ async function generateCourseAttendanceData(courseId) {
     Object.values(studentStats).forEach((student) => {
       const totalSubmissions =
         student.sessions_attended + student.sessions_missed;
-      student.sessions_missed = sessions.length - student.sessions_attended;
+      // Excused absences are left out of the expected session count
+      const countedSessions = sessions.length - student.sessions_excused;
+      student.sessions_missed = countedSessions - student.sessions_attended;
       student.attendance_rate =
-        sessions.length > 0
-          ? (student.sessions_attended / sessions.length) * 100
+        countedSessions > 0
+          ? (student.sessions_attended / countedSessions) * 100
           : 0;
 
       // Determine risk level
@@ -117,7 +139,7 @@ async function generateCourseAttendanceData(courseId) {
 
       student.sessions_needed_for_75_percent = Math.max(
         0,
-        Math.ceil(sessions.length * 0.75) - student.sessions_attended
+        Math.ceil(countedSessions * 0.75) - student.sessions_attended
       );
     });
 
@@ -235,7 +257,7 @@ async function generateCourseAttendanceData(courseId) {
 }
 
 // Get system statistics (admin only)
-router.get("/stats", adminAuth, async (req, res) => {
+router.get("/stats", allowApiKey("reports:read"), requirePermission("view_all_reports"), async (req, res) => {
   try {
     const now = new Date();
     const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
@@ -243,6 +265,14 @@ router.get("/stats", adminAuth, async (req, res) => {
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     const ninetyDaysAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
 
+    // Course, session, attendance and enrollment figures can be limited to
+    // one term; teacher and student figures always cover the whole system
+    const termId = await resolveTermFilter(req.query.term);
+    const inTerm = termId ? { term_id: termId } : {};
+    const inTermCourses = termId
+      ? { course_id: { $in: await Course.find(inTerm).distinct("_id") } }
+      : {};
+
     // Basic counts
     const [
       totalTeachers,
@@ -258,14 +288,16 @@ router.get("/stats", adminAuth, async (req, res) => {
     ] = await Promise.all([
       Teacher.countDocuments(),
       Student.countDocuments(),
-      Course.countDocuments(),
-      Session.countDocuments(),
-      Attendance.countDocuments(),
+      Course.countDocuments(inTerm),
+      Session.countDocuments(inTerm),
+      Attendance.countDocuments(inTerm),
       Session.countDocuments({
+        ...inTerm,
         expiry_ts: { $gt: now },
         is_active: true,
       }),
       Session.countDocuments({
+        ...inTerm,
         expiry_ts: { $lt: now },
       }),
       Teacher.countDocuments({ active: true, role: "teacher" }),
@@ -302,20 +334,33 @@ router.get("/stats", adminAuth, async (req, res) => {
       Student.countDocuments({ created_at: { $gte: sevenDaysAgo } }),
       Student.countDocuments({ created_at: { $gte: thirtyDaysAgo } }),
       Student.countDocuments({ created_at: { $gte: ninetyDaysAgo } }),
-      Course.countDocuments({ created_at: { $gte: oneDayAgo } }),
-      Course.countDocuments({ created_at: { $gte: sevenDaysAgo } }),
-      Course.countDocuments({ created_at: { $gte: thirtyDaysAgo } }),
-      Course.countDocuments({ created_at: { $gte: ninetyDaysAgo } }),
-      Session.countDocuments({ created_at: { $gte: oneDayAgo } }),
-      Session.countDocuments({ created_at: { $gte: sevenDaysAgo } }),
-      Session.countDocuments({ created_at: { $gte: thirtyDaysAgo } }),
-      Attendance.countDocuments({ submitted_at: { $gte: oneDayAgo } }),
-      Attendance.countDocuments({ submitted_at: { $gte: sevenDaysAgo } }),
-      Attendance.countDocuments({ submitted_at: { $gte: thirtyDaysAgo } }),
+      Course.countDocuments({ ...inTerm, created_at: { $gte: oneDayAgo } }),
+      Course.countDocuments({ ...inTerm, created_at: { $gte: sevenDaysAgo } }),
+      Course.countDocuments({ ...inTerm, created_at: { $gte: thirtyDaysAgo } }),
+      Course.countDocuments({ ...inTerm, created_at: { $gte: ninetyDaysAgo } }),
+      Session.countDocuments({ ...inTerm, created_at: { $gte: oneDayAgo } }),
+      Session.countDocuments({ ...inTerm, created_at: { $gte: sevenDaysAgo } }),
+      Session.countDocuments({
+        ...inTerm,
+        created_at: { $gte: thirtyDaysAgo },
+      }),
+      Attendance.countDocuments({
+        ...inTerm,
+        submitted_at: { $gte: oneDayAgo },
+      }),
+      Attendance.countDocuments({
+        ...inTerm,
+        submitted_at: { $gte: sevenDaysAgo },
+      }),
+      Attendance.countDocuments({
+        ...inTerm,
+        submitted_at: { $gte: thirtyDaysAgo },
+      }),
     ]);
 
     // Course enrollment statistics
     const courseEnrollmentStats = await CourseStudent.aggregate([
+      { $match: inTermCourses },
       {
         $group: {
           _id: "$course_id",
@@ -335,6 +380,7 @@ router.get("/stats", adminAuth, async (req, res) => {
 
     // Attendance statistics
     const attendanceStats = await Attendance.aggregate([
+      { $match: inTerm },
       {
         $group: {
           _id: "$status",
@@ -352,6 +398,7 @@ router.get("/stats", adminAuth, async (req, res) => {
 
     // Session statistics
     const sessionStats = await Session.aggregate([
+      { $match: inTerm },
       {
         $group: {
           _id: null,
@@ -367,6 +414,7 @@ router.get("/stats", adminAuth, async (req, res) => {
 
     // Most active teachers
     const mostActiveTeachers = await Course.aggregate([
+      { $match: inTerm },
       {
         $group: {
           _id: "$teacher_id",
@@ -395,6 +443,7 @@ router.get("/stats", adminAuth, async (req, res) => {
 
     // Most enrolled courses
     const mostEnrolledCourses = await CourseStudent.aggregate([
+      { $match: inTermCourses },
       {
         $group: {
           _id: "$course_id",
@@ -449,6 +498,7 @@ router.get("/stats", adminAuth, async (req, res) => {
         totalAttendanceSubmissions > 0
           ? Math.round(
               (((attendanceBreakdown.present || 0) +
+                (attendanceBreakdown.late || 0) +
                 (attendanceBreakdown.manual_present || 0)) /
                 totalAttendanceSubmissions) *
                 100 *
@@ -469,6 +519,7 @@ router.get("/stats", adminAuth, async (req, res) => {
     const riskIndicators = {
       inactive_teachers: inactiveTeachers,
       courses_without_sessions: await Course.aggregate([
+        { $match: inTerm },
         {
           $lookup: {
             from: "sessions",
@@ -485,6 +536,7 @@ router.get("/stats", adminAuth, async (req, res) => {
         { $count: "count" },
       ]).then((result) => (result.length > 0 ? result[0].count : 0)),
       sessions_with_low_attendance: await Session.aggregate([
+        { $match: inTerm },
         {
           $lookup: {
             from: "attendances",
@@ -517,7 +569,7 @@ router.get("/stats", adminAuth, async (req, res) => {
                               cond: {
                                 $in: [
                                   "$$this.status",
-                                  ["present", "manual_present"],
+                                  ["present", "late", "manual_present"],
                                 ],
                               },
                             },
@@ -545,6 +597,7 @@ router.get("/stats", adminAuth, async (req, res) => {
 
     res.json({
       generated_at: now.toISOString(),
+      term_id: termId,
       system_overview: {
         total_teachers: totalTeachers,
         total_students: totalStudents,
@@ -618,6 +671,7 @@ router.get("/stats", adminAuth, async (req, res) => {
         total_submissions: totalAttendanceSubmissions,
         breakdown: {
           present: attendanceBreakdown.present || 0,
+          late: attendanceBreakdown.late || 0,
           absent: attendanceBreakdown.absent || 0,
           manual_present: attendanceBreakdown.manual_present || 0,
           rejected: attendanceBreakdown.rejected || 0,
@@ -653,13 +707,16 @@ router.get("/stats", adminAuth, async (req, res) => {
       recent_activity: recentActivity,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get admin stats error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
 // Get all teachers (admin only)
-router.get("/teachers", adminAuth, async (req, res) => {
+router.get("/teachers", requirePermission("manage_teachers"), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -700,9 +757,12 @@ router.get("/teachers", adminAuth, async (req, res) => {
         }).select("_id");
 
         // Count unique students across all courses for this teacher
-        const uniqueStudentCount = await CourseStudent.distinct("student_id", {
-          course_id: { $in: teacherCourses.map((course) => course._id) },
-        });
+        const uniqueStudentCount = await CourseStudent.distinct(
+          "student_id",
+          {
+            course_id: { $in: teacherCourses.map((course) => course._id) },
+          }
+        );
 
         return {
           ...teacher.toObject(),
@@ -734,7 +794,7 @@ router.get("/teachers", adminAuth, async (req, res) => {
 // Create teacher account (admin only)
 router.post(
   "/teachers",
-  adminAuth,
+  requirePermission("manage_teachers"),
   [
     body("name")
       .trim()
@@ -771,6 +831,7 @@ router.post(
       });
 
       await teacher.save();
+      emitTeacherCreated(teacher, "admin");
 
       // Automatically send welcome email with credentials
       try {
@@ -795,7 +856,7 @@ router.post(
 // Create multiple teacher accounts in bulk (admin only)
 router.post(
   "/teachers/bulk",
-  adminAuth,
+  requirePermission("manage_teachers"),
   [
     body("teachers")
       .isArray({ min: 1 })
@@ -848,6 +909,7 @@ router.post(
           });
 
           await teacher.save();
+          emitTeacherCreated(teacher, "admin_bulk");
 
           // Automatically send welcome email with credentials
           try {
@@ -888,7 +950,7 @@ router.post(
 // Get detailed courses for a specific teacher (admin only)
 router.get(
   "/teachers/:teacherId/courses",
-  adminAuth,
+  requirePermission("manage_teachers"),
   [param("teacherId").isMongoId().withMessage("Valid teacher ID required")],
   validate,
   async (req, res) => {
@@ -948,7 +1010,10 @@ router.get(
 
           const presentCount =
             attendanceStats.find(
-              (stat) => stat._id === "present" || stat._id === "manual_present"
+              (stat) =>
+                stat._id === "present" ||
+                stat._id === "late" ||
+                stat._id === "manual_present"
             )?.count || 0;
 
           const absentCount =
@@ -990,7 +1055,12 @@ router.get(
                 present_sessions: {
                   $sum: {
                     $cond: [
-                      { $in: ["$status", ["present", "manual_present"]] },
+                      {
+                        $in: [
+                          "$status",
+                          ["present", "late", "manual_present"],
+                        ],
+                      },
                       1,
                       0,
                     ],
@@ -1086,7 +1156,7 @@ router.get(
 // Update teacher (admin only)
 router.patch(
   "/teachers/:teacherId",
-  adminAuth,
+  requirePermission("manage_teachers"),
   [
     param("teacherId").isMongoId().withMessage("Valid teacher ID required"),
     body("name")
@@ -1143,6 +1213,14 @@ router.patch(
 
       await teacher.save();
 
+      // Suspending a teacher ends every login they have open
+      if (active === false) {
+        await revokeLoginSessions(
+          { user_id: teacher._id, user_type: "teacher" },
+          { reason: "account_suspended", revokedBy: req.user._id }
+        );
+      }
+
       res.json({
         message: "Teacher updated successfully",
         teacher: teacher.toJSON(),
@@ -1154,10 +1232,63 @@ router.patch(
   }
 );
 
+// Force-logout a teacher from every device
+router.post(
+  "/teachers/:teacherId/force-logout",
+  requirePermission("manage_teachers"),
+  [param("teacherId").isMongoId().withMessage("Valid teacher ID required")],
+  validate,
+  auditLogger("admin_forced_teacher_logout"),
+  async (req, res) => {
+    try {
+      const teacher = await Teacher.findById(req.params.teacherId);
+      if (!teacher) {
+        return res.status(404).json({ error: "Teacher not found" });
+      }
+
+      const revoked = await revokeLoginSessions(
+        { user_id: teacher._id, user_type: "teacher" },
+        { reason: "admin_forced", revokedBy: req.user._id }
+      );
+
+      res.json({
+        message: "Teacher logged out of all sessions",
+        revoked,
+      });
+    } catch (error) {
+      console.error("Force logout error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// List a teacher's active logins
+router.get(
+  "/teachers/:teacherId/sessions",
+  requirePermission("manage_teachers"),
+  [param("teacherId").isMongoId().withMessage("Valid teacher ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const teacher = await Teacher.findById(req.params.teacherId);
+      if (!teacher) {
+        return res.status(404).json({ error: "Teacher not found" });
+      }
+
+      const sessions = await listLoginSessions(teacher._id, "teacher");
+
+      res.json({ sessions, total: sessions.length });
+    } catch (error) {
+      console.error("List teacher sessions error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Delete teacher (admin only) - Comprehensive deletion
 router.delete(
   "/teachers/:teacherId",
-  adminAuth,
+  superAdminAuth,
   [param("teacherId").isMongoId().withMessage("Valid teacher ID required")],
   validate,
   auditLogger("admin_deleted_teacher"),
@@ -1194,7 +1325,7 @@ router.delete(
 
       // Count sessions before deletion
       stats.sessions_deleted = await Session.countDocuments({
-        teacher_id: teacherId,
+        course_id: { $in: courseIds },
       });
 
       // Count attendance records before deletion
@@ -1217,38 +1348,52 @@ router.delete(
         `Starting comprehensive deletion for teacher ${teacher.name} (${teacher.email})`
       );
 
+      // Records in archived terms go too; the guard that keeps them
+      // read-only is lifted with allowArchived
       // 1. Delete all attendance records for teacher's courses
       if (courseIds.length > 0) {
-        await Attendance.deleteMany({
-          course_id: { $in: courseIds },
-        });
+        await Attendance.deleteMany(
+          { course_id: { $in: courseIds } },
+          { allowArchived: true }
+        );
         console.log(
           `Deleted ${stats.attendance_records_deleted} attendance records`
         );
       }
 
-      // 2. Delete all sessions created by this teacher
-      await Session.deleteMany({
-        teacher_id: teacherId,
-      });
+      // 2. Delete all sessions of teacher's courses (sessions they ran as a
+      // team member belong to the other lecturer's course and are kept)
+      await Session.deleteMany(
+        { course_id: { $in: courseIds } },
+        { allowArchived: true }
+      );
       console.log(`Deleted ${stats.sessions_deleted} sessions`);
 
       // 3. Remove all student enrollments from teacher's courses
       if (courseIds.length > 0) {
-        await CourseStudent.deleteMany({
-          course_id: { $in: courseIds },
-        });
+        await CourseStudent.deleteMany(
+          { course_id: { $in: courseIds } },
+          { allowArchived: true }
+        );
         console.log(
           `Removed ${stats.course_students_removed} course enrollments`
         );
       }
 
       // 4. Delete all courses taught by this teacher
-      await Course.deleteMany({
-        teacher_id: teacherId,
-      });
+      await Course.deleteMany(
+        { teacher_id: teacherId },
+        { allowArchived: true }
+      );
       console.log(`Deleted ${stats.courses_deleted} courses`);
 
+      // Take the teacher off other lecturers' course teams
+      await Course.updateMany(
+        { "members.teacher_id": teacherId },
+        { $pull: { members: { teacher_id: teacherId } } },
+        { allowArchived: true }
+      );
+
       // 5. Delete audit logs where teacher was the actor
       await AuditLog.deleteMany({
         actor_id: teacherId,
@@ -1282,8 +1427,259 @@ router.delete(
   }
 );
 
+// List admin accounts (super-admin only)
+router.get("/admins", superAdminAuth, async (req, res) => {
+  try {
+    const admins = await Admin.find()
+      .select("-password_hash -otp -otp_expires_at -otp_purpose")
+      .sort({ created_at: 1 });
+
+    res.json({
+      admins,
+      total: admins.length,
+      available_permissions: Admin.PERMISSIONS,
+    });
+  } catch (error) {
+    console.error("Get admins error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create an admin account (super-admin only)
+router.post(
+  "/admins",
+  superAdminAuth,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("email")
+      .isEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
+      .withMessage("Valid email required"),
+    body("permissions")
+      .optional()
+      .isArray()
+      .withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .isIn(Admin.PERMISSIONS)
+      .withMessage(
+        `Permissions must be one of: ${Admin.PERMISSIONS.join(", ")}`
+      ),
+    body("is_super_admin")
+      .optional()
+      .isBoolean()
+      .withMessage("is_super_admin must be a boolean"),
+  ],
+  validate,
+  auditLogger("admin_created_admin"),
+  async (req, res) => {
+    try {
+      const { name, email, permissions, is_super_admin } = req.body;
+
+      const [existingAdmin, existingTeacher] = await Promise.all([
+        Admin.findOne({ email }),
+        Teacher.findOne({ email }),
+      ]);
+      if (existingAdmin || existingTeacher) {
+        return res
+          .status(400)
+          .json({ error: "An account with this email already exists" });
+      }
+
+      const temporaryPassword = generateRandomPassword();
+
+      const admin = new Admin({
+        name,
+        email,
+        password_hash: temporaryPassword,
+        is_super_admin: is_super_admin === true,
+      });
+      if (permissions) {
+        admin.permissions = permissions;
+      }
+
+      await admin.save();
+
+      try {
+        await emailService.sendWelcomeEmail(email, name, temporaryPassword);
+      } catch (emailError) {
+        console.error("Failed to send welcome email:", emailError);
+        // Don't fail the request if email fails
+      }
+
+      res.status(201).json({
+        message: "Admin created successfully",
+        admin: admin.toJSON(),
+        temporary_password: temporaryPassword,
+      });
+    } catch (error) {
+      console.error("Create admin error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Edit an admin's permissions, super-admin flag or status (super-admin only)
+router.patch(
+  "/admins/:adminId",
+  superAdminAuth,
+  [
+    param("adminId").isMongoId().withMessage("Valid admin ID required"),
+    body("permissions")
+      .optional()
+      .isArray()
+      .withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .isIn(Admin.PERMISSIONS)
+      .withMessage(
+        `Permissions must be one of: ${Admin.PERMISSIONS.join(", ")}`
+      ),
+    body("is_super_admin")
+      .optional()
+      .isBoolean()
+      .withMessage("is_super_admin must be a boolean"),
+    body("status")
+      .optional()
+      .isIn(["active", "inactive", "suspended"])
+      .withMessage("Invalid status"),
+  ],
+  validate,
+  auditLogger("admin_updated_admin"),
+  async (req, res) => {
+    try {
+      const { permissions, is_super_admin, status } = req.body;
+
+      const admin = await Admin.findById(req.params.adminId);
+      if (!admin) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+
+      // A super-admin cannot lock themselves out
+      if (
+        admin._id.equals(req.admin._id) &&
+        (is_super_admin === false || (status && status !== "active"))
+      ) {
+        return res.status(400).json({
+          error:
+            "Cannot remove your own super-admin access or deactivate yourself",
+        });
+      }
+
+      if (permissions) admin.permissions = permissions;
+      if (typeof is_super_admin === "boolean") {
+        admin.is_super_admin = is_super_admin;
+      }
+      if (status) admin.status = status;
+
+      await admin.save();
+
+      // Suspended or deactivated admins lose their open logins
+      if (status && status !== "active") {
+        await revokeLoginSessions(
+          { user_id: admin._id, user_type: "admin" },
+          { reason: "account_suspended", revokedBy: req.user._id }
+        );
+      }
+
+      res.json({
+        message: "Admin updated successfully",
+        admin: admin.toJSON(),
+      });
+    } catch (error) {
+      console.error("Update admin error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Export a data bundle: the whole system, one term or one teacher
+router.get(
+  "/export",
+  superAdminAuth,
+  [
+    query("scope")
+      .optional()
+      .isIn(BUNDLE_SCOPES)
+      .withMessage(`Scope must be one of: ${BUNDLE_SCOPES.join(", ")}`),
+    query("term_id")
+      .if(query("scope").equals("term"))
+      .isMongoId()
+      .withMessage("Valid term ID required"),
+    query("teacher_id")
+      .if(query("scope").equals("teacher"))
+      .isMongoId()
+      .withMessage("Valid teacher ID required"),
+  ],
+  validate,
+  auditLogger("admin_data_export"),
+  async (req, res) => {
+    try {
+      const scope = req.query.scope || "system";
+      const { buffer } = await exportBundle({
+        scope,
+        scopeId: scope === "term" ? req.query.term_id : req.query.teacher_id,
+        exportedBy: req.user._id,
+      });
+
+      const filename = `unitrack_${scope}_bundle_${Date.now()}.zip`;
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      res.send(buffer);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Data export error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Import a data bundle (multipart field "bundle"); dry_run=true only reports
+router.post(
+  "/import",
+  superAdminAuth,
+  handleUpload(bundleUpload.single("bundle")),
+  [query("dry_run").optional().isBoolean()],
+  validate,
+  auditLogger("admin_data_import"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: ["A bundle zip file is required"],
+        });
+      }
+
+      const dryRun = req.query.dry_run === "true";
+      const result = await importBundle(req.file.buffer, { dryRun });
+
+      res.json({
+        message: dryRun
+          ? "Dry run complete. Nothing was imported."
+          : "Bundle imported successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, details: error.details });
+      }
+      console.error("Data import error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Get system audit logs (admin only)
-router.get("/audit-logs", adminAuth, async (req, res) => {
+router.get("/audit-logs", requirePermission("system_settings"), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -1428,14 +1824,18 @@ router.get("/audit-logs", adminAuth, async (req, res) => {
           count: { $sum: 1 },
         },
       },
-      { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1, "_id.hour": 1 } },
+      {
+        $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1, "_id.hour": 1 },
+      },
     ]);
 
     // Get top actors (most active users)
     const topActors = await AuditLog.aggregate([
       {
         $match: {
-          created_at: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+          created_at: {
+            $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+          },
         },
       },
       {
@@ -1569,7 +1969,7 @@ router.get("/audit-logs", adminAuth, async (req, res) => {
 });
 
 // Get system health check (admin only)
-router.get("/health", adminAuth, async (req, res) => {
+router.get("/health", requirePermission("system_settings"), async (req, res) => {
   try {
     const mongoose = require("mongoose");
     const now = new Date();
@@ -1967,7 +2367,7 @@ router.get("/health", adminAuth, async (req, res) => {
 // Bulk operations for teachers (admin only)
 router.post(
   "/teachers/bulk-action",
-  adminAuth,
+  requirePermission("manage_teachers"),
   [
     body("action")
       .isIn(["activate", "deactivate", "delete"])
@@ -1981,6 +2381,13 @@ router.post(
     try {
       const { action, teacher_ids } = req.body;
 
+      // Bulk deletion cascades to courses and attendance
+      if (action === "delete" && !req.admin?.is_super_admin) {
+        return res
+          .status(403)
+          .json({ error: "Access denied. Super-admin required." });
+      }
+
       // Prevent bulk action on current admin
       const currentUserId =
         req.admin?._id?.toString() || req.teacher?._id?.toString();
@@ -2005,6 +2412,10 @@ router.post(
             { _id: { $in: teacher_ids } },
             { active: false }
           );
+          await revokeLoginSessions(
+            { user_id: { $in: teacher_ids }, user_type: "teacher" },
+            { reason: "account_suspended", revokedBy: req.user._id }
+          );
           break;
 
         case "delete":
@@ -2031,7 +2442,7 @@ router.post(
 
           // Count all associated data before deletion
           totalStats.sessions_deleted = await Session.countDocuments({
-            teacher_id: { $in: teacher_ids },
+            course_id: { $in: allCourseIds },
           });
 
           if (allCourseIds.length > 0) {
@@ -2055,38 +2466,51 @@ router.post(
           );
 
           // Perform comprehensive deletion
+          // Records in archived terms go too; the guard that keeps them
+          // read-only is lifted with allowArchived
           // 1. Delete all attendance records for teachers' courses
           if (allCourseIds.length > 0) {
-            await Attendance.deleteMany({
-              course_id: { $in: allCourseIds },
-            });
+            await Attendance.deleteMany(
+              { course_id: { $in: allCourseIds } },
+              { allowArchived: true }
+            );
             console.log(
               `Bulk deleted ${totalStats.attendance_records_deleted} attendance records`
             );
           }
 
-          // 2. Delete all sessions created by these teachers
-          await Session.deleteMany({
-            teacher_id: { $in: teacher_ids },
-          });
+          // 2. Delete all sessions of teachers' courses
+          await Session.deleteMany(
+            { course_id: { $in: allCourseIds } },
+            { allowArchived: true }
+          );
           console.log(`Bulk deleted ${totalStats.sessions_deleted} sessions`);
 
           // 3. Remove all student enrollments from teachers' courses
           if (allCourseIds.length > 0) {
-            await CourseStudent.deleteMany({
-              course_id: { $in: allCourseIds },
-            });
+            await CourseStudent.deleteMany(
+              { course_id: { $in: allCourseIds } },
+              { allowArchived: true }
+            );
             console.log(
               `Bulk removed ${totalStats.course_students_removed} course enrollments`
             );
           }
 
           // 4. Delete all courses taught by these teachers
-          await Course.deleteMany({
-            teacher_id: { $in: teacher_ids },
-          });
+          await Course.deleteMany(
+            { teacher_id: { $in: teacher_ids } },
+            { allowArchived: true }
+          );
           console.log(`Bulk deleted ${totalStats.courses_deleted} courses`);
 
+          // Take the teachers off other lecturers' course teams
+          await Course.updateMany(
+            { "members.teacher_id": { $in: teacher_ids } },
+            { $pull: { members: { teacher_id: { $in: teacher_ids } } } },
+            { allowArchived: true }
+          );
+
           // 5. Delete audit logs where teachers were the actors
           await AuditLog.deleteMany({
             actor_id: { $in: teacher_ids },
@@ -2130,7 +2554,8 @@ router.post(
 // Get all attendance records (admin only) with comprehensive filtering
 router.get(
   "/attendance",
-  adminAuth,
+  allowApiKey("reports:read"),
+  requirePermission("view_all_reports"),
   [
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 500 }),
@@ -2140,9 +2565,18 @@ router.get(
     query("student_id").optional().isMongoId(),
     query("status")
       .optional()
-      .isIn(["present", "absent", "rejected", "manual_present"]),
+      .isIn([
+        "present",
+        "late",
+        "absent",
+        "rejected",
+        "manual_present",
+        "excused",
+        "pending_review",
+      ]),
     query("start_date").optional().isISO8601(),
     query("end_date").optional().isISO8601(),
+    query("term").optional().trim(),
     query("search").optional().trim(),
   ],
   validate,
@@ -2158,6 +2592,7 @@ router.get(
         status,
         start_date,
         end_date,
+        term,
         search,
       } = req.query;
 
@@ -2177,6 +2612,9 @@ router.get(
       if (student_id) filter.student_id = student_id;
       if (status) filter.status = status;
 
+      const termId = await resolveTermFilter(term);
+      if (termId) filter.term_id = termId;
+
       if (start_date || end_date) {
         filter.submitted_at = {};
         if (start_date) filter.submitted_at.$gte = new Date(start_date);
@@ -2310,10 +2748,14 @@ router.get(
           status,
           start_date,
           end_date,
+          term,
           search,
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Get all attendance error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -2323,7 +2765,8 @@ router.get(
 // Download comprehensive attendance report (CSV)
 router.get(
   "/attendance/report.csv",
-  adminAuth,
+  allowApiKey("reports:read"),
+  requirePermission("view_all_reports"),
   [
     query("teacher_id").optional().isMongoId(),
     query("course_id").optional().isMongoId(),
@@ -2331,15 +2774,31 @@ router.get(
     query("end_date").optional().isISO8601(),
     query("status")
       .optional()
-      .isIn(["present", "absent", "rejected", "manual_present"]),
+      .isIn([
+        "present",
+        "late",
+        "absent",
+        "rejected",
+        "manual_present",
+        "excused",
+        "pending_review",
+      ]),
+    query("term").optional().trim(),
     query("email").optional().isBoolean(),
   ],
   validate,
   auditLogger("admin_downloaded_csv_report"),
   async (req, res) => {
     try {
-      const { teacher_id, course_id, start_date, end_date, status, email } =
-        req.query;
+      const {
+        teacher_id,
+        course_id,
+        start_date,
+        end_date,
+        status,
+        term,
+        email,
+      } = req.query;
 
       // Build filter
       const filter = {};
@@ -2349,6 +2808,8 @@ router.get(
       }
       if (course_id) filter.course_id = course_id;
       if (status) filter.status = status;
+      const termId = await resolveTermFilter(term);
+      if (termId) filter.term_id = termId;
       if (start_date || end_date) {
         filter.submitted_at = {};
         if (start_date) filter.submitted_at.$gte = new Date(start_date);
@@ -2381,8 +2842,8 @@ router.get(
       if (email === "true") {
         // Send via email
         await emailService.sendAttendanceReport(
-          req.teacher.email,
-          req.teacher.name,
+          req.admin.email,
+          req.admin.name,
           "System-wide Attendance Report",
           csvBuffer,
           "csv"
@@ -2404,6 +2865,9 @@ router.get(
         res.send(csvBuffer);
       }
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Admin CSV report error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -2413,7 +2877,8 @@ router.get(
 // Download comprehensive attendance report (PDF)
 router.get(
   "/attendance/report.pdf",
-  adminAuth,
+  allowApiKey("reports:read"),
+  requirePermission("view_all_reports"),
   [
     query("teacher_id").optional().isMongoId(),
     query("course_id").optional().isMongoId(),
@@ -2421,15 +2886,31 @@ router.get(
     query("end_date").optional().isISO8601(),
     query("status")
       .optional()
-      .isIn(["present", "absent", "rejected", "manual_present"]),
+      .isIn([
+        "present",
+        "late",
+        "absent",
+        "rejected",
+        "manual_present",
+        "excused",
+        "pending_review",
+      ]),
+    query("term").optional().trim(),
     query("email").optional().isBoolean(),
   ],
   validate,
   auditLogger("admin_downloaded_pdf_report"),
   async (req, res) => {
     try {
-      const { teacher_id, course_id, start_date, end_date, status, email } =
-        req.query;
+      const {
+        teacher_id,
+        course_id,
+        start_date,
+        end_date,
+        status,
+        term,
+        email,
+      } = req.query;
 
       // Build filter (same as CSV)
       const filter = {};
@@ -2439,6 +2920,8 @@ router.get(
       }
       if (course_id) filter.course_id = course_id;
       if (status) filter.status = status;
+      const termId = await resolveTermFilter(term);
+      if (termId) filter.term_id = termId;
       if (start_date || end_date) {
         filter.submitted_at = {};
         if (start_date) filter.submitted_at.$gte = new Date(start_date);
@@ -2466,16 +2949,23 @@ router.get(
       const pdfBuffer = await ReportGenerator.generateAdminAttendancePDF(
         attendanceData,
         {
-          adminName: req.teacher.name,
-          filters: { teacher_id, course_id, start_date, end_date, status },
+          adminName: req.admin.name,
+          filters: {
+            teacher_id,
+            course_id,
+            start_date,
+            end_date,
+            status,
+            term,
+          },
         }
       );
 
       if (email === "true") {
         // Send via email
         await emailService.sendAttendanceReport(
-          req.teacher.email,
-          req.teacher.name,
+          req.admin.email,
+          req.admin.name,
           "System-wide Attendance Report",
           pdfBuffer,
           "pdf"
@@ -2497,6 +2987,9 @@ router.get(
         res.send(pdfBuffer);
       }
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Admin PDF report error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -2506,7 +2999,8 @@ router.get(
 // Download comprehensive course attendance report (CSV) - Admin only
 router.get(
   "/course/:courseId/report.csv",
-  adminAuth,
+  allowApiKey("reports:read"),
+  requirePermission("view_all_reports"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   auditLogger("admin_downloaded_course_csv_report"),
@@ -2571,7 +3065,8 @@ router.get(
 // Download comprehensive course attendance report (PDF) - Admin only
 router.get(
   "/course/:courseId/report.pdf",
-  adminAuth,
+  allowApiKey("reports:read"),
+  requirePermission("view_all_reports"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   auditLogger("admin_downloaded_course_pdf_report"),
@@ -2637,7 +3132,8 @@ router.get(
 // Get specific session details (admin only)
 router.get(
   "/sessions/:sessionId",
-  adminAuth,
+  allowApiKey("sessions:read"),
+  requirePermission("view_all_reports"),
   [param("sessionId").isMongoId().withMessage("Valid session ID required")],
   validate,
   async (req, res) => {
@@ -2702,6 +3198,7 @@ router.get(
       const presentStudents = studentsWithAttendance.filter(
         (s) =>
           s.attendance_status === "present" ||
+          s.attendance_status === "late" ||
           s.attendance_status === "manual_present"
       );
       const absentStudents = studentsWithAttendance.filter(
@@ -2751,7 +3248,8 @@ router.get(
 // Get all sessions for a course (admin only)
 router.get(
   "/courses/:courseId/sessions",
-  adminAuth,
+  allowApiKey("sessions:read"),
+  requirePermission("view_all_reports"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   async (req, res) => {
@@ -2799,7 +3297,7 @@ router.get(
           });
           const presentCount = await Attendance.countDocuments({
             session_id: session._id,
-            status: { $in: ["present", "manual_present"] },
+            status: { $in: ["present", "late", "manual_present"] },
           });
 
           // Get total enrolled students for attendance rate calculation
@@ -2846,120 +3344,14 @@ router.get(
   }
 );
 
-// Semester cleanup - removes all temporary data while preserving accounts and course structures
-router.delete(
-  "/semester-cleanup",
-  adminAuth,
-  auditLogger("admin_semester_cleanup"),
-  async (req, res) => {
-    try {
-      // Get statistics before cleanup for the response
-      const stats = {
-        sessions_deleted: 0,
-        attendance_records_deleted: 0,
-        audit_logs_deleted: 0,
-        email_otps_deleted: 0,
-        device_fingerprints_deleted: 0,
-        student_share_requests_deleted: 0,
-      };
-
-      // Count documents before deletion
-      stats.sessions_deleted = await Session.countDocuments({});
-      stats.attendance_records_deleted = await Attendance.countDocuments({});
-      stats.audit_logs_deleted = await AuditLog.countDocuments({});
-      stats.email_otps_deleted = await EmailOtp.countDocuments({});
-      stats.device_fingerprints_deleted =
-        await DeviceFingerprint.countDocuments({});
-      stats.student_share_requests_deleted =
-        await StudentShareRequest.countDocuments({});
-
-      console.log("Starting semester cleanup...");
-      console.log("Statistics before cleanup:", stats);
-
-      // Start cleanup process - remove all session and attendance data
-
-      // 1. Delete all attendance records
-      await Attendance.deleteMany({});
-      console.log(
-        `Deleted ${stats.attendance_records_deleted} attendance records`
-      );
-
-      // 2. Delete all sessions
-      await Session.deleteMany({});
-      console.log(`Deleted ${stats.sessions_deleted} sessions`);
-
-      // 3. Delete all audit logs (optional - keeps system clean)
-      await AuditLog.deleteMany({});
-      console.log(`Deleted ${stats.audit_logs_deleted} audit log entries`);
-
-      // 4. Delete all email OTPs (temporary verification codes)
-      await EmailOtp.deleteMany({});
-      console.log(`Deleted ${stats.email_otps_deleted} email OTP records`);
-
-      // 5. Delete all device fingerprints (security cleanup)
-      await DeviceFingerprint.deleteMany({});
-      console.log(
-        `Deleted ${stats.device_fingerprints_deleted} device fingerprints`
-      );
-
-      // 6. Delete all student share requests (temporary requests)
-      await StudentShareRequest.deleteMany({});
-      console.log(
-        `Deleted ${stats.student_share_requests_deleted} student share requests`
-      );
-
-      // Get counts of preserved data
-      const preserved = {
-        teachers: await Teacher.countDocuments({}),
-        students: await Student.countDocuments({}),
-        courses: await Course.countDocuments({}),
-        course_enrollments: await CourseStudent.countDocuments({}),
-        admins: await Admin.countDocuments({}),
-        faqs: await FAQ.countDocuments({}),
-      };
-
-      console.log("Semester cleanup completed successfully");
-      console.log("Preserved data:", preserved);
-
-      res.json({
-        message: "Semester cleanup completed successfully",
-        cleanup_summary: {
-          deleted: stats,
-          preserved: preserved,
-        },
-        description: {
-          deleted: [
-            "All attendance records",
-            "All lecture sessions",
-            "All audit logs",
-            "All email verification codes",
-            "All device fingerprints",
-            "All student share requests",
-          ],
-          preserved: [
-            "Teacher accounts",
-            "Student accounts",
-            "Admin accounts",
-            "Course information",
-            "Course enrollments (students under courses)",
-            "FAQ entries",
-          ],
-        },
-        warning:
-          "This action is irreversible. All session and attendance data has been permanently removed.",
-        next_steps:
-          "The system is now ready for a new semester. Teachers can create new sessions and students can mark attendance for the new term.",
-      });
-    } catch (error) {
-      console.error("Semester cleanup error:", error);
-      console.error("Error stack:", error.stack);
-      res.status(500).json({
-        error: "Internal server error",
-        message: "Failed to complete semester cleanup",
-        details: error.message,
-      });
-    }
-  }
-);
+// Semester cleanup has been replaced by the non-destructive term rollover,
+// which archives the closing term instead of deleting its data
+router.delete("/semester-cleanup", superAdminAuth, (req, res) => {
+  res.status(410).json({
+    error: "Semester cleanup has been retired",
+    details:
+      "Use POST /api/terms/rollover to archive the current term and start a new one. Archived data stays available to reports through the term filter.",
+  });
+});
 
 module.exports = router;
@@ -0,0 +1,332 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const ApiKey = require("../models/ApiKey");
+const AuditLog = require("../models/AuditLog");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  API_KEY_HEADER,
+  API_KEY_SCOPES,
+  generateApiKey,
+  isValidAllowlistEntry,
+} = require("../services/apiKeys");
+
+const router = express.Router();
+
+const apiKeyValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Key name must be 2-100 characters"),
+    field("scopes")
+      .isArray({ min: 1 })
+      .withMessage("At least one scope is required"),
+    body("scopes.*")
+      .isIn(Object.keys(API_KEY_SCOPES))
+      .withMessage(
+        `Scopes must be one of: ${Object.keys(API_KEY_SCOPES).join(", ")}`
+      ),
+    body("ip_allowlist")
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage("IP allowlist must be an array"),
+    body("ip_allowlist.*")
+      .custom(isValidAllowlistEntry)
+      .withMessage("IP allowlist entries must be IP addresses or CIDR ranges"),
+    body("expires_at")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Valid expiry date required")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("Expiry date must be in the future"),
+  ];
+};
+
+const keyResponse = (apiKey, key) => ({
+  api_key: apiKey,
+  key,
+  header: API_KEY_HEADER,
+  note: "Store the key now; only a hash is kept and it is not shown again",
+});
+
+// Scopes a key can be given
+router.get("/scopes", requirePermission("system_settings"), (req, res) => {
+  res.json({
+    header: API_KEY_HEADER,
+    scopes: Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({
+      scope,
+      description,
+    })),
+  });
+});
+
+// List API keys
+router.get(
+  "/",
+  requirePermission("system_settings"),
+  [
+    query("status")
+      .optional()
+      .isIn(["active", "revoked", "expired", "all"])
+      .withMessage("Status must be active, revoked, expired or all"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { status = "all" } = req.query;
+      const now = new Date();
+      const filter = {};
+
+      if (status === "active") {
+        filter.revoked_at = null;
+        filter.$or = [{ expires_at: null }, { expires_at: { $gt: now } }];
+      } else if (status === "revoked") {
+        filter.revoked_at = { $ne: null };
+      } else if (status === "expired") {
+        filter.revoked_at = null;
+        filter.expires_at = { $lte: now };
+      }
+
+      const apiKeys = await ApiKey.find(filter)
+        .populate("created_by", "name email")
+        .populate("revoked_by", "name email")
+        .sort({ created_at: -1 });
+
+      res.json({ api_keys: apiKeys });
+    } catch (error) {
+      console.error("Get API keys error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Issue a key. It acts with the issuing admin's permissions, narrowed to its
+// scopes, so only admin accounts can issue keys.
+router.post(
+  "/",
+  requirePermission("system_settings"),
+  apiKeyValidators(false),
+  validate,
+  auditLogger("api_key_created"),
+  async (req, res) => {
+    try {
+      if (req.userType !== "admin") {
+        return res
+          .status(403)
+          .json({ error: "API keys can only be issued by admin accounts" });
+      }
+
+      const { name, scopes, ip_allowlist = [], expires_at } = req.body;
+      const { key, prefix, key_hash } = generateApiKey();
+
+      const apiKey = await ApiKey.create({
+        name,
+        prefix,
+        key_hash,
+        scopes: [...new Set(scopes)],
+        ip_allowlist,
+        expires_at: expires_at || null,
+        created_by: req.admin._id,
+      });
+
+      res.status(201).json({
+        message: "API key created successfully",
+        ...keyResponse(apiKey, key),
+      });
+    } catch (error) {
+      console.error("Create API key error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get one key
+router.get(
+  "/:keyId",
+  requirePermission("system_settings"),
+  [param("keyId").isMongoId().withMessage("Valid API key ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findById(req.params.keyId)
+        .populate("created_by", "name email")
+        .populate("revoked_by", "name email");
+
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      res.json({ api_key: apiKey });
+    } catch (error) {
+      console.error("Get API key error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Rename a key or change its scopes, allowlist or expiry
+router.patch(
+  "/:keyId",
+  requirePermission("system_settings"),
+  [
+    param("keyId").isMongoId().withMessage("Valid API key ID required"),
+    ...apiKeyValidators(true),
+  ],
+  validate,
+  auditLogger("api_key_updated"),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findById(req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      if (apiKey.revoked_at) {
+        return res
+          .status(400)
+          .json({ error: "Revoked API keys cannot be changed" });
+      }
+
+      const { name, scopes, ip_allowlist, expires_at } = req.body;
+      if (name !== undefined) apiKey.name = name;
+      if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+      if (ip_allowlist !== undefined) apiKey.ip_allowlist = ip_allowlist;
+      if (expires_at !== undefined) apiKey.expires_at = expires_at || null;
+
+      await apiKey.save();
+
+      res.json({
+        message: "API key updated successfully",
+        api_key: apiKey,
+      });
+    } catch (error) {
+      console.error("Update API key error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Replace a key's secret. The old key stops working immediately; the id,
+// scopes and usage history are kept.
+router.post(
+  "/:keyId/rotate",
+  requirePermission("system_settings"),
+  [param("keyId").isMongoId().withMessage("Valid API key ID required")],
+  validate,
+  auditLogger("api_key_rotated"),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findById(req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      if (apiKey.revoked_at) {
+        return res
+          .status(400)
+          .json({ error: "Revoked API keys cannot be rotated" });
+      }
+
+      const { key, prefix, key_hash } = generateApiKey();
+      apiKey.prefix = prefix;
+      apiKey.key_hash = key_hash;
+      apiKey.rotated_at = new Date();
+      await apiKey.save();
+
+      res.json({
+        message: "API key rotated successfully",
+        ...keyResponse(apiKey, key),
+      });
+    } catch (error) {
+      console.error("Rotate API key error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Revoke a key. It is kept so its audit history stays attributable.
+router.post(
+  "/:keyId/revoke",
+  requirePermission("system_settings"),
+  [param("keyId").isMongoId().withMessage("Valid API key ID required")],
+  validate,
+  auditLogger("api_key_revoked"),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.keyId, revoked_at: null },
+        { revoked_at: new Date(), revoked_by: req.user._id },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        return res
+          .status(404)
+          .json({ error: "API key not found or already revoked" });
+      }
+
+      res.json({
+        message: "API key revoked successfully",
+        api_key: apiKey,
+      });
+    } catch (error) {
+      console.error("Revoke API key error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Requests made with a key and actions audited under it
+router.get(
+  "/:keyId/usage",
+  requirePermission("system_settings"),
+  [
+    param("keyId").isMongoId().withMessage("Valid API key ID required"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findById(req.params.keyId);
+
+      if (!apiKey) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const filter = { actor_id: apiKey._id, actor_type: "ApiKey" };
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ created_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json({
+        api_key: apiKey,
+        logs,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          per_page: limit,
+        },
+      });
+    } catch (error) {
+      console.error("Get API key usage error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
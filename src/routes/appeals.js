@@ -0,0 +1,268 @@
+const fs = require("fs");
+const express = require("express");
+const { body, param } = require("express-validator");
+const Course = require("../models/Course");
+const Student = require("../models/Student");
+const AttendanceAppeal = require("../models/AttendanceAppeal");
+const {
+  auth,
+  adminPermission,
+  requirePermission,
+} = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const {
+  evidenceUpload,
+  handleUpload,
+  discardUploadOnError,
+} = require("../middleware/upload");
+const {
+  createAppeal,
+  decideAppeal,
+  getEvidencePath,
+} = require("../services/appealService");
+const {
+  teachingFilter,
+  teachingCourseIds,
+} = require("../services/courseAccess");
+
+const router = express.Router();
+
+// Find an appeal the requester may review (a course they review appeals
+// for, or any for admins)
+async function findReviewableAppeal(req, appealId) {
+  const appeal = await AttendanceAppeal.findById(appealId);
+  if (!appeal) return null;
+
+  if (req.userType !== "admin") {
+    const course = await Course.findOne({
+      _id: appeal.course_id,
+      ...teachingFilter(req.teacher._id, "review_appeals"),
+    });
+    if (!course) return null;
+  }
+
+  return appeal;
+}
+
+// File an excuse or appeal on behalf of a student (support agents)
+router.post(
+  "/",
+  requirePermission("manage_students"),
+  discardUploadOnError,
+  handleUpload(evidenceUpload.single("evidence")),
+  [
+    body("matric_no")
+      .trim()
+      .notEmpty()
+      .withMessage("Matriculation number required"),
+    body("session_id").isMongoId().withMessage("Valid session ID required"),
+    body("type")
+      .optional()
+      .isIn(["excuse", "appeal"])
+      .withMessage("Type must be excuse or appeal"),
+    body("reason")
+      .trim()
+      .isLength({ min: 5, max: 1000 })
+      .withMessage("Reason must be 5-1000 characters"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { matric_no, session_id, type = "excuse", reason } = req.body;
+
+      const student = await Student.findOne({
+        matric_no: matric_no.toUpperCase(),
+      });
+
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const appeal = await createAppeal({
+        student,
+        sessionId: session_id,
+        type,
+        reason,
+        file: req.file,
+        filedBy: { id: req.admin._id, type: "Admin" },
+      });
+
+      res.status(201).json({
+        message: "Appeal filed successfully",
+        appeal,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("File appeal error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// List appeals for the teacher's courses (or all courses for admins)
+router.get("/", auth, adminPermission("manage_students"), async (req, res) => {
+  try {
+    const { status, course_id, session_id } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+
+    if (req.userType !== "admin") {
+      query.course_id = {
+        $in: await teachingCourseIds(req.teacher._id, "review_appeals"),
+      };
+    }
+
+    if (status && ["pending", "approved", "rejected"].includes(status)) {
+      query.status = status;
+    }
+    if (course_id) {
+      query.course_id =
+        req.userType === "admin"
+          ? course_id
+          : { $in: query.course_id.$in.filter((id) => id.equals(course_id)) };
+    }
+    if (session_id) {
+      query.session_id = session_id;
+    }
+
+    const appeals = await AttendanceAppeal.find(query)
+      .populate("student_id", "matric_no name email")
+      .populate("course_id", "course_code title")
+      .populate("session_id", "session_code start_ts expiry_ts")
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AttendanceAppeal.countDocuments(query);
+
+    res.json({
+      appeals,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get appeals error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a single appeal
+router.get(
+  "/:appealId",
+  auth,
+  adminPermission("manage_students"),
+  [param("appealId").isMongoId().withMessage("Valid appeal ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const appeal = await findReviewableAppeal(req, req.params.appealId);
+
+      if (!appeal) {
+        return res.status(404).json({ error: "Appeal not found" });
+      }
+
+      await appeal.populate([
+        { path: "student_id", select: "matric_no name email" },
+        { path: "course_id", select: "course_code title" },
+        { path: "session_id", select: "session_code start_ts expiry_ts" },
+      ]);
+
+      res.json({ appeal });
+    } catch (error) {
+      console.error("Get appeal error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Download the evidence file attached to an appeal
+router.get(
+  "/:appealId/evidence",
+  auth,
+  adminPermission("manage_students"),
+  [param("appealId").isMongoId().withMessage("Valid appeal ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const appeal = await findReviewableAppeal(req, req.params.appealId);
+
+      if (!appeal) {
+        return res.status(404).json({ error: "Appeal not found" });
+      }
+
+      const evidencePath = getEvidencePath(appeal);
+      if (!evidencePath || !fs.existsSync(evidencePath)) {
+        return res.status(404).json({ error: "No evidence file attached" });
+      }
+
+      res.setHeader("Content-Type", appeal.evidence.mime_type);
+      res.download(evidencePath, appeal.evidence.original_name);
+    } catch (error) {
+      console.error("Download appeal evidence error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Approve or reject an appeal
+router.patch(
+  "/:appealId/decision",
+  auth,
+  adminPermission("manage_students"),
+  [
+    param("appealId").isMongoId().withMessage("Valid appeal ID required"),
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("Decision must be approve or reject"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note must be less than 500 characters"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { decision, note } = req.body;
+
+      const appeal = await findReviewableAppeal(req, req.params.appealId);
+
+      if (!appeal) {
+        return res.status(404).json({ error: "Appeal not found" });
+      }
+
+      await decideAppeal({
+        appeal,
+        decision,
+        note,
+        decidedBy: {
+          id: req.user._id,
+          type: req.userType === "admin" ? "Admin" : "Teacher",
+        },
+      });
+
+      res.json({
+        message: `Appeal ${appeal.status} successfully`,
+        appeal,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Appeal decision error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
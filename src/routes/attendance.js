@@ -1,4 +1,6 @@
 const express = require("express");
+const mongoose = require("mongoose");
+const crypto = require("crypto");
 const { body, param } = require("express-validator");
 const Attendance = require("../models/Attendance");
 const Session = require("../models/Session");
@@ -6,6 +8,21 @@ const Student = require("../models/Student");
 const Course = require("../models/Course");
 const CourseStudent = require("../models/CourseStudent");
 const DeviceFingerprint = require("../models/DeviceFingerprint");
+const QrTokenRedemption = require("../models/QrTokenRedemption");
+const Term = require("../models/Term");
+const { evaluateLocation } = require("../services/locationPolicy");
+const liveFeed = require("../services/liveFeed");
+const { emitWebhookEvent } = require("../services/webhooks");
+const {
+  teachingFilter,
+  teachingCourseIds,
+  getCourseTeacherIds,
+  findAccessibleCourse,
+} = require("../services/courseAccess");
+const {
+  attachReviewEvidence,
+  decideReviews,
+} = require("../services/reviewQueue");
 const { auth } = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const { attendanceLimiter } = require("../middleware/rateLimiter");
@@ -17,10 +34,24 @@ const {
   generateReceiptSignature,
   isWithinRadius,
   isValidMatricNo,
+  parseQrToken,
+  verifyQrToken,
 } = require("../utils/helpers");
 
 const emailService = new EmailService();
 
+// Number of previous QR rotation windows still accepted, to allow for
+// the time between scanning the projector and submitting the form
+const QR_TOKEN_GRACE_WINDOWS = 1;
+
+const QR_TOKEN_USED_RESPONSE = {
+  error: "QR token has already been used",
+  details: [
+    "You have already used this QR code on another device",
+    "Please scan the QR code currently displayed by your lecturer",
+  ],
+};
+
 const router = express.Router();
 
 // Helper function to generate comprehensive course attendance data
@@ -60,6 +91,7 @@ async function generateCourseAttendanceData(courseId) {
         level: student.level,
         sessions_attended: 0,
         sessions_missed: 0,
+        sessions_excused: 0,
         total_sessions: sessions.length,
         attendance_rate: 0,
         risk_level: "low"
@@ -73,6 +105,7 @@ async function generateCourseAttendanceData(courseId) {
         start_ts: session.start_ts,
         present_count: 0,
         absent_count: 0,
+        excused_count: 0,
         total_enrolled: enrolledStudents.length,
         attendance_rate: 0
       };
@@ -84,9 +117,12 @@ async function generateCourseAttendanceData(courseId) {
       const sessionId = record.session_id._id;
 
       if (studentStats[studentId] && sessionStats[sessionId]) {
-        if (record.status === "present" || record.status === "manual_present") {
+        if (["present", "late", "manual_present"].includes(record.status)) {
           studentStats[studentId].sessions_attended++;
           sessionStats[sessionId].present_count++;
+        } else if (record.status === "excused") {
+          studentStats[studentId].sessions_excused++;
+          sessionStats[sessionId].excused_count++;
         } else {
           studentStats[studentId].sessions_missed++;
           sessionStats[sessionId].absent_count++;
@@ -97,9 +133,13 @@ async function generateCourseAttendanceData(courseId) {
     // Calculate missing sessions for students who didn't submit attendance
     Object.values(studentStats).forEach(student => {
       const totalSubmissions = student.sessions_attended + student.sessions_missed;
-      student.sessions_missed = sessions.length - student.sessions_attended;
-      student.attendance_rate = sessions.length > 0 ? 
-        (student.sessions_attended / sessions.length) * 100 : 0;
+      // Excused absences are left out of the expected session count
+      const countedSessions = sessions.length - student.sessions_excused;
+      student.sessions_missed = countedSessions - student.sessions_attended;
+      student.attendance_rate =
+        countedSessions > 0
+          ? (student.sessions_attended / countedSessions) * 100
+          : 0;
 
       // Determine risk level
       if (student.attendance_rate < 50) {
@@ -113,7 +153,7 @@ async function generateCourseAttendanceData(courseId) {
       }
 
       student.sessions_needed_for_75_percent = Math.max(0, 
-        Math.ceil(sessions.length * 0.75) - student.sessions_attended);
+        Math.ceil(countedSessions * 0.75) - student.sessions_attended);
     });
 
     // Calculate session attendance rates
@@ -212,9 +252,19 @@ router.post(
       return true;
     }),
     body("session_code")
+      .if(body("qr_token").not().exists())
       .isLength({ min: 4, max: 4 })
       .isNumeric()
       .withMessage("Session code must be exactly 4 digits"),
+    body("qr_token")
+      .optional()
+      .isString()
+      .custom((value) => {
+        if (!parseQrToken(value)) {
+          throw new Error("Invalid QR token format");
+        }
+        return true;
+      }),
     body("lat")
       .isFloat({ min: -90, max: 90 })
       .withMessage("Valid latitude required (-90 to 90)"),
@@ -225,6 +275,10 @@ router.post(
       .optional()
       .isFloat({ min: 0, max: 10000 })
       .withMessage("Accuracy must be between 0 and 10000 meters"),
+    body("altitude")
+      .optional()
+      .isFloat({ min: -500, max: 10000 })
+      .withMessage("Altitude must be between -500 and 10000 meters"),
     body("device_info")
       .optional()
       .isObject()
@@ -299,18 +353,29 @@ router.post(
         lat,
         lng,
         accuracy = 0,
+        altitude,
         device_info = {},
         level,
+        qr_token,
       } = req.body;
       const userAgent = req.get("User-Agent") || "";
       const ip = req.ip;
 
-      // Find active session with the provided code
-      const session = await Session.findOne({
-        session_code,
+      // Find active session from the scanned QR token or the typed code
+      const qrToken = qr_token ? parseQrToken(qr_token) : null;
+      const sessionQuery = {
         is_active: true,
         expiry_ts: { $gt: new Date() },
-      }).populate("course_id teacher_id");
+      };
+      if (qrToken) {
+        sessionQuery._id = qrToken.sessionId;
+      } else {
+        sessionQuery.session_code = session_code;
+      }
+
+      const session = await Session.findOne(sessionQuery).populate(
+        "course_id teacher_id venue_id"
+      );
 
       if (!session) {
         return res.status(404).json({
@@ -323,6 +388,46 @@ router.post(
         });
       }
 
+      // From here on, refused submissions show up on the live feed
+      liveFeed.reportRejections(res, session, matric_no.toUpperCase());
+
+      // QR-code sessions only accept a fresh, correctly signed token
+      if (session.qr_enabled || qrToken) {
+        if (!qrToken) {
+          return res.status(400).json({
+            error: "QR code required",
+            details: [
+              "This session requires scanning the live QR code shown by your lecturer",
+              "Session codes alone are not accepted for this session",
+            ],
+          });
+        }
+
+        if (!session.qr_enabled || !verifyQrToken(qr_token, session.nonce)) {
+          return res.status(400).json({
+            error: "Invalid QR token",
+            details: [
+              "The scanned QR code is not valid for this session",
+              "Please scan the QR code currently displayed by your lecturer",
+            ],
+          });
+        }
+
+        const currentWindow = session.getQrWindow();
+        if (
+          qrToken.window > currentWindow ||
+          qrToken.window < currentWindow - QR_TOKEN_GRACE_WINDOWS
+        ) {
+          return res.status(400).json({
+            error: "QR token has expired",
+            details: [
+              `QR codes for this session change every ${session.qr_rotation_seconds} seconds`,
+              "Please scan the QR code currently displayed by your lecturer",
+            ],
+          });
+        }
+      }
+
       // Find student by matric number
       let student = await Student.findOne({
         matric_no: matric_no.toUpperCase(),
@@ -442,6 +547,7 @@ router.post(
       // ENHANCED VALIDATION: Check if this device has already been used for this session
       // For FingerprintJS, we check both visitorId and device_fingerprint for maximum security
       let deviceUsed = null;
+      let similarDevice = null;
 
       if (fpjsVisitorId) {
         // Check by FingerprintJS visitorId first (most accurate)
@@ -450,9 +556,10 @@ router.post(
           device_fingerprint: fpjsVisitorId,
         }).populate("student_id", "name matric_no");
 
-        // If not found by visitorId, also check for any record with similar device components
+        // If not found by visitorId, also check for any record with similar device components.
+        // Identical phone models share these, so a match is held for review rather than rejected.
         if (!deviceUsed && fpjsComponents) {
-          const similarDevice = await Attendance.findOne({
+          similarDevice = await Attendance.findOne({
             session_id: session._id,
             "fpjs_components.screen": fpjsComponents.screen,
             "fpjs_components.timezone": fpjsComponents.timezone,
@@ -460,7 +567,6 @@ router.post(
           }).populate("student_id", "name matric_no");
 
           if (similarDevice) {
-            deviceUsed = similarDevice;
             console.log(`Similar device detected via components analysis`);
           }
         }
@@ -493,6 +599,24 @@ router.post(
         });
       }
 
+      // The whole class scans the same token, but each student's use of it
+      // is bound to the device they first redeemed it on, so a captured
+      // token cannot be replayed for them from another phone
+      let qrTokenHash = null;
+      if (qrToken) {
+        qrTokenHash = crypto
+          .createHash("sha256")
+          .update(qr_token)
+          .digest("hex");
+        const redemption = await QrTokenRedemption.findOne({
+          token_hash: qrTokenHash,
+          matric_no: matric_no.toUpperCase(),
+        });
+        if (redemption && redemption.device_fingerprint !== deviceFingerprint) {
+          return res.status(400).json(QR_TOKEN_USED_RESPONSE);
+        }
+      }
+
       // ENHANCED VALIDATION: Additional security check - verify session belongs to correct course
       if (!session.course_id || !session.teacher_id) {
         return res.status(500).json({
@@ -517,11 +641,48 @@ router.post(
       }
 
       // ENHANCED GEOLOCATION VALIDATION - Precise location verification using Haversine formula
-      const { calculateDistance } = require("../utils/helpers");
+      const { calculateDistance, matchVenueGeofence } = require("../utils/helpers");
       
       // Calculate precise distance using Haversine formula
       const actualDistance = calculateDistance(session.lat, session.lng, lat, lng);
-      const isInRange = actualDistance <= session.radius_m;
+      let isInRange = actualDistance <= session.radius_m;
+
+      // Venue sessions use the venue's polygons/circles instead of the radius
+      const venue = session.venue_id;
+      let venueMatch = null;
+      if (venue) {
+        venueMatch = matchVenueGeofence(venue, lat, lng);
+        isInRange = venueMatch.matched;
+
+        if (!isInRange) {
+          return res.status(400).json({
+            success: false,
+            error: "Location validation failed",
+            details: [
+              `You are outside ${venue.name}`,
+              `Distance to the venue boundary: ${Math.round(venueMatch.distance_m)} meters`,
+              `Accuracy: ±${accuracy || 'unknown'} meters`,
+              "Please move into the venue and try again",
+              "Ensure your GPS is enabled and has a clear signal"
+            ],
+            location_info: {
+              venue: {
+                id: venue._id,
+                name: venue.name,
+                building: venue.building,
+                floor: venue.floor,
+              },
+              distance_to_boundary: Math.round(venueMatch.distance_m),
+              your_location: {
+                lat: lat,
+                lng: lng,
+                accuracy: accuracy,
+              },
+              calculation_method: "Venue geofence",
+            },
+          });
+        }
+      }
       
       // Enhanced location logging for security analysis
       console.log(`Location validation for ${matric_no}:`);
@@ -530,9 +691,6 @@ router.post(
       console.log(`Distance: ${Math.round(actualDistance)}m, Required: ${session.radius_m}m`);
       console.log(`In range: ${isInRange}`);
 
-      let status = "present";
-      let reason = "submitted online";
-
       if (!isInRange) {
         // Return detailed location error with precise distance calculation
         return res.status(400).json({
@@ -564,6 +722,45 @@ router.post(
         });
       }
 
+      // GPS accuracy policy and spoofing heuristics
+      const locationCheck = await evaluateLocation({
+        session,
+        lat,
+        lng,
+        accuracy: req.body.accuracy !== undefined ? Number(accuracy) : null,
+        deviceFingerprint,
+      });
+
+      if (locationCheck.rejection) {
+        return res.status(400).json(locationCheck.rejection);
+      }
+
+      // Submissions after the session's grace period are marked late;
+      // flagged submissions are held for lecturer review
+      const isLate = session.isLateSubmission();
+      const flags = [...locationCheck.flags];
+      if (similarDevice) {
+        flags.push({
+          code: "similar_device",
+          message: "Device matches another submission in this session",
+          details: {
+            attendance_id: similarDevice._id,
+            matric_no: similarDevice.student_id?.matric_no,
+            matched_components: ["screen", "timezone", "languages"],
+            confidence_score: fpjsConfidence ? fpjsConfidence.score : null,
+          },
+        });
+      }
+      let status = isLate ? "late" : "present";
+      let reason = isLate
+        ? "submitted online after grace period"
+        : "submitted online";
+
+      if (flags.length > 0) {
+        status = "pending_review";
+        reason = `held for review: ${flags.map((f) => f.code).join(", ")}`;
+      }
+
       // Generate receipt signature
       const receiptSignature = generateReceiptSignature(
         session._id,
@@ -586,11 +783,32 @@ router.post(
         lng,
         accuracy,
         distance_from_location: distanceFromLocation,
+        altitude,
         status,
         reason,
         receipt_signature: receiptSignature,
       };
 
+      if (flags.length > 0) {
+        attendanceData.flags = flags;
+        attendanceData.review = { requested_status: isLate ? "late" : "present" };
+      }
+
+      if (venueMatch) {
+        attendanceData.venue_match = {
+          venue_id: venue._id,
+          venue_name: venue.name,
+          rule_type: venueMatch.rule_type,
+          rule_index: venueMatch.rule_index,
+          rule_label: venueMatch.rule_label,
+          distance_m: venueMatch.distance_m,
+          altitude_delta_m:
+            altitude !== undefined && venue.altitude_m !== undefined
+              ? altitude - venue.altitude_m
+              : undefined,
+        };
+      }
+
       // Add FingerprintJS specific data if available
       if (fpjsVisitorId) {
         attendanceData.fpjs_visitor_id = fpjsVisitorId;
@@ -611,6 +829,31 @@ router.post(
       const attendance = new Attendance(attendanceData);
       await attendance.save();
 
+      // Bind the student's use of the token to this device now that the
+      // attendance exists; if another device bound it first, take the
+      // submission back
+      if (qrTokenHash) {
+        const rotationMs = session.qr_rotation_seconds * 1000;
+        const redemption = await QrTokenRedemption.findOneAndUpdate(
+          { token_hash: qrTokenHash, matric_no: matric_no.toUpperCase() },
+          {
+            $setOnInsert: {
+              session_id: session._id,
+              device_fingerprint: deviceFingerprint,
+              expires_at: new Date(
+                session.start_ts.getTime() +
+                  (qrToken.window + 1 + QR_TOKEN_GRACE_WINDOWS) * rotationMs
+              ),
+            },
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        if (redemption.device_fingerprint !== deviceFingerprint) {
+          await Attendance.deleteOne({ _id: attendance._id });
+          return res.status(400).json(QR_TOKEN_USED_RESPONSE);
+        }
+      }
+
       // Update device fingerprint record with complete device info and FingerprintJS data
       const deviceFingerprintUpdate = {
         device_fingerprint: deviceFingerprint,
@@ -649,11 +892,47 @@ router.post(
         }
       );
 
+      // Push the new submission to the lecturer's live dashboard
+      if (status !== "rejected") {
+        liveFeed.publish(session._id, "attendance_submitted", {
+          attendance_id: attendance._id,
+          student_id: student._id,
+          matric_no: student.matric_no,
+          name: student.name,
+          status,
+          submitted_at: attendance.submitted_at,
+          distance: Math.round(distanceFromLocation),
+          flags: flags.map((f) => f.code),
+        });
+
+        // Not awaited: deliveries are queued in the background and the
+        // student should not wait on them
+        emitWebhookEvent(
+          "attendance.submitted",
+          {
+            attendance_id: attendance._id,
+            session_id: session._id,
+            course_id: session.course_id._id,
+            student: {
+              id: student._id,
+              matric_no: student.matric_no,
+              name: student.name,
+            },
+            status,
+            submitted_at: attendance.submitted_at,
+            flags: flags.map((f) => f.code),
+          },
+          { teacherIds: getCourseTeacherIds(session.course_id) }
+        );
+      }
+
       // Response with enhanced validation details and FingerprintJS info
-      if (status === "present") {
+      if (status === "present" || status === "late") {
         const responseData = {
           success: true,
-          message: "Attendance submitted successfully",
+          message: isLate
+            ? "Attendance submitted successfully (marked late)"
+            : "Attendance submitted successfully",
           record: {
             student_name: student.name,
             matric_no: student.matric_no,
@@ -665,6 +944,13 @@ router.post(
             submitted_at: attendance.submitted_at,
             receipt: receiptSignature,
             distance: Math.round(distanceFromLocation),
+            venue: venueMatch
+              ? {
+                  name: venue.name,
+                  rule_type: venueMatch.rule_type,
+                  rule_label: venueMatch.rule_label,
+                }
+              : undefined,
           },
           validation_passed: {
             student_enrolled: true,
@@ -690,6 +976,25 @@ router.post(
         }
 
         res.status(201).json(responseData);
+      } else if (status === "pending_review") {
+        res.status(202).json({
+          success: true,
+          pending_review: true,
+          message:
+            "Attendance recorded and held for review by your lecturer",
+          record: {
+            student_name: student.name,
+            matric_no: student.matric_no,
+            course: session.course_id.title,
+            course_code: session.course_id.course_code,
+            session_code: session.session_code,
+            lecturer: session.teacher_id.name,
+            status,
+            submitted_at: attendance.submitted_at,
+            receipt: receiptSignature,
+          },
+          review_reasons: flags.map((f) => f.message),
+        });
       } else {
         res.status(400).json({
           success: false,
@@ -716,6 +1021,9 @@ router.post(
         });
       }
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Attendance submission error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -734,12 +1042,12 @@ router.get(
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 50;
       const skip = (page - 1) * limit;
-      const status = req.query.status; // present, absent, manual_present
+      const status = req.query.status; // e.g. present, late, pending_review
 
-      // Verify session belongs to teacher
+      // Verify the session belongs to a course the teacher teaches
       const session = await Session.findOne({
         _id: sessionId,
-        teacher_id: req.teacher._id,
+        course_id: { $in: await teachingCourseIds(req.teacher._id) },
       }).populate("course_id");
 
       if (!session) {
@@ -750,7 +1058,15 @@ router.get(
       let query = { session_id: sessionId };
       if (
         status &&
-        ["present", "absent", "manual_present"].includes(status)
+        [
+          "present",
+          "late",
+          "absent",
+          "rejected",
+          "manual_present",
+          "excused",
+          "pending_review",
+        ].includes(status)
       ) {
         query.status = status;
       }
@@ -782,6 +1098,139 @@ router.get(
   }
 );
 
+// Submissions held for review (teacher's courses, or all for admins)
+router.get("/review-queue", auth, async (req, res) => {
+  try {
+    const { course_id, session_id, flag } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    let query = { status: "pending_review" };
+
+    if (req.userType !== "admin") {
+      query.course_id = {
+        $in: await teachingCourseIds(req.teacher._id, "mark_attendance"),
+      };
+    }
+
+    if (course_id) {
+      query.course_id =
+        req.userType === "admin"
+          ? course_id
+          : { $in: query.course_id.$in.filter((id) => id.equals(course_id)) };
+    }
+    if (session_id) {
+      query.session_id = session_id;
+    }
+    if (flag) {
+      query["flags.code"] = flag;
+    }
+
+    const records = await Attendance.find(query)
+      .populate("student_id", "matric_no name email")
+      .populate("course_id", "course_code title")
+      .populate("session_id", "session_code start_ts")
+      .sort({ submitted_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Attendance.countDocuments(query);
+
+    res.json({
+      records: await attachReviewEvidence(records),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get review queue error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Approve or reject held submissions in bulk
+router.post(
+  "/review-queue/decision",
+  auth,
+  [
+    body("attendance_ids")
+      .isArray({ min: 1, max: 200 })
+      .withMessage("attendance_ids must be an array of 1-200 IDs"),
+    body("attendance_ids.*")
+      .isMongoId()
+      .withMessage("Valid attendance ID required"),
+    body("decision")
+      .isIn(["approve", "reject"])
+      .withMessage("Decision must be approve or reject"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Note must be less than 1000 characters"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { attendance_ids, decision, note } = req.body;
+
+      const query = {
+        _id: { $in: attendance_ids },
+        status: "pending_review",
+      };
+
+      if (req.userType !== "admin") {
+        query.course_id = {
+          $in: await teachingCourseIds(req.teacher._id, "mark_attendance"),
+        };
+      }
+
+      const records = await Attendance.find(query);
+
+      const inArchivedTerm = await Term.exists({
+        _id: { $in: records.map((record) => record.term_id) },
+        status: "archived",
+      });
+      if (inArchivedTerm) {
+        return res.status(400).json({
+          error: "Attendance in an archived term is read-only",
+        });
+      }
+
+      await decideReviews({
+        records,
+        decision,
+        note,
+        decidedBy: {
+          id: req.user._id,
+          type: req.userType === "admin" ? "Admin" : "Teacher",
+        },
+      });
+
+      const decidedIds = records.map((record) => record._id.toString());
+
+      res.json({
+        message: `${records.length} submission(s) ${
+          decision === "approve" ? "approved" : "rejected"
+        }`,
+        decided: decidedIds,
+        // Not found, not held for review, or outside the reviewer's courses
+        skipped: attendance_ids.filter((id) => !decidedIds.includes(id)),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Review decision error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Download comprehensive CSV attendance report
 router.get(
   "/course/:courseId/report.csv",
@@ -797,7 +1246,7 @@ router.get(
       // Verify course belongs to teacher (or admin access)
       const course = await Course.findOne({
         _id: courseId,
-        ...(req.teacher.role !== "admin" && { teacher_id: req.teacher._id }),
+        ...(req.teacher.role !== "admin" && teachingFilter(req.teacher._id)),
       });
 
       if (!course) {
@@ -862,7 +1311,7 @@ router.get(
       // Verify course belongs to teacher (or admin access)
       const course = await Course.findOne({
         _id: courseId,
-        ...(req.teacher.role !== "admin" && { teacher_id: req.teacher._id }),
+        ...(req.teacher.role !== "admin" && teachingFilter(req.teacher._id)),
       }).populate("teacher_id", "name");
 
       if (!course) {
@@ -922,11 +1371,8 @@ router.get(
     try {
       const { courseId } = req.params;
 
-      // Verify course belongs to teacher
-      const course = await Course.findOne({
-        _id: courseId,
-        teacher_id: req.teacher._id,
-      });
+      // Owners, co-lecturers and TAs of the course, or an admin
+      const course = await findAccessibleCourse(req, courseId);
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -949,7 +1395,7 @@ router.get(
 
       // Get attendance statistics
       const attendanceStats = await Attendance.aggregate([
-        { $match: { course_id: courseId } },
+        { $match: { course_id: new mongoose.Types.ObjectId(courseId) } },
         {
           $group: {
             _id: "$status",
@@ -977,18 +1423,25 @@ router.get(
           active_sessions: activeSessions,
           total_students: totalStudents,
           attendance_counts: {
-          present:
-            (statusCounts.present || 0) + (statusCounts.manual_present || 0),
-          absent: statusCounts.absent || 0,
-          total_submissions: Object.values(statusCounts).reduce(
-            (sum, count) => sum + count,
-            0
-          ),
-        },
+            present:
+              (statusCounts.present || 0) +
+              (statusCounts.late || 0) +
+              (statusCounts.manual_present || 0),
+            late: statusCounts.late || 0,
+            absent: statusCounts.absent || 0,
+            excused: statusCounts.excused || 0,
+            total_submissions: Object.values(statusCounts).reduce(
+              (sum, count) => sum + count,
+              0
+            ),
+          },
         },
         recent_activity: recentAttendance,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Get course stats error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -1,15 +1,31 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const Teacher = require("../models/Teacher");
 const Admin = require("../models/Admin");
+const Student = require("../models/Student");
 const EmailOtp = require("../models/EmailOtp");
 const EmailService = require("../services/emailService");
+const { emitTeacherCreated } = require("../services/webhooks");
+const {
+  NOTIFICATION_EVENTS,
+  allowedFrequencies,
+  getNotificationPreferences,
+  findPreferenceErrors,
+} = require("../services/notificationPreferences");
+const {
+  isAccountSuspended,
+  startLoginSession,
+  refreshLoginSession,
+  listLoginSessions,
+  revokeLoginSessions,
+} = require("../services/loginSessions");
 const {
   generateOTP,
   generateRandomPassword,
   isValidEmail,
+  isValidMatricNo,
 } = require("../utils/helpers");
 const validate = require("../middleware/validation");
 const { strictLimiter, otpLimiter } = require("../middleware/rateLimiter");
@@ -150,20 +166,17 @@ router.post(
         // Don't fail the registration if email fails
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: teacher._id, email: teacher.email, role: teacher.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "24h" }
-      );
+      // Open a login session
+      const tokens = await startLoginSession(teacher, "teacher", req);
 
       // Update last login
       teacher.last_login = new Date();
       await teacher.save();
+      emitTeacherCreated(teacher, "registration");
 
       res.status(201).json({
         message: "Registration completed successfully",
-        token,
+        ...tokens,
         teacher: teacher.toJSON(),
       });
     } catch (error) {
@@ -253,12 +266,15 @@ router.post(
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { id: user._id, email: user.email, role: user.role, userType },
-        process.env.JWT_SECRET,
-        { expiresIn: "24h" }
-      );
+      if (isAccountSuspended(user)) {
+        return res.status(403).json({
+          error: "Account suspended",
+          message: "Your account has been suspended. Contact an administrator.",
+        });
+      }
+
+      // Open a login session
+      const tokens = await startLoginSession(user, userType, req);
 
       // Update last login
       user.last_login = new Date();
@@ -266,7 +282,7 @@ router.post(
 
       res.json({
         message: "Login successful",
-        token,
+        ...tokens,
         user: user.toJSON(),
         userType,
       });
@@ -277,24 +293,13 @@ router.post(
   }
 );
 
-// Logout
+// Logout: revoke the current login session
 router.post("/logout", auth, auditLogger("user_logout"), async (req, res) => {
   try {
-    // In a JWT-based auth system, logout is primarily handled client-side
-    // by removing the token. Here we can perform server-side cleanup
-
-    // Update last login time as a logout marker
-    const user = req.user;
-    if (user) {
-      // You could add a last_logout field to track logout times
-      // user.last_logout = new Date();
-      // await user.save();
-    }
-
-    // In a production system, you might want to:
-    // 1. Add the token to a blacklist/Redis cache
-    // 2. Log the logout event
-    // 3. Clear any server-side sessions
+    await revokeLoginSessions(
+      { _id: req.loginSessionId },
+      { reason: "logout", revokedBy: req.user._id }
+    );
 
     res.json({
       message: "Logout successful",
@@ -306,6 +311,113 @@ router.post("/logout", auth, auditLogger("user_logout"), async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post(
+  "/refresh",
+  [body("refresh_token").notEmpty().withMessage("Refresh token required")],
+  validate,
+  async (req, res) => {
+    try {
+      const tokens = await refreshLoginSession(req.body.refresh_token, req);
+
+      res.json({
+        message: "Token refreshed",
+        ...tokens,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Token refresh error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// List the current user's active logins
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await listLoginSessions(req.user._id, req.userType);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.loginSessionId),
+      })),
+      total: sessions.length,
+    });
+  } catch (error) {
+    console.error("List login sessions error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke all of the current user's logins (optionally keeping this one)
+router.delete(
+  "/sessions",
+  auth,
+  [
+    query("keep_current")
+      .optional()
+      .isBoolean()
+      .withMessage("keep_current must be a boolean"),
+  ],
+  validate,
+  auditLogger("login_sessions_revoked"),
+  async (req, res) => {
+    try {
+      const filter = { user_id: req.user._id, user_type: req.userType };
+      if (req.query.keep_current === "true") {
+        filter._id = { $ne: req.loginSessionId };
+      }
+
+      const revoked = await revokeLoginSessions(filter, {
+        reason: "user_revoked",
+        revokedBy: req.user._id,
+      });
+
+      res.json({ message: "Sessions revoked", revoked });
+    } catch (error) {
+      console.error("Revoke login sessions error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Revoke one of the current user's logins
+router.delete(
+  "/sessions/:loginSessionId",
+  auth,
+  [
+    param("loginSessionId")
+      .isMongoId()
+      .withMessage("Valid session ID required"),
+  ],
+  validate,
+  auditLogger("login_session_revoked"),
+  async (req, res) => {
+    try {
+      const revoked = await revokeLoginSessions(
+        {
+          _id: req.params.loginSessionId,
+          user_id: req.user._id,
+          user_type: req.userType,
+        },
+        { reason: "user_revoked", revokedBy: req.user._id }
+      );
+
+      if (!revoked) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      res.json({ message: "Session revoked" });
+    } catch (error) {
+      console.error("Revoke login session error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Request new verification code
 router.post(
   "/request_verification_code",
@@ -439,17 +551,8 @@ router.post(
         // Don't fail the verification if email fails
       }
 
-      // Generate login token
-      const token = jwt.sign(
-        {
-          id: user._id,
-          email: user.email,
-          role: user.role,
-          userType: "teacher",
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: "24h" }
-      );
+      // Open a login session
+      const tokens = await startLoginSession(user, "teacher", req);
 
       // Update last login
       user.last_login = new Date();
@@ -457,7 +560,7 @@ router.post(
 
       res.json({
         message: "Email verified successfully! Welcome to UniTrack!",
-        token,
+        ...tokens,
         user: user.toJSON(),
         userType: "teacher",
       });
@@ -571,6 +674,12 @@ router.post(
         teacher.password_hash = newPassword; // Will be hashed by pre-save middleware
         await teacher.save();
 
+        // A reset password must not leave old logins open
+        await revokeLoginSessions(
+          { user_id: teacher._id, user_type: "teacher" },
+          { reason: "user_revoked" }
+        );
+
         res.json({ message: "Password reset successful" });
       } else {
         // Save the updated teacher record (OTP cleared)
@@ -584,6 +693,134 @@ router.post(
   }
 );
 
+/**
+ * Student Self-Service Login
+ *
+ * Students sign in with their matriculation number and a one-time code
+ * sent to the email address on their student record. The resulting token
+ * carries userType "student" and only works on the student portal routes.
+ */
+
+// Request a student login OTP
+router.post(
+  "/student/request_otp",
+  otpLimiter,
+  [
+    body("matric_no").custom((value) => {
+      if (!isValidMatricNo(value)) {
+        throw new Error("Invalid matriculation number format");
+      }
+      return true;
+    }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const matricNo = req.body.matric_no.trim().toUpperCase();
+      const genericResponse = {
+        message:
+          "If the matriculation number is registered, an OTP has been sent to its email address.",
+      };
+
+      const student = await Student.findOne({ matric_no: matricNo });
+      if (!student || !student.email) {
+        // Don't reveal if the student exists or not
+        return res.json(genericResponse);
+      }
+
+      // Invalidate any earlier unused login codes for this student
+      await EmailOtp.updateMany(
+        { student_id: student._id, purpose: "student_login", used: false },
+        { used: true }
+      );
+
+      const otp = generateOTP();
+      await EmailOtp.create({
+        email: student.email,
+        student_id: student._id,
+        otp,
+        purpose: "student_login",
+        expires_at: new Date(Date.now() + 60 * 60 * 1000), // 1 hour expiry
+      });
+
+      await emailService.sendOTP(student.email, otp, "student login");
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Student OTP request error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Verify student login OTP and issue a student token
+router.post(
+  "/student/verify_otp",
+  strictLimiter,
+  [
+    body("matric_no").custom((value) => {
+      if (!isValidMatricNo(value)) {
+        throw new Error("Invalid matriculation number format");
+      }
+      return true;
+    }),
+    body("otp").isLength({ min: 6, max: 6 }).withMessage("Valid OTP required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const matricNo = req.body.matric_no.trim().toUpperCase();
+      const { otp } = req.body;
+
+      const student = await Student.findOne({ matric_no: matricNo });
+      if (!student) {
+        return res.status(400).json({ error: "Invalid or expired OTP" });
+      }
+
+      const otpRecord = await EmailOtp.findOneAndUpdate(
+        {
+          student_id: student._id,
+          otp,
+          purpose: "student_login",
+          used: false,
+          expires_at: { $gt: new Date() },
+        },
+        { used: true }
+      );
+
+      if (!otpRecord) {
+        return res.status(400).json({ error: "Invalid or expired OTP" });
+      }
+
+      const token = jwt.sign(
+        {
+          id: student._id,
+          matric_no: student.matric_no,
+          userType: "student",
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: "24h" }
+      );
+
+      res.json({
+        message: "Login successful",
+        token,
+        user: {
+          id: student._id,
+          matric_no: student.matric_no,
+          name: student.name,
+          email: student.email,
+          level: student.level,
+        },
+        userType: "student",
+      });
+    } catch (error) {
+      console.error("Student OTP verification error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 /**
  * Profile Management Routes
  *
@@ -592,6 +829,7 @@ router.post(
  * - Update name
  * - Change password with current password verification
  * - Strong password validation
+ * - Notification preferences (lecturers only)
  * - Different response data based on user role
  * - Comprehensive validation and error handling
  */
@@ -626,17 +864,33 @@ router.put(
         }
         return true;
       }),
+    body("notification_preferences")
+      .optional()
+      .isObject()
+      .withMessage("Notification preferences must be an object")
+      .custom((value) => {
+        const errors = findPreferenceErrors(value);
+        if (errors.length > 0) {
+          throw new Error(errors.join("; "));
+        }
+        return true;
+      }),
   ],
   validate,
   auditLogger("profile_update"),
   async (req, res) => {
     try {
-      const { name, currentPassword, newPassword } = req.body;
+      const {
+        name,
+        currentPassword,
+        newPassword,
+        notification_preferences: notificationPreferences,
+      } = req.body;
       const userId = req.user.id;
       const userRole = req.user.role;
 
-      // Determine which model to use based on user role
-      const UserModel = userRole === "admin" ? Admin : Teacher;
+      // Lecturers promoted to the admin role still sign in as teachers
+      const UserModel = req.userType === "admin" ? Admin : Teacher;
 
       // Find the user
       const user = await UserModel.findById(userId);
@@ -679,17 +933,44 @@ router.put(
         user.name = name;
       }
 
+      // Notification preferences only apply to lecturers
+      if (notificationPreferences) {
+        if (!(user instanceof Teacher)) {
+          return res.status(400).json({
+            error: "Notification preferences are not available",
+            details: ["Only lecturer accounts have notification preferences"],
+          });
+        }
+        Object.entries(notificationPreferences).forEach(([event, frequency]) =>
+          user.set(`notification_preferences.${event}`, frequency)
+        );
+      }
+
       // Check if any changes were made
-      if (!name && !newPassword) {
+      if (!name && !newPassword && !notificationPreferences) {
         return res.status(400).json({
           error: "No changes provided",
-          details: ["Please provide either a new name or password to update"],
+          details: [
+            "Please provide a new name, password or notification preferences to update",
+          ],
         });
       }
 
       // Save the updated user
       await user.save();
 
+      // Changing the password signs out every other device
+      if (newPassword) {
+        await revokeLoginSessions(
+          {
+            user_id: user._id,
+            user_type: req.userType,
+            _id: { $ne: req.loginSessionId },
+          },
+          { reason: "user_revoked", revokedBy: user._id }
+        );
+      }
+
       // Prepare response data (excluding sensitive information)
       const responseData = {
         id: user._id,
@@ -699,13 +980,15 @@ router.put(
         updated_at: new Date(),
       };
 
-      // Add role-specific data
-      if (userRole === "admin") {
+      // Add account-specific data
+      if (!(user instanceof Teacher)) {
         responseData.is_super_admin = user.is_super_admin;
         responseData.status = user.status;
         responseData.permissions = user.permissions;
       } else {
         responseData.email_verified = user.email_verified;
+        responseData.notification_preferences =
+          getNotificationPreferences(user);
       }
 
       res.json({
@@ -715,6 +998,7 @@ router.put(
         changes: {
           name_updated: !!name,
           password_updated: !!newPassword,
+          notification_preferences_updated: !!notificationPreferences,
         },
       });
     } catch (error) {
@@ -745,8 +1029,8 @@ router.get("/profile", auth, async (req, res) => {
     const userId = req.user.id;
     const userRole = req.user.role;
 
-    // Determine which model to use based on user role
-    const UserModel = userRole === "admin" ? Admin : Teacher;
+    // Lecturers promoted to the admin role still sign in as teachers
+    const UserModel = req.userType === "admin" ? Admin : Teacher;
 
     // Find the user (excluding password)
     const user = await UserModel.findById(userId).select(
@@ -770,14 +1054,23 @@ router.get("/profile", auth, async (req, res) => {
       last_login: user.last_login,
     };
 
-    // Add role-specific data
-    if (userRole === "admin") {
+    // Add account-specific data
+    if (!(user instanceof Teacher)) {
       responseData.is_super_admin = user.is_super_admin;
       responseData.status = user.status;
       responseData.permissions = user.permissions;
       responseData.email_verified = user.email_verified;
     } else {
       responseData.email_verified = user.email_verified;
+      responseData.notification_preferences = getNotificationPreferences(user);
+      // Events and the frequencies each one accepts, for settings screens
+      responseData.notification_events = Object.keys(NOTIFICATION_EVENTS).map(
+        (event) => ({
+          event,
+          description: NOTIFICATION_EVENTS[event].description,
+          frequencies: allowedFrequencies(event),
+        })
+      );
     }
 
     res.json({
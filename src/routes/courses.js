@@ -1,14 +1,33 @@
 const express = require("express");
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const Course = require("../models/Course");
 const Session = require("../models/Session");
 const CourseStudent = require("../models/CourseStudent");
 const Attendance = require("../models/Attendance");
 const Teacher = require("../models/Teacher");
-const { auth } = require("../middleware/auth");
+const Term = require("../models/Term");
+const { auth, adminPermission, allowApiKey } = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
 const EmailService = require("../services/emailService");
+const {
+  getCoursePolicy,
+  computeCourseEligibility,
+} = require("../services/attendancePolicy");
+const {
+  AT_RISK_REASONS,
+  computeAtRiskStudents,
+  sendAtRiskAlerts,
+} = require("../services/atRiskStudents");
+const ReportGenerator = require("../utils/reportGenerator");
+const { resolveTermFilter } = require("../services/termService");
+const {
+  MEMBER_ROLES,
+  courseAccessQuery,
+  getCourseRole,
+  getCourseCapabilities,
+  findAccessibleCourse,
+} = require("../services/courseAccess");
 
 const emailService = new EmailService();
 const router = express.Router();
@@ -17,6 +36,7 @@ const router = express.Router();
 router.post(
   "/",
   auth,
+  adminPermission("manage_courses"),
   [
     body("course_code")
       .trim()
@@ -49,9 +69,12 @@ router.post(
     try {
       const { course_code, title, level, lecturer_id } = req.body;
 
-      // Check for unique course code - prevent duplicate course codes
+      // Course codes are unique within the current term; archived terms
+      // keep their own copies of the same codes
+      const currentTerm = await Term.findCurrent();
       const existingCourse = await Course.findOne({
         course_code: course_code.toUpperCase(),
+        term_id: currentTerm ? currentTerm._id : null,
       });
 
       if (existingCourse) {
@@ -132,100 +155,114 @@ router.post(
 );
 
 // Get all courses by teacher
-router.get("/", auth, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const { level, search } = req.query;
-
-    // Build query - teachers see only their courses, admins see all courses
-    let query = {};
-
-    // If teacher, only show their courses. If admin, show all courses
-    if (req.teacher && req.userType !== "admin") {
-      query.teacher_id = req.teacher._id;
-    }
+router.get(
+  "/",
+  allowApiKey("courses:read"),
+  auth,
+  adminPermission("manage_courses"),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+      const { level, search, term } = req.query;
 
-    if (level) {
-      query.level = parseInt(level);
-    }
+      // Teachers see the courses they teach (as owner or team member),
+      // admins see all courses
+      let query = courseAccessQuery(req);
 
-    if (search) {
-      query.$or = [
-        { course_code: { $regex: search, $options: "i" } },
-        { title: { $regex: search, $options: "i" } },
-      ];
-    }
+      if (level) {
+        query.level = parseInt(level);
+      }
 
-    const courses = await Course.find(query)
-      .populate("teacher_id", "name email")
-      .sort({ created_at: -1 })
-      .skip(skip)
-      .limit(limit);
+      const termId = await resolveTermFilter(term);
+      if (termId) {
+        query.term_id = termId;
+      }
 
-    const total = await Course.countDocuments(query);
+      if (search) {
+        query.$and = [
+          {
+            $or: [
+              { course_code: { $regex: search, $options: "i" } },
+              { title: { $regex: search, $options: "i" } },
+            ],
+          },
+        ];
+      }
 
-    // Get student counts and active session info for each course
-    const coursesWithCounts = await Promise.all(
-      courses.map(async (course) => {
-        const studentCount = await CourseStudent.countDocuments({
-          course_id: course._id,
-        });
+      const courses = await Course.find(query)
+        .populate("teacher_id", "name email")
+        .populate("members.teacher_id", "name email")
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit);
 
-        // Get active sessions for this course
-        const activeSessions = await Session.find({
-          course_id: course._id,
-          is_active: true,
-          expiry_ts: { $gt: new Date() },
-        }).select("_id session_code start_ts expiry_ts");
+      const total = await Course.countDocuments(query);
 
-        return {
-          ...course.toObject(),
-          student_count: studentCount,
-          active_sessions_count: activeSessions.length,
-          has_active_session: activeSessions.length > 0,
-          active_sessions: activeSessions,
-        };
-      })
-    );
-
-    res.json({
-      courses: coursesWithCounts,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalCourses: total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Get courses error:", error);
-    res.status(500).json({ error: "Internal server error" });
+      // Get student counts and active session info for each course
+      const coursesWithCounts = await Promise.all(
+        courses.map(async (course) => {
+          const studentCount = await CourseStudent.countDocuments({
+            course_id: course._id,
+          });
+
+          // Get active sessions for this course
+          const activeSessions = await Session.find({
+            course_id: course._id,
+            is_active: true,
+            expiry_ts: { $gt: new Date() },
+          }).select("_id session_code start_ts expiry_ts");
+
+          return {
+            ...course.toObject(),
+            my_role: req.teacher
+              ? getCourseRole(course, req.teacher._id)
+              : null,
+            student_count: studentCount,
+            active_sessions_count: activeSessions.length,
+            has_active_session: activeSessions.length > 0,
+            active_sessions: activeSessions,
+          };
+        })
+      );
+
+      res.json({
+        courses: coursesWithCounts,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCourses: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Get courses error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
 // Get specific course with comprehensive details
 router.get(
   "/:id",
+  allowApiKey("courses:read"),
   auth,
+  adminPermission("manage_courses"),
   [param("id").isMongoId().withMessage("Valid course ID required")],
   validate,
   async (req, res) => {
     try {
-      // Build query based on user type
-      let query = { _id: req.params.id };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query).populate(
-        "teacher_id",
-        "name email"
-      );
+      const course = await Course.findOne({
+        _id: req.params.id,
+        ...courseAccessQuery(req),
+      })
+        .populate("teacher_id", "name email")
+        .populate("members.teacher_id", "name email");
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -286,7 +323,11 @@ router.get(
 
       attendanceStats.forEach((stat) => {
         totalAttendanceRecords += stat.count;
-        if (stat._id === "present" || stat._id === "manual_present") {
+        if (
+          stat._id === "present" ||
+          stat._id === "late" ||
+          stat._id === "manual_present"
+        ) {
           presentCount += stat.count;
         } else if (stat._id === "absent") {
           absentCount += stat.count;
@@ -315,7 +356,11 @@ router.get(
       }));
 
       res.json({
-        course: course.toObject(),
+        course: {
+          ...course.toObject(),
+          my_role: req.teacher ? getCourseRole(course, req.teacher._id) : null,
+          capabilities: getCourseCapabilities(req, course),
+        },
         students: {
           total: totalStudents,
           active: students.filter((s) => s.status === "active").length,
@@ -370,6 +415,7 @@ router.get(
 router.patch(
   "/:id",
   auth,
+  adminPermission("manage_courses"),
   [
     param("id").isMongoId().withMessage("Valid course ID required"),
     body("course_code")
@@ -405,24 +451,27 @@ router.patch(
     try {
       const { course_code, title, level, lecturer_id } = req.body;
 
-      // Find course
-      let courseQuery = { _id: req.params.id };
-
-      // If teacher, only access their courses. If admin, access all courses
-      if (req.teacher && req.userType !== "admin") {
-        courseQuery.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(courseQuery);
+      const course = await findAccessibleCourse(
+        req,
+        req.params.id,
+        "edit_course"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Check if course code is being changed and if it's unique
       if (course_code && course_code.toUpperCase() !== course.course_code) {
         const existingCourse = await Course.findOne({
           course_code: course_code.toUpperCase(),
+          term_id: course.term_id,
           _id: { $ne: req.params.id }, // Exclude current course
         });
 
@@ -459,6 +508,10 @@ router.patch(
         }
 
         course.teacher_id = lecturer_id;
+        // The new owner no longer needs a team role
+        course.members = course.members.filter(
+          (member) => member.teacher_id.toString() !== lecturer_id
+        );
       } else if (lecturer_id && req.userType !== "admin") {
         return res.status(403).json({
           error: "Access denied",
@@ -500,6 +553,9 @@ router.patch(
         course,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Course update error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -510,24 +566,28 @@ router.patch(
 router.delete(
   "/:id",
   auth,
+  adminPermission("manage_courses"),
   [param("id").isMongoId().withMessage("Valid course ID required")],
   validate,
   auditLogger("course_deleted"),
   async (req, res) => {
     try {
-      let courseQuery = { _id: req.params.id };
-
-      // If teacher, only access their courses. If admin, access all courses
-      if (req.teacher && req.userType !== "admin") {
-        courseQuery.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(courseQuery);
+      const course = await findAccessibleCourse(
+        req,
+        req.params.id,
+        "delete_course"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Clean up related data
       await CourseStudent.deleteMany({ course_id: req.params.id });
 
@@ -535,6 +595,9 @@ router.delete(
 
       res.json({ message: "Course deleted successfully" });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Course deletion error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -545,6 +608,7 @@ router.delete(
 router.post(
   "/:courseId/copy-students/:sourceCourseId",
   auth,
+  adminPermission("manage_courses"),
   [
     param("courseId")
       .isMongoId()
@@ -570,17 +634,11 @@ router.post(
       const { courseId, sourceCourseId } = req.params;
       const { student_ids } = req.body;
 
-      // Verify both courses exist and user has access
-      let courseQuery = {};
-
-      // If teacher, only access their courses. If admin, access all courses
-      if (req.teacher && req.userType !== "admin") {
-        courseQuery.teacher_id = req.teacher._id;
-      }
-
+      // Verify both courses exist and user has access; only the target's
+      // roster changes
       const [targetCourse, sourceCourse] = await Promise.all([
-        Course.findOne({ _id: courseId, ...courseQuery }),
-        Course.findOne({ _id: sourceCourseId, ...courseQuery }),
+        findAccessibleCourse(req, courseId, "manage_students"),
+        findAccessibleCourse(req, sourceCourseId),
       ]);
 
       if (!targetCourse) {
@@ -655,6 +713,9 @@ router.post(
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Copy students error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -665,6 +726,7 @@ router.post(
 router.get(
   "/:courseId/attendance-report",
   auth,
+  adminPermission("manage_courses"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   auditLogger("course_attendance_report_generated"),
@@ -673,15 +735,9 @@ router.get(
       const { courseId } = req.params;
       const { format } = req.query; // optional: 'summary' or 'detailed' (default: detailed)
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(req, courseId);
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -754,7 +810,7 @@ router.get(
             attendanceMap[studentId] && attendanceMap[studentId][sessionId];
 
           if (attendance) {
-            const isPresent = ["present", "manual_present"].includes(
+            const isPresent = ["present", "late", "manual_present"].includes(
               attendance.status
             );
             if (isPresent) {
@@ -819,7 +875,7 @@ router.get(
       const totalSessions = sessions.length;
       const totalPossibleAttendance = totalStudents * totalSessions;
       const totalActualAttendance = allAttendanceRecords.filter((record) =>
-        ["present", "manual_present"].includes(record.status)
+        ["present", "late", "manual_present"].includes(record.status)
       ).length;
 
       const overallAttendanceRate =
@@ -834,7 +890,7 @@ router.get(
         );
 
         const presentCount = sessionAttendance.filter((record) =>
-          ["present", "manual_present"].includes(record.status)
+          ["present", "late", "manual_present"].includes(record.status)
         ).length;
 
         const sessionRate =
@@ -960,10 +1016,345 @@ router.get(
   }
 );
 
+// Update the course attendance / exam-eligibility policy
+router.patch(
+  "/:courseId/attendance-policy",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("min_percentage")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Minimum percentage must be between 0 and 100"),
+    body("count_manual_present")
+      .optional()
+      .isBoolean()
+      .withMessage("count_manual_present must be a boolean"),
+    body("excused_absence_grace")
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage("Excused absence grace must be between 0 and 100"),
+    body("warning_margin")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Warning margin must be between 0 and 100"),
+    body("warning_emails_enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("warning_emails_enabled must be a boolean"),
+    body("consecutive_absence_limit")
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage("Consecutive absence limit must be between 0 and 100"),
+    body("trend_window")
+      .optional()
+      .isInt({ min: 2, max: 50 })
+      .withMessage("Trend window must be between 2 and 50 sessions"),
+    body("trend_drop")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Trend drop must be between 0 and 100"),
+  ],
+  validate,
+  auditLogger("course_attendance_policy_updated"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const policy = getCoursePolicy(course);
+      [
+        "min_percentage",
+        "count_manual_present",
+        "excused_absence_grace",
+        "warning_margin",
+        "warning_emails_enabled",
+        "consecutive_absence_limit",
+        "trend_window",
+        "trend_drop",
+      ].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          policy[field] = req.body[field];
+        }
+      });
+
+      course.attendance_policy = policy;
+      await course.save();
+
+      res.json({
+        message: "Attendance policy updated successfully",
+        attendance_policy: getCoursePolicy(course),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Update attendance policy error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get exam eligibility for all students in a course
+router.get(
+  "/:courseId/eligibility",
+  auth,
+  adminPermission("manage_courses"),
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(req, req.params.courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const eligibility = await computeCourseEligibility(course);
+
+      res.json(eligibility);
+    } catch (error) {
+      console.error("Get course eligibility error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Download exam eligibility report (CSV or PDF)
+router.get(
+  "/:courseId/eligibility.:format(csv|pdf)",
+  auth,
+  adminPermission("manage_courses"),
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  auditLogger("course_eligibility_report_downloaded"),
+  async (req, res) => {
+    try {
+      const { courseId, format } = req.params;
+      const { email } = req.query;
+
+      const course = await findAccessibleCourse(req, courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const eligibility = await computeCourseEligibility(course);
+      const reportBuffer =
+        format === "csv"
+          ? ReportGenerator.generateEligibilityReportCSV(eligibility)
+          : await ReportGenerator.generateEligibilityReportPDF(eligibility);
+
+      // If email is requested, send via email
+      if (email && email.toLowerCase() === "true") {
+        try {
+          await emailService.sendAttendanceReport(
+            req.user.email,
+            req.user.name,
+            `${course.title} - Exam Eligibility`,
+            reportBuffer,
+            format
+          );
+
+          return res.json({
+            message: "Eligibility report has been sent to your email",
+          });
+        } catch (emailError) {
+          console.error("Failed to send eligibility report email:", emailError);
+          // Fall through to direct download
+        }
+      }
+
+      const filename = `eligibility-${course.course_code}-${Date.now()}.${format}`;
+
+      res.setHeader(
+        "Content-Type",
+        format === "csv" ? "text/csv" : "application/pdf"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      res.send(reportBuffer);
+    } catch (error) {
+      console.error("Generate eligibility report error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Students flagged by the early-warning checks, optionally for one reason
+router.get(
+  "/:courseId/at-risk",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    query("reason")
+      .optional()
+      .isIn(Object.keys(AT_RISK_REASONS))
+      .withMessage(
+        `Reason must be one of: ${Object.keys(AT_RISK_REASONS).join(", ")}`
+      ),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(req, req.params.courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const report = await computeAtRiskStudents(course);
+      if (req.query.reason) {
+        report.students = report.students.filter((student) =>
+          student.reasons.includes(req.query.reason)
+        );
+      }
+
+      res.json({ ...report, reasons: AT_RISK_REASONS });
+    } catch (error) {
+      console.error("Get at-risk students error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Download the at-risk report (CSV)
+router.get(
+  "/:courseId/at-risk.csv",
+  auth,
+  adminPermission("manage_courses"),
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  auditLogger("course_at_risk_report_downloaded"),
+  async (req, res) => {
+    try {
+      const { email } = req.query;
+
+      const course = await findAccessibleCourse(req, req.params.courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const report = await computeAtRiskStudents(course);
+      const reportBuffer = ReportGenerator.generateAtRiskReportCSV(report);
+
+      // If email is requested, send via email
+      if (email && email.toLowerCase() === "true") {
+        try {
+          await emailService.sendAttendanceReport(
+            req.user.email,
+            req.user.name,
+            `${course.title} - At-Risk Students`,
+            reportBuffer,
+            "csv"
+          );
+
+          return res.json({
+            message: "At-risk report has been sent to your email",
+          });
+        } catch (emailError) {
+          console.error("Failed to send at-risk report email:", emailError);
+          // Fall through to direct download
+        }
+      }
+
+      const filename = `at-risk-${course.course_code}-${Date.now()}.csv`;
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      res.send(reportBuffer);
+    } catch (error) {
+      console.error("Generate at-risk report error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Email early-warning alerts to at-risk students and the course lecturer
+router.post(
+  "/:courseId/at-risk/alerts",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("student_ids")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("student_ids must be a non-empty array"),
+    body("student_ids.*").isMongoId().withMessage("Valid student ID required"),
+    body("notify_students")
+      .optional()
+      .isBoolean()
+      .withMessage("notify_students must be a boolean"),
+    body("notify_lecturer")
+      .optional()
+      .isBoolean()
+      .withMessage("notify_lecturer must be a boolean"),
+  ],
+  validate,
+  auditLogger("course_at_risk_alerts_sent"),
+  async (req, res) => {
+    try {
+      const { student_ids, notify_students, notify_lecturer } = req.body;
+
+      if (notify_students === false && notify_lecturer === false) {
+        return res.status(400).json({
+          error: "Nothing to send",
+          details: ["Enable notify_students, notify_lecturer or both"],
+        });
+      }
+
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "manage_students"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const report = await computeAtRiskStudents(course);
+      const result = await sendAtRiskAlerts(course, report, {
+        studentIds: student_ids,
+        notifyStudents: notify_students !== false,
+        notifyLecturer: notify_lecturer !== false,
+      });
+
+      res.json({
+        message: "At-risk alerts queued",
+        ...result,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Send at-risk alerts error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Admin route: Reassign course to another lecturer
 router.patch(
   "/:courseId/reassign-lecturer",
   auth,
+  adminPermission("manage_courses"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     body("new_lecturer_id")
@@ -1024,8 +1415,11 @@ router.patch(
       // Store old lecturer info for response
       const oldLecturer = course.teacher_id;
 
-      // Update course assignment
+      // Update course assignment; the new owner no longer needs a team role
       course.teacher_id = new_lecturer_id;
+      course.members = course.members.filter(
+        (member) => member.teacher_id.toString() !== new_lecturer_id
+      );
       await course.save();
 
       // Populate new lecturer info
@@ -1081,4 +1475,246 @@ router.patch(
   }
 );
 
+// Owner and team members of a course
+const formatTeam = (course) => ({
+  owner: course.teacher_id,
+  members: course.members.map((member) => ({
+    lecturer: member.teacher_id,
+    role: member.role,
+    added_at: member.added_at,
+  })),
+});
+
+// Get the teaching team of a course
+router.get(
+  "/:courseId/team",
+  auth,
+  adminPermission("manage_courses"),
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(req, req.params.courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      await course.populate([
+        { path: "teacher_id", select: "name email" },
+        { path: "members.teacher_id", select: "name email" },
+      ]);
+
+      res.json({
+        course_code: course.course_code,
+        team: formatTeam(course),
+        my_role: req.teacher ? getCourseRole(course, req.teacher._id) : null,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Get course team error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Add a co-lecturer or teaching assistant to a course
+router.post(
+  "/:courseId/team",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("lecturer_id").isMongoId().withMessage("Valid lecturer ID required"),
+    body("role")
+      .isIn(MEMBER_ROLES)
+      .withMessage(`Role must be one of: ${MEMBER_ROLES.join(", ")}`),
+  ],
+  validate,
+  auditLogger("course_team_member_added"),
+  async (req, res) => {
+    try {
+      const { lecturer_id, role } = req.body;
+
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "manage_team"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
+      const lecturer = await Teacher.findById(lecturer_id);
+      if (!lecturer) {
+        return res.status(404).json({ error: "Lecturer not found" });
+      }
+
+      if (getCourseRole(course, lecturer._id)) {
+        return res.status(400).json({
+          error: `${lecturer.name} is already on this course's team`,
+        });
+      }
+
+      course.members.push({
+        teacher_id: lecturer._id,
+        role,
+        added_by: req.user._id,
+      });
+      await course.save();
+      await course.populate([
+        { path: "teacher_id", select: "name email" },
+        { path: "members.teacher_id", select: "name email" },
+      ]);
+
+      res.status(201).json({
+        message: `${lecturer.name} added to ${course.course_code} as ${role}`,
+        team: formatTeam(course),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Add course team member error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Change a team member's role
+router.patch(
+  "/:courseId/team/:lecturerId",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("lecturerId").isMongoId().withMessage("Valid lecturer ID required"),
+    body("role")
+      .isIn(MEMBER_ROLES)
+      .withMessage(`Role must be one of: ${MEMBER_ROLES.join(", ")}`),
+  ],
+  validate,
+  auditLogger("course_team_member_updated"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "manage_team"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
+      const member = course.members.find(
+        (entry) => entry.teacher_id.toString() === req.params.lecturerId
+      );
+      if (!member) {
+        return res.status(404).json({ error: "Team member not found" });
+      }
+
+      member.role = req.body.role;
+      await course.save();
+      await course.populate([
+        { path: "teacher_id", select: "name email" },
+        { path: "members.teacher_id", select: "name email" },
+      ]);
+
+      res.json({
+        message: "Team member role updated successfully",
+        team: formatTeam(course),
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Update course team member error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Remove a team member; members may also leave a course themselves
+router.delete(
+  "/:courseId/team/:lecturerId",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("lecturerId").isMongoId().withMessage("Valid lecturer ID required"),
+  ],
+  validate,
+  auditLogger("course_team_member_removed"),
+  async (req, res) => {
+    try {
+      const { courseId, lecturerId } = req.params;
+      const leaving =
+        req.userType !== "admin" &&
+        req.teacher &&
+        req.teacher._id.toString() === lecturerId;
+
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        leaving ? "view" : "manage_team"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
+      if (course.teacher_id.toString() === lecturerId) {
+        return res.status(400).json({
+          error:
+            "The course owner cannot be removed; reassign the course instead",
+        });
+      }
+
+      const remaining = course.members.filter(
+        (member) => member.teacher_id.toString() !== lecturerId
+      );
+      if (remaining.length === course.members.length) {
+        return res.status(404).json({ error: "Team member not found" });
+      }
+
+      course.members = remaining;
+      await course.save();
+
+      res.json({
+        message: leaving
+          ? `You have left ${course.course_code}`
+          : "Team member removed successfully",
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Remove course team member error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 module.exports = router;
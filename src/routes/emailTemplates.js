@@ -0,0 +1,277 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const EmailTemplate = require("../models/EmailTemplate");
+const EmailTemplateVersion = require("../models/EmailTemplateVersion");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  EMAIL_TEMPLATES,
+  getDefaultTemplate,
+  getActiveTemplate,
+  previewTemplate,
+  saveTemplate,
+  rollbackTemplate,
+  resetTemplate,
+} = require("../services/emailTemplates");
+
+const router = express.Router();
+
+const nameValidator = param("name")
+  .isIn(Object.keys(EMAIL_TEMPLATES))
+  .withMessage(
+    `Template must be one of: ${Object.keys(EMAIL_TEMPLATES).join(", ")}`
+  );
+
+const actorOf = (req) => ({ id: req.user._id, type: "Admin" });
+
+const sendServiceError = (res, error) =>
+  res
+    .status(error.status)
+    .json({ error: error.message, details: error.details });
+
+const templateInfo = (name) => {
+  const { description, variables } = EMAIL_TEMPLATES[name];
+  return { name, description, variables };
+};
+
+// All email templates and whether each has been edited
+router.get("/", requirePermission("system_settings"), async (req, res) => {
+  try {
+    const custom = await EmailTemplate.find().populate(
+      "updated_by",
+      "name email"
+    );
+    const byName = new Map(custom.map((template) => [template.name, template]));
+
+    const templates = Object.keys(EMAIL_TEMPLATES).map((name) => {
+      const template = byName.get(name);
+      return {
+        ...templateInfo(name),
+        customized: !!template,
+        version: template ? template.version : 0,
+        updated_by: template ? template.updated_by : null,
+        updated_at: template ? template.updated_at : null,
+      };
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error("Get email templates error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// The template in use, with the default for comparison
+router.get(
+  "/:name",
+  requirePermission("system_settings"),
+  [nameValidator],
+  validate,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const [active, defaults] = await Promise.all([
+        getActiveTemplate(name),
+        getDefaultTemplate(name),
+      ]);
+
+      res.json({
+        template: { ...templateInfo(name), ...active },
+        default: defaults,
+      });
+    } catch (error) {
+      console.error("Get email template error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Save a new subject and body. Names the email does not provide are
+// rejected, so a typo cannot send blank emails.
+router.put(
+  "/:name",
+  requirePermission("system_settings"),
+  [
+    nameValidator,
+    body("subject")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Subject must be 1-500 characters"),
+    body("body")
+      .isString()
+      .isLength({ min: 1, max: 200000 })
+      .withMessage("Body is required"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Note cannot exceed 500 characters"),
+  ],
+  validate,
+  auditLogger("email_template_updated"),
+  async (req, res) => {
+    try {
+      const { subject, body: templateBody, note } = req.body;
+      const template = await saveTemplate(
+        req.params.name,
+        { subject, body: templateBody, note },
+        actorOf(req)
+      );
+
+      res.json({
+        message: "Email template saved successfully",
+        template,
+      });
+    } catch (error) {
+      if (error.status) return sendServiceError(res, error);
+      console.error("Save email template error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Render the current template, or an unsaved draft, with sample data.
+// Fields in `data` replace the sample values.
+router.post(
+  "/:name/preview",
+  requirePermission("system_settings"),
+  [
+    nameValidator,
+    body("subject").optional().isString(),
+    body("body").optional().isString(),
+    body("data")
+      .optional()
+      .isObject()
+      .withMessage("Preview data must be an object"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { subject, body: templateBody, data } = req.body;
+      const preview = await previewTemplate(
+        name,
+        { subject, body: templateBody },
+        data
+      );
+
+      res.json({
+        preview,
+        sample_data: { ...EMAIL_TEMPLATES[name].sample, ...data },
+      });
+    } catch (error) {
+      if (error.status) return sendServiceError(res, error);
+      console.error("Preview email template error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Version history, newest first
+router.get(
+  "/:name/versions",
+  requirePermission("system_settings"),
+  [nameValidator],
+  validate,
+  async (req, res) => {
+    try {
+      const versions = await EmailTemplateVersion.find({
+        name: req.params.name,
+      })
+        .select("-body")
+        .populate("created_by", "name email")
+        .sort({ version: -1 });
+
+      res.json({ versions });
+    } catch (error) {
+      console.error("Get email template versions error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// One version in full
+router.get(
+  "/:name/versions/:version",
+  requirePermission("system_settings"),
+  [
+    nameValidator,
+    param("version").isInt({ min: 1 }).withMessage("Valid version required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const version = await EmailTemplateVersion.findOne({
+        name: req.params.name,
+        version: parseInt(req.params.version),
+      }).populate("created_by", "name email");
+
+      if (!version) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+
+      res.json({ version });
+    } catch (error) {
+      console.error("Get email template version error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Make an earlier version current again. This is saved as a new version so
+// the history only grows.
+router.post(
+  "/:name/rollback",
+  requirePermission("system_settings"),
+  [
+    nameValidator,
+    body("version").isInt({ min: 1 }).withMessage("Valid version required"),
+  ],
+  validate,
+  auditLogger("email_template_rolled_back"),
+  async (req, res) => {
+    try {
+      const template = await rollbackTemplate(
+        req.params.name,
+        parseInt(req.body.version),
+        actorOf(req)
+      );
+
+      res.json({
+        message: `Email template rolled back to version ${req.body.version}`,
+        template,
+      });
+    } catch (error) {
+      if (error.status) return sendServiceError(res, error);
+      console.error("Roll back email template error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Go back to the default template; the version history is kept
+router.delete(
+  "/:name",
+  requirePermission("system_settings"),
+  [nameValidator],
+  validate,
+  auditLogger("email_template_reset"),
+  async (req, res) => {
+    try {
+      const template = await resetTemplate(req.params.name, actorOf(req));
+
+      res.json({
+        message: "Email template reset to default",
+        template,
+      });
+    } catch (error) {
+      if (error.status) return sendServiceError(res, error);
+      console.error("Reset email template error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
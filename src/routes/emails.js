@@ -0,0 +1,147 @@
+const express = require("express");
+const { param, query } = require("express-validator");
+const EmailMessage = require("../models/EmailMessage");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const { EMAIL_TEMPLATES } = require("../services/emailTemplates");
+const { resendEmail } = require("../services/emailOutbox");
+
+const router = express.Router();
+
+// Search the outbox by recipient, type, status and date
+router.get(
+  "/",
+  requirePermission("system_settings"),
+  [
+    query("recipient").optional().trim().isLength({ min: 1, max: 254 }),
+    query("type")
+      .optional()
+      .isIn(Object.keys(EMAIL_TEMPLATES))
+      .withMessage(
+        `Type must be one of: ${Object.keys(EMAIL_TEMPLATES).join(", ")}`
+      ),
+    query("status")
+      .optional()
+      .isIn(EmailMessage.STATUSES)
+      .withMessage(
+        `Status must be one of: ${EmailMessage.STATUSES.join(", ")}`
+      ),
+    query("since").optional().isISO8601().withMessage("Valid date required"),
+    query("until").optional().isISO8601().withMessage("Valid date required"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { recipient, type, status, since, until } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = {};
+
+      if (recipient) {
+        filter.to = new RegExp(
+          recipient.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+      }
+      if (type) {
+        filter.type = type;
+      }
+      if (since || until) {
+        filter.created_at = {};
+        if (since) filter.created_at.$gte = new Date(since);
+        if (until) filter.created_at.$lte = new Date(until);
+      }
+
+      const [emails, total, statusCounts] = await Promise.all([
+        EmailMessage.find(status ? { ...filter, status } : filter)
+          .select("-html -attachments.content")
+          .sort({ created_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        EmailMessage.countDocuments(status ? { ...filter, status } : filter),
+        EmailMessage.aggregate([
+          { $match: filter },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      res.json({
+        emails,
+        status_counts: EmailMessage.STATUSES.reduce((counts, value) => {
+          const entry = statusCounts.find((count) => count._id === value);
+          counts[value] = entry ? entry.count : 0;
+          return counts;
+        }, {}),
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          per_page: limit,
+        },
+      });
+    } catch (error) {
+      console.error("Get emails error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// One email with its body and every delivery attempt
+router.get(
+  "/:emailId",
+  requirePermission("system_settings"),
+  [param("emailId").isMongoId().withMessage("Valid email ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const email = await EmailMessage.findById(req.params.emailId).select(
+        "-attachments.content"
+      );
+
+      if (!email) {
+        return res.status(404).json({ error: "Email not found" });
+      }
+
+      res.json({ email });
+    } catch (error) {
+      console.error("Get email error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Send a failed email again (as a new email)
+router.post(
+  "/:emailId/resend",
+  requirePermission("system_settings"),
+  [param("emailId").isMongoId().withMessage("Valid email ID required")],
+  validate,
+  auditLogger("email_resent"),
+  async (req, res) => {
+    try {
+      const email = await EmailMessage.findById(req.params.emailId);
+
+      if (!email) {
+        return res.status(404).json({ error: "Email not found" });
+      }
+
+      const resent = await resendEmail(email);
+
+      res.status(202).json({
+        message: "Email queued for resending",
+        email_id: resent._id,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Resend email error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,13 +1,41 @@
 const express = require("express");
-const { body, param } = require("express-validator");
+const mongoose = require("mongoose");
+const { body, param, query } = require("express-validator");
 const Session = require("../models/Session");
 const Course = require("../models/Course");
 const Attendance = require("../models/Attendance");
-const { auth } = require("../middleware/auth");
+const Job = require("../models/Job");
+const Venue = require("../models/Venue");
+const Term = require("../models/Term");
+const { auth, allowQueryToken } = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
+const QRCode = require("qrcode");
 const EmailService = require("../services/emailService");
-const { generateSessionCode, generateNonce } = require("../utils/helpers");
+const jobQueue = require("../services/jobQueue");
+const { SESSION_REPORT_JOB } = require("../services/scheduledReports");
+const {
+  ATTENDANCE_WARNING_JOB,
+  scheduleAttendanceWarning,
+} = require("../services/attendanceWarnings");
+const { getAccuracyLimit } = require("../services/locationPolicy");
+const liveFeed = require("../services/liveFeed");
+const { resolveTermFilter } = require("../services/termService");
+const {
+  SESSION_ENDED_EVENT_JOB,
+  emitSessionStarted,
+  scheduleSessionEndedEvent,
+} = require("../services/webhooks");
+const {
+  teachingFilter,
+  teachingCourseIds,
+  getCourseRole,
+} = require("../services/courseAccess");
+const {
+  generateSessionCode,
+  generateNonce,
+  generateQrToken,
+} = require("../utils/helpers");
 
 const emailService = new EmailService();
 const router = express.Router();
@@ -18,10 +46,16 @@ router.post(
   auth,
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("venue_id")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid venue ID required"),
     body("lat")
+      .if(body("venue_id").not().exists())
       .isFloat({ min: -90, max: 90 })
       .withMessage("Valid latitude required"),
     body("lng")
+      .if(body("venue_id").not().exists())
       .isFloat({ min: -180, max: 180 })
       .withMessage("Valid longitude required"),
     body("radius_m")
@@ -32,24 +66,69 @@ router.post(
       .optional()
       .isInt({ min: 5, max: 480 })
       .withMessage("Duration must be between 5-480 minutes"),
+    body("qr_enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("qr_enabled must be a boolean"),
+    body("qr_rotation_seconds")
+      .optional()
+      .isInt({ min: 10, max: 300 })
+      .withMessage("QR rotation must be between 10-300 seconds"),
+    body("grace_period_minutes")
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 480 })
+      .withMessage("Grace period must be between 0-480 minutes"),
+    body("max_accuracy_m")
+      .optional({ nullable: true })
+      .isInt({ min: 5, max: 5000 })
+      .withMessage("Maximum GPS accuracy must be between 5-5000 meters"),
+    body("accuracy_action")
+      .optional()
+      .isIn(["reject", "flag"])
+      .withMessage("Accuracy action must be reject or flag"),
   ],
   validate,
   auditLogger("session_started"),
   async (req, res) => {
     try {
       const { courseId } = req.params;
-      const { lat, lng, radius_m = 100, duration_minutes = 60 } = req.body;
+      let { lat, lng } = req.body;
+      const {
+        venue_id,
+        radius_m = 100,
+        duration_minutes = 60,
+        qr_enabled = false,
+        qr_rotation_seconds = 30,
+        grace_period_minutes = null,
+        max_accuracy_m = null,
+        accuracy_action = "flag",
+      } = req.body;
+
+      if (
+        grace_period_minutes !== null &&
+        Number(grace_period_minutes) >= Number(duration_minutes)
+      ) {
+        return res.status(400).json({
+          error: "Grace period must be shorter than the session duration",
+        });
+      }
 
-      // Verify course belongs to teacher
+      // Verify the teacher runs sessions for this course
       const course = await Course.findOne({
         _id: courseId,
-        teacher_id: req.teacher._id,
+        ...teachingFilter(req.teacher._id, "run_sessions"),
       });
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Sessions in an archived term are read-only",
+        });
+      }
+
       // Check if there's already an active session for this course
       const activeSession = await Session.findOne({
         course_id: courseId,
@@ -67,6 +146,18 @@ router.post(
         });
       }
 
+      // Venue sessions are located at the venue instead of the lecturer
+      let venue = null;
+      if (venue_id) {
+        venue = await Venue.findOne({ _id: venue_id, is_active: true });
+
+        if (!venue) {
+          return res.status(404).json({ error: "Venue not found" });
+        }
+
+        ({ lat, lng } = venue.getCenter());
+      }
+
       // Generate session details
       const sessionCode = generateSessionCode();
       const nonce = generateNonce();
@@ -86,9 +177,30 @@ router.post(
         lng,
         radius_m,
         nonce,
+        qr_enabled,
+        qr_rotation_seconds,
+        grace_period_minutes,
+        max_accuracy_m,
+        accuracy_action,
+        venue_id: venue ? venue._id : null,
       });
 
       await session.save();
+
+      // Check the course attendance threshold once the session closes
+      try {
+        await scheduleAttendanceWarning(session);
+      } catch (jobError) {
+        console.error("Failed to schedule attendance warning:", jobError);
+      }
+
+      try {
+        emitSessionStarted(session, course);
+        await scheduleSessionEndedEvent(session);
+      } catch (jobError) {
+        console.error("Failed to schedule session webhooks:", jobError);
+      }
+
       await session.populate(["course_id", "teacher_id"]);
 
       // Send email notification to teacher
@@ -113,11 +225,24 @@ router.post(
           start_time: startTime,
           expiry_time: expiryTime,
           location: { lat, lng },
-          radius_meters: radius_m,
+          radius_meters: venue ? undefined : radius_m,
+          venue: venue
+            ? { id: venue._id, name: venue.name, building: venue.building }
+            : undefined,
           duration_minutes,
+          qr_enabled: session.qr_enabled,
+          qr_rotation_seconds: session.qr_enabled
+            ? session.qr_rotation_seconds
+            : undefined,
+          grace_period_minutes: session.grace_period_minutes,
+          max_accuracy_m: getAccuracyLimit(session),
+          accuracy_action: session.accuracy_action,
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Start session error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -138,10 +263,10 @@ router.get(
       const skip = (page - 1) * limit;
       const status = req.query.status; // active, expired, all
 
-      // Verify course belongs to teacher
+      // Verify the teacher teaches this course
       const course = await Course.findOne({
         _id: courseId,
-        teacher_id: req.teacher._id,
+        ...teachingFilter(req.teacher._id),
       });
 
       if (!course) {
@@ -175,7 +300,7 @@ router.get(
           });
           const presentCount = await Attendance.countDocuments({
             session_id: session._id,
-            status: { $in: ["present", "manual_present"] },
+            status: { $in: ["present", "late", "manual_present"] },
           });
 
           return {
@@ -220,9 +345,10 @@ router.get(
       // Build query based on user type
       let query = { _id: sessionId };
 
-      // If teacher, only show their sessions. If admin, show all sessions
+      // If teacher, only show sessions of courses they teach. If admin, show
+      // all sessions
       if (req.teacher) {
-        query.teacher_id = req.teacher._id;
+        query.course_id = { $in: await teachingCourseIds(req.teacher._id) };
       }
 
       const session = await Session.findOne(query)
@@ -284,6 +410,7 @@ router.get(
       const presentStudents = studentsWithAttendance.filter(
         (s) =>
           s.attendance_status === "present" ||
+          s.attendance_status === "late" ||
           s.attendance_status === "manual_present"
       );
       const absentStudents = studentsWithAttendance.filter(
@@ -312,6 +439,9 @@ router.get(
           total_enrolled: totalEnrolled,
           total_submissions: totalSubmissions,
           present_count: presentCount,
+          late_count: presentStudents.filter(
+            (s) => s.attendance_status === "late"
+          ).length,
           absent_count: absentCount,
           attendance_rate:
             totalEnrolled > 0
@@ -343,13 +473,21 @@ router.patch(
 
       const session = await Session.findOne({
         _id: sessionId,
-        teacher_id: req.teacher._id,
+        course_id: {
+          $in: await teachingCourseIds(req.teacher._id, "run_sessions"),
+        },
       });
 
       if (!session) {
         return res.status(404).json({ error: "Session not found" });
       }
 
+      if (await Term.isArchivedTerm(session.term_id)) {
+        return res.status(400).json({
+          error: "Sessions in an archived term are read-only",
+        });
+      }
+
       if (session.isExpired()) {
         return res.status(400).json({ error: "Session has already expired" });
       }
@@ -359,17 +497,121 @@ router.patch(
       session.is_active = false;
       await session.save();
 
+      // Run the pending threshold check now instead of at the old expiry
+      await Job.updateMany(
+        {
+          type: ATTENDANCE_WARNING_JOB,
+          "payload.session_id": session._id,
+          status: "pending",
+        },
+        { run_at: session.expiry_ts }
+      );
+      await Job.updateMany(
+        {
+          type: SESSION_ENDED_EVENT_JOB,
+          "payload.session_id": session._id,
+          status: "pending",
+        },
+        { run_at: session.expiry_ts, "payload.reason": "ended_early" }
+      );
+
+      liveFeed.publish(session._id, "session_ended", {
+        ended_at: session.expiry_ts,
+        reason: "ended_early",
+      });
+
       res.json({
         message: "Session ended successfully",
         session,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("End session error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
+// Get the current rotating QR code for a session (polled by the projector page)
+router.get(
+  "/:sessionId/qr",
+  auth,
+  [param("sessionId").isMongoId().withMessage("Valid session ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const { format } = req.query;
+
+      // Build query based on user type
+      let query = { _id: sessionId };
+
+      // If teacher, only show sessions of courses they teach. If admin, show
+      // all sessions
+      if (req.teacher) {
+        query.course_id = { $in: await teachingCourseIds(req.teacher._id) };
+      }
+
+      const session = await Session.findOne(query);
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      if (!session.qr_enabled) {
+        return res.status(400).json({
+          error: "QR-code attendance is not enabled for this session",
+        });
+      }
+
+      if (!session.is_active || session.isExpired()) {
+        return res.status(400).json({ error: "Session has already expired" });
+      }
+
+      const now = new Date();
+      const window = session.getQrWindow(now);
+      const token = generateQrToken(session._id, window, session.nonce);
+      const rotationMs = session.qr_rotation_seconds * 1000;
+      const rotatesAt = new Date(
+        session.start_ts.getTime() + (window + 1) * rotationMs
+      );
+
+      // Students scan a link to the attendance page carrying the token
+      const payload = `${
+        process.env.FRONTEND_URL || "http://localhost:3000"
+      }/attendance?qr_token=${encodeURIComponent(token)}`;
+
+      const qrOptions = { margin: 1, width: 512 };
+
+      if (format === "png") {
+        const pngBuffer = await QRCode.toBuffer(payload, qrOptions);
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader("Cache-Control", "no-store");
+        return res.send(pngBuffer);
+      }
+
+      const dataUrl = await QRCode.toDataURL(payload, qrOptions);
+
+      res.setHeader("Cache-Control", "no-store");
+      res.json({
+        session_code: session.session_code,
+        qr_token: token,
+        qr_payload: payload,
+        qr_data_url: dataUrl,
+        window,
+        rotation_seconds: session.qr_rotation_seconds,
+        rotates_at: rotatesAt,
+        session_expires_at: session.expiry_ts,
+      });
+    } catch (error) {
+      console.error("Get session QR code error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Get real-time attendance for a session (for live monitoring)
 router.get(
   "/:sessionId/live",
@@ -384,9 +626,10 @@ router.get(
       // Build query based on user type
       let query = { _id: sessionId };
 
-      // If teacher, only show their sessions. If admin, show all sessions
+      // If teacher, only show sessions of courses they teach. If admin, show
+      // all sessions
       if (req.teacher) {
-        query.teacher_id = req.teacher._id;
+        query.course_id = { $in: await teachingCourseIds(req.teacher._id) };
       }
 
       const session = await Session.findOne(query);
@@ -423,7 +666,15 @@ router.get(
       });
       const presentCount = await Attendance.countDocuments({
         session_id: sessionId,
-        status: { $in: ["present", "manual_present"] },
+        status: { $in: ["present", "late", "manual_present"] },
+      });
+      const lateCount = await Attendance.countDocuments({
+        session_id: sessionId,
+        status: "late",
+      });
+      const pendingReviewCount = await Attendance.countDocuments({
+        session_id: sessionId,
+        status: "pending_review",
       });
       const rejectedCount = await Attendance.countDocuments({
         session_id: sessionId,
@@ -441,11 +692,14 @@ router.get(
           is_active: !session.isExpired(),
           expires_at: session.expiry_ts,
           started_at: session.start_ts,
+          grace_period_minutes: session.grace_period_minutes,
         },
         recent_submissions: finalSubmissions,
         live_stats: {
           total_submissions: totalSubmissions,
           present_count: presentCount,
+          late_count: lateCount,
+          pending_review_count: pendingReviewCount,
           rejected_count: rejectedCount,
           last_submission: latestSubmission?.submitted_at || null,
           last_updated: new Date(),
@@ -468,6 +722,116 @@ router.get(
   }
 );
 
+// Push channel for live monitoring (Server-Sent Events). Emits
+// attendance_submitted, attendance_rejected, attendance_marked and
+// session_ended. Reconnecting clients resume after the last event id they
+// saw, sent as the Last-Event-ID header or ?cursor=
+router.get(
+  "/:sessionId/stream",
+  allowQueryToken,
+  auth,
+  [
+    param("sessionId").isMongoId().withMessage("Valid session ID required"),
+    query("cursor").optional().isMongoId().withMessage("Invalid cursor"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      // Same access rule as the live endpoint
+      let sessionQuery = { _id: sessionId };
+      if (req.teacher) {
+        sessionQuery.course_id = {
+          $in: await teachingCourseIds(req.teacher._id),
+        };
+      }
+
+      const session = await Session.findOne(sessionQuery);
+
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const lastEventId = req.get("Last-Event-ID");
+      let cursor =
+        lastEventId && mongoose.isValidObjectId(lastEventId)
+          ? lastEventId
+          : req.query.cursor || null;
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      let heartbeat = null;
+      let expiryTimer = null;
+      let unsubscribe = () => {};
+      const close = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        unsubscribe();
+        res.end();
+      };
+
+      const send = (event) => {
+        if (res.writableEnded) return;
+        if (event.id) {
+          // Skip anything already delivered during catch-up
+          if (cursor && event.id <= cursor) return;
+          res.write(`id: ${event.id}\n`);
+          cursor = event.id;
+        }
+        res.write(
+          `event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+        );
+        if (event.type === "session_ended") {
+          close();
+        }
+      };
+
+      // Subscribe before catching up so nothing published in between is lost
+      const buffered = [];
+      let caughtUp = false;
+      unsubscribe = liveFeed.subscribe(session._id, (event) =>
+        caughtUp ? send(event) : buffered.push(event)
+      );
+      res.on("close", close);
+
+      if (cursor) {
+        (await liveFeed.getEventsSince(session._id, cursor)).forEach(send);
+      }
+      caughtUp = true;
+      buffered.forEach(send);
+      if (res.writableEnded) return;
+
+      // Sessions that simply run out never publish session_ended
+      const endNaturally = () =>
+        send({
+          type: "session_ended",
+          data: { ended_at: session.expiry_ts, reason: "expired" },
+        });
+      if (session.isExpired()) {
+        return endNaturally();
+      }
+      expiryTimer = setTimeout(endNaturally, session.expiry_ts - Date.now());
+
+      // Comment lines keep proxies from closing an idle connection
+      heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+    } catch (error) {
+      console.error("Live stream error:", error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Generate session attendance report in CSV format
 router.get(
   "/:sessionId/report.csv",
@@ -480,10 +844,10 @@ router.get(
       const { sessionId } = req.params;
       const { email } = req.query;
 
-      // Verify session belongs to teacher
+      // Verify the session belongs to a course the teacher teaches
       const session = await Session.findOne({
         _id: sessionId,
-        teacher_id: req.teacher._id,
+        course_id: { $in: await teachingCourseIds(req.teacher._id) },
       }).populate("course_id", "title course_code");
 
       if (!session) {
@@ -498,6 +862,8 @@ router.get(
       const sessionInfo = {
         session_code: session.session_code,
         start_ts: session.start_ts,
+        expiry_ts: session.expiry_ts,
+        grace_period_minutes: session.grace_period_minutes,
         course_code: session.course_id?.course_code,
         course_title: session.course_id?.title,
       };
@@ -557,10 +923,10 @@ router.get(
       const { sessionId } = req.params;
       const { email } = req.query;
 
-      // Verify session belongs to teacher
+      // Verify the session belongs to a course the teacher teaches
       const session = await Session.findOne({
         _id: sessionId,
-        teacher_id: req.teacher._id,
+        course_id: { $in: await teachingCourseIds(req.teacher._id) },
       }).populate("course_id", "title course_code");
 
       if (!session) {
@@ -575,6 +941,8 @@ router.get(
       const sessionInfo = {
         session_code: session.session_code,
         start_ts: session.start_ts,
+        expiry_ts: session.expiry_ts,
+        grace_period_minutes: session.grace_period_minutes,
         course_code: session.course_id?.course_code,
         course_title: session.course_id?.title,
       };
@@ -652,10 +1020,10 @@ router.post(
       const { sessionId } = req.params;
       const { email_date, format, email_time = "09:00" } = req.body;
 
-      // Verify session belongs to teacher
+      // Verify the session belongs to a course the teacher teaches
       const session = await Session.findOne({
         _id: sessionId,
-        teacher_id: req.teacher._id,
+        course_id: { $in: await teachingCourseIds(req.teacher._id) },
       }).populate("course_id", "title course_code");
 
       if (!session) {
@@ -672,91 +1040,24 @@ router.post(
         });
       }
 
-      // Create a simple scheduling mechanism (in production, use a job queue like Bull or Agenda)
-      const scheduleId = `${sessionId}_${Date.now()}`;
-
-      // Store schedule info (in production, store in database)
-      const scheduleInfo = {
-        id: scheduleId,
-        sessionId,
-        teacherId: req.teacher._id,
-        teacherEmail: req.teacher.email,
-        teacherName: req.teacher.name,
-        format,
-        scheduledDateTime,
-        sessionCode: session.session_code,
-        courseName: session.course_id?.title,
-      };
-
-      // Set timeout for the scheduled email (Note: in production, use persistent job queue)
-      const delay = scheduledDateTime.getTime() - now.getTime();
-      setTimeout(async () => {
-        try {
-          // Generate and send report
-          const attendanceData = await Attendance.find({
-            session_id: sessionId,
-          })
-            .populate("student_id", "name email matric_no phone")
-            .sort({ submitted_at: -1 });
-
-          const sessionInfo = {
-            session_code: session.session_code,
-            start_ts: session.start_ts,
-            course_code: session.course_id?.course_code,
-            course_title: session.course_id?.title,
-          };
-
-          const ReportGenerator = require("../utils/reportGenerator");
-
-          if (format === "csv" || format === "both") {
-            const csvBuffer =
-              await ReportGenerator.generateSessionAttendanceCSV(
-                attendanceData,
-                sessionInfo
-              );
-            await emailService.sendAttendanceReport(
-              scheduleInfo.teacherEmail,
-              scheduleInfo.teacherName,
-              `${scheduleInfo.courseName || "Course"} - Scheduled Session ${
-                sessionInfo.session_code
-              } (CSV)`,
-              csvBuffer,
-              "csv"
-            );
-          }
-
-          if (format === "pdf" || format === "both") {
-            const pdfBuffer =
-              await ReportGenerator.generateSessionAttendancePDF(
-                attendanceData,
-                sessionInfo,
-                {
-                  name: scheduleInfo.teacherName,
-                  email: scheduleInfo.teacherEmail,
-                }
-              );
-            await emailService.sendAttendanceReport(
-              scheduleInfo.teacherEmail,
-              scheduleInfo.teacherName,
-              `${scheduleInfo.courseName || "Course"} - Scheduled Session ${
-                sessionInfo.session_code
-              } (PDF)`,
-              pdfBuffer,
-              "pdf"
-            );
-          }
-
-          console.log(
-            `✅ Scheduled report sent for session ${sessionInfo.session_code}`
-          );
-        } catch (error) {
-          console.error("Scheduled report error:", error);
-        }
-      }, delay);
+      // Persist the report as a job so it survives restarts and deploys
+      const job = await jobQueue.enqueue(
+        SESSION_REPORT_JOB,
+        {
+          session_id: session._id,
+          format,
+          teacher_email: req.teacher.email,
+          teacher_name: req.teacher.name,
+          session_code: session.session_code,
+          course_name: session.course_id?.title,
+        },
+        { runAt: scheduledDateTime, createdBy: req.teacher._id }
+      );
 
       res.json({
         message: "Session report scheduled successfully",
-        schedule_id: scheduleId,
+        schedule_id: job._id,
+        status: job.status,
         session_code: session.session_code,
         scheduled_for: scheduledDateTime.toLocaleString(),
         format: format,
@@ -769,6 +1070,207 @@ router.post(
   }
 );
 
+// Format a scheduled report job for API responses
+const formatScheduledReport = (job) => ({
+  schedule_id: job._id,
+  session_id: job.payload.session_id,
+  session_code: job.payload.session_code,
+  course_name: job.payload.course_name,
+  format: job.payload.format,
+  status: job.status,
+  scheduled_for: job.run_at,
+  attempts: job.attempts,
+  max_attempts: job.max_attempts,
+  last_error: job.last_error || null,
+  completed_at: job.completed_at || null,
+  created_at: job.created_at,
+});
+
+// List the lecturer's scheduled session reports
+router.get("/lecturer/scheduled-reports", auth, async (req, res) => {
+  try {
+    const { status, session_id } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = { type: SESSION_REPORT_JOB, created_by: req.teacher._id };
+    if (
+      status &&
+      ["pending", "running", "completed", "failed", "cancelled"].includes(
+        status
+      )
+    ) {
+      query.status = status;
+    }
+    if (session_id && mongoose.Types.ObjectId.isValid(session_id)) {
+      query["payload.session_id"] = new mongoose.Types.ObjectId(session_id);
+    }
+
+    const jobs = await Job.find(query)
+      .sort({ run_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Job.countDocuments(query);
+
+    res.json({
+      scheduled_reports: jobs.map(formatScheduledReport),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get scheduled reports error:", error);
+    res.status(500).json({ error: "Failed to fetch scheduled reports" });
+  }
+});
+
+// Get a single scheduled session report
+router.get(
+  "/lecturer/scheduled-reports/:scheduleId",
+  auth,
+  [param("scheduleId").isMongoId().withMessage("Valid schedule ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await Job.findOne({
+        _id: req.params.scheduleId,
+        type: SESSION_REPORT_JOB,
+        created_by: req.teacher._id,
+      });
+
+      if (!job) {
+        return res.status(404).json({ error: "Scheduled report not found" });
+      }
+
+      res.json({ scheduled_report: formatScheduledReport(job) });
+    } catch (error) {
+      console.error("Get scheduled report error:", error);
+      res.status(500).json({ error: "Failed to fetch scheduled report" });
+    }
+  }
+);
+
+// A scheduled report can only change while no worker holds it; the update
+// must check that in the same query, since a worker may claim it any time
+const changeableReport = (req) => ({
+  _id: req.params.scheduleId,
+  type: SESSION_REPORT_JOB,
+  created_by: req.teacher._id,
+  status: { $in: ["pending", "failed"] },
+  locked_by: null,
+});
+
+// Answer for a report the update did not match: missing, or no longer
+// pending/failed
+const rejectUnchangedReport = async (req, res, action) => {
+  const job = await Job.findOne({
+    _id: req.params.scheduleId,
+    type: SESSION_REPORT_JOB,
+    created_by: req.teacher._id,
+  }).select("status");
+
+  if (!job) {
+    return res.status(404).json({ error: "Scheduled report not found" });
+  }
+  return res.status(409).json({
+    error: `Cannot ${action} a report that is ${job.status}`,
+  });
+};
+
+// Reschedule a pending or failed session report
+router.patch(
+  "/lecturer/scheduled-reports/:scheduleId",
+  auth,
+  [
+    param("scheduleId").isMongoId().withMessage("Valid schedule ID required"),
+    body("email_date")
+      .isISO8601()
+      .withMessage("Valid date required (YYYY-MM-DD format)"),
+    body("email_time")
+      .optional()
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage("Valid time required (HH:MM format)"),
+    body("format")
+      .optional()
+      .isIn(["csv", "pdf", "both"])
+      .withMessage("Format must be csv, pdf, or both"),
+  ],
+  validate,
+  auditLogger("session_report_rescheduled"),
+  async (req, res) => {
+    try {
+      const { email_date, email_time = "09:00", format } = req.body;
+
+      const scheduledDateTime = new Date(`${email_date}T${email_time}:00`);
+      if (scheduledDateTime <= new Date()) {
+        return res.status(400).json({
+          error: "Scheduled date and time must be in the future",
+        });
+      }
+
+      const update = {
+        $set: { run_at: scheduledDateTime, status: "pending", attempts: 0 },
+        $unset: { last_error: 1 },
+      };
+      if (format) {
+        update.$set["payload.format"] = format;
+      }
+
+      const job = await Job.findOneAndUpdate(changeableReport(req), update, {
+        new: true,
+      });
+
+      if (!job) {
+        return rejectUnchangedReport(req, res, "reschedule");
+      }
+
+      res.json({
+        message: "Session report rescheduled successfully",
+        scheduled_report: formatScheduledReport(job),
+      });
+    } catch (error) {
+      console.error("Reschedule session report error:", error);
+      res.status(500).json({ error: "Failed to reschedule session report" });
+    }
+  }
+);
+
+// Cancel a pending or failed session report
+router.delete(
+  "/lecturer/scheduled-reports/:scheduleId",
+  auth,
+  [param("scheduleId").isMongoId().withMessage("Valid schedule ID required")],
+  validate,
+  auditLogger("session_report_cancelled"),
+  async (req, res) => {
+    try {
+      const job = await Job.findOneAndUpdate(
+        changeableReport(req),
+        { status: "cancelled" },
+        { new: true }
+      );
+
+      if (!job) {
+        return rejectUnchangedReport(req, res, "cancel");
+      }
+
+      res.json({
+        message: "Scheduled report cancelled successfully",
+        scheduled_report: formatScheduledReport(job),
+      });
+    } catch (error) {
+      console.error("Cancel scheduled report error:", error);
+      res.status(500).json({ error: "Failed to cancel scheduled report" });
+    }
+  }
+);
+
 // Get all lecturer sessions (both active and inactive)
 router.get("/lecturer/all", auth, async (req, res) => {
   try {
@@ -778,6 +1280,7 @@ router.get("/lecturer/all", auth, async (req, res) => {
       status,
       course_id,
       search,
+      term,
       full = false,
     } = req.query;
 
@@ -789,10 +1292,13 @@ router.get("/lecturer/all", auth, async (req, res) => {
     // Build query
     let query = {};
 
-    // Get all courses taught by this teacher
-    const teacherCourses = await Course.find({
-      teacher_id: req.teacher._id,
-    }).select("_id");
+    // Get all courses taught by this teacher (optionally in one term)
+    const courseQuery = teachingFilter(req.teacher._id);
+    const termId = await resolveTermFilter(term);
+    if (termId) {
+      courseQuery.term_id = termId;
+    }
+    const teacherCourses = await Course.find(courseQuery).select("_id");
     const courseIds = teacherCourses.map((course) => course._id);
 
     query.course_id = { $in: courseIds };
@@ -809,9 +1315,11 @@ router.get("/lecturer/all", auth, async (req, res) => {
       }
     }
 
-    // Filter by specific course if provided
+    // Filter by specific course if provided (within the teacher's courses)
     if (course_id) {
-      query.course_id = course_id;
+      query.course_id = courseIds.some((id) => id.toString() === course_id)
+        ? course_id
+        : { $in: [] };
     }
 
     // Search by session code or course info if provided
@@ -896,6 +1404,9 @@ router.get("/lecturer/all", auth, async (req, res) => {
 
     res.json(response);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get lecturer sessions error:", error);
     res.status(500).json({
       error: "Failed to fetch sessions",
@@ -913,7 +1424,7 @@ router.get("/lecturer/:sessionId/details", auth, async (req, res) => {
     const session = await Session.findById(sessionId)
       .populate(
         "course_id",
-        "title course_code level semester academic_year teacher_id"
+        "title course_code level semester academic_year teacher_id members"
       )
       .lean();
 
@@ -924,13 +1435,11 @@ router.get("/lecturer/:sessionId/details", auth, async (req, res) => {
       });
     }
 
-    // Verify this session belongs to the requesting teacher
-    if (
-      session.course_id.teacher_id.toString() !== req.teacher._id.toString()
-    ) {
+    // Verify this session belongs to a course the teacher teaches
+    if (!getCourseRole(session.course_id, req.teacher._id)) {
       return res.status(403).json({
         error: "Access denied",
-        message: "You can only view sessions from your own courses",
+        message: "You can only view sessions from courses you teach",
       });
     }
 
@@ -985,6 +1494,7 @@ router.get("/lecturer/:sessionId/details", auth, async (req, res) => {
     const presentStudents = studentsWithAttendance.filter(
       (s) =>
         s.attendance_status === "present" ||
+        s.attendance_status === "late" ||
         s.attendance_status === "manual_present"
     );
     const absentStudents = studentsWithAttendance.filter(
@@ -996,6 +1506,8 @@ router.get("/lecturer/:sessionId/details", auth, async (req, res) => {
       total_students_enrolled: allStudents.length,
       total_attendance_submissions: attendanceRecords.length,
       present_count: presentStudents.length,
+      late_count: presentStudents.filter((s) => s.attendance_status === "late")
+        .length,
       absent_count: absentStudents.length,
       attendance_rate:
         allStudents.length > 0
@@ -1057,16 +1569,20 @@ router.get("/lecturer/:sessionId/details", auth, async (req, res) => {
 // Get lecturer session analytics
 router.get("/lecturer/analytics", auth, async (req, res) => {
   try {
-    const { days = 30, course_id } = req.query;
+    const { days = 30, course_id, term } = req.query;
     const startDate = new Date(
       Date.now() - parseInt(days) * 24 * 60 * 60 * 1000
     );
 
     // Get teacher's courses
-    let courseQuery = { teacher_id: req.teacher._id };
+    let courseQuery = teachingFilter(req.teacher._id);
     if (course_id) {
       courseQuery._id = course_id;
     }
+    const termId = await resolveTermFilter(term);
+    if (termId) {
+      courseQuery.term_id = termId;
+    }
 
     const teacherCourses = await Course.find(courseQuery).select(
       "_id title course_code"
@@ -1163,6 +1679,9 @@ router.get("/lecturer/analytics", auth, async (req, res) => {
         $group: {
           _id: null,
           total_attendance: { $sum: 1 },
+          late_attendance: {
+            $sum: { $cond: [{ $eq: ["$status", "late"] }, 1, 0] },
+          },
           unique_students: { $addToSet: "$student_id" },
           average_distance: { $avg: "$distance_from_session_m" },
         },
@@ -1171,12 +1690,22 @@ router.get("/lecturer/analytics", auth, async (req, res) => {
 
     const attendanceData = attendanceStats[0] || {
       total_attendance: 0,
+      late_attendance: 0,
       unique_students: [],
       average_distance: 0,
     };
 
     analytics.attendance_summary = {
       total_submissions: attendanceData.total_attendance,
+      late_submissions: attendanceData.late_attendance,
+      late_rate:
+        attendanceData.total_attendance > 0
+          ? Math.round(
+              (attendanceData.late_attendance /
+                attendanceData.total_attendance) *
+                100
+            )
+          : 0,
       unique_students: attendanceData.unique_students.length,
       average_distance_meters: Math.round(attendanceData.average_distance || 0),
       average_attendance_per_session:
@@ -1194,6 +1723,9 @@ router.get("/lecturer/analytics", auth, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get lecturer analytics error:", error);
     res.status(500).json({
       error: "Failed to fetch analytics",
@@ -0,0 +1,340 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const Course = require("../models/Course");
+const CourseStudent = require("../models/CourseStudent");
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const AttendanceAppeal = require("../models/AttendanceAppeal");
+const { studentAuth } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const {
+  evidenceUpload,
+  handleUpload,
+  discardUploadOnError,
+} = require("../middleware/upload");
+const { createAppeal } = require("../services/appealService");
+
+const router = express.Router();
+
+// Attendance statuses that count towards a student's attendance rate
+const ATTENDED_STATUSES = ["present", "late", "manual_present"];
+
+// Build the per-session attendance history of a student for one course
+async function buildCourseAttendance(studentId, course) {
+  const now = new Date();
+
+  const sessions = await Session.find({
+    course_id: course._id,
+    start_ts: { $lte: now },
+  })
+    .sort({ start_ts: -1 })
+    .lean();
+
+  const attendanceRecords = await Attendance.find({
+    course_id: course._id,
+    student_id: studentId,
+  }).lean();
+
+  const attendanceMap = {};
+  attendanceRecords.forEach((record) => {
+    attendanceMap[record.session_id.toString()] = record;
+  });
+
+  let attended = 0;
+  let excused = 0;
+  let closedSessions = 0;
+
+  const history = sessions.map((session) => {
+    const record = attendanceMap[session._id.toString()];
+    const isOpen = session.is_active && session.expiry_ts > now;
+
+    let status;
+    if (record) {
+      status = record.status;
+    } else {
+      status = isOpen ? "open" : "absent";
+    }
+
+    if (!isOpen || record) {
+      closedSessions++;
+      if (ATTENDED_STATUSES.includes(status)) {
+        attended++;
+      } else if (status === "excused") {
+        excused++;
+      }
+    }
+
+    return {
+      session_id: session._id,
+      session_code: session.session_code,
+      start_ts: session.start_ts,
+      expiry_ts: session.expiry_ts,
+      status,
+      submitted_at: record ? record.submitted_at : null,
+      receipt: record ? record.receipt_signature : null,
+    };
+  });
+
+  // Excused sessions are not held against the student
+  const countedSessions = closedSessions - excused;
+  const attendanceRate =
+    countedSessions > 0
+      ? Math.round((attended / countedSessions) * 10000) / 100
+      : 0;
+
+  return {
+    history,
+    summary: {
+      total_sessions: closedSessions,
+      attended_sessions: attended,
+      excused_sessions: excused,
+      missed_sessions: countedSessions - attended,
+      attendance_rate: attendanceRate,
+    },
+  };
+}
+
+// Courses the logged-in student is enrolled in
+async function getEnrolledCourses(studentId) {
+  const enrollments = await CourseStudent.find({ student_id: studentId })
+    .populate({
+      path: "course_id",
+      select: "course_code title level teacher_id",
+      populate: { path: "teacher_id", select: "name email" },
+    })
+    .lean();
+
+  return enrollments
+    .filter((enrollment) => enrollment.course_id)
+    .map((enrollment) => ({
+      ...enrollment.course_id,
+      enrolled_at: enrollment.added_at,
+    }));
+}
+
+const formatCourse = (course) => ({
+  id: course._id,
+  course_code: course.course_code,
+  title: course.title,
+  level: course.level,
+  lecturer: course.teacher_id
+    ? { name: course.teacher_id.name, email: course.teacher_id.email }
+    : null,
+  enrolled_at: course.enrolled_at,
+});
+
+// Get the logged-in student's profile
+router.get("/me", studentAuth, async (req, res) => {
+  try {
+    const student = req.student;
+
+    res.json({
+      success: true,
+      data: {
+        id: student._id,
+        matric_no: student.matric_no,
+        name: student.name,
+        email: student.email,
+        phone: student.phone,
+        level: student.level,
+      },
+    });
+  } catch (error) {
+    console.error("Get student profile error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List enrolled courses with an attendance summary for each
+router.get("/courses", studentAuth, async (req, res) => {
+  try {
+    const courses = await getEnrolledCourses(req.student._id);
+
+    const coursesWithAttendance = await Promise.all(
+      courses.map(async (course) => {
+        const { summary } = await buildCourseAttendance(
+          req.student._id,
+          course
+        );
+        return { ...formatCourse(course), attendance: summary };
+      })
+    );
+
+    res.json({
+      success: true,
+      data: {
+        courses: coursesWithAttendance,
+        total_courses: coursesWithAttendance.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get student courses error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-session attendance history for one enrolled course
+router.get(
+  "/courses/:courseId/attendance",
+  studentAuth,
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      const enrollment = await CourseStudent.findOne({
+        course_id: courseId,
+        student_id: req.student._id,
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const course = await Course.findById(courseId)
+        .populate("teacher_id", "name email")
+        .lean();
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      course.enrolled_at = enrollment.added_at;
+      const { history, summary } = await buildCourseAttendance(
+        req.student._id,
+        course
+      );
+
+      res.json({
+        success: true,
+        data: {
+          course: formatCourse(course),
+          sessions: history,
+          summary,
+        },
+      });
+    } catch (error) {
+      console.error("Get student course attendance error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Attendance percentage per course plus an overall figure
+router.get("/attendance/summary", studentAuth, async (req, res) => {
+  try {
+    const courses = await getEnrolledCourses(req.student._id);
+
+    let totalSessions = 0;
+    let totalAttended = 0;
+    let totalExcused = 0;
+
+    const perCourse = await Promise.all(
+      courses.map(async (course) => {
+        const { summary } = await buildCourseAttendance(
+          req.student._id,
+          course
+        );
+        totalSessions += summary.total_sessions;
+        totalAttended += summary.attended_sessions;
+        totalExcused += summary.excused_sessions;
+
+        return {
+          course_id: course._id,
+          course_code: course.course_code,
+          title: course.title,
+          ...summary,
+        };
+      })
+    );
+
+    const countedSessions = totalSessions - totalExcused;
+
+    res.json({
+      success: true,
+      data: {
+        courses: perCourse,
+        overall: {
+          total_sessions: totalSessions,
+          attended_sessions: totalAttended,
+          excused_sessions: totalExcused,
+          attendance_rate:
+            countedSessions > 0
+              ? Math.round((totalAttended / countedSessions) * 10000) / 100
+              : 0,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get student attendance summary error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// File an excuse or appeal against a session, with optional evidence
+router.post(
+  "/appeals",
+  studentAuth,
+  discardUploadOnError,
+  handleUpload(evidenceUpload.single("evidence")),
+  [
+    body("session_id").isMongoId().withMessage("Valid session ID required"),
+    body("type")
+      .optional()
+      .isIn(["excuse", "appeal"])
+      .withMessage("Type must be excuse or appeal"),
+    body("reason")
+      .trim()
+      .isLength({ min: 5, max: 1000 })
+      .withMessage("Reason must be 5-1000 characters"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { session_id, type = "excuse", reason } = req.body;
+
+      const appeal = await createAppeal({
+        student: req.student,
+        sessionId: session_id,
+        type,
+        reason,
+        file: req.file,
+        filedBy: { id: req.student._id, type: "Student" },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Your appeal has been submitted for review",
+        data: appeal,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Student appeal error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// List the student's own appeals and their outcome
+router.get("/appeals", studentAuth, async (req, res) => {
+  try {
+    const appeals = await AttendanceAppeal.find({ student_id: req.student._id })
+      .populate("course_id", "course_code title")
+      .populate("session_id", "session_code start_ts")
+      .select("-filed_by_id -decided_by")
+      .sort({ created_at: -1 });
+
+    res.json({
+      success: true,
+      data: { appeals },
+    });
+  } catch (error) {
+    console.error("Get student appeals error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,332 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const Student = require("../models/Student");
+const Course = require("../models/Course");
+const CourseStudent = require("../models/CourseStudent");
+const StudentMerge = require("../models/StudentMerge");
+const { auth, adminPermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const { isValidMatricNo } = require("../utils/helpers");
+const {
+  findDuplicateCandidates,
+  previewMerge,
+  mergeStudents,
+  undoMerge,
+} = require("../services/studentMerge");
+const { teachingFilter } = require("../services/courseAccess");
+
+const router = express.Router();
+
+const actorFor = (req) => ({
+  id: req.user._id,
+  type: req.userType === "admin" ? "Admin" : "Teacher",
+});
+
+/**
+ * Students the user may work on: admins see everyone (or one course's
+ * roster), teachers the students enrolled in courses whose roster they
+ * manage. Returns null when there is no restriction.
+ */
+const getAccessibleStudentIds = async (req, courseId) => {
+  let courseQuery = {};
+  if (req.teacher && req.userType !== "admin") {
+    courseQuery = teachingFilter(req.teacher._id, "manage_students");
+  } else if (!courseId) {
+    return null;
+  }
+  if (courseId) {
+    courseQuery._id = courseId;
+  }
+
+  const courseIds = await Course.find(courseQuery).distinct("_id");
+  const studentIds = await CourseStudent.distinct("student_id", {
+    course_id: { $in: courseIds },
+  });
+  return studentIds.map((id) => id.toString());
+};
+
+const canAccessStudents = async (req, ...studentIds) => {
+  const accessible = await getAccessibleStudentIds(req);
+  return (
+    accessible === null ||
+    studentIds.every((id) => accessible.includes(id.toString()))
+  );
+};
+
+const handleMergeError = (error, res, context) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+const mergePairValidators = [
+  body("surviving_student_id")
+    .isMongoId()
+    .withMessage("Valid surviving student ID required"),
+  body("merged_student_id")
+    .isMongoId()
+    .withMessage("Valid merged student ID required"),
+];
+
+// Likely duplicate student records (same email, similar matric number/name)
+router.get(
+  "/duplicates",
+  auth,
+  adminPermission("manage_students"),
+  [
+    query("course_id").optional().isMongoId(),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const studentIds = await getAccessibleStudentIds(
+        req,
+        req.query.course_id
+      );
+      const candidates = await findDuplicateCandidates({
+        studentIds,
+        limit: parseInt(req.query.limit) || 50,
+      });
+
+      res.json({
+        candidates: candidates.map(({ students, score, reasons }) => ({
+          students,
+          score,
+          reasons,
+        })),
+        total: candidates.length,
+      });
+    } catch (error) {
+      handleMergeError(error, res, "Find duplicate students");
+    }
+  }
+);
+
+// Preview merging one student record into another
+router.post(
+  "/merge/preview",
+  auth,
+  adminPermission("manage_students"),
+  mergePairValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const { surviving_student_id, merged_student_id } = req.body;
+
+      if (
+        !(await canAccessStudents(req, surviving_student_id, merged_student_id))
+      ) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const preview = await previewMerge(
+        surviving_student_id,
+        merged_student_id
+      );
+      res.json(preview);
+    } catch (error) {
+      handleMergeError(error, res, "Preview student merge");
+    }
+  }
+);
+
+// Merge a duplicate student record into the surviving one (the merge
+// service writes the audit entry with everything that moved)
+router.post(
+  "/merge",
+  auth,
+  adminPermission("manage_students"),
+  [
+    ...mergePairValidators,
+    body("matric_no")
+      .optional()
+      .custom((value) => {
+        if (!isValidMatricNo(value)) {
+          throw new Error("Invalid matriculation number format");
+        }
+        return true;
+      }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { surviving_student_id, merged_student_id, matric_no } = req.body;
+
+      if (
+        !(await canAccessStudents(req, surviving_student_id, merged_student_id))
+      ) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const { merge, survivor } = await mergeStudents({
+        survivorId: surviving_student_id,
+        duplicateId: merged_student_id,
+        matricNo: matric_no,
+        actor: actorFor(req),
+      });
+
+      res.json({
+        message: `Student records merged into ${survivor.matric_no}`,
+        student: survivor,
+        merge: {
+          id: merge._id,
+          moved: merge.moved,
+          removed: {
+            course_students: merge.removed.course_students.length,
+            attendance: merge.removed.attendance.length,
+          },
+          undo_expires_at: merge.undo_expires_at,
+        },
+      });
+    } catch (error) {
+      handleMergeError(error, res, "Merge students");
+    }
+  }
+);
+
+// Merge history; teachers see the merges they performed
+router.get(
+  "/merges",
+  auth,
+  adminPermission("manage_students"),
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+    query("status").optional().isIn(["merged", "undone"]),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = {};
+
+      if (req.teacher && req.userType !== "admin") {
+        filter.performed_by = req.teacher._id;
+      }
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const [merges, total] = await Promise.all([
+        StudentMerge.find(filter)
+          .select("-removed -moved")
+          .populate("surviving_student_id", "matric_no name email")
+          .sort({ created_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        StudentMerge.countDocuments(filter),
+      ]);
+
+      res.json({
+        merges: merges.map((merge) => ({
+          ...merge.toObject(),
+          can_undo: merge.canUndo(),
+        })),
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          per_page: limit,
+        },
+      });
+    } catch (error) {
+      handleMergeError(error, res, "Get student merges");
+    }
+  }
+);
+
+// Undo a merge within its undo window
+router.post(
+  "/merges/:mergeId/undo",
+  auth,
+  adminPermission("manage_students"),
+  [param("mergeId").isMongoId().withMessage("Valid merge ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const merge = await StudentMerge.findById(req.params.mergeId);
+
+      if (
+        !merge ||
+        (req.teacher &&
+          req.userType !== "admin" &&
+          !merge.performed_by.equals(req.teacher._id))
+      ) {
+        return res.status(404).json({ error: "Merge not found" });
+      }
+
+      await undoMerge(merge._id, actorFor(req));
+
+      res.json({
+        message: "Merge undone; both student records are restored",
+        restored_student_id: merge.merged_student_id,
+      });
+    } catch (error) {
+      handleMergeError(error, res, "Undo student merge");
+    }
+  }
+);
+
+// Correct a mistyped matric number
+router.patch(
+  "/:studentId/matric-no",
+  auth,
+  adminPermission("manage_students"),
+  [
+    param("studentId").isMongoId().withMessage("Valid student ID required"),
+    body("matric_no").custom((value) => {
+      if (!isValidMatricNo(value)) {
+        throw new Error("Invalid matriculation number format");
+      }
+      return true;
+    }),
+  ],
+  validate,
+  auditLogger("student_matric_no_corrected"),
+  async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      const matricNo = req.body.matric_no.trim().toUpperCase();
+
+      if (!(await canAccessStudents(req, studentId))) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const student = await Student.findById(studentId);
+      if (!student) {
+        return res.status(404).json({ error: "Student not found" });
+      }
+
+      const owner = await Student.findOne({
+        matric_no: matricNo,
+        _id: { $ne: student._id },
+      }).select("matric_no name email");
+      if (owner) {
+        return res.status(409).json({
+          error: `Matric number ${matricNo} belongs to another student`,
+          details: ["If both records are the same person, merge them instead"],
+          existing_student: owner,
+        });
+      }
+
+      const previousMatricNo = student.matric_no;
+      student.matric_no = matricNo;
+      await student.save();
+
+      res.json({
+        message: "Matric number updated successfully",
+        previous_matric_no: previousMatricNo,
+        student,
+      });
+    } catch (error) {
+      handleMergeError(error, res, "Correct matric number");
+    }
+  }
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { auth } = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
 const EmailService = require("../services/emailService");
+const { emitShareRequestEvent } = require("../services/webhooks");
 
 const emailService = new EmailService();
 const router = express.Router();
@@ -330,6 +331,8 @@ router.post(
         { path: "student_ids", select: "name matric_no email" },
       ]);
 
+      emitShareRequestEvent("share_request.created", shareRequest);
+
       // Send email notification to target teacher
       try {
         await emailService.sendStudentShareRequest(
@@ -538,6 +541,11 @@ router.patch(
         }
       }
 
+      emitShareRequestEvent(
+        `share_request.${shareRequest.status}`,
+        shareRequest
+      );
+
       // Send response email to requester
       try {
         await emailService.sendStudentShareResponse(
@@ -605,6 +613,8 @@ router.patch(
         });
       }
 
+      emitShareRequestEvent("share_request.cancelled", shareRequest);
+
       res.json({
         message: "Share request cancelled successfully",
         request: shareRequest,
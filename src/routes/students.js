@@ -1,21 +1,62 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, param } = require("express-validator");
 const Student = require("../models/Student");
 const Course = require("../models/Course");
 const CourseStudent = require("../models/CourseStudent");
 const Attendance = require("../models/Attendance");
 const Session = require("../models/Session");
-const { auth } = require("../middleware/auth");
+const Job = require("../models/Job");
+const Term = require("../models/Term");
+const { auth, adminPermission, allowApiKey } = require("../middleware/auth");
 const validate = require("../middleware/validation");
 const auditLogger = require("../middleware/auditLogger");
+const liveFeed = require("../services/liveFeed");
+const { emitAttendanceMarked } = require("../services/webhooks");
 const { isValidMatricNo } = require("../utils/helpers");
+const { parseSpreadsheet } = require("../utils/spreadsheet");
+const jobQueue = require("../services/jobQueue");
+const {
+  ROSTER_IMPORT_JOB,
+  ROSTER_SYNC_LIMIT,
+  resolveColumnMapping,
+  mapRows,
+  previewRoster,
+  commitRoster,
+  buildErrorReport,
+} = require("../services/rosterImport");
+const { rosterUpload, handleUpload } = require("../middleware/upload");
+const {
+  teachingFilter,
+  courseAccessQuery,
+  findAccessibleCourse,
+} = require("../services/courseAccess");
 
 const router = express.Router();
 
+// A roster upload job for a course the user can access
+const findRosterJob = async (req) => {
+  const query = {
+    _id: req.params.courseId,
+    ...courseAccessQuery(req, "manage_students"),
+  };
+  if (!(await Course.exists(query))) {
+    return null;
+  }
+
+  return Job.findOne({
+    _id: req.params.jobId,
+    type: ROSTER_IMPORT_JOB,
+    "payload.course_id": new mongoose.Types.ObjectId(req.params.courseId),
+  });
+};
+
 // Add student to course
 router.post(
   "/:courseId/students",
+  allowApiKey("students:write"),
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     body("matric_no").custom((value) => {
@@ -43,15 +84,13 @@ router.post(
       const { courseId } = req.params;
       const { matric_no, name, email, level } = req.body;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -106,6 +145,9 @@ router.post(
         enrollment: courseStudent,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Add student error:", error);
       if (error.code === 11000) {
         res.status(400).json({
@@ -121,7 +163,9 @@ router.post(
 // Bulk add students to course
 router.post(
   "/:courseId/students/bulk",
+  allowApiKey("students:write"),
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     body("students")
@@ -152,15 +196,13 @@ router.post(
       const { courseId } = req.params;
       const { students } = req.body;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -265,16 +307,233 @@ router.post(
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Bulk add students error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
+// Upload a CSV/XLSX roster. Without commit=true only a row-level preview is
+// returned; large rosters are enrolled by a background job.
+router.post(
+  "/:courseId/students/upload",
+  allowApiKey("students:write"),
+  auth,
+  adminPermission("manage_students"),
+  handleUpload(rosterUpload.single("file")),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("mapping")
+      .optional()
+      .custom((value) => {
+        const mapping = JSON.parse(value);
+        if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+          throw new Error();
+        }
+        return true;
+      })
+      .withMessage(
+        'Mapping must be a JSON object such as {"matric_no": "Reg Number"}'
+      ),
+    body("commit").optional().isBoolean(),
+  ],
+  validate,
+  auditLogger("roster_uploaded"),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: ["A CSV or XLSX file is required"],
+        });
+      }
+
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      let sheet;
+      try {
+        sheet = await parseSpreadsheet(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        return res.status(400).json({
+          error: "Could not read the roster file",
+          details: [error.message],
+        });
+      }
+
+      if (sheet.rows.length === 0) {
+        return res.status(400).json({
+          error: "Roster file has no student rows",
+        });
+      }
+
+      const mapping = resolveColumnMapping(
+        sheet.headers,
+        req.body.mapping ? JSON.parse(req.body.mapping) : {}
+      );
+      const entries = mapRows(sheet.rows, mapping);
+      const currentUserId = req.teacher?._id || req.admin?._id || req.user?._id;
+
+      if (req.body.commit !== "true") {
+        const preview = await previewRoster(courseId, entries);
+        return res.json({
+          message: "Roster preview. Upload again with commit=true to enrol.",
+          mapping,
+          ...preview,
+        });
+      }
+
+      if (entries.length > ROSTER_SYNC_LIMIT) {
+        const job = await jobQueue.enqueue(
+          ROSTER_IMPORT_JOB,
+          {
+            course_id: course._id,
+            entries,
+            added_by: currentUserId,
+            filename: req.file.originalname,
+          },
+          { createdBy: currentUserId, maxAttempts: 3 }
+        );
+
+        return res.status(202).json({
+          message: `Roster of ${entries.length} students queued for enrollment`,
+          job_id: job._id,
+          status_url: `/api/courses/${courseId}/students/upload/${job._id}`,
+        });
+      }
+
+      const result = await commitRoster(course._id, entries, currentUserId);
+
+      res.status(201).json({
+        message: "Roster enrollment completed",
+        summary: {
+          total_rows: entries.length,
+          students_created: result.students_created,
+          enrolled: result.enrolled,
+          already_enrolled: result.already_enrolled,
+          errors: result.errors.length,
+        },
+        errors: result.errors,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, details: error.details });
+      }
+      console.error("Roster upload error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Progress and outcome of a queued roster upload
+router.get(
+  "/:courseId/students/upload/:jobId",
+  allowApiKey("students:write"),
+  auth,
+  adminPermission("manage_students"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("jobId").isMongoId().withMessage("Valid job ID required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await findRosterJob(req);
+
+      if (!job) {
+        return res.status(404).json({ error: "Roster upload not found" });
+      }
+
+      const result = job.result || {};
+      res.json({
+        job_id: job._id,
+        status: job.status,
+        filename: job.payload.filename,
+        total_rows: job.payload.entries.length,
+        attempts: job.attempts,
+        last_error: job.last_error,
+        completed_at: job.completed_at,
+        summary:
+          job.status === "completed"
+            ? {
+                students_created: result.students_created,
+                enrolled: result.enrolled,
+                already_enrolled: result.already_enrolled,
+                errors: result.errors.length,
+              }
+            : null,
+        error_report_url:
+          job.status === "completed" && result.errors.length > 0
+            ? `/api/courses/${req.params.courseId}/students/upload/${job._id}/errors.csv`
+            : null,
+      });
+    } catch (error) {
+      console.error("Get roster upload error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Download the rows of a queued roster upload that were not imported
+router.get(
+  "/:courseId/students/upload/:jobId/errors.csv",
+  allowApiKey("students:write"),
+  auth,
+  adminPermission("manage_students"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("jobId").isMongoId().withMessage("Valid job ID required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const job = await findRosterJob(req);
+
+      if (!job) {
+        return res.status(404).json({ error: "Roster upload not found" });
+      }
+      if (job.status !== "completed") {
+        return res
+          .status(409)
+          .json({ error: "Roster upload has not finished yet" });
+      }
+
+      const csvBuffer = await buildErrorReport(job.result.errors);
+      const filename = `roster_errors_${job._id}.csv`;
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      res.send(csvBuffer);
+    } catch (error) {
+      console.error("Roster error report error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Get students in course
 router.get(
   "/:courseId/students",
+  allowApiKey("students:read"),
   auth,
+  adminPermission("manage_students"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   async (req, res) => {
@@ -284,15 +543,9 @@ router.get(
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(req, courseId);
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -319,6 +572,9 @@ router.get(
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Get students error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -329,6 +585,7 @@ router.get(
 router.delete(
   "/:courseId/students/all",
   auth,
+  adminPermission("manage_students"),
   [param("courseId").isMongoId().withMessage("Valid course ID required")],
   validate,
   auditLogger("all_students_removed_from_course"),
@@ -336,20 +593,24 @@ router.delete(
     try {
       const { courseId } = req.params;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Get all enrolled students before deletion for the response
       const enrolledStudents = await CourseStudent.find({
         course_id: courseId,
@@ -391,6 +652,9 @@ router.delete(
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Remove all students error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -400,7 +664,9 @@ router.delete(
 // Bulk delete specific students from course
 router.delete(
   "/:courseId/students/bulk",
+  allowApiKey("students:write"),
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     body("student_ids")
@@ -415,20 +681,24 @@ router.delete(
       const { courseId } = req.params;
       const { student_ids } = req.body;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       const results = {
         successful: [],
         not_found: [],
@@ -508,6 +778,9 @@ router.delete(
         results,
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Bulk remove students error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -517,7 +790,9 @@ router.delete(
 // Remove student from course
 router.delete(
   "/:courseId/students/:studentId",
+  allowApiKey("students:write"),
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     param("studentId").isMongoId().withMessage("Valid student ID required"),
@@ -528,20 +803,24 @@ router.delete(
     try {
       const { courseId, studentId } = req.params;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(
+        req,
+        courseId,
+        "manage_students"
+      );
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Remove enrollment
       const enrollment = await CourseStudent.findOneAndDelete({
         course_id: courseId,
@@ -556,6 +835,9 @@ router.delete(
 
       res.json({ message: "Student removed from course successfully" });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Remove student error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
@@ -566,6 +848,7 @@ router.delete(
 router.patch(
   "/:courseId/students/:studentId/mark",
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     param("studentId").isMongoId().withMessage("Valid student ID required"),
@@ -586,21 +869,26 @@ router.patch(
       const { courseId, studentId } = req.params;
       const { sessionId, status, reason } = req.body;
 
-      // Verify course belongs to teacher
+      // Verify the teacher marks attendance for this course
       const course = await Course.findOne({
         _id: courseId,
-        teacher_id: req.teacher._id,
+        ...teachingFilter(req.teacher._id, "mark_attendance"),
       });
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Verify session belongs to this course
       const session = await Session.findOne({
         _id: sessionId,
         course_id: courseId,
-        teacher_id: req.teacher._id,
       });
 
       if (!session) {
@@ -658,6 +946,20 @@ router.patch(
         await attendance.save();
       }
 
+      liveFeed.publish(session._id, "attendance_marked", {
+        attendance_id: attendance._id,
+        student_id: student._id,
+        matric_no: student.matric_no,
+        name: student.name,
+        status,
+        reason,
+        source: "manual",
+      });
+      emitAttendanceMarked(course, attendance, student, {
+        source: "manual",
+        marked_by: req.user._id,
+      });
+
       await attendance.populate(["student_id", "session_id", "course_id"]);
 
       res.json({
@@ -706,6 +1008,7 @@ router.patch(
 router.patch(
   "/:courseId/students/bulk-mark",
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     body("sessionId").isMongoId().withMessage("Valid session ID required"),
@@ -731,21 +1034,26 @@ router.patch(
       const { courseId } = req.params;
       const { sessionId, students } = req.body;
 
-      // Verify course belongs to teacher
+      // Verify the teacher marks attendance for this course
       const course = await Course.findOne({
         _id: courseId,
-        teacher_id: req.teacher._id,
+        ...teachingFilter(req.teacher._id, "mark_attendance"),
       });
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
       }
 
+      if (await Term.isArchivedTerm(course.term_id)) {
+        return res.status(400).json({
+          error: "Courses in an archived term are read-only",
+        });
+      }
+
       // Verify session belongs to this course
       const session = await Session.findOne({
         _id: sessionId,
         course_id: courseId,
-        teacher_id: req.teacher._id,
       });
 
       if (!session) {
@@ -838,6 +1146,20 @@ router.patch(
               attendance_id: attendance._id,
             });
           }
+
+          liveFeed.publish(session._id, "attendance_marked", {
+            attendance_id: attendance._id,
+            student_id: student._id,
+            matric_no: student.matric_no,
+            name: student.name,
+            status,
+            reason,
+            source: "bulk",
+          });
+          emitAttendanceMarked(course, attendance, student, {
+            source: "bulk",
+            marked_by: req.user._id,
+          });
         } catch (error) {
           console.error(
             `Error processing student ${studentData.studentId}:`,
@@ -900,7 +1222,9 @@ router.patch(
 // Get student attendance history for a course
 router.get(
   "/:courseId/students/:studentId/attendance",
+  allowApiKey("students:read"),
   auth,
+  adminPermission("manage_students"),
   [
     param("courseId").isMongoId().withMessage("Valid course ID required"),
     param("studentId").isMongoId().withMessage("Valid student ID required"),
@@ -910,15 +1234,9 @@ router.get(
     try {
       const { courseId, studentId } = req.params;
 
-      // Verify course access - teachers can only access their courses, admins can access any course
-      let query = { _id: courseId };
-
-      // If teacher, only show their courses. If admin, show all courses
-      if (req.teacher && req.userType !== "admin") {
-        query.teacher_id = req.teacher._id;
-      }
-
-      const course = await Course.findOne(query);
+      // Verify course access - teachers can only access courses they teach,
+      // admins can access any course
+      const course = await findAccessibleCourse(req, courseId);
 
       if (!course) {
         return res.status(404).json({ error: "Course not found" });
@@ -942,7 +1260,7 @@ router.get(
 
       const presentCount = attendanceRecords.filter(
         (record) =>
-          record.status === "present" || record.status === "manual_present"
+          ["present", "late", "manual_present"].includes(record.status)
       ).length;
 
       const attendanceRate =
@@ -962,6 +1280,9 @@ router.get(
         },
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error("Get student attendance error:", error);
       res.status(500).json({ error: "Internal server error" });
     }
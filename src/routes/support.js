@@ -1,8 +1,16 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const mongoose = require("mongoose");
+const { body, param, query, validationResult } = require("express-validator");
 const Admin = require("../models/Admin");
+const SupportTicket = require("../models/SupportTicket");
 const EmailService = require("../services/emailService");
-const { supportLimiter } = require("../middleware/rateLimiter");
+const { requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  supportLimiter,
+  ticketLookupLimiter,
+} = require("../middleware/rateLimiter");
 
 const router = express.Router();
 const emailService = new EmailService();
@@ -164,6 +172,25 @@ router.post(
         .substr(2, 4)
         .toUpperCase()}`;
 
+      // Store the ticket so it can be tracked, assigned and answered
+      const ticket = await SupportTicket.create({
+        reference: ticketId,
+        name,
+        email,
+        user_type,
+        subject,
+        category,
+        priority,
+        message,
+        phone,
+        matric_no,
+        course_info,
+        error_details,
+        browser_info,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+      });
+
       // Prepare support data
       const supportData = {
         name,
@@ -179,7 +206,7 @@ router.post(
         error_details,
         browser_info,
         ticketId,
-        submittedAt: new Date(),
+        submittedAt: ticket.created_at,
         ip_address: req.ip,
         user_agent: req.get("User-Agent"),
       };
@@ -190,12 +217,9 @@ router.post(
         email_verified: true,
       }).select("email name");
 
+      // The ticket is stored either way; admins see it in the ticket list
       if (admins.length === 0) {
-        return res.status(500).json({
-          error: "No administrators available",
-          message:
-            "Please try again later or contact system administrator directly",
-        });
+        console.warn(`No administrators to notify about ticket ${ticketId}`);
       }
 
       // Send notification to all admins
@@ -223,6 +247,7 @@ router.post(
         ticketId,
         data: {
           ticket_id: ticketId,
+          status: ticket.status,
           subject,
           category,
           priority,
@@ -248,6 +273,366 @@ router.post(
   }
 );
 
+// What a requester sees when checking a ticket; internal fields such as the
+// assignee, IP address and browser details stay with admins
+const publicTicketView = (ticket) => ({
+  ticket_id: ticket.reference,
+  subject: ticket.subject,
+  category: ticket.category,
+  priority: ticket.priority,
+  status: ticket.status,
+  assigned: !!ticket.assigned_to,
+  submitted_at: ticket.created_at,
+  last_activity_at: ticket.last_activity_at,
+  resolved_at: ticket.resolved_at || null,
+  closed_at: ticket.closed_at || null,
+  replies: ticket.replies.map((reply) => ({
+    from: reply.author_name || "UniTrack Support",
+    message: reply.message,
+    created_at: reply.created_at,
+  })),
+});
+
+// Check a ticket's status by its reference and the email it was sent from
+router.post(
+  "/tickets/lookup",
+  ticketLookupLimiter,
+  [
+    body("ticket_id")
+      .trim()
+      .notEmpty()
+      .withMessage("Ticket reference is required"),
+    body("email")
+      .isEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
+      .withMessage("Valid email is required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const ticket = await SupportTicket.findOne({
+        reference: req.body.ticket_id.toUpperCase(),
+        email: req.body.email,
+      });
+
+      // Same answer for a wrong reference or a wrong email
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      res.json({ success: true, data: publicTicketView(ticket) });
+    } catch (error) {
+      console.error("Support ticket lookup error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// List tickets (admin)
+router.get(
+  "/tickets",
+  requirePermission("system_settings"),
+  [
+    query("status")
+      .optional()
+      .isIn([...SupportTicket.STATUSES, "active", "all"])
+      .withMessage(
+        "Status must be open, in_progress, resolved, closed, active or all"
+      ),
+    query("priority")
+      .optional()
+      .isIn(["low", "medium", "high", "urgent"])
+      .withMessage("Priority must be low, medium, high, or urgent"),
+    query("category")
+      .optional()
+      .isIn(Object.keys(SUPPORT_CATEGORIES))
+      .withMessage("Invalid category"),
+    query("assigned_to")
+      .optional()
+      .custom(
+        (value) =>
+          ["me", "unassigned"].includes(value) ||
+          mongoose.Types.ObjectId.isValid(value)
+      )
+      .withMessage("assigned_to must be an admin ID, me or unassigned"),
+    query("search").optional().trim().isLength({ max: 100 }),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const {
+        status = "active",
+        priority,
+        category,
+        assigned_to,
+        search,
+      } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const filter = {};
+      if (status === "active") {
+        filter.status = { $in: ["open", "in_progress"] };
+      } else if (status !== "all") {
+        filter.status = status;
+      }
+      if (priority) filter.priority = priority;
+      if (category) filter.category = category;
+      if (assigned_to === "me") {
+        filter.assigned_to = req.user._id;
+      } else if (assigned_to === "unassigned") {
+        filter.assigned_to = null;
+      } else if (assigned_to) {
+        filter.assigned_to = assigned_to;
+      }
+      if (search) {
+        const pattern = new RegExp(
+          search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+        filter.$or = [
+          { reference: pattern },
+          { subject: pattern },
+          { name: pattern },
+          { email: pattern },
+          { matric_no: pattern },
+        ];
+      }
+
+      const [tickets, total, counts] = await Promise.all([
+        SupportTicket.find(filter)
+          .select("-replies -browser_info -error_details -course_info")
+          .populate("assigned_to", "name email")
+          .sort({ last_activity_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        SupportTicket.countDocuments(filter),
+        SupportTicket.aggregate([
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      res.json({
+        tickets,
+        status_counts: Object.fromEntries(
+          SupportTicket.STATUSES.map((value) => [
+            value,
+            counts.find((entry) => entry._id === value)?.count || 0,
+          ])
+        ),
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          per_page: limit,
+        },
+      });
+    } catch (error) {
+      console.error("Get support tickets error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get a ticket with its replies (admin)
+router.get(
+  "/tickets/:ticketId",
+  requirePermission("system_settings"),
+  [param("ticketId").isMongoId().withMessage("Valid ticket ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const ticket = await SupportTicket.findById(req.params.ticketId).populate(
+        "assigned_to",
+        "name email"
+      );
+
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      res.json({ ticket });
+    } catch (error) {
+      console.error("Get support ticket error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Assign a ticket to an admin, or unassign it with null. Assigning an open
+// ticket moves it to in_progress.
+router.patch(
+  "/tickets/:ticketId/assign",
+  requirePermission("system_settings"),
+  [
+    param("ticketId").isMongoId().withMessage("Valid ticket ID required"),
+    body("assignee_id")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Valid admin ID required"),
+  ],
+  validate,
+  auditLogger("support_ticket_assigned"),
+  async (req, res) => {
+    try {
+      const { assignee_id = null } = req.body;
+      const ticket = await SupportTicket.findById(req.params.ticketId);
+
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      if (ticket.status === "closed") {
+        return res
+          .status(400)
+          .json({ error: "Closed tickets cannot be assigned" });
+      }
+
+      if (assignee_id) {
+        const assignee = await Admin.findOne({
+          _id: assignee_id,
+          status: "active",
+        });
+        if (!assignee) {
+          return res.status(404).json({ error: "Admin not found or inactive" });
+        }
+        ticket.assigned_to = assignee._id;
+        ticket.assigned_at = new Date();
+        if (ticket.status === "open") {
+          ticket.status = "in_progress";
+        }
+      } else {
+        ticket.assigned_to = null;
+        ticket.assigned_at = undefined;
+      }
+
+      ticket.last_activity_at = new Date();
+      await ticket.save();
+      await ticket.populate("assigned_to", "name email");
+
+      res.json({
+        message: assignee_id
+          ? `Ticket assigned to ${ticket.assigned_to.name}`
+          : "Ticket unassigned",
+        ticket,
+      });
+    } catch (error) {
+      console.error("Assign support ticket error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Change a ticket's status (admin)
+router.patch(
+  "/tickets/:ticketId/status",
+  requirePermission("system_settings"),
+  [
+    param("ticketId").isMongoId().withMessage("Valid ticket ID required"),
+    body("status")
+      .isIn(SupportTicket.STATUSES)
+      .withMessage("Status must be open, in_progress, resolved or closed"),
+  ],
+  validate,
+  auditLogger("support_ticket_status_changed"),
+  async (req, res) => {
+    try {
+      const ticket = await SupportTicket.findById(req.params.ticketId);
+
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      ticket.status = req.body.status;
+      ticket.last_activity_at = new Date();
+      await ticket.save();
+
+      res.json({
+        message: `Ticket marked as ${ticket.status}`,
+        ticket,
+      });
+    } catch (error) {
+      console.error("Update support ticket status error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Reply to a ticket; the reply is emailed to the requester. An optional
+// status is applied with the reply, otherwise an open ticket moves to
+// in_progress.
+router.post(
+  "/tickets/:ticketId/replies",
+  requirePermission("system_settings"),
+  [
+    param("ticketId").isMongoId().withMessage("Valid ticket ID required"),
+    body("message")
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage("Reply must be 1-5000 characters"),
+    body("status")
+      .optional()
+      .isIn(SupportTicket.STATUSES)
+      .withMessage("Status must be open, in_progress, resolved or closed"),
+  ],
+  validate,
+  auditLogger("support_ticket_replied"),
+  async (req, res) => {
+    try {
+      const ticket = await SupportTicket.findById(req.params.ticketId);
+
+      if (!ticket) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      if (ticket.status === "closed" && !req.body.status) {
+        return res.status(400).json({
+          error: "Ticket is closed",
+          details: ["Send a status with the reply to reopen it"],
+        });
+      }
+
+      ticket.replies.push({
+        author_id: req.user._id,
+        author_type: req.userType === "admin" ? "Admin" : "Teacher",
+        author_name: req.user.name,
+        message: req.body.message,
+      });
+      if (req.body.status) {
+        ticket.status = req.body.status;
+      } else if (ticket.status === "open") {
+        ticket.status = "in_progress";
+      }
+      ticket.last_activity_at = new Date();
+      await ticket.save();
+
+      const reply = ticket.replies[ticket.replies.length - 1];
+      try {
+        const email = await emailService.sendSupportReply(ticket, reply);
+        reply.emailed = true;
+        reply.email_id = email._id;
+        await ticket.save();
+      } catch (emailError) {
+        console.error("Failed to send support reply email:", emailError);
+        // The reply is stored; the requester can still see it by lookup
+      }
+
+      res.status(201).json({
+        message: reply.emailed
+          ? "Reply queued for the requester"
+          : "Reply saved, but the email could not be sent",
+        reply,
+        ticket,
+      });
+    } catch (error) {
+      console.error("Reply to support ticket error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Get support information
 router.get("/info", (req, res) => {
   res.json({
@@ -302,6 +687,7 @@ router.get("/health", (req, res) => {
     timestamp: new Date(),
     available_endpoints: [
       "POST /contact - Submit support request",
+      "POST /tickets/lookup - Check a ticket's status by reference and email",
       "GET /info - Get support information and guidelines",
       "GET /faq - Get frequently asked questions",
       "GET /health - Check support system status",
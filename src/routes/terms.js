@@ -0,0 +1,213 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const Term = require("../models/Term");
+const {
+  auth,
+  requirePermission,
+  superAdminAuth,
+} = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const { createTerm, rolloverTerm } = require("../services/termService");
+
+const router = express.Router();
+
+// `when` limits the checks to requests where another field is absent/present
+const termValidators = ({ prefix = "", optional = false, when } = {}) => {
+  const field = (name, isOptional = optional) => {
+    let chain = body(`${prefix}${name}`);
+    if (when) chain = chain.if(when);
+    return isOptional ? chain.optional() : chain;
+  };
+
+  return [
+    field("academic_session")
+      .matches(/^\d{4}\/\d{4}$/)
+      .withMessage("Academic session must look like 2024/2025"),
+    field("semester")
+      .isIn(["first", "second", "summer"])
+      .withMessage("Semester must be first, second or summer"),
+    field("start_date")
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    field("end_date", true)
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+  ];
+};
+
+const pickTermFields = (source = {}) => {
+  const fields = {};
+  ["academic_session", "semester", "start_date", "end_date"].forEach(
+    (field) => {
+      if (source[field] !== undefined) {
+        fields[field] = source[field];
+      }
+    }
+  );
+  return fields;
+};
+
+const handleTermError = (error, res, context) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+  if (error.code === 11000) {
+    return res
+      .status(400)
+      .json({ error: "A term for this session and semester already exists" });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+// List academic terms, newest first
+router.get("/", auth, async (req, res) => {
+  try {
+    const terms = await Term.find().sort({ start_date: -1 });
+    const current = terms.find((term) => term.status === "active") || null;
+
+    res.json({ terms, current_term: current, total: terms.length });
+  } catch (error) {
+    console.error("Get terms error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the current term
+router.get("/current", auth, async (req, res) => {
+  try {
+    const term = await Term.findCurrent();
+
+    if (!term) {
+      return res
+        .status(404)
+        .json({ error: "No academic term is currently active" });
+    }
+
+    res.json({ term });
+  } catch (error) {
+    console.error("Get current term error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a term (the first term becomes current immediately)
+router.post(
+  "/",
+  requirePermission("system_settings"),
+  termValidators(),
+  validate,
+  auditLogger("term_created"),
+  async (req, res) => {
+    try {
+      const term = await createTerm(pickTermFields(req.body), req.user._id);
+
+      res.status(201).json({
+        message:
+          term.status === "active"
+            ? "Term created and set as the current term"
+            : "Term created",
+        term,
+      });
+    } catch (error) {
+      handleTermError(error, res, "Create term");
+    }
+  }
+);
+
+// Edit a term's dates or label (archived terms are read-only)
+router.patch(
+  "/:termId",
+  requirePermission("system_settings"),
+  [
+    param("termId").isMongoId().withMessage("Valid term ID required"),
+    ...termValidators({ optional: true }),
+  ],
+  validate,
+  auditLogger("term_updated"),
+  async (req, res) => {
+    try {
+      const term = await Term.findById(req.params.termId);
+
+      if (!term) {
+        return res.status(404).json({ error: "Term not found" });
+      }
+      if (term.isArchived()) {
+        return res.status(400).json({ error: "Archived terms are read-only" });
+      }
+
+      Object.assign(term, pickTermFields(req.body));
+      await term.save();
+
+      res.json({ message: "Term updated successfully", term });
+    } catch (error) {
+      handleTermError(error, res, "Update term");
+    }
+  }
+);
+
+// Close the current term and start the next one (super-admin only)
+router.post(
+  "/rollover",
+  superAdminAuth,
+  [
+    body("next_term_id")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid next term ID required"),
+    body("next_term")
+      .if(body("next_term_id").not().exists())
+      .isObject()
+      .withMessage("Provide next_term_id or a next_term to create"),
+    ...termValidators({
+      prefix: "next_term.",
+      when: body("next_term_id").not().exists(),
+    }),
+    body("clone_courses")
+      .optional()
+      .isBoolean()
+      .withMessage("clone_courses must be a boolean"),
+    body("clone_enrollments")
+      .optional()
+      .isBoolean()
+      .withMessage("clone_enrollments must be a boolean"),
+  ],
+  validate,
+  auditLogger("term_rollover"),
+  async (req, res) => {
+    try {
+      const { next_term_id, next_term, clone_courses, clone_enrollments } =
+        req.body;
+
+      if (clone_enrollments && !clone_courses) {
+        return res.status(400).json({
+          error: "clone_enrollments requires clone_courses",
+        });
+      }
+
+      const result = await rolloverTerm({
+        nextTermId: next_term_id,
+        nextTermFields: pickTermFields(next_term),
+        cloneCourses: clone_courses === true,
+        cloneEnrollments: clone_enrollments === true,
+        actor: req.user._id,
+      });
+
+      res.json({
+        message: `${result.archived_term.name} archived; ${result.current_term.name} is now the current term`,
+        ...result,
+      });
+    } catch (error) {
+      handleTermError(error, res, "Term rollover");
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const Timetable = require("../models/Timetable");
+const Venue = require("../models/Venue");
+const { auth, adminPermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  scheduleNextOccurrence,
+  cancelScheduledOccurrence,
+  rescheduleCourseTimetable,
+} = require("../services/timetableScheduler");
+const { findAccessibleCourse } = require("../services/courseAccess");
+
+const router = express.Router();
+
+const SLOT_FIELDS = [
+  "venue_id",
+  "weekday",
+  "start_time",
+  "duration_minutes",
+  "radius_m",
+  "grace_period_minutes",
+  "qr_enabled",
+  "is_active",
+];
+
+const slotValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("weekday")
+      .isInt({ min: 0, max: 6 })
+      .withMessage("Weekday must be 0 (Sunday) to 6 (Saturday)"),
+    field("start_time")
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("Start time must be in HH:mm format"),
+    field("duration_minutes")
+      .isInt({ min: 5, max: 480 })
+      .withMessage("Duration must be between 5-480 minutes"),
+    body("venue_id")
+      .optional({ nullable: true })
+      .isMongoId()
+      .withMessage("Valid venue ID required"),
+    field("venue.lat")
+      .if(body("venue_id").not().exists())
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid venue latitude required"),
+    field("venue.lng")
+      .if(body("venue_id").not().exists())
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Valid venue longitude required"),
+    body("venue.name")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Venue name must be less than 100 characters"),
+    body("radius_m")
+      .optional()
+      .isInt({ min: 10, max: 10000 })
+      .withMessage("Radius must be between 10-10000 meters"),
+    body("grace_period_minutes")
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 480 })
+      .withMessage("Grace period must be between 0-480 minutes"),
+    body("qr_enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("qr_enabled must be a boolean"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean"),
+  ];
+};
+
+// Interpret the calendar day of an ISO date in the server's time zone, so
+// "2025-12-25" means the local 25th regardless of UTC offset
+const toLocalDate = (value) => {
+  const [year, month, day] = value.slice(0, 10).split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const hasValidGracePeriod = (slot) =>
+  slot.grace_period_minutes === undefined ||
+  slot.grace_period_minutes === null ||
+  slot.grace_period_minutes < slot.duration_minutes;
+
+// Get the weekly timetable and skip dates of a course
+router.get(
+  "/:courseId/timetable",
+  auth,
+  adminPermission("manage_courses"),
+  [param("courseId").isMongoId().withMessage("Valid course ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(req, req.params.courseId);
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const slots = await Timetable.find({ course_id: course._id }).sort({
+        weekday: 1,
+        start_time: 1,
+      });
+
+      res.json({
+        course: {
+          id: course._id,
+          course_code: course.course_code,
+          title: course.title,
+        },
+        slots,
+        skip_dates: course.timetable_skip_dates,
+      });
+    } catch (error) {
+      console.error("Get timetable error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Add a weekly slot; its sessions open and close automatically
+router.post(
+  "/:courseId/timetable",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    ...slotValidators(false),
+  ],
+  validate,
+  auditLogger("timetable_slot_created"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const slot = new Timetable({
+        course_id: course._id,
+        teacher_id: course.teacher_id,
+        venue: req.body.venue,
+      });
+      SLOT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          slot[field] = req.body[field];
+        }
+      });
+
+      if (
+        slot.venue_id &&
+        !(await Venue.exists({ _id: slot.venue_id, is_active: true }))
+      ) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      if (!hasValidGracePeriod(slot)) {
+        return res.status(400).json({
+          error: "Grace period must be shorter than the session duration",
+        });
+      }
+
+      await scheduleNextOccurrence(slot, course);
+
+      res.status(201).json({
+        message: "Timetable slot created successfully",
+        slot,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+      console.error("Create timetable slot error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Update a slot and reschedule its next opening
+router.patch(
+  "/:courseId/timetable/:slotId",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("slotId").isMongoId().withMessage("Valid slot ID required"),
+    ...slotValidators(true),
+  ],
+  validate,
+  auditLogger("timetable_slot_updated"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const slot = await Timetable.findOne({
+        _id: req.params.slotId,
+        course_id: course._id,
+      });
+
+      if (!slot) {
+        return res.status(404).json({ error: "Timetable slot not found" });
+      }
+
+      SLOT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          slot[field] = req.body[field];
+        }
+      });
+      if (req.body.venue) {
+        ["name", "lat", "lng"].forEach((key) => {
+          if (req.body.venue[key] !== undefined) {
+            slot.set(`venue.${key}`, req.body.venue[key]);
+          }
+        });
+      }
+
+      if (
+        slot.venue_id &&
+        !(await Venue.exists({ _id: slot.venue_id, is_active: true }))
+      ) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      if (!hasValidGracePeriod(slot)) {
+        return res.status(400).json({
+          error: "Grace period must be shorter than the session duration",
+        });
+      }
+
+      await scheduleNextOccurrence(slot, course);
+
+      res.json({
+        message: "Timetable slot updated successfully",
+        slot,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+      console.error("Update timetable slot error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Remove a slot and cancel its queued opening
+router.delete(
+  "/:courseId/timetable/:slotId",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("slotId").isMongoId().withMessage("Valid slot ID required"),
+  ],
+  validate,
+  auditLogger("timetable_slot_deleted"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const slot = await Timetable.findOne({
+        _id: req.params.slotId,
+        course_id: course._id,
+      });
+
+      if (!slot) {
+        return res.status(404).json({ error: "Timetable slot not found" });
+      }
+
+      await cancelScheduledOccurrence(slot);
+      await slot.deleteOne();
+
+      res.json({ message: "Timetable slot deleted successfully" });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Delete timetable slot error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Add a skip date or date range (public holiday, exam week)
+router.post(
+  "/:courseId/timetable/skip-dates",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    body("start_date").isISO8601().withMessage("Valid start date required"),
+    body("end_date")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason must be less than 200 characters"),
+  ],
+  validate,
+  auditLogger("timetable_skip_date_added"),
+  async (req, res) => {
+    try {
+      const { start_date, end_date, reason } = req.body;
+
+      if (end_date && toLocalDate(end_date) < toLocalDate(start_date)) {
+        return res
+          .status(400)
+          .json({ error: "End date cannot be before start date" });
+      }
+
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      course.timetable_skip_dates.push({
+        start_date: toLocalDate(start_date),
+        end_date: end_date ? toLocalDate(end_date) : undefined,
+        reason,
+      });
+      await course.save();
+      await rescheduleCourseTimetable(course);
+
+      res.status(201).json({
+        message: "Skip date added successfully",
+        skip_dates: course.timetable_skip_dates,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Add skip date error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Remove a skip date
+router.delete(
+  "/:courseId/timetable/skip-dates/:skipDateId",
+  auth,
+  adminPermission("manage_courses"),
+  [
+    param("courseId").isMongoId().withMessage("Valid course ID required"),
+    param("skipDateId").isMongoId().withMessage("Valid skip date ID required"),
+  ],
+  validate,
+  auditLogger("timetable_skip_date_removed"),
+  async (req, res) => {
+    try {
+      const course = await findAccessibleCourse(
+        req,
+        req.params.courseId,
+        "edit_course"
+      );
+
+      if (!course) {
+        return res.status(404).json({ error: "Course not found" });
+      }
+
+      const skipDate = course.timetable_skip_dates.id(req.params.skipDateId);
+
+      if (!skipDate) {
+        return res.status(404).json({ error: "Skip date not found" });
+      }
+
+      skipDate.deleteOne();
+      await course.save();
+      await rescheduleCourseTimetable(course);
+
+      res.json({
+        message: "Skip date removed successfully",
+        skip_dates: course.timetable_skip_dates,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Remove skip date error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
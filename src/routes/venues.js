@@ -0,0 +1,247 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const Venue = require("../models/Venue");
+const { auth, requirePermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+
+const router = express.Router();
+
+const VENUE_FIELDS = [
+  "name",
+  "code",
+  "building",
+  "description",
+  "polygons",
+  "circles",
+  "floor",
+  "altitude_m",
+  "is_active",
+];
+
+const venueValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Venue name must be 2-100 characters"),
+    body("code")
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("Venue code must be less than 20 characters"),
+    body("building").optional().trim().isLength({ max: 100 }),
+    body("description").optional().trim().isLength({ max: 500 }),
+    body("polygons")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Polygons must be an array"),
+    body("polygons.*.points")
+      .isArray({ min: 3, max: 100 })
+      .withMessage("Each polygon needs 3-100 points"),
+    body("polygons.*.points.*.lat")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid polygon latitude required"),
+    body("polygons.*.points.*.lng")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Valid polygon longitude required"),
+    body("circles")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Circles must be an array"),
+    body("circles.*.lat")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Valid circle latitude required"),
+    body("circles.*.lng")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Valid circle longitude required"),
+    body("circles.*.radius_m")
+      .isInt({ min: 5, max: 10000 })
+      .withMessage("Circle radius must be between 5-10000 meters"),
+    body("floor").optional().trim().isLength({ max: 50 }),
+    body("altitude_m")
+      .optional()
+      .isFloat({ min: -500, max: 10000 })
+      .withMessage("Altitude must be between -500 and 10000 meters"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean"),
+  ];
+};
+
+const handleSaveError = (error, res, context) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+  if (error.code === 11000) {
+    return res
+      .status(400)
+      .json({ error: "A venue with this name or code already exists" });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+// List venues (staff pick from these when starting sessions)
+router.get(
+  "/",
+  auth,
+  [
+    query("search").optional().trim().isLength({ max: 100 }),
+    query("include_inactive").optional().isBoolean(),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { search, include_inactive } = req.query;
+
+      const filter = {};
+      if (include_inactive !== "true") {
+        filter.is_active = true;
+      }
+      if (search) {
+        const pattern = new RegExp(
+          search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+        filter.$or = [
+          { name: pattern },
+          { code: pattern },
+          { building: pattern },
+        ];
+      }
+
+      const venues = await Venue.find(filter).sort({ name: 1 });
+
+      res.json({ venues, total: venues.length });
+    } catch (error) {
+      console.error("Get venues error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get a single venue
+router.get(
+  "/:venueId",
+  auth,
+  [param("venueId").isMongoId().withMessage("Valid venue ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const venue = await Venue.findById(req.params.venueId);
+
+      if (!venue) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      res.json({ venue });
+    } catch (error) {
+      console.error("Get venue error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Register a venue
+router.post(
+  "/",
+  requirePermission("system_settings"),
+  venueValidators(false),
+  validate,
+  auditLogger("venue_created"),
+  async (req, res) => {
+    try {
+      const venue = new Venue({ created_by: req.user._id });
+      VENUE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          venue[field] = req.body[field];
+        }
+      });
+
+      await venue.save();
+
+      res.status(201).json({
+        message: "Venue created successfully",
+        venue,
+      });
+    } catch (error) {
+      handleSaveError(error, res, "Create venue");
+    }
+  }
+);
+
+// Update a venue (polygons/circles are replaced as a whole)
+router.patch(
+  "/:venueId",
+  requirePermission("system_settings"),
+  [
+    param("venueId").isMongoId().withMessage("Valid venue ID required"),
+    ...venueValidators(true),
+  ],
+  validate,
+  auditLogger("venue_updated"),
+  async (req, res) => {
+    try {
+      const venue = await Venue.findById(req.params.venueId);
+
+      if (!venue) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      VENUE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          venue[field] = req.body[field];
+        }
+      });
+
+      await venue.save();
+
+      res.json({
+        message: "Venue updated successfully",
+        venue,
+      });
+    } catch (error) {
+      handleSaveError(error, res, "Update venue");
+    }
+  }
+);
+
+// Retire a venue. Past sessions keep their reference, so it is deactivated
+// rather than deleted.
+router.delete(
+  "/:venueId",
+  requirePermission("system_settings"),
+  [param("venueId").isMongoId().withMessage("Valid venue ID required")],
+  validate,
+  auditLogger("venue_deactivated"),
+  async (req, res) => {
+    try {
+      const venue = await Venue.findByIdAndUpdate(
+        req.params.venueId,
+        { is_active: false },
+        { new: true }
+      );
+
+      if (!venue) {
+        return res.status(404).json({ error: "Venue not found" });
+      }
+
+      res.json({
+        message: "Venue deactivated successfully",
+        venue,
+      });
+    } catch (error) {
+      console.error("Deactivate venue error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
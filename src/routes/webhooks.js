@@ -0,0 +1,452 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { auth, adminPermission } = require("../middleware/auth");
+const validate = require("../middleware/validation");
+const auditLogger = require("../middleware/auditLogger");
+const {
+  WEBHOOK_EVENTS,
+  ADMIN_ONLY_EVENTS,
+  eventFamilies,
+  isKnownEvent,
+  generateSecret,
+  assertPublicUrl,
+  sendPing,
+  redeliver,
+} = require("../services/webhooks");
+
+const router = express.Router();
+
+// Teachers manage their own subscriptions, admins every subscription
+const ownerQuery = (req) =>
+  req.userType === "admin"
+    ? {}
+    : { owner_type: "Teacher", owner_id: req.user._id };
+
+// Patterns that only cover admin-only events, e.g. "teacher.*"
+const isAdminOnlyPattern = (pattern) =>
+  WEBHOOK_EVENTS.filter(
+    (event) => event === pattern || `${event.split(".")[0]}.*` === pattern
+  ).every((event) => ADMIN_ONLY_EVENTS.includes(event));
+
+const findSubscription = (req, id = req.params.subscriptionId) =>
+  WebhookSubscription.findOne({ _id: id, ...ownerQuery(req) });
+
+const eventValidators = (optional) => {
+  const events = optional ? body("events").optional() : body("events");
+
+  return [
+    events
+      .isArray({ min: 1 })
+      .withMessage("events must be a non-empty array")
+      .custom((value, { req }) => {
+        const unknown = value.filter((event) => !isKnownEvent(event));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown events: ${unknown.join(", ")}`);
+        }
+        if (req.userType !== "admin" && value.some(isAdminOnlyPattern)) {
+          throw new Error(
+            `Only admins can subscribe to ${ADMIN_ONLY_EVENTS.join(", ")}`
+          );
+        }
+        return true;
+      }),
+  ];
+};
+
+const urlValidator = (optional) =>
+  (optional ? body("url").optional() : body("url"))
+    .trim()
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false,
+    })
+    .withMessage("A valid http(s) URL is required")
+    .bail()
+    .custom(async (url) => {
+      try {
+        await assertPublicUrl(url);
+      } catch (error) {
+        throw new Error(
+          `Webhook URL must be publicly reachable: ${error.message}`
+        );
+      }
+      return true;
+    });
+
+// Event names a subscription can use
+router.get("/events", auth, adminPermission("system_settings"), (req, res) => {
+  const available = (pattern) =>
+    req.userType === "admin" || !isAdminOnlyPattern(pattern);
+
+  res.json({
+    events: WEBHOOK_EVENTS.filter(available),
+    wildcards: eventFamilies().filter(available),
+  });
+});
+
+// List webhook subscriptions
+router.get("/", auth, adminPermission("system_settings"), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find(ownerQuery(req)).sort({
+      created_at: -1,
+    });
+
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error("Get webhooks error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a subscription; the signing secret is only returned here and when
+// it is rotated
+router.post(
+  "/",
+  auth,
+  adminPermission("system_settings"),
+  [
+    urlValidator(false),
+    ...eventValidators(false),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description must be less than 200 characters"),
+  ],
+  validate,
+  auditLogger("webhook_created"),
+  async (req, res) => {
+    try {
+      const { url, events, description } = req.body;
+      const secret = generateSecret();
+
+      const subscription = await WebhookSubscription.create({
+        url,
+        events: [...new Set(events)],
+        description,
+        secret,
+        owner_id: req.user._id,
+        owner_type: req.userType === "admin" ? "Admin" : "Teacher",
+      });
+
+      res.status(201).json({
+        message: "Webhook created successfully",
+        subscription: { ...subscription.toObject(), secret },
+        note: "Store the secret now; it is used to verify X-UniTrack-Signature and is not shown again",
+      });
+    } catch (error) {
+      console.error("Create webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get one subscription
+router.get(
+  "/:subscriptionId",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      res.json({ subscription });
+    } catch (error) {
+      console.error("Get webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Update the URL, events, description or enable/disable a subscription
+router.patch(
+  "/:subscriptionId",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+    urlValidator(true),
+    ...eventValidators(true),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description must be less than 200 characters"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean"),
+  ],
+  validate,
+  auditLogger("webhook_updated"),
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      ["url", "description", "is_active"].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          subscription[field] = req.body[field];
+        }
+      });
+      if (req.body.events) {
+        subscription.events = [...new Set(req.body.events)];
+      }
+      await subscription.save();
+
+      res.json({
+        message: "Webhook updated successfully",
+        subscription,
+      });
+    } catch (error) {
+      console.error("Update webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Delete a subscription and its delivery log
+router.delete(
+  "/:subscriptionId",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+  ],
+  validate,
+  auditLogger("webhook_deleted"),
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      await WebhookDelivery.deleteMany({ subscription_id: subscription._id });
+      await subscription.deleteOne();
+
+      res.json({ message: "Webhook deleted successfully" });
+    } catch (error) {
+      console.error("Delete webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Replace the signing secret
+router.post(
+  "/:subscriptionId/rotate-secret",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+  ],
+  validate,
+  auditLogger("webhook_secret_rotated"),
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const secret = generateSecret();
+      subscription.secret = secret;
+      await subscription.save();
+
+      res.json({
+        message:
+          "Webhook secret rotated; deliveries are signed with the new secret from now on",
+        secret,
+      });
+    } catch (error) {
+      console.error("Rotate webhook secret error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Queue a "ping" delivery to test the endpoint
+router.post(
+  "/:subscriptionId/ping",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const delivery = await sendPing(subscription);
+
+      res.status(202).json({
+        message: "Ping queued",
+        delivery_id: delivery._id,
+      });
+    } catch (error) {
+      console.error("Ping webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Delivery log of a subscription
+router.get(
+  "/:subscriptionId/deliveries",
+  auth,
+  adminPermission("system_settings"),
+  [
+    param("subscriptionId")
+      .isMongoId()
+      .withMessage("Valid webhook ID required"),
+    query("status").optional().isIn(["pending", "succeeded", "failed"]),
+    query("event").optional().isString(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const subscription = await findSubscription(req);
+
+      if (!subscription) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const filter = { subscription_id: subscription._id };
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+      if (req.query.event) {
+        filter.event = req.query.event;
+      }
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .select("-payload -response_body")
+          .sort({ created_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+
+      res.json({
+        deliveries,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_records: total,
+          per_page: limit,
+        },
+      });
+    } catch (error) {
+      console.error("Get webhook deliveries error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// A delivery with its payload and the endpoint's last response
+const findDelivery = async (req) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+  if (!delivery || !(await findSubscription(req, delivery.subscription_id))) {
+    return null;
+  }
+  return delivery;
+};
+
+router.get(
+  "/deliveries/:deliveryId",
+  auth,
+  adminPermission("system_settings"),
+  [param("deliveryId").isMongoId().withMessage("Valid delivery ID required")],
+  validate,
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req);
+
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      // Only admins see what the endpoint answered; the response body is
+      // not echoed back to lecturers
+      if (req.userType !== "admin") {
+        delivery.response_body = undefined;
+      }
+
+      res.json({ delivery });
+    } catch (error) {
+      console.error("Get webhook delivery error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Send a delivery's payload again (as a new delivery)
+router.post(
+  "/deliveries/:deliveryId/redeliver",
+  auth,
+  adminPermission("system_settings"),
+  [param("deliveryId").isMongoId().withMessage("Valid delivery ID required")],
+  validate,
+  auditLogger("webhook_redelivered"),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req);
+
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      const redelivery = await redeliver(delivery);
+
+      res.status(202).json({
+        message: "Redelivery queued",
+        delivery_id: redelivery._id,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Redeliver webhook error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,6 +7,15 @@ const mongoose = require("mongoose");
 // Import database connection
 const connectDB = require("./config/database");
 
+// Import background job queue and register job handlers
+const jobQueue = require("./services/jobQueue");
+require("./services/scheduledReports");
+require("./services/attendanceWarnings");
+require("./services/webhooks");
+require("./services/emailOutbox");
+const { syncTimetables } = require("./services/timetableScheduler");
+const { syncNotificationDigests } = require("./services/notificationDigests");
+
 // Import middleware
 const { generalLimiter } = require("./middleware/rateLimiter");
 
@@ -20,6 +29,16 @@ const adminRoutes = require("./routes/admin");
 const studentSharingRoutes = require("./routes/studentSharing");
 const supportRoutes = require("./routes/support");
 const faqRoutes = require("./routes/faq");
+const studentPortalRoutes = require("./routes/studentPortal");
+const appealRoutes = require("./routes/appeals");
+const timetableRoutes = require("./routes/timetables");
+const venueRoutes = require("./routes/venues");
+const termRoutes = require("./routes/terms");
+const studentRecordRoutes = require("./routes/studentRecords");
+const webhookRoutes = require("./routes/webhooks");
+const apiKeyRoutes = require("./routes/apiKeys");
+const emailTemplateRoutes = require("./routes/emailTemplates");
+const emailRoutes = require("./routes/emails");
 
 // Import models to ensure they're registered
 require("./models/Teacher");
@@ -33,12 +52,37 @@ require("./models/AuditLog");
 require("./models/EmailOtp");
 require("./models/StudentShareRequest");
 require("./models/FAQ");
+require("./models/QrTokenRedemption");
+require("./models/Job");
+require("./models/AttendanceAppeal");
+require("./models/Timetable");
+require("./models/Venue");
+require("./models/WebhookSubscription");
+require("./models/WebhookDelivery");
+require("./models/ApiKey");
+require("./models/SupportTicket");
+require("./models/EmailTemplate");
+require("./models/EmailTemplateVersion");
+require("./models/EmailMessage");
 
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Start processing persisted background jobs
+jobQueue.start();
+
+// Queue the next opening of any timetable slot that lost its job
+syncTimetables().catch((error) =>
+  console.error("Timetable sync failed:", error)
+);
+
+// Queue the next daily and weekly digest runs if they are missing
+syncNotificationDigests().catch((error) =>
+  console.error("Notification digest sync failed:", error)
+);
+
 // Security middleware
 app.use(
   helmet({
@@ -55,6 +99,7 @@ app.use(
     allowedHeaders: [
       "Content-Type",
       "Authorization",
+      "X-API-Key",
       "X-Requested-With",
       "Accept",
       "Origin",
@@ -117,11 +162,21 @@ app.use("/api/auth", authRoutes);
 app.use("/api/courses", courseRoutes);
 app.use("/api/courses", studentRoutes); // Student routes are nested under courses
 app.use("/api/courses", sessionRoutes); // Session routes are nested under courses
+app.use("/api/courses", timetableRoutes); // Timetable routes are nested under courses
 app.use("/api/attendance", attendanceRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/student-sharing", studentSharingRoutes);
 app.use("/api/support", supportRoutes);
 app.use("/api/faq", faqRoutes);
+app.use("/api/student", studentPortalRoutes);
+app.use("/api/appeals", appealRoutes);
+app.use("/api/venues", venueRoutes);
+app.use("/api/terms", termRoutes);
+app.use("/api/student-records", studentRecordRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/email-templates", emailTemplateRoutes);
+app.use("/api/emails", emailRoutes);
 
 // Session routes that aren't nested under courses
 app.use("/api/sessions", sessionRoutes);
@@ -189,6 +244,7 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received. Shutting down gracefully...");
+  jobQueue.stop();
 
   try {
     await mongoose.connection.close();
@@ -202,6 +258,7 @@ process.on("SIGTERM", async () => {
 
 process.on("SIGINT", async () => {
   console.log("SIGINT received. Shutting down gracefully...");
+  jobQueue.stop();
 
   try {
     await mongoose.connection.close();
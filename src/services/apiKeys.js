@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const net = require("net");
+const ApiKey = require("../models/ApiKey");
+const Admin = require("../models/Admin");
+const AuditLog = require("../models/AuditLog");
+const { isAccountSuspended } = require("./loginSessions");
+
+const API_KEY_HEADER = "X-API-Key";
+
+// Scopes a key can hold, and what each one opens
+const API_KEY_SCOPES = {
+  "courses:read": "List courses and view course details",
+  "students:read": "View course rosters and student attendance",
+  "students:write": "Enroll, bulk-enroll and remove students",
+  "sessions:read": "View sessions and their attendance",
+  "reports:read": "System statistics, attendance listings and reports",
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+// A new key; only its hash and prefix are stored
+const generateApiKey = () => {
+  const key = `utk_${crypto.randomBytes(24).toString("hex")}`;
+  return { key, prefix: key.slice(0, 12), key_hash: hashApiKey(key) };
+};
+
+// Express reports IPv4 clients as "::ffff:1.2.3.4" on dual-stack sockets
+const normalizeIp = (ip = "") =>
+  ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+
+const parseAllowlistEntry = (entry) => {
+  const [address, prefix] = String(entry).trim().split("/");
+  const version = net.isIP(address);
+  const maxPrefix = version === 4 ? 32 : 128;
+
+  if (!version) return null;
+  if (prefix === undefined) return { address, version };
+  if (!/^\d+$/.test(prefix) || Number(prefix) > maxPrefix) return null;
+  return { address, version, prefix: Number(prefix) };
+};
+
+const isValidAllowlistEntry = (entry) => parseAllowlistEntry(entry) !== null;
+
+function isIpAllowed(allowlist, ip) {
+  if (!allowlist || allowlist.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  allowlist.map(parseAllowlistEntry).forEach((entry) => {
+    if (!entry) return;
+    const type = entry.version === 4 ? "ipv4" : "ipv6";
+    if (entry.prefix === undefined) {
+      blockList.addAddress(entry.address, type);
+    } else {
+      blockList.addSubnet(entry.address, entry.prefix, type);
+    }
+  });
+  return blockList.check(address, version === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolve the key presented on a request that accepts `scope`. Returns the
+ * key and the admin it acts for; throws 401 for unknown, revoked or expired
+ * keys and 403 when the address or scope is not allowed.
+ */
+async function authenticateApiKey(req, scope) {
+  const presented = req.header(API_KEY_HEADER);
+
+  const apiKey = await ApiKey.findOne({ key_hash: hashApiKey(presented) });
+  if (!apiKey) {
+    throw httpError(401, "Invalid API key.");
+  }
+  if (apiKey.revoked_at) {
+    throw httpError(401, "API key has been revoked.");
+  }
+  if (apiKey.isExpired()) {
+    throw httpError(401, "API key has expired.");
+  }
+  if (!isIpAllowed(apiKey.ip_allowlist, req.ip)) {
+    throw httpError(403, "API key is not allowed from this IP address.");
+  }
+  if (!scope) {
+    throw httpError(403, "This endpoint does not accept API keys.");
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    throw httpError(403, `API key is missing the ${scope} scope.`);
+  }
+
+  // A key never outlives its issuer's access
+  const admin = await Admin.findById(apiKey.created_by);
+  if (!admin || isAccountSuspended(admin)) {
+    throw httpError(
+      401,
+      "The admin who issued this API key is no longer active."
+    );
+  }
+
+  return { apiKey, admin };
+}
+
+// Stamp the key as used and log the request once the response is sent
+function recordApiKeyUsage(req, res, apiKey, scope) {
+  const ip = normalizeIp(req.ip);
+
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { last_used_at: new Date(), last_used_ip: ip }
+  ).catch((error) => console.error("Failed to update API key usage:", error));
+
+  res.on("finish", () => {
+    AuditLog.create({
+      actor_id: apiKey._id,
+      actor_type: "ApiKey",
+      action: "api_key_request",
+      payload: {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        scope,
+        ip,
+        userAgent: req.get("User-Agent"),
+        issued_by: apiKey.created_by,
+      },
+    }).catch((error) => console.error("Audit logging failed:", error));
+  });
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  API_KEY_SCOPES,
+  generateApiKey,
+  isValidAllowlistEntry,
+  isIpAllowed,
+  authenticateApiKey,
+  recordApiKeyUsage,
+};
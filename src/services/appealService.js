@@ -0,0 +1,186 @@
+const path = require("path");
+const Session = require("../models/Session");
+const CourseStudent = require("../models/CourseStudent");
+const Attendance = require("../models/Attendance");
+const AttendanceAppeal = require("../models/AttendanceAppeal");
+const AuditLog = require("../models/AuditLog");
+const { EVIDENCE_DIR } = require("../middleware/upload");
+
+// Statuses that can no longer be improved by an appeal
+const FINAL_STATUSES = ["present", "late", "manual_present", "excused"];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getEvidencePath = (appeal) =>
+  appeal.evidence && appeal.evidence.filename
+    ? path.join(EVIDENCE_DIR, path.basename(appeal.evidence.filename))
+    : null;
+
+/**
+ * File an excuse or appeal for a student against a session.
+ * Throws errors carrying an HTTP `status` when the request is not allowed.
+ */
+async function createAppeal({
+  student,
+  sessionId,
+  type,
+  reason,
+  file,
+  filedBy,
+}) {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw httpError(404, "Session not found");
+  }
+
+  if (session.start_ts > new Date()) {
+    throw httpError(
+      400,
+      "Cannot file an appeal for a session that has not started"
+    );
+  }
+
+  const enrollment = await CourseStudent.findOne({
+    course_id: session.course_id,
+    student_id: student._id,
+  });
+  if (!enrollment) {
+    throw httpError(403, "Student is not enrolled in this session's course");
+  }
+
+  const attendance = await Attendance.findOne({
+    session_id: session._id,
+    student_id: student._id,
+  });
+  if (attendance && FINAL_STATUSES.includes(attendance.status)) {
+    throw httpError(
+      400,
+      `Attendance for this session is already recorded as ${attendance.status}`
+    );
+  }
+
+  const existing = await AttendanceAppeal.findOne({
+    session_id: session._id,
+    student_id: student._id,
+    status: "pending",
+  });
+  if (existing) {
+    throw httpError(400, "An appeal for this session is already pending");
+  }
+
+  const appeal = await AttendanceAppeal.create({
+    session_id: session._id,
+    course_id: session.course_id,
+    student_id: student._id,
+    matric_no: student.matric_no,
+    type,
+    reason,
+    evidence: file
+      ? {
+          filename: file.filename,
+          original_name: file.originalname,
+          mime_type: file.mimetype,
+          size: file.size,
+        }
+      : undefined,
+    filed_by_type: filedBy.type,
+    filed_by_id: filedBy.id,
+    previous_status: attendance ? attendance.status : "absent",
+    attendance_id: attendance ? attendance._id : undefined,
+  });
+
+  await AuditLog.create({
+    actor_id: filedBy.id,
+    actor_type: filedBy.type,
+    action: "attendance_appeal_filed",
+    payload: {
+      appeal_id: appeal._id,
+      session_id: session._id,
+      course_id: session.course_id,
+      student_id: student._id,
+      type,
+      has_evidence: !!file,
+    },
+  });
+
+  return appeal;
+}
+
+/**
+ * Approve or reject a pending appeal. Approval marks the student's
+ * attendance for the session as "excused".
+ */
+async function decideAppeal({ appeal, decision, note, decidedBy }) {
+  if (appeal.status !== "pending") {
+    throw httpError(400, `Appeal has already been ${appeal.status}`);
+  }
+
+  if (decision === "approve") {
+    const session = await Session.findById(appeal.session_id);
+    if (!session) {
+      throw httpError(404, "Session not found");
+    }
+
+    let attendance = await Attendance.findOne({
+      session_id: appeal.session_id,
+      student_id: appeal.student_id,
+    });
+
+    if (attendance) {
+      appeal.previous_status = attendance.status;
+      attendance.status = "excused";
+      attendance.reason = `Excused: ${appeal.reason}`;
+    } else {
+      attendance = new Attendance({
+        session_id: appeal.session_id,
+        course_id: appeal.course_id,
+        student_id: appeal.student_id,
+        matric_no_submitted: appeal.matric_no,
+        device_fingerprint: `appeal_${appeal._id}`,
+        lat: session.lat,
+        lng: session.lng,
+        accuracy: 0,
+        status: "excused",
+        reason: `Excused: ${appeal.reason}`,
+        receipt_signature: `appeal_${appeal._id}`,
+      });
+    }
+
+    await attendance.save();
+    appeal.attendance_id = attendance._id;
+  }
+
+  appeal.status = decision === "approve" ? "approved" : "rejected";
+  appeal.decided_by = decidedBy.id;
+  appeal.decided_by_type = decidedBy.type;
+  appeal.decided_at = new Date();
+  appeal.decision_note = note;
+  await appeal.save();
+
+  await AuditLog.create({
+    actor_id: decidedBy.id,
+    actor_type: decidedBy.type,
+    action: `attendance_appeal_${appeal.status}`,
+    payload: {
+      appeal_id: appeal._id,
+      session_id: appeal.session_id,
+      course_id: appeal.course_id,
+      student_id: appeal.student_id,
+      previous_status: appeal.previous_status,
+      new_status: decision === "approve" ? "excused" : appeal.previous_status,
+      note,
+    },
+  });
+
+  return appeal;
+}
+
+module.exports = {
+  createAppeal,
+  decideAppeal,
+  getEvidencePath,
+};
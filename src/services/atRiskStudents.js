@@ -0,0 +1,270 @@
+const Session = require("../models/Session");
+const CourseStudent = require("../models/CourseStudent");
+const Attendance = require("../models/Attendance");
+const Teacher = require("../models/Teacher");
+const EmailService = require("./emailService");
+const {
+  getAttendedStatuses,
+  computeCourseEligibility,
+} = require("./attendancePolicy");
+
+// Why a student is flagged, in the order reports list them
+const AT_RISK_REASONS = {
+  consecutive_absences: "Missed several sessions in a row",
+  declining_trend: "Attendance is falling",
+  below_threshold: "Attendance is below the course requirement",
+};
+
+const emailService = new EmailService();
+
+const roundRate = (value) => Math.round(value * 100) / 100;
+
+const rateOf = (marks) =>
+  roundRate((marks.filter(Boolean).length / marks.length) * 100);
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// One sentence per reason, for the CSV and the alert emails
+function describeReasons(student, policy) {
+  return student.reasons.map((reason) => {
+    if (reason === "consecutive_absences") {
+      return `Missed the last ${student.consecutive_absences} sessions`;
+    }
+    if (reason === "declining_trend") {
+      return `Attendance fell from ${student.previous_rate}% to ${student.recent_rate}% over the last ${policy.trend_window} sessions`;
+    }
+    return `Attendance of ${student.attendance_rate}% is below the ${policy.min_percentage}% requirement`;
+  });
+}
+
+/**
+ * Flag the students of a course who are sliding: those who missed the
+ * last `consecutive_absence_limit` sessions, whose rate over the last
+ * `trend_window` sessions fell by `trend_drop` points against the window
+ * before it, or who are below the policy minimum. Streaks and trends only
+ * look at closed sessions held since the student enrolled, and excused
+ * sessions neither break nor extend them.
+ */
+async function computeAtRiskStudents(course) {
+  const eligibility = await computeCourseEligibility(course);
+  const { policy } = eligibility;
+  const attendedStatuses = getAttendedStatuses(policy);
+  const now = new Date();
+
+  const sessions = await Session.find({
+    course_id: course._id,
+    $or: [{ is_active: false }, { expiry_ts: { $lte: now } }],
+  })
+    .select("_id start_ts")
+    .sort({ start_ts: 1 })
+    .lean();
+
+  const enrollments = await CourseStudent.find({ course_id: course._id })
+    .select("student_id added_at at_risk_alerted_at")
+    .lean();
+  const enrollmentByStudent = {};
+  enrollments.forEach((enrollment) => {
+    enrollmentByStudent[enrollment.student_id.toString()] = enrollment;
+  });
+
+  const records = await Attendance.find({ course_id: course._id })
+    .select("student_id session_id status")
+    .lean();
+  const statusOf = {};
+  records.forEach((record) => {
+    if (!record.student_id) return;
+    statusOf[`${record.student_id}:${record.session_id}`] = record.status;
+  });
+
+  const students = [];
+  eligibility.all_students.forEach((student) => {
+    const enrollment = enrollmentByStudent[student.id.toString()] || {};
+    const enrolledAt = enrollment.added_at
+      ? new Date(enrollment.added_at)
+      : null;
+
+    // true for attended sessions, false for missed ones, oldest first
+    const marks = [];
+    let lastAttendedAt = null;
+    sessions.forEach((session) => {
+      if (enrolledAt && session.start_ts < enrolledAt) return;
+      const status = statusOf[`${student.id}:${session._id}`] || "absent";
+      if (status === "excused") return;
+
+      const attended = attendedStatuses.includes(status);
+      if (attended) lastAttendedAt = session.start_ts;
+      marks.push(attended);
+    });
+
+    let consecutiveAbsences = 0;
+    while (
+      consecutiveAbsences < marks.length &&
+      !marks[marks.length - 1 - consecutiveAbsences]
+    ) {
+      consecutiveAbsences += 1;
+    }
+
+    let recentRate = null;
+    let previousRate = null;
+    if (marks.length >= policy.trend_window * 2) {
+      recentRate = rateOf(marks.slice(-policy.trend_window));
+      previousRate = rateOf(
+        marks.slice(-policy.trend_window * 2, -policy.trend_window)
+      );
+    }
+
+    const reasons = [];
+    if (
+      policy.consecutive_absence_limit > 0 &&
+      consecutiveAbsences >= policy.consecutive_absence_limit
+    ) {
+      reasons.push("consecutive_absences");
+    }
+    if (
+      recentRate !== null &&
+      policy.trend_drop > 0 &&
+      previousRate - recentRate >= policy.trend_drop
+    ) {
+      reasons.push("declining_trend");
+    }
+    if (student.status === "ineligible") {
+      reasons.push("below_threshold");
+    }
+    if (reasons.length === 0) return;
+
+    const flagged = {
+      id: student.id,
+      name: student.name,
+      email: student.email,
+      matric_no: student.matric_no,
+      level: student.level,
+      attendance_rate: student.attendance_rate,
+      eligibility_status: student.status,
+      sessions_needed: student.sessions_needed,
+      consecutive_absences: consecutiveAbsences,
+      recent_rate: recentRate,
+      previous_rate: previousRate,
+      trend_change:
+        recentRate === null ? null : roundRate(recentRate - previousRate),
+      last_attended_at: lastAttendedAt,
+      last_alerted_at: enrollment.at_risk_alerted_at || null,
+      reasons,
+    };
+    flagged.reason_details = describeReasons(flagged, policy);
+    students.push(flagged);
+  });
+
+  // Students with the most reasons first, then the lowest rates
+  students.sort(
+    (a, b) =>
+      b.reasons.length - a.reasons.length ||
+      a.attendance_rate - b.attendance_rate
+  );
+
+  const countFor = (reason) =>
+    students.filter((student) => student.reasons.includes(reason)).length;
+
+  return {
+    course: eligibility.course,
+    policy: {
+      min_percentage: policy.min_percentage,
+      consecutive_absence_limit: policy.consecutive_absence_limit,
+      trend_window: policy.trend_window,
+      trend_drop: policy.trend_drop,
+    },
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_sessions: eligibility.summary.total_sessions,
+      total_students: eligibility.summary.total_students,
+      at_risk_count: students.length,
+      consecutive_absences_count: countFor("consecutive_absences"),
+      declining_trend_count: countFor("declining_trend"),
+      below_threshold_count: countFor("below_threshold"),
+    },
+    students,
+  };
+}
+
+/**
+ * Email the flagged students of a report, and the course owner a summary
+ * of who was alerted. `studentIds` narrows the alert to some of them;
+ * students without an email address are counted and skipped.
+ */
+async function sendAtRiskAlerts(
+  course,
+  report,
+  { studentIds, notifyStudents = true, notifyLecturer = true } = {}
+) {
+  const students = studentIds
+    ? report.students.filter((student) =>
+        studentIds.includes(student.id.toString())
+      )
+    : report.students;
+
+  if (students.length === 0) {
+    throw httpError(400, "None of the selected students are at risk");
+  }
+
+  const result = {
+    students_flagged: students.length,
+    students_alerted: 0,
+    students_without_email: 0,
+    students_failed: 0,
+    lecturer_notified: false,
+  };
+
+  if (notifyStudents) {
+    for (const student of students) {
+      if (!student.email) {
+        result.students_without_email += 1;
+        continue;
+      }
+      try {
+        await emailService.sendStudentAtRiskAlert(
+          student.email,
+          student.name,
+          report.course,
+          student,
+          report.policy.min_percentage
+        );
+        await CourseStudent.updateOne(
+          { course_id: course._id, student_id: student.id },
+          { at_risk_alerted_at: new Date() }
+        );
+        result.students_alerted += 1;
+      } catch (error) {
+        console.error(`Failed to alert student ${student.matric_no}:`, error);
+        result.students_failed += 1;
+      }
+    }
+  }
+
+  if (notifyLecturer) {
+    const lecturer = await Teacher.findById(course.teacher_id).select(
+      "name email"
+    );
+    if (lecturer) {
+      const message = await emailService.sendAtRiskSummary(
+        lecturer.email,
+        lecturer.name,
+        report.course,
+        students,
+        report.policy.min_percentage,
+        notifyStudents ? result.students_alerted : null
+      );
+      result.lecturer_notified = !!message;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  AT_RISK_REASONS,
+  computeAtRiskStudents,
+  sendAtRiskAlerts,
+};
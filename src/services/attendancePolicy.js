@@ -0,0 +1,187 @@
+const Session = require("../models/Session");
+const CourseStudent = require("../models/CourseStudent");
+const Attendance = require("../models/Attendance");
+
+const DEFAULT_POLICY = {
+  min_percentage: 75,
+  count_manual_present: true,
+  excused_absence_grace: 0,
+  warning_margin: 10,
+  warning_emails_enabled: true,
+  consecutive_absence_limit: 3,
+  trend_window: 4,
+  trend_drop: 25,
+};
+
+// Course policy with defaults filled in for courses created before policies
+const getCoursePolicy = (course) => {
+  const policy = course.attendance_policy || {};
+  const merged = { ...DEFAULT_POLICY };
+  Object.keys(DEFAULT_POLICY).forEach((key) => {
+    if (policy[key] !== undefined && policy[key] !== null) {
+      merged[key] = policy[key];
+    }
+  });
+  return merged;
+};
+
+// Statuses that count as attended under a policy
+const getAttendedStatuses = (policy) => {
+  const statuses = ["present", "late"];
+  if (policy.count_manual_present) {
+    statuses.push("manual_present");
+  }
+  return statuses;
+};
+
+const roundRate = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Evaluate every enrolled student of a course against its attendance policy.
+ * Only sessions that have closed are counted, so a running session does not
+ * push students below the threshold before they had a chance to submit,
+ * and students are only counted against sessions held since they enrolled.
+ */
+async function computeCourseEligibility(course) {
+  const policy = getCoursePolicy(course);
+  const attendedStatuses = getAttendedStatuses(policy);
+  const now = new Date();
+
+  const sessions = await Session.find({
+    course_id: course._id,
+    $or: [{ is_active: false }, { expiry_ts: { $lte: now } }],
+  })
+    .select("_id start_ts")
+    .lean();
+  const sessionStarts = {};
+  sessions.forEach((session) => {
+    sessionStarts[session._id.toString()] = session.start_ts;
+  });
+  const totalSessions = sessions.length;
+
+  const enrollments = await CourseStudent.find({ course_id: course._id })
+    .populate("student_id", "matric_no name email level")
+    .lean();
+
+  // Students are only held to sessions from the day they were enrolled
+  const enrolledAtByStudent = {};
+  enrollments.forEach((enrollment) => {
+    if (enrollment.student_id && enrollment.added_at) {
+      enrolledAtByStudent[enrollment.student_id._id.toString()] = new Date(
+        enrollment.added_at
+      );
+    }
+  });
+  const heldSinceEnrollment = (studentId, start) => {
+    const enrolledAt = enrolledAtByStudent[studentId];
+    return !enrolledAt || start >= enrolledAt;
+  };
+
+  const attendanceRecords = await Attendance.find({
+    course_id: course._id,
+    status: { $in: [...attendedStatuses, "excused"] },
+  })
+    .select("student_id session_id status")
+    .lean();
+
+  const attendedByStudent = {};
+  const excusedByStudent = {};
+  attendanceRecords.forEach((record) => {
+    const start = sessionStarts[record.session_id.toString()];
+    if (!record.student_id || !start) {
+      return;
+    }
+    const key = record.student_id.toString();
+    if (!heldSinceEnrollment(key, start)) {
+      return;
+    }
+    const counts =
+      record.status === "excused" ? excusedByStudent : attendedByStudent;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const students = enrollments
+    .filter((enrollment) => enrollment.student_id)
+    .map((enrollment) => {
+      const student = enrollment.student_id;
+      const sessionsHeld = sessions.filter((session) =>
+        heldSinceEnrollment(student._id.toString(), session.start_ts)
+      ).length;
+      const attended = attendedByStudent[student._id.toString()] || 0;
+      // Approved appeals never count against the student; the policy grace
+      // additionally forgives a number of unexcused absences
+      const approvedExcused = excusedByStudent[student._id.toString()] || 0;
+      const missed = sessionsHeld - attended - approvedExcused;
+      const excused = Math.min(missed, policy.excused_absence_grace);
+      const countedSessions = sessionsHeld - approvedExcused - excused;
+      const attendanceRate =
+        countedSessions > 0 ? (attended / countedSessions) * 100 : 100;
+
+      let status = "eligible";
+      if (attendanceRate < policy.min_percentage) {
+        status = "ineligible";
+      } else if (
+        attendanceRate < policy.min_percentage + policy.warning_margin
+      ) {
+        status = "at_risk";
+      }
+
+      // Sessions the student must still attend to reach the threshold,
+      // assuming no further sessions are held
+      const sessionsNeeded = Math.max(
+        0,
+        Math.ceil((policy.min_percentage / 100) * countedSessions) - attended
+      );
+
+      return {
+        id: student._id,
+        name: student.name,
+        email: student.email,
+        matric_no: student.matric_no,
+        level: student.level,
+        sessions_attended: attended,
+        sessions_missed: missed,
+        sessions_excused: approvedExcused,
+        excused_absences_applied: excused,
+        counted_sessions: countedSessions,
+        attendance_rate: roundRate(attendanceRate),
+        eligible: status !== "ineligible",
+        status,
+        sessions_needed: sessionsNeeded,
+      };
+    })
+    .sort((a, b) => a.matric_no.localeCompare(b.matric_no));
+
+  const eligible = students.filter((s) => s.eligible);
+  const ineligible = students.filter((s) => !s.eligible);
+  const atRisk = students.filter((s) => s.status === "at_risk");
+
+  return {
+    course: {
+      id: course._id,
+      course_code: course.course_code,
+      title: course.title,
+      level: course.level,
+    },
+    policy,
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_sessions: totalSessions,
+      total_students: students.length,
+      eligible_count: eligible.length,
+      ineligible_count: ineligible.length,
+      at_risk_count: atRisk.length,
+    },
+    eligible_students: eligible,
+    ineligible_students: ineligible,
+    at_risk_students: atRisk,
+    all_students: students,
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getCoursePolicy,
+  getAttendedStatuses,
+  computeCourseEligibility,
+};
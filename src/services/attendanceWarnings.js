@@ -0,0 +1,65 @@
+const Course = require("../models/Course");
+const EmailService = require("./emailService");
+const jobQueue = require("./jobQueue");
+const { computeCourseEligibility } = require("./attendancePolicy");
+
+const ATTENDANCE_WARNING_JOB = "attendance_threshold_check";
+
+const emailService = new EmailService();
+
+// Email the lecturer about students at or approaching the threshold
+async function checkAttendanceThreshold(job) {
+  const { course_id } = job.payload;
+
+  const course = await Course.findById(course_id).populate(
+    "teacher_id",
+    "name email"
+  );
+
+  if (!course || !course.teacher_id) {
+    return { skipped: "course not found" };
+  }
+
+  const eligibility = await computeCourseEligibility(course);
+
+  if (!eligibility.policy.warning_emails_enabled) {
+    return { skipped: "warning emails disabled" };
+  }
+
+  const flagged = [
+    ...eligibility.ineligible_students,
+    ...eligibility.at_risk_students,
+  ];
+
+  if (flagged.length === 0) {
+    return { flagged: 0 };
+  }
+
+  await emailService.sendAttendanceWarning(
+    course.teacher_id.email,
+    course.teacher_id.name,
+    course.title,
+    course.course_code,
+    flagged,
+    eligibility.policy.min_percentage,
+    eligibility.summary.total_sessions
+  );
+
+  return { flagged: flagged.length };
+}
+
+// Queue a threshold check for when a session closes
+const scheduleAttendanceWarning = (session) =>
+  jobQueue.enqueue(
+    ATTENDANCE_WARNING_JOB,
+    { course_id: session.course_id, session_id: session._id },
+    { runAt: session.expiry_ts }
+  );
+
+jobQueue.register(ATTENDANCE_WARNING_JOB, checkAttendanceThreshold);
+
+module.exports = {
+  ATTENDANCE_WARNING_JOB,
+  checkAttendanceThreshold,
+  scheduleAttendanceWarning,
+};
@@ -0,0 +1,154 @@
+const Course = require("../models/Course");
+
+// Roles a lecturer can hold on a course. The owner is Course.teacher_id; the
+// other roles are entries in Course.members.
+const COURSE_ROLES = ["owner", "co_lecturer", "ta"];
+const MEMBER_ROLES = ["co_lecturer", "ta"];
+
+// What each role may do on a course
+const ROLE_CAPABILITIES = {
+  owner: [
+    "view",
+    "edit_course",
+    "delete_course",
+    "manage_team",
+    "manage_students",
+    "run_sessions",
+    "mark_attendance",
+    "review_appeals",
+  ],
+  co_lecturer: [
+    "view",
+    "edit_course",
+    "manage_students",
+    "run_sessions",
+    "mark_attendance",
+    "review_appeals",
+  ],
+  ta: ["view", "run_sessions", "mark_attendance"],
+};
+
+const CAPABILITY_LABELS = {
+  view: "view this course",
+  edit_course: "edit this course",
+  delete_course: "delete this course",
+  manage_team: "manage the teaching team",
+  manage_students: "manage enrolled students",
+  run_sessions: "run attendance sessions",
+  mark_attendance: "mark attendance",
+  review_appeals: "review attendance appeals",
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const rolesWith = (capability) =>
+  COURSE_ROLES.filter((role) => ROLE_CAPABILITIES[role].includes(capability));
+
+/**
+ * Course filter matching the courses a lecturer teaches with a role that
+ * grants `capability`.
+ */
+function teachingFilter(teacherId, capability = "view") {
+  const memberRoles = rolesWith(capability).filter((role) => role !== "owner");
+  const filter = [{ teacher_id: teacherId }];
+
+  if (memberRoles.length > 0) {
+    filter.push({
+      members: {
+        $elemMatch: { teacher_id: teacherId, role: { $in: memberRoles } },
+      },
+    });
+  }
+  return { $or: filter };
+}
+
+// Ids of the courses a lecturer teaches with `capability`
+const teachingCourseIds = (teacherId, capability = "view", extra = {}) =>
+  Course.find({ ...extra, ...teachingFilter(teacherId, capability) }).distinct(
+    "_id"
+  );
+
+// Course filter for the requester: admins see every course
+const courseAccessQuery = (req, capability = "view") =>
+  req.teacher && req.userType !== "admin"
+    ? teachingFilter(req.teacher._id, capability)
+    : {};
+
+// The requester's role on a course, or null if they do not teach it
+function getCourseRole(course, teacherId) {
+  if (!course || !teacherId) {
+    return null;
+  }
+  if (idOf(course.teacher_id).toString() === teacherId.toString()) {
+    return "owner";
+  }
+  const member = (course.members || []).find(
+    (entry) => idOf(entry.teacher_id).toString() === teacherId.toString()
+  );
+  return member ? member.role : null;
+}
+
+// Everyone who teaches a course: the owner and the team members
+const getCourseTeacherIds = (course) => [
+  idOf(course.teacher_id),
+  ...(course.members || []).map((member) => idOf(member.teacher_id)),
+];
+
+const hasCourseCapability = (course, teacherId, capability) => {
+  const role = getCourseRole(course, teacherId);
+  return !!role && ROLE_CAPABILITIES[role].includes(capability);
+};
+
+// Capabilities the requester has on a course, for API responses
+const getCourseCapabilities = (req, course) => {
+  if (!req.teacher || req.userType === "admin") {
+    return ROLE_CAPABILITIES.owner;
+  }
+  return ROLE_CAPABILITIES[getCourseRole(course, req.teacher._id)] || [];
+};
+
+/**
+ * Find a course the requester may work on. Returns null when the course
+ * does not exist or the lecturer does not teach it; throws 403 when they do
+ * teach it but their role does not grant `capability`.
+ */
+async function findAccessibleCourse(req, courseId, capability = "view") {
+  const course = await Course.findOne({
+    _id: courseId,
+    ...courseAccessQuery(req),
+  });
+
+  if (
+    course &&
+    req.teacher &&
+    req.userType !== "admin" &&
+    !hasCourseCapability(course, req.teacher._id, capability)
+  ) {
+    const role = getCourseRole(course, req.teacher._id);
+    throw httpError(
+      403,
+      `Your role on this course (${role}) does not allow you to ${CAPABILITY_LABELS[capability]}`
+    );
+  }
+  return course;
+}
+
+module.exports = {
+  COURSE_ROLES,
+  MEMBER_ROLES,
+  ROLE_CAPABILITIES,
+  teachingFilter,
+  teachingCourseIds,
+  courseAccessQuery,
+  getCourseRole,
+  getCourseTeacherIds,
+  hasCourseCapability,
+  getCourseCapabilities,
+  findAccessibleCourse,
+};
@@ -0,0 +1,619 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AdmZip = require("adm-zip");
+const Term = require("../models/Term");
+const Venue = require("../models/Venue");
+const Teacher = require("../models/Teacher");
+const Student = require("../models/Student");
+const Course = require("../models/Course");
+const CourseStudent = require("../models/CourseStudent");
+const Timetable = require("../models/Timetable");
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const AttendanceAppeal = require("../models/AttendanceAppeal");
+const FAQ = require("../models/FAQ");
+const { EVIDENCE_DIR } = require("../middleware/upload");
+const { syncTimetables } = require("./timetableScheduler");
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+const BUNDLE_FORMAT = "unitrack-bundle";
+const BUNDLE_VERSION = 1;
+const SCOPES = ["system", "term", "teacher"];
+
+// Uncompressed size of one bundle file and of the whole bundle; zip
+// entries can inflate to hundreds of times their upload size
+const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+const MAX_BUNDLE_BYTES = 1024 * 1024 * 1024;
+
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Collections in a bundle, in restore order: every collection only refers
+ * to collections listed before it (or to itself). `refs` maps a field to
+ * the collection its ids belong to, so ids can be rewritten on import.
+ * `naturalKey` identifies records that already exist in the target system;
+ * those are reused instead of being imported a second time. It gets
+ * `idOf(collection, id)` to look up references by their id in the target.
+ */
+const COLLECTIONS = [
+  {
+    name: "terms",
+    model: Term,
+    naturalKey: (doc) => ({
+      academic_session: doc.academic_session,
+      semester: doc.semester,
+    }),
+  },
+  {
+    name: "venues",
+    model: Venue,
+    naturalKey: (doc) =>
+      doc.code
+        ? { $or: [{ name: doc.name }, { code: doc.code }] }
+        : { name: doc.name },
+  },
+  {
+    name: "teachers",
+    model: Teacher,
+    naturalKey: (doc) => ({ email: doc.email }),
+  },
+  {
+    name: "students",
+    model: Student,
+    naturalKey: (doc) => ({ matric_no: doc.matric_no }),
+  },
+  {
+    name: "courses",
+    model: Course,
+    refs: { teacher_id: "teachers", term_id: "terms", cloned_from: "courses" },
+    // Rollovers copy a course into the next term, so the term is part of it
+    naturalKey: (doc, idOf) => ({
+      teacher_id: idOf("teachers", doc.teacher_id),
+      course_code: doc.course_code,
+      level: doc.level ?? null,
+      term_id: idOf("terms", doc.term_id),
+    }),
+  },
+  {
+    name: "course_students",
+    model: CourseStudent,
+    refs: {
+      course_id: "courses",
+      student_id: "students",
+      added_by: "teachers",
+    },
+    naturalKey: (doc, idOf) => ({
+      course_id: idOf("courses", doc.course_id),
+      student_id: idOf("students", doc.student_id),
+    }),
+  },
+  {
+    name: "timetables",
+    model: Timetable,
+    refs: { course_id: "courses", teacher_id: "teachers", venue_id: "venues" },
+    naturalKey: (doc, idOf) => ({
+      course_id: idOf("courses", doc.course_id),
+      weekday: doc.weekday,
+      start_time: doc.start_time,
+    }),
+  },
+  {
+    name: "sessions",
+    model: Session,
+    refs: {
+      course_id: "courses",
+      teacher_id: "teachers",
+      venue_id: "venues",
+      timetable_id: "timetables",
+      term_id: "terms",
+    },
+    // Session codes are reused over time, so the start time is part of it
+    naturalKey: (doc, idOf) => ({
+      course_id: idOf("courses", doc.course_id),
+      session_code: doc.session_code,
+      start_ts: doc.start_ts,
+    }),
+  },
+  {
+    name: "attendance",
+    model: Attendance,
+    refs: {
+      session_id: "sessions",
+      course_id: "courses",
+      student_id: "students",
+      term_id: "terms",
+    },
+    naturalKey: (doc, idOf) => ({
+      session_id: idOf("sessions", doc.session_id),
+      matric_no_submitted: doc.matric_no_submitted,
+    }),
+  },
+  {
+    name: "attendance_appeals",
+    model: AttendanceAppeal,
+    refs: {
+      session_id: "sessions",
+      course_id: "courses",
+      student_id: "students",
+      attendance_id: "attendance",
+      filed_by_id: (doc) =>
+        ({ Student: "students", Teacher: "teachers" })[doc.filed_by_type],
+      decided_by: (doc) =>
+        doc.decided_by_type === "Teacher" ? "teachers" : null,
+    },
+    naturalKey: (doc, idOf) => ({
+      session_id: idOf("sessions", doc.session_id),
+      student_id: idOf("students", doc.student_id),
+      created_at: doc.created_at,
+    }),
+  },
+  {
+    name: "faqs",
+    model: FAQ,
+    naturalKey: (doc) => ({ question: doc.question }),
+  },
+];
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+const idsOf = (docs, field) => {
+  const seen = new Map();
+  docs.forEach((doc) => {
+    const id = doc[field];
+    if (id) seen.set(id.toString(), id);
+  });
+  return [...seen.values()];
+};
+
+/**
+ * Load the records a scope covers. A term or teacher bundle holds that
+ * term's/teacher's courses with everything hanging off them, plus the
+ * teachers, students, venues and terms those records refer to.
+ */
+async function collectScope(scope, scopeId) {
+  const data = {};
+
+  if (scope === "system") {
+    for (const { name, model } of COLLECTIONS) {
+      data[name] = await model.collection.find({}).toArray();
+    }
+    return data;
+  }
+
+  if (!mongoose.isValidObjectId(scopeId)) {
+    throw httpError(400, `A valid ${scope} ID is required`);
+  }
+  const id = new ObjectId(scopeId);
+
+  if (scope === "term") {
+    if (!(await Term.exists({ _id: id }))) {
+      throw httpError(404, "Term not found");
+    }
+    data.courses = await Course.collection.find({ term_id: id }).toArray();
+  } else {
+    if (!(await Teacher.exists({ _id: id }))) {
+      throw httpError(404, "Teacher not found");
+    }
+    data.courses = await Course.collection.find({ teacher_id: id }).toArray();
+  }
+
+  const courseFilter = { course_id: { $in: idsOf(data.courses, "_id") } };
+  data.course_students = await CourseStudent.collection
+    .find(courseFilter)
+    .toArray();
+  data.timetables = await Timetable.collection.find(courseFilter).toArray();
+  data.sessions = await Session.collection.find(courseFilter).toArray();
+  data.attendance = await Attendance.collection.find(courseFilter).toArray();
+  data.attendance_appeals = await AttendanceAppeal.collection
+    .find(courseFilter)
+    .toArray();
+
+  const termIds = idsOf(data.courses, "term_id");
+  const teacherIds = [
+    ...idsOf(data.courses, "teacher_id"),
+    ...idsOf(
+      data.courses.flatMap((course) => course.members || []),
+      "teacher_id"
+    ),
+    ...idsOf(data.sessions, "teacher_id"),
+  ];
+  const studentIds = [
+    ...idsOf(data.course_students, "student_id"),
+    ...idsOf(data.attendance, "student_id"),
+  ];
+  const venueIds = [
+    ...idsOf(data.sessions, "venue_id"),
+    ...idsOf(data.timetables, "venue_id"),
+  ];
+
+  data.terms = await Term.collection.find({ _id: { $in: termIds } }).toArray();
+  data.teachers = await Teacher.collection
+    .find({ _id: { $in: teacherIds } })
+    .toArray();
+  data.students = await Student.collection
+    .find({ _id: { $in: studentIds } })
+    .toArray();
+  data.venues = await Venue.collection
+    .find({ _id: { $in: venueIds } })
+    .toArray();
+  data.faqs = [];
+
+  return data;
+}
+
+/**
+ * Export a bundle: a zip with one NDJSON file per collection (extended
+ * JSON, so ids and dates survive the round trip), the evidence files of
+ * any appeals, and a manifest with counts and checksums.
+ */
+async function exportBundle({ scope = "system", scopeId, exportedBy } = {}) {
+  if (!SCOPES.includes(scope)) {
+    throw httpError(400, `Scope must be one of: ${SCOPES.join(", ")}`);
+  }
+
+  const data = await collectScope(scope, scopeId);
+  const zip = new AdmZip();
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    created_at: new Date().toISOString(),
+    exported_by: exportedBy ? exportedBy.toString() : null,
+    scope: { type: scope, id: scope === "system" ? null : scopeId },
+    collections: [],
+    files: [],
+  };
+
+  for (const { name } of COLLECTIONS) {
+    const docs = data[name] || [];
+    const content = Buffer.from(
+      docs.map((doc) => EJSON.stringify(doc, { relaxed: true })).join("\n")
+    );
+    const file = `collections/${name}.ndjson`;
+
+    zip.addFile(file, content);
+    manifest.collections.push({
+      name,
+      file,
+      count: docs.length,
+      sha256: sha256(content),
+    });
+  }
+
+  for (const appeal of data.attendance_appeals || []) {
+    const filename = appeal.evidence && appeal.evidence.filename;
+    if (!filename) continue;
+
+    const source = path.join(EVIDENCE_DIR, path.basename(filename));
+    if (!fs.existsSync(source)) continue;
+
+    const content = fs.readFileSync(source);
+    const file = `files/evidence/${path.basename(filename)}`;
+    zip.addFile(file, content);
+    manifest.files.push({ file, sha256: sha256(content) });
+  }
+
+  zip.addFile("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+// A declared size of 0 would be inflated without any limit
+const readEntry = (entry) =>
+  entry.header.size === 0 ? Buffer.alloc(0) : entry.getData();
+
+// Check the manifest and every file it lists; returns the parsed records
+function readBundle(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw httpError(400, "Bundle is not a valid zip archive");
+  }
+
+  // adm-zip inflates no further than an entry's declared size, so checking
+  // the declared sizes bounds the memory the bundle can take
+  const oversized = zip
+    .getEntries()
+    .filter((entry) => entry.header.size > MAX_ENTRY_BYTES)
+    .map((entry) => `${entry.entryName} is too large`);
+  const totalBytes = zip
+    .getEntries()
+    .reduce((total, entry) => total + entry.header.size, 0);
+  if (oversized.length > 0 || totalBytes > MAX_BUNDLE_BYTES) {
+    throw httpError(
+      400,
+      `Bundle files can be at most ${MAX_ENTRY_BYTES / 1024 / 1024}MB each and ${MAX_BUNDLE_BYTES / 1024 / 1024}MB together once uncompressed`,
+      oversized
+    );
+  }
+
+  const manifestEntry = zip.getEntry("manifest.json");
+  if (!manifestEntry) {
+    throw httpError(400, "Bundle has no manifest.json");
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readEntry(manifestEntry).toString("utf8"));
+  } catch (error) {
+    throw httpError(400, "Bundle manifest is not valid JSON");
+  }
+
+  const problems = [];
+  if (manifest.format !== BUNDLE_FORMAT) {
+    problems.push(`Unknown bundle format "${manifest.format}"`);
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    problems.push(`Unsupported bundle version ${manifest.version}`);
+  }
+  if (!Array.isArray(manifest.collections)) {
+    problems.push("Manifest does not list any collections");
+  }
+  if (problems.length > 0) {
+    throw httpError(400, "Invalid bundle manifest", problems);
+  }
+
+  const known = new Set(COLLECTIONS.map(({ name }) => name));
+  const data = {};
+
+  for (const entry of manifest.collections) {
+    if (!known.has(entry.name)) {
+      problems.push(`Unknown collection "${entry.name}"`);
+      continue;
+    }
+    const zipEntry = zip.getEntry(entry.file || "");
+    if (!zipEntry) {
+      problems.push(`Missing file ${entry.file}`);
+      continue;
+    }
+
+    const content = readEntry(zipEntry);
+    if (sha256(content) !== entry.sha256) {
+      problems.push(`Checksum mismatch for ${entry.file}`);
+      continue;
+    }
+
+    try {
+      const text = content.toString("utf8");
+      data[entry.name] = text
+        ? text.split("\n").map((line) => EJSON.parse(line, { relaxed: true }))
+        : [];
+    } catch (error) {
+      problems.push(`${entry.file} is not valid NDJSON`);
+      continue;
+    }
+
+    if (data[entry.name].length !== entry.count) {
+      problems.push(
+        `${entry.file} holds ${data[entry.name].length} records, manifest says ${entry.count}`
+      );
+    }
+  }
+
+  const files = {};
+  for (const entry of manifest.files || []) {
+    const zipEntry = zip.getEntry(entry.file || "");
+    const content = zipEntry && readEntry(zipEntry);
+    if (!content || sha256(content) !== entry.sha256) {
+      problems.push(`Missing or corrupt file ${entry.file}`);
+      continue;
+    }
+    files[path.basename(entry.file)] = content;
+  }
+
+  if (problems.length > 0) {
+    throw httpError(400, "Bundle failed validation", problems);
+  }
+
+  return { manifest, data, files };
+}
+
+// Rewrite every reference through the id map of the collection it points to
+const remapRefs = (doc, refs = {}, idMaps) => {
+  Object.entries(refs).forEach(([field, target]) => {
+    const collection = typeof target === "function" ? target(doc) : target;
+    const value = doc[field];
+    if (!collection || !value) return;
+
+    const mapped = idMaps[collection].get(value.toString());
+    if (mapped) {
+      doc[field] = mapped;
+    }
+  });
+};
+
+/**
+ * Import a bundle. Records that already exist (same natural key, e.g. a
+ * teacher's email or a student's attendance for a session) are reused, so
+ * importing a bundle twice adds nothing the second time; records whose id
+ * is taken get a new id and every reference to them is rewritten. With
+ * `dryRun` nothing is written and only the summary is returned.
+ */
+async function importBundle(buffer, { dryRun = false } = {}) {
+  const { manifest, data, files } = readBundle(buffer);
+  const idMaps = {};
+  const idOf = (collection, id) =>
+    (id && idMaps[collection].get(id.toString())) ?? id ?? null;
+  const summary = {};
+  const warnings = [];
+  const prepared = {};
+  let activeTermTaken = !!(await Term.exists({ status: "active" }));
+
+  for (const { name, model, refs, naturalKey } of COLLECTIONS) {
+    const docs = data[name] || [];
+    const map = new Map();
+    const counts = {
+      in_bundle: docs.length,
+      inserted: 0,
+      remapped: 0,
+      matched_existing: 0,
+    };
+    idMaps[name] = map;
+    summary[name] = counts;
+
+    const existingIds = new Set(
+      (
+        await model.collection
+          .find({ _id: { $in: docs.map((doc) => doc._id) } })
+          .project({ _id: 1 })
+          .toArray()
+      ).map((doc) => doc._id.toString())
+    );
+
+    const toInsert = [];
+    for (const doc of docs) {
+      const originalId = doc._id.toString();
+
+      if (naturalKey) {
+        const existing = await model.collection.findOne(naturalKey(doc, idOf), {
+          projection: { _id: 1 },
+        });
+        if (existing) {
+          map.set(originalId, existing._id);
+          counts.matched_existing++;
+          continue;
+        }
+      }
+
+      if (existingIds.has(originalId)) {
+        const newId = new ObjectId();
+        map.set(originalId, newId);
+        doc._id = newId;
+        counts.remapped++;
+      } else {
+        map.set(originalId, doc._id);
+        counts.inserted++;
+      }
+      toInsert.push(doc);
+    }
+
+    prepared[name] = { model, refs, docs: toInsert };
+  }
+
+  for (const { name } of COLLECTIONS) {
+    const { refs, docs } = prepared[name];
+
+    docs.forEach((doc) => {
+      remapRefs(doc, refs, idMaps);
+
+      // Only one term can be current; imported ones become history
+      if (name === "terms" && doc.status === "active") {
+        if (activeTermTaken) {
+          doc.status = "archived";
+          doc.archived_at = new Date();
+          warnings.push(`Term ${doc.name} was imported as archived`);
+        }
+        activeTermTaken = true;
+      }
+
+      // Course team members are nested, so their ids are remapped here
+      if (name === "courses") {
+        (doc.members || []).forEach((member) =>
+          remapRefs(member, { teacher_id: "teachers" }, idMaps)
+        );
+      }
+
+      // Timetable jobs belong to the exporting system
+      if (name === "timetables") {
+        doc.next_job_id = null;
+        doc.next_run_at = null;
+      }
+
+      if (name === "attendance_appeals" && doc.evidence?.filename) {
+        if (!files[path.basename(doc.evidence.filename)]) {
+          warnings.push(
+            `Evidence file ${doc.evidence.filename} is not in the bundle`
+          );
+        }
+      }
+    });
+  }
+
+  if (!dryRun) {
+    await writePrepared(prepared, files);
+
+    if (prepared.timetables.docs.length > 0) {
+      await syncTimetables();
+    }
+  }
+
+  return {
+    dry_run: dryRun,
+    manifest: {
+      created_at: manifest.created_at,
+      scope: manifest.scope,
+    },
+    summary,
+    warnings,
+  };
+}
+
+/**
+ * Insert the prepared records in restore order. Without a replica set there
+ * are no transactions, so when a write fails everything this import wrote
+ * is deleted again, newest first, and the error is rethrown.
+ */
+async function writePrepared(prepared, files) {
+  const written = [];
+  const evidenceFiles = [];
+
+  try {
+    for (const { name } of COLLECTIONS) {
+      const { model, docs } = prepared[name];
+      if (docs.length === 0) continue;
+
+      if (name === "attendance_appeals") {
+        await restoreEvidenceFiles(docs, files, evidenceFiles);
+      }
+      // Every id was checked to be free, so all of them are this import's
+      written.push({ model, ids: docs.map((doc) => doc._id) });
+      // Written as-is: records of archived terms are restored read-only
+      await model.collection.insertMany(docs, { ordered: true });
+    }
+  } catch (error) {
+    for (const { model, ids } of written.reverse()) {
+      await model.collection.deleteMany({ _id: { $in: ids } });
+    }
+    await Promise.all(
+      evidenceFiles.map((file) => fs.promises.rm(file, { force: true }))
+    );
+    throw error;
+  }
+}
+
+// Copy evidence files into place, renaming any that would overwrite a
+// file; each path is added to `written` as soon as the file is written
+async function restoreEvidenceFiles(appeals, files, written) {
+  await fs.promises.mkdir(EVIDENCE_DIR, { recursive: true });
+
+  for (const appeal of appeals) {
+    const filename = appeal.evidence?.filename;
+    const content = filename && files[path.basename(filename)];
+    if (!content) continue;
+
+    let target = path.basename(filename);
+    if (fs.existsSync(path.join(EVIDENCE_DIR, target))) {
+      target = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}${path
+        .extname(target)
+        .toLowerCase()}`;
+      appeal.evidence.filename = target;
+    }
+    await fs.promises.writeFile(path.join(EVIDENCE_DIR, target), content);
+    written.push(path.join(EVIDENCE_DIR, target));
+  }
+}
+
+module.exports = {
+  BUNDLE_SCOPES: SCOPES,
+  exportBundle,
+  importBundle,
+};
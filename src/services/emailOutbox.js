@@ -0,0 +1,187 @@
+const nodemailer = require("nodemailer");
+const EmailMessage = require("../models/EmailMessage");
+const jobQueue = require("./jobQueue");
+
+const EMAIL_DELIVERY_JOB = "email_delivery";
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+// Email has its own job lane, so it never waits behind webhooks, imports
+// or reports; these types jump ahead of other queued email
+const EMAIL_LANE = "email";
+const EMAIL_WORKERS = parseInt(process.env.EMAIL_WORKERS) || 2;
+const URGENT_EMAIL_TYPES = ["otp", "session-notification"];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+let transporter = null;
+
+// One SMTP transport for the process, built from the EMAIL_* settings
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Store a rendered email and queue it for sending. Returns the stored
+ * message; delivery happens in the email lane of the job queue, which is
+ * nudged so that OTPs do not wait for the next poll. With a `dedupeKey`,
+ * a message already stored under that key is returned instead of queueing
+ * another.
+ */
+async function queueEmail(
+  { type, to, subject, html, attachments = [], dedupeKey = null },
+  resendOf = null
+) {
+  if (dedupeKey) {
+    const existing = await EmailMessage.findOne({ dedupe_key: dedupeKey });
+    if (existing) return existing;
+  }
+
+  let message;
+  try {
+    message = await EmailMessage.create({
+      type,
+      to,
+      subject,
+      html,
+      attachments: attachments.map((attachment) => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        content_type: attachment.content_type || attachment.contentType,
+      })),
+      dedupe_key: dedupeKey || undefined,
+      resend_of: resendOf,
+    });
+  } catch (error) {
+    // Another run stored the same email first
+    if (dedupeKey && error.code === 11000) {
+      return EmailMessage.findOne({ dedupe_key: dedupeKey });
+    }
+    throw error;
+  }
+
+  const job = await jobQueue.enqueue(
+    EMAIL_DELIVERY_JOB,
+    { message_id: message._id },
+    {
+      maxAttempts: EMAIL_MAX_ATTEMPTS,
+      priority: URGENT_EMAIL_TYPES.includes(type) ? 1 : 0,
+    }
+  );
+  message.job_id = job._id;
+  message.next_attempt_at = job.run_at;
+  await message.save();
+
+  setImmediate(() => jobQueue.tick(EMAIL_LANE));
+  return message;
+}
+
+// Queue a failed message again, as a new message
+async function resendEmail(message) {
+  if (message.status !== "failed") {
+    throw httpError(400, "Only failed emails can be resent");
+  }
+  return queueEmail(message, message._id);
+}
+
+// SMTP 5xx replies are permanent (unknown mailbox, rejected content), so
+// retrying them only delays the failure
+const isPermanentFailure = (error) =>
+  error.responseCode >= 500 && error.responseCode < 600;
+
+// Hand one message to the SMTP server; a failed attempt throws so the job
+// queue retries it
+async function deliverEmail(job) {
+  const message = await EmailMessage.findById(job.payload.message_id);
+  if (!message) {
+    return { skipped: "message not found" };
+  }
+  if (message.status === "sent") {
+    return { skipped: "already sent" };
+  }
+
+  const startedAt = Date.now();
+  const attempt = { attempt: job.attempts };
+  let failure = null;
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      attachments: message.attachments.map((attachment) => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.content_type,
+      })),
+    });
+
+    attempt.status = "sent";
+    attempt.smtp_response = info.response;
+    attempt.message_id = info.messageId;
+  } catch (error) {
+    failure = error;
+    attempt.status = "failed";
+    attempt.smtp_response = error.response;
+    attempt.response_code = error.responseCode;
+    attempt.error = error.message;
+  }
+
+  attempt.duration_ms = Date.now() - startedAt;
+  message.attempts = job.attempts;
+  message.delivery_attempts.push(attempt);
+  message.next_attempt_at = undefined;
+
+  if (!failure) {
+    message.status = "sent";
+    message.sent_at = new Date();
+    message.message_id = attempt.message_id;
+    message.last_error = undefined;
+  } else {
+    message.last_error = failure.message;
+    if (isPermanentFailure(failure) || job.attempts >= job.max_attempts) {
+      message.status = "failed";
+    } else {
+      message.next_attempt_at = new Date(
+        Date.now() + jobQueue.getBackoffDelay(job.attempts)
+      );
+    }
+  }
+  await message.save();
+
+  // A permanent failure completes the job; there is nothing left to retry
+  if (failure && !isPermanentFailure(failure)) {
+    throw new Error(failure.message);
+  }
+  return {
+    status: message.status,
+    smtp_response: attempt.smtp_response,
+  };
+}
+
+jobQueue.defineLane(EMAIL_LANE, { concurrency: EMAIL_WORKERS });
+jobQueue.register(EMAIL_DELIVERY_JOB, deliverEmail, { lane: EMAIL_LANE });
+
+module.exports = {
+  EMAIL_DELIVERY_JOB,
+  getTransporter,
+  queueEmail,
+  resendEmail,
+  deliverEmail,
+};
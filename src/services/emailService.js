@@ -1,31 +1,10 @@
-const nodemailer = require("nodemailer");
-const handlebars = require("handlebars");
-const fs = require("fs").promises;
-const path = require("path");
+const { renderEmail } = require("./emailTemplates");
+const { getTransporter, queueEmail } = require("./emailOutbox");
+const { wantsInstantEmail } = require("./notificationPreferences");
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-
-    // Register Handlebars helpers
-    handlebars.registerHelper("eq", function (a, b) {
-      return a === b;
-    });
-
-    handlebars.registerHelper("if_gt", function (a, b, options) {
-      if (a > b) {
-        return options.fn(this);
-      }
-      return options.inverse(this);
-    });
+    this.transporter = getTransporter();
 
     // Test connection
     this.transporter.verify((error, success) => {
@@ -37,24 +16,18 @@ class EmailService {
     });
   }
 
-  async loadTemplate(templateName) {
+  // Subject and body come from the admin-edited template, or the default
+  async renderTemplate(templateName, context) {
     try {
-      const templatePath = path.join(
-        __dirname,
-        "../templates/email",
-        `${templateName}.hbs`
-      );
-      const templateSource = await fs.readFile(templatePath, "utf8");
-      return handlebars.compile(templateSource);
+      return await renderEmail(templateName, context);
     } catch (error) {
-      console.error(`Failed to load email template ${templateName}:`, error);
+      console.error(`Failed to render email template ${templateName}:`, error);
       throw error;
     }
   }
 
   async sendOTP(email, otp, purpose = "verification") {
     try {
-      const template = await this.loadTemplate("otp");
       const expiryTime = new Date(
         Date.now() + 60 * 60 * 1000
       ).toLocaleTimeString("en-US", {
@@ -62,7 +35,7 @@ class EmailService {
         minute: "2-digit",
         hour12: true,
       });
-      const html = template({
+      const { subject, html } = await this.renderTemplate("otp", {
         otp,
         purpose,
         expiryMinutes: 60, // Always 1 hour expiry
@@ -70,17 +43,19 @@ class EmailService {
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: email,
-        subject: `Your OTP for ${purpose}`,
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("OTP email sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "otp",
+        ...mailOptions,
+      });
+      console.log("OTP email queued:", message._id.toString());
+      return message;
     } catch (error) {
-      console.error("Failed to send OTP email:", error);
+      console.error("Failed to queue OTP email:", error);
       throw error;
     }
   }
@@ -89,29 +64,43 @@ class EmailService {
     teacherEmail,
     teacherName,
     courseTitle,
-    sessionCode
+    sessionCode,
+    alwaysSend = false
   ) {
     try {
-      const template = await this.loadTemplate("session-notification");
-      const html = template({
-        teacherName,
-        courseTitle,
-        sessionCode,
-        timestamp: new Date().toLocaleString(),
-      });
+      // Lecturers can turn this off or receive it in their digest, except
+      // for timetabled sessions, where this email is how they get the code
+      if (
+        !alwaysSend &&
+        !(await wantsInstantEmail(teacherEmail, "session_started"))
+      ) {
+        return null;
+      }
+
+      const { subject, html } = await this.renderTemplate(
+        "session-notification",
+        {
+          teacherName,
+          courseTitle,
+          sessionCode,
+          timestamp: new Date().toLocaleString(),
+        }
+      );
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: teacherEmail,
-        subject: `Attendance Session Started - ${courseTitle}`,
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Session notification sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "session-notification",
+        ...mailOptions,
+      });
+      console.log("Session notification queued:", message._id.toString());
+      return message;
     } catch (error) {
-      console.error("Failed to send session notification:", error);
+      console.error("Failed to queue session notification:", error);
       throw error;
     }
   }
@@ -121,11 +110,11 @@ class EmailService {
     teacherName,
     courseName,
     reportBuffer,
-    format = "csv"
+    format = "csv",
+    dedupeKey = null
   ) {
     try {
-      const template = await this.loadTemplate("attendance-report");
-      const html = template({
+      const { subject, html } = await this.renderTemplate("attendance-report", {
         teacherName,
         courseName,
         courseTitle: courseName, // For backward compatibility
@@ -134,9 +123,8 @@ class EmailService {
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: teacherEmail,
-        subject: `Attendance Report - ${courseName}`,
+        subject,
         html,
         attachments: [
           {
@@ -147,11 +135,142 @@ class EmailService {
         ],
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Attendance report sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "attendance-report",
+        ...mailOptions,
+        dedupeKey,
+      });
+      console.log("Attendance report queued:", message._id.toString());
+      return message;
+    } catch (error) {
+      console.error("Failed to queue attendance report:", error);
+      throw error;
+    }
+  }
+
+  async sendAttendanceWarning(
+    teacherEmail,
+    teacherName,
+    courseTitle,
+    courseCode,
+    students,
+    minPercentage,
+    totalSessions
+  ) {
+    try {
+      if (!(await wantsInstantEmail(teacherEmail, "attendance_warning"))) {
+        return null;
+      }
+
+      const { subject, html } = await this.renderTemplate(
+        "attendance-warning",
+        {
+          teacherName,
+          courseTitle,
+          courseCode,
+          students,
+          minPercentage,
+          totalSessions,
+          timestamp: new Date().toLocaleString(),
+        }
+      );
+
+      const mailOptions = {
+        to: teacherEmail,
+        subject,
+        html,
+      };
+
+      const message = await queueEmail({
+        type: "attendance-warning",
+        ...mailOptions,
+      });
+      console.log("Attendance warning queued:", message._id.toString());
+      return message;
+    } catch (error) {
+      console.error("Failed to queue attendance warning:", error);
+      throw error;
+    }
+  }
+
+  async sendAtRiskSummary(
+    teacherEmail,
+    teacherName,
+    course,
+    students,
+    minPercentage,
+    studentsAlerted = null
+  ) {
+    try {
+      if (!(await wantsInstantEmail(teacherEmail, "attendance_warning"))) {
+        return null;
+      }
+
+      const { subject, html } = await this.renderTemplate("at-risk-summary", {
+        teacherName,
+        courseTitle: course.title,
+        courseCode: course.course_code,
+        students,
+        minPercentage,
+        studentsNotified: studentsAlerted !== null,
+        studentsAlerted,
+        timestamp: new Date().toLocaleString(),
+      });
+
+      const mailOptions = {
+        to: teacherEmail,
+        subject,
+        html,
+      };
+
+      const message = await queueEmail({
+        type: "at-risk-summary",
+        ...mailOptions,
+      });
+      console.log("At-risk summary queued:", message._id.toString());
+      return message;
     } catch (error) {
-      console.error("Failed to send attendance report:", error);
+      console.error("Failed to queue at-risk summary:", error);
+      throw error;
+    }
+  }
+
+  async sendStudentAtRiskAlert(
+    studentEmail,
+    studentName,
+    course,
+    student,
+    minPercentage
+  ) {
+    try {
+      const { subject, html } = await this.renderTemplate(
+        "student-at-risk-alert",
+        {
+          studentName,
+          courseTitle: course.title,
+          courseCode: course.course_code,
+          attendanceRate: student.attendance_rate,
+          minPercentage,
+          reasons: student.reason_details,
+          sessionsNeeded: student.sessions_needed,
+          timestamp: new Date().toLocaleString(),
+        }
+      );
+
+      const mailOptions = {
+        to: studentEmail,
+        subject,
+        html,
+      };
+
+      const message = await queueEmail({
+        type: "student-at-risk-alert",
+        ...mailOptions,
+      });
+      console.log("Student at-risk alert queued:", message._id.toString());
+      return message;
+    } catch (error) {
+      console.error("Failed to queue student at-risk alert:", error);
       throw error;
     }
   }
@@ -162,8 +281,7 @@ class EmailService {
 
   async sendWelcomeEmail(teacherEmail, teacherName, temporaryPassword) {
     try {
-      const template = await this.loadTemplate("welcome");
-      const html = template({
+      const { subject, html } = await this.renderTemplate("welcome", {
         teacherName,
         teacherEmail,
         temporaryPassword,
@@ -171,17 +289,19 @@ class EmailService {
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: teacherEmail,
-        subject: "Welcome to UniTrack Attendance System",
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Welcome email sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "welcome",
+        ...mailOptions,
+      });
+      console.log("Welcome email queued:", message._id.toString());
+      return message;
     } catch (error) {
-      console.error("Failed to send welcome email:", error);
+      console.error("Failed to queue welcome email:", error);
       throw error;
     }
   }
@@ -197,33 +317,44 @@ class EmailService {
     requestId
   ) {
     try {
-      const template = await this.loadTemplate("student-share-request");
-      const html = template({
-        targetTeacherName,
-        requesterName,
-        requesterCourse,
-        targetCourse,
-        studentCount,
-        message,
-        requestId,
-        approveUrl: `${
-          process.env.FRONTEND_URL || "http://localhost:3000"
-        }/share-requests/${requestId}`,
-        timestamp: new Date().toLocaleString(),
-      });
+      if (!(await wantsInstantEmail(targetTeacherEmail, "share_request"))) {
+        return null;
+      }
+
+      const { subject, html } = await this.renderTemplate(
+        "student-share-request",
+        {
+          targetTeacherName,
+          requesterName,
+          requesterCourse,
+          targetCourse,
+          studentCount,
+          message,
+          requestId,
+          approveUrl: `${
+            process.env.FRONTEND_URL || "http://localhost:3000"
+          }/share-requests/${requestId}`,
+          timestamp: new Date().toLocaleString(),
+        }
+      );
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: targetTeacherEmail,
-        subject: `Student Sharing Request from ${requesterName}`,
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Student share request email sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "student-share-request",
+        ...mailOptions,
+      });
+      console.log(
+        "Student share request email queued:",
+        message._id.toString()
+      );
+      return message;
     } catch (error) {
-      console.error("Failed to send student share request email:", error);
+      console.error("Failed to queue student share request email:", error);
       throw error;
     }
   }
@@ -239,42 +370,47 @@ class EmailService {
     responseMessage
   ) {
     try {
-      const template = await this.loadTemplate("student-share-response");
-      const html = template({
-        requesterName,
-        responderName,
-        requesterCourse,
-        sourceCourse,
-        approved,
-        studentCount,
-        responseMessage,
-        timestamp: new Date().toLocaleString(),
-      });
+      if (!(await wantsInstantEmail(requesterEmail, "share_response"))) {
+        return null;
+      }
 
-      const subject = approved
-        ? `Student Sharing Request Approved by ${responderName}`
-        : `Student Sharing Request Declined by ${responderName}`;
+      const { subject, html } = await this.renderTemplate(
+        "student-share-response",
+        {
+          requesterName,
+          responderName,
+          requesterCourse,
+          sourceCourse,
+          approved,
+          studentCount,
+          responseMessage,
+          timestamp: new Date().toLocaleString(),
+        }
+      );
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: requesterEmail,
         subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Student share response email sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "student-share-response",
+        ...mailOptions,
+      });
+      console.log(
+        "Student share response email queued:",
+        message._id.toString()
+      );
+      return message;
     } catch (error) {
-      console.error("Failed to send student share response email:", error);
+      console.error("Failed to queue student share response email:", error);
       throw error;
     }
   }
 
   async sendSupportRequestToAdmin(adminEmail, supportData) {
     try {
-      const template = await this.loadTemplate("support-request");
-
       // Determine priority color
       const priorityColors = {
         low: "#28a745",
@@ -282,8 +418,7 @@ class EmailService {
         high: "#fd7e14",
         urgent: "#dc3545",
       };
-
-      const html = template({
+      const { subject, html } = await this.renderTemplate("support-request", {
         userName: supportData.name,
         userEmail: supportData.email,
         userType: supportData.user_type,
@@ -311,27 +446,28 @@ class EmailService {
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: adminEmail,
-        subject: `[Support Request] ${supportData.priority.toUpperCase()} - ${
-          supportData.subject
-        }`,
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Support request email sent to admin:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "support-request",
+        ...mailOptions,
+      });
+      console.log(
+        "Support request email queued to admin:",
+        message._id.toString()
+      );
+      return message;
     } catch (error) {
-      console.error("Failed to send support request email to admin:", error);
+      console.error("Failed to queue support request email to admin:", error);
       throw error;
     }
   }
 
   async sendSupportConfirmation(userEmail, supportData) {
     try {
-      const template = await this.loadTemplate("support-confirmation");
-
       // Determine priority color and expected response time
       const priorityColors = {
         low: "#28a745",
@@ -346,33 +482,105 @@ class EmailService {
         high: "within 24 hours",
         urgent: "within 4-6 hours",
       };
+      const { subject, html } = await this.renderTemplate(
+        "support-confirmation",
+        {
+          userName: supportData.name,
+          subject: supportData.subject,
+          category: supportData.category,
+          priority: supportData.priority.toUpperCase(),
+          priorityColor: priorityColors[supportData.priority] || "#6c757d",
+          message: supportData.message,
+          submittedAt: new Date(supportData.submittedAt).toLocaleString(),
+          ticketId: supportData.ticketId,
+          expectedResponse:
+            expectedResponses[supportData.priority] || "as soon as possible",
+          systemName: "UniTrack System",
+        }
+      );
 
-      const html = template({
-        userName: supportData.name,
-        subject: supportData.subject,
-        category: supportData.category,
-        priority: supportData.priority.toUpperCase(),
-        priorityColor: priorityColors[supportData.priority] || "#6c757d",
-        message: supportData.message,
-        submittedAt: new Date(supportData.submittedAt).toLocaleString(),
-        ticketId: supportData.ticketId,
-        expectedResponse:
-          expectedResponses[supportData.priority] || "as soon as possible",
+      const mailOptions = {
+        to: userEmail,
+        subject,
+        html,
+      };
+
+      const message = await queueEmail({
+        type: "support-confirmation",
+        ...mailOptions,
+      });
+      console.log("Support confirmation email queued:", message._id.toString());
+      return message;
+    } catch (error) {
+      console.error("Failed to queue support confirmation email:", error);
+      throw error;
+    }
+  }
+
+  async sendSupportReply(ticket, reply) {
+    try {
+      const statusLabels = {
+        open: "Open",
+        in_progress: "In Progress",
+        resolved: "Resolved",
+        closed: "Closed",
+      };
+      const { subject, html } = await this.renderTemplate("support-reply", {
+        userName: ticket.name,
+        ticketId: ticket.reference,
+        subject: ticket.subject,
+        status: statusLabels[ticket.status] || ticket.status,
+        isResolved: ["resolved", "closed"].includes(ticket.status),
+        replyMessage: reply.message,
+        replyAuthor: reply.author_name || "UniTrack Support",
+        repliedAt: new Date(reply.created_at).toLocaleString(),
+        originalMessage: ticket.message,
         systemName: "UniTrack System",
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
-        to: userEmail,
-        subject: `Support Request Confirmation - Ticket #${supportData.ticketId}`,
+        to: ticket.email,
+        subject,
         html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Support confirmation email sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "support-reply",
+        ...mailOptions,
+      });
+      console.log("Support reply email queued:", message._id.toString());
+      return message;
     } catch (error) {
-      console.error("Failed to send support confirmation email:", error);
+      console.error("Failed to queue support reply email:", error);
+      throw error;
+    }
+  }
+
+  async sendNotificationDigest(teacherEmail, teacherName, digest) {
+    try {
+      const { subject, html } = await this.renderTemplate(
+        "notification-digest",
+        {
+          teacherName,
+          ...digest,
+          dashboardUrl: process.env.FRONTEND_URL || "http://localhost:3000",
+        }
+      );
+
+      const mailOptions = {
+        to: teacherEmail,
+        subject,
+        html,
+      };
+
+      const message = await queueEmail({
+        type: "notification-digest",
+        ...mailOptions,
+      });
+      console.log("Notification digest queued:", message._id.toString());
+      return message;
+    } catch (error) {
+      console.error("Failed to queue notification digest:", error);
       throw error;
     }
   }
@@ -391,9 +599,11 @@ class EmailService {
     login_url = process.env.FRONTEND_URL || "http://localhost:3000",
   }) {
     try {
-      const template = await this.loadTemplate("course-assignment");
+      if (!(await wantsInstantEmail(lecturer_email, "course_assignment"))) {
+        return null;
+      }
 
-      const html = template({
+      const { subject, html } = await this.renderTemplate("course-assignment", {
         lecturer_name,
         course_title,
         course_code,
@@ -421,17 +631,22 @@ class EmailService {
       });
 
       const mailOptions = {
-        from: process.env.EMAIL_FROM,
         to: lecturer_email,
-        subject: `Course Assignment: ${course_code} - ${course_title}`,
+        subject,
         html: html,
       };
 
-      const info = await this.transporter.sendMail(mailOptions);
-      console.log("Course assignment notification sent:", info.messageId);
-      return info;
+      const message = await queueEmail({
+        type: "course-assignment",
+        ...mailOptions,
+      });
+      console.log(
+        "Course assignment notification queued:",
+        message._id.toString()
+      );
+      return message;
     } catch (error) {
-      console.error("Failed to send course assignment notification:", error);
+      console.error("Failed to queue course assignment notification:", error);
       throw error;
     }
   }
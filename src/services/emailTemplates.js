@@ -0,0 +1,725 @@
+const fs = require("fs").promises;
+const path = require("path");
+const handlebars = require("handlebars");
+const EmailTemplate = require("../models/EmailTemplate");
+const EmailTemplateVersion = require("../models/EmailTemplateVersion");
+
+const TEMPLATE_DIR = path.join(__dirname, "../templates/email");
+
+handlebars.registerHelper("eq", function (a, b) {
+  return a === b;
+});
+
+handlebars.registerHelper("if_gt", function (a, b, options) {
+  if (a > b) {
+    return options.fn(this);
+  }
+  return options.inverse(this);
+});
+
+handlebars.registerHelper("uppercase", function (value) {
+  return value === undefined || value === null
+    ? ""
+    : String(value).toUpperCase();
+});
+
+const HELPERS = [
+  "if",
+  "unless",
+  "each",
+  "with",
+  "lookup",
+  "log",
+  "eq",
+  "if_gt",
+  "uppercase",
+];
+
+// Blocks whose body resolves names against a new context (the item)
+const CONTEXT_BLOCKS = ["each", "with"];
+
+const SAMPLE_TIMESTAMP = "9/1/2025, 8:00:00 AM";
+
+/**
+ * Every email the system sends. `subject` is the default subject template;
+ * the default body is the .hbs file of the same name. `variables` are the
+ * names the sending code provides, and `sample` is used for previews.
+ */
+const EMAIL_TEMPLATES = {
+  otp: {
+    description: "One-time password for registration, login and password reset",
+    subject: "Your OTP for {{purpose}}",
+    variables: ["otp", "purpose", "expiryMinutes", "expiryTime"],
+    sample: {
+      otp: "482913",
+      purpose: "account registration",
+      expiryMinutes: 60,
+      expiryTime: "09:00 AM",
+    },
+  },
+  "session-notification": {
+    description: "Sent to the lecturer when an attendance session starts",
+    subject: "Attendance Session Started - {{courseTitle}}",
+    variables: ["teacherName", "courseTitle", "sessionCode", "timestamp"],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      courseTitle: "Data Structures",
+      sessionCode: "X7K2P9",
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  "attendance-report": {
+    description: "Covers an emailed attendance report attachment",
+    subject: "Attendance Report - {{courseName}}",
+    variables: [
+      "teacherName",
+      "courseName",
+      "courseTitle",
+      "format",
+      "timestamp",
+    ],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      courseName: "CS 103 - Data Structures",
+      courseTitle: "CS 103 - Data Structures",
+      format: "CSV",
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  "attendance-warning": {
+    description: "Students at or near the attendance threshold of a course",
+    subject:
+      "Attendance Warning - {{courseCode}}: {{students.length}} student(s) near the {{minPercentage}}% threshold",
+    variables: [
+      "teacherName",
+      "courseTitle",
+      "courseCode",
+      "students",
+      "minPercentage",
+      "totalSessions",
+      "timestamp",
+    ],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      courseTitle: "Data Structures",
+      courseCode: "CS 103",
+      students: [
+        {
+          matric_no: "CS/2021/001",
+          name: "John Doe",
+          attendance_rate: 62.5,
+          status: "ineligible",
+        },
+        {
+          matric_no: "CS/2021/014",
+          name: "Mary Okafor",
+          attendance_rate: 76,
+          status: "at_risk",
+        },
+      ],
+      minPercentage: 75,
+      totalSessions: 16,
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  welcome: {
+    description: "Welcome email for a new lecturer account",
+    subject: "Welcome to UniTrack Attendance System",
+    variables: ["teacherName", "teacherEmail", "temporaryPassword", "loginUrl"],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      teacherEmail: "jane@university.edu",
+      temporaryPassword: "123456789",
+      loginUrl: "http://localhost:3000",
+    },
+  },
+  "student-share-request": {
+    description: "A lecturer asks another lecturer to share students",
+    subject: "Student Sharing Request from {{requesterName}}",
+    variables: [
+      "targetTeacherName",
+      "requesterName",
+      "requesterCourse",
+      "targetCourse",
+      "studentCount",
+      "message",
+      "requestId",
+      "approveUrl",
+      "timestamp",
+    ],
+    sample: {
+      targetTeacherName: "Dr. John Doe",
+      requesterName: "Dr. Jane Smith",
+      requesterCourse: "CS 203 - Algorithms",
+      targetCourse: "CS 103 - Data Structures",
+      studentCount: 12,
+      message: "Could you share the students who passed CS 103?",
+      requestId: "68ae283386f3b217bd3f5199",
+      approveUrl:
+        "http://localhost:3000/share-requests/68ae283386f3b217bd3f5199",
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  "student-share-response": {
+    description: "The answer to a student sharing request",
+    subject:
+      "Student Sharing Request {{#if approved}}Approved{{else}}Declined{{/if}} by {{responderName}}",
+    variables: [
+      "requesterName",
+      "responderName",
+      "requesterCourse",
+      "sourceCourse",
+      "approved",
+      "studentCount",
+      "responseMessage",
+      "timestamp",
+    ],
+    sample: {
+      requesterName: "Dr. Jane Smith",
+      responderName: "Dr. John Doe",
+      requesterCourse: "CS 203 - Algorithms",
+      sourceCourse: "CS 103 - Data Structures",
+      approved: true,
+      studentCount: 12,
+      responseMessage: "Shared, good luck with the course.",
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  "support-request": {
+    description: "A new support ticket, sent to every active admin",
+    subject: "[Support Request] {{uppercase priority}} - {{subject}}",
+    variables: [
+      "userName",
+      "userEmail",
+      "userType",
+      "subject",
+      "category",
+      "priority",
+      "priorityColor",
+      "message",
+      "submittedAt",
+      "ticketId",
+      "phone",
+      "matricNo",
+      "courseInfo",
+      "errorDetails",
+      "browserInfo",
+      "ip_address",
+      "user_agent",
+      "systemName",
+    ],
+    sample: {
+      userName: "John Doe",
+      userEmail: "john.doe@example.com",
+      userType: "student",
+      subject: "Unable to submit attendance",
+      category: "attendance",
+      priority: "medium",
+      priorityColor: "#ffc107",
+      message: "The app says I am outside the venue but I am in the hall.",
+      submittedAt: SAMPLE_TIMESTAMP,
+      ticketId: "TK175645301628642VM",
+      phone: "+2348123456789",
+      matricNo: "CS/2021/001",
+      courseInfo: null,
+      errorDetails: null,
+      browserInfo: null,
+      ip_address: "203.0.113.10",
+      user_agent: "Mozilla/5.0",
+      systemName: "UniTrack System",
+    },
+  },
+  "support-confirmation": {
+    description: "Confirms a support request to the person who sent it",
+    subject: "Support Request Confirmation - Ticket #{{ticketId}}",
+    variables: [
+      "userName",
+      "subject",
+      "category",
+      "priority",
+      "priorityColor",
+      "message",
+      "submittedAt",
+      "ticketId",
+      "expectedResponse",
+      "systemName",
+    ],
+    sample: {
+      userName: "John Doe",
+      subject: "Unable to submit attendance",
+      category: "attendance",
+      priority: "MEDIUM",
+      priorityColor: "#ffc107",
+      message: "The app says I am outside the venue but I am in the hall.",
+      submittedAt: SAMPLE_TIMESTAMP,
+      ticketId: "TK175645301628642VM",
+      expectedResponse: "within 1-2 business days",
+      systemName: "UniTrack System",
+    },
+  },
+  "support-reply": {
+    description: "An admin's reply to a support ticket",
+    subject: "Re: {{subject}} - Ticket #{{ticketId}}",
+    variables: [
+      "userName",
+      "ticketId",
+      "subject",
+      "status",
+      "isResolved",
+      "replyMessage",
+      "replyAuthor",
+      "repliedAt",
+      "originalMessage",
+      "systemName",
+    ],
+    sample: {
+      userName: "John Doe",
+      ticketId: "TK175645301628642VM",
+      subject: "Unable to submit attendance",
+      status: "In Progress",
+      isResolved: false,
+      replyMessage: "Could you tell us which session code you used?",
+      replyAuthor: "Ada Admin",
+      repliedAt: SAMPLE_TIMESTAMP,
+      originalMessage:
+        "The app says I am outside the venue but I am in the hall.",
+      systemName: "UniTrack System",
+    },
+  },
+  "course-assignment": {
+    description: "A lecturer is assigned or reassigned a course",
+    subject: "Course Assignment: {{course_code}} - {{course_title}}",
+    variables: [
+      "lecturer_name",
+      "course_title",
+      "course_code",
+      "level",
+      "assignment_date",
+      "assigned_by",
+      "is_reassignment",
+      "previous_lecturer",
+      "reason",
+      "login_url",
+      "assignment_timestamp",
+    ],
+    sample: {
+      lecturer_name: "Dr. Jane Smith",
+      course_title: "Data Structures",
+      course_code: "CS 103",
+      level: 100,
+      assignment_date: "Monday, September 1, 2025",
+      assigned_by: "Ada Admin",
+      is_reassignment: false,
+      previous_lecturer: null,
+      reason: null,
+      login_url: "http://localhost:3000",
+      assignment_timestamp: "Monday, September 1, 2025 at 08:00 AM UTC",
+    },
+  },
+  "notification-digest": {
+    description:
+      "A lecturer's daily or weekly summary of held-back notifications",
+    subject: "UniTrack {{periodLabel}} Digest: {{periodStart}} - {{periodEnd}}",
+    variables: [
+      "teacherName",
+      "periodLabel",
+      "periodStart",
+      "periodEnd",
+      "showSessions",
+      "sessions",
+      "averageAttendanceRate",
+      "showAtRisk",
+      "atRiskCourses",
+      "showShareRequests",
+      "shareRequests",
+      "showShareResponses",
+      "shareResponses",
+      "dashboardUrl",
+    ],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      periodLabel: "Weekly",
+      periodStart: "Aug 25, 2025",
+      periodEnd: "Sep 1, 2025",
+      showSessions: true,
+      sessions: [
+        {
+          course_code: "CS 103",
+          course_title: "Data Structures",
+          session_code: "X7K2P9",
+          started_at: "8/26/2025, 10:00:00 AM",
+          attended: 42,
+          enrolled: 50,
+          attendance_rate: 84,
+        },
+      ],
+      averageAttendanceRate: 84,
+      showAtRisk: true,
+      atRiskCourses: [
+        {
+          course_code: "CS 103",
+          course_title: "Data Structures",
+          min_percentage: 75,
+          students: [
+            {
+              matric_no: "CS/2021/001",
+              name: "John Doe",
+              attendance_rate: 62.5,
+              status: "ineligible",
+            },
+          ],
+          more_count: 0,
+        },
+      ],
+      showShareRequests: true,
+      shareRequests: [
+        {
+          requester_name: "Dr. John Doe",
+          requester_course: "CS 203 - Algorithms",
+          target_course: "CS 103 - Data Structures",
+          student_count: 12,
+          created_at: "8/27/2025, 2:15:00 PM",
+        },
+      ],
+      showShareResponses: false,
+      shareResponses: [],
+      dashboardUrl: "http://localhost:3000",
+    },
+  },
+  "at-risk-summary": {
+    description: "Students of a course flagged by the early-warning checks",
+    subject:
+      "At-Risk Students - {{courseCode}}: {{students.length}} student(s) flagged",
+    variables: [
+      "teacherName",
+      "courseTitle",
+      "courseCode",
+      "students",
+      "minPercentage",
+      "studentsNotified",
+      "studentsAlerted",
+      "timestamp",
+    ],
+    sample: {
+      teacherName: "Dr. Jane Smith",
+      courseTitle: "Data Structures",
+      courseCode: "CS 103",
+      students: [
+        {
+          matric_no: "CS/2021/001",
+          name: "John Doe",
+          attendance_rate: 62.5,
+          consecutive_absences: 3,
+          reason_details: [
+            "Missed the last 3 sessions",
+            "Attendance of 62.5% is below the 75% requirement",
+          ],
+        },
+        {
+          matric_no: "CS/2021/014",
+          name: "Mary Okafor",
+          attendance_rate: 80,
+          consecutive_absences: 1,
+          reason_details: [
+            "Attendance fell from 100% to 50% over the last 4 sessions",
+          ],
+        },
+      ],
+      minPercentage: 75,
+      studentsNotified: true,
+      studentsAlerted: 2,
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+  "student-at-risk-alert": {
+    description:
+      "Early-warning alert to a student whose attendance is slipping",
+    subject: "Attendance Alert - {{courseCode}} {{courseTitle}}",
+    variables: [
+      "studentName",
+      "courseTitle",
+      "courseCode",
+      "attendanceRate",
+      "minPercentage",
+      "reasons",
+      "sessionsNeeded",
+      "timestamp",
+    ],
+    sample: {
+      studentName: "John Doe",
+      courseTitle: "Data Structures",
+      courseCode: "CS 103",
+      attendanceRate: 62.5,
+      minPercentage: 75,
+      reasons: [
+        "Missed the last 3 sessions",
+        "Attendance of 62.5% is below the 75% requirement",
+      ],
+      sessionsNeeded: 2,
+      timestamp: SAMPLE_TIMESTAMP,
+    },
+  },
+};
+
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const getDefinition = (name) => {
+  const definition = EMAIL_TEMPLATES[name];
+  if (!definition) {
+    throw httpError(404, `Unknown email template: ${name}`);
+  }
+  return definition;
+};
+
+const loadDefaultBody = (name) =>
+  fs.readFile(path.join(TEMPLATE_DIR, `${name}.hbs`), "utf8");
+
+async function getDefaultTemplate(name) {
+  const definition = getDefinition(name);
+  return { subject: definition.subject, body: await loadDefaultBody(name) };
+}
+
+// The template in use: the admin's edited copy, or the default from disk
+async function getActiveTemplate(name) {
+  getDefinition(name);
+  const custom = await EmailTemplate.findOne({ name });
+  if (custom) {
+    return {
+      subject: custom.subject,
+      body: custom.body,
+      version: custom.version,
+      is_default: false,
+    };
+  }
+  return { ...(await getDefaultTemplate(name)), version: 0, is_default: true };
+}
+
+/**
+ * Names a template refers to that its email does not provide, and helpers
+ * that do not exist. Names inside {{#each}} and {{#with}} resolve against
+ * the item, so only ../ references are checked there.
+ */
+function findTemplateProblems(source, variables) {
+  const problems = new Set();
+  const known = new Set(variables);
+
+  const checkPath = (node, depth) => {
+    if (node.type !== "PathExpression" || node.data || node.this) return;
+    const inContextBlock = depth > 0;
+    if (inContextBlock && node.depth < depth) return;
+    if (!known.has(node.parts[0])) {
+      problems.add(`Unknown variable "${node.original}"`);
+    }
+  };
+
+  const checkHelper = (node) => {
+    if (node.type === "PathExpression" && !HELPERS.includes(node.original)) {
+      problems.add(`Unknown helper "${node.original}"`);
+    }
+  };
+
+  const visitExpression = (node, depth) => {
+    if (!node) return;
+    if (node.type === "SubExpression") {
+      checkHelper(node.path);
+      node.params.forEach((param) => visitExpression(param, depth));
+      (node.hash?.pairs || []).forEach((pair) =>
+        visitExpression(pair.value, depth)
+      );
+    } else {
+      checkPath(node, depth);
+    }
+  };
+
+  const visit = (node, depth) => {
+    if (!node) return;
+    switch (node.type) {
+      case "Program":
+        node.body.forEach((child) => visit(child, depth));
+        break;
+      case "MustacheStatement":
+      case "BlockStatement": {
+        const isHelperCall =
+          node.type === "BlockStatement" ||
+          node.params.length > 0 ||
+          (node.hash?.pairs || []).length > 0;
+
+        if (isHelperCall) {
+          checkHelper(node.path);
+        } else if (!HELPERS.includes(node.path.original)) {
+          checkPath(node.path, depth);
+        }
+        node.params.forEach((param) => visitExpression(param, depth));
+        (node.hash?.pairs || []).forEach((pair) =>
+          visitExpression(pair.value, depth)
+        );
+
+        if (node.type === "BlockStatement") {
+          const opensContext = CONTEXT_BLOCKS.includes(node.path.original);
+          visit(node.program, opensContext ? depth + 1 : depth);
+          visit(node.inverse, depth);
+        }
+        break;
+      }
+      case "PartialStatement":
+      case "PartialBlockStatement":
+        problems.add("Partials are not supported in email templates");
+        break;
+      default:
+        break;
+    }
+  };
+
+  visit(handlebars.parse(source), 0);
+  return [...problems];
+}
+
+/**
+ * Check a subject and body before they are saved or previewed. Throws 400
+ * with the syntax error or unknown names.
+ */
+function validateTemplate(name, { subject, body }) {
+  const { variables } = getDefinition(name);
+  const details = [];
+
+  [
+    ["subject", subject],
+    ["body", body],
+  ].forEach(([field, source]) => {
+    try {
+      findTemplateProblems(source, variables).forEach((problem) =>
+        details.push(`${field}: ${problem}`)
+      );
+    } catch (error) {
+      // Handlebars puts the position on the first line, the cause on the last
+      const lines = error.message.split("\n");
+      details.push(`${field}: ${lines[0]} ${lines[lines.length - 1]}`);
+    }
+  });
+
+  if (details.length > 0) {
+    throw httpError(400, "Template is not valid", details);
+  }
+}
+
+const renderSource = (subject, body, context) => ({
+  // Subjects are plain text, so they are not HTML-escaped
+  subject: handlebars
+    .compile(subject, { noEscape: true })(context)
+    .replace(/\s+/g, " ")
+    .trim(),
+  html: handlebars.compile(body)(context),
+});
+
+// Render an email for sending
+async function renderEmail(name, context) {
+  const { subject, body } = await getActiveTemplate(name);
+  return renderSource(subject, body, context);
+}
+
+// Render a draft (or the active template) with the sample data
+async function previewTemplate(name, draft = {}, data = {}) {
+  const definition = getDefinition(name);
+  const active = await getActiveTemplate(name);
+  const template = {
+    subject: draft.subject ?? active.subject,
+    body: draft.body ?? active.body,
+  };
+
+  validateTemplate(name, template);
+  return renderSource(template.subject, template.body, {
+    ...definition.sample,
+    ...data,
+  });
+}
+
+async function recordVersion(name, template, source, actor, note) {
+  const latest = await EmailTemplateVersion.findOne({ name }).sort({
+    version: -1,
+  });
+  return EmailTemplateVersion.create({
+    name,
+    version: latest ? latest.version + 1 : 1,
+    subject: template.subject,
+    body: template.body,
+    source,
+    note,
+    created_by: actor.id,
+    created_by_type: actor.type,
+  });
+}
+
+async function applyVersion(name, template, source, actor, note) {
+  const version = await recordVersion(name, template, source, actor, note);
+  return EmailTemplate.findOneAndUpdate(
+    { name },
+    {
+      subject: template.subject,
+      body: template.body,
+      version: version.version,
+      updated_by: actor.id,
+      updated_by_type: actor.type,
+      updated_at: new Date(),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Save an edited subject and body as a new version
+async function saveTemplate(name, { subject, body, note }, actor) {
+  validateTemplate(name, { subject, body });
+  return applyVersion(name, { subject, body }, "edit", actor, note);
+}
+
+// Make an earlier version current again, as a new version
+async function rollbackTemplate(name, versionNumber, actor) {
+  getDefinition(name);
+  const version = await EmailTemplateVersion.findOne({
+    name,
+    version: versionNumber,
+  });
+  if (!version) {
+    throw httpError(404, `Version ${versionNumber} of ${name} not found`);
+  }
+
+  // Older versions may use names an email no longer provides
+  validateTemplate(name, version);
+  return applyVersion(
+    name,
+    version,
+    "rollback",
+    actor,
+    `Rolled back to version ${versionNumber}`
+  );
+}
+
+// Go back to the file on disk; the history is kept
+async function resetTemplate(name, actor) {
+  const defaults = await getDefaultTemplate(name);
+  const custom = await EmailTemplate.findOne({ name });
+  if (!custom) {
+    throw httpError(400, "Template already uses the default");
+  }
+
+  await recordVersion(name, defaults, "reset", actor, "Reset to default");
+  await custom.deleteOne();
+  return { ...defaults, version: 0, is_default: true };
+}
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  getDefaultTemplate,
+  getActiveTemplate,
+  findTemplateProblems,
+  validateTemplate,
+  renderEmail,
+  previewTemplate,
+  saveTemplate,
+  rollbackTemplate,
+  resetTemplate,
+};
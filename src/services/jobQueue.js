@@ -0,0 +1,195 @@
+const os = require("os");
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+const DEFAULT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_BACKOFF_BASE_MS = 60 * 1000;
+
+/**
+ * Polls the jobs collection and runs due jobs. Job types are grouped into
+ * lanes that drain independently, so a slow lane (webhook deliveries
+ * waiting on dead endpoints) never holds up another (outgoing email). Each
+ * lane runs up to its `concurrency` jobs at a time; within a lane, jobs
+ * with a higher priority are claimed first.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.laneOf = {};
+    this.lanes = {};
+    this.timer = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval =
+      parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.lockTimeout =
+      parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || DEFAULT_LOCK_TIMEOUT_MS;
+    this.backoffBase =
+      parseInt(process.env.JOB_BACKOFF_BASE_MS) || DEFAULT_BACKOFF_BASE_MS;
+  }
+
+  // Create a lane, or change how many of its jobs may run at once
+  defineLane(name, { concurrency = 1 } = {}) {
+    const lane = this.getLane(name);
+    lane.concurrency = Math.max(1, concurrency);
+    return lane;
+  }
+
+  getLane(name) {
+    if (!this.lanes[name]) {
+      this.lanes[name] = { name, concurrency: 1, active: 0 };
+    }
+    return this.lanes[name];
+  }
+
+  // Register the function that processes jobs of a given type
+  register(type, handler, { lane = "default" } = {}) {
+    this.handlers[type] = handler;
+    this.laneOf[type] = lane;
+    this.getLane(lane);
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    const job = new Job({
+      type,
+      payload,
+      run_at: options.runAt || new Date(),
+      priority: options.priority || 0,
+      max_attempts: options.maxAttempts || 5,
+      created_by: options.createdBy,
+    });
+    await job.save();
+    return job;
+  }
+
+  // Delay before the next attempt: base * 2^(attempts - 1)
+  getBackoffDelay(attempts) {
+    return this.backoffBase * Math.pow(2, Math.max(0, attempts - 1));
+  }
+
+  // Atomically claim the next due job of a lane, including jobs whose
+  // worker died
+  async claimNextJob(lane = "default") {
+    const now = new Date();
+    const types = Object.keys(this.handlers).filter(
+      (type) => this.laneOf[type] === lane
+    );
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: "pending", run_at: { $lte: now } },
+          {
+            status: "running",
+            locked_at: { $lt: new Date(now.getTime() - this.lockTimeout) },
+          },
+        ],
+      },
+      {
+        $set: { status: "running", locked_at: now, locked_by: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { priority: -1, run_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Record how a claimed job ended. The update only applies while this
+   * worker still holds the claim it ran under, so a job cancelled while it
+   * ran, or reclaimed after its lock went stale, keeps its newer state.
+   */
+  async finishJob(job, update, unset = {}) {
+    const finished = await Job.findOneAndUpdate(
+      {
+        _id: job._id,
+        status: "running",
+        locked_by: this.workerId,
+        attempts: job.attempts,
+      },
+      { $set: update, $unset: { ...unset, locked_at: 1, locked_by: 1 } },
+      { new: true }
+    );
+
+    if (!finished) {
+      console.warn(
+        `Job ${job._id} (${job.type}) was cancelled or reclaimed while running; its outcome was discarded`
+      );
+    }
+    return finished;
+  }
+
+  async processJob(job) {
+    let update;
+    const unset = {};
+    try {
+      const result = await this.handlers[job.type](job);
+      update = { status: "completed", completed_at: new Date(), result };
+      unset.last_error = 1;
+    } catch (error) {
+      console.error(`Job ${job._id} (${job.type}) failed:`, error);
+      update = { last_error: error.message };
+
+      if (job.attempts >= job.max_attempts) {
+        update.status = "failed";
+      } else {
+        update.status = "pending";
+        update.run_at = new Date(
+          Date.now() + this.getBackoffDelay(job.attempts)
+        );
+      }
+    }
+
+    return this.finishJob(job, update, unset);
+  }
+
+  // Run one lane's due jobs until none are left
+  async drain(lane) {
+    lane.active += 1;
+    try {
+      let job = await this.claimNextJob(lane.name);
+      while (job) {
+        await this.processJob(job);
+        job = await this.claimNextJob(lane.name);
+      }
+    } catch (error) {
+      console.error(`Job queue polling error (${lane.name}):`, error);
+    } finally {
+      lane.active -= 1;
+    }
+  }
+
+  /**
+   * Start draining due jobs in every lane, or only in `laneName`. A lane
+   * that is already running all the workers it may have is left alone;
+   * its workers pick up new jobs before they stop.
+   */
+  async tick(laneName) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const lanes = laneName
+      ? [this.getLane(laneName)]
+      : Object.values(this.lanes);
+    const drains = [];
+    lanes.forEach((lane) => {
+      while (lane.active < lane.concurrency) {
+        drains.push(this.drain(lane));
+      }
+    });
+    await Promise.all(drains);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    console.log(`Job queue worker started (${this.workerId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,79 @@
+const { EventEmitter } = require("events");
+const LiveEvent = require("../models/LiveEvent");
+
+// Most events replayed to a reconnecting client; beyond this it should
+// reload the snapshot from the live endpoint
+const CATCH_UP_LIMIT = 500;
+
+// Subscribers live in memory, so a stream only receives events published by
+// the process serving it
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const formatEvent = (event) => ({
+  id: event._id.toString(),
+  type: event.type,
+  data: { ...event.data, created_at: event.created_at },
+});
+
+/**
+ * Record an event on a session's feed and push it to open streams.
+ * Failures are logged, never thrown: the feed must not break the request
+ * that produced the event.
+ */
+async function publish(sessionId, type, data = {}) {
+  try {
+    const event = await LiveEvent.create({
+      session_id: sessionId,
+      type,
+      data,
+    });
+    emitter.emit(sessionId.toString(), formatEvent(event));
+  } catch (error) {
+    console.error(`Failed to publish ${type} live event:`, error);
+  }
+}
+
+// Listen for new events on a session; returns the unsubscribe function
+function subscribe(sessionId, listener) {
+  const channel = sessionId.toString();
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+}
+
+// Events published after the given cursor (an event id), oldest first
+async function getEventsSince(sessionId, cursor) {
+  const events = await LiveEvent.find({
+    session_id: sessionId,
+    _id: { $gt: cursor },
+  })
+    .sort({ _id: 1 })
+    .limit(CATCH_UP_LIMIT);
+
+  return events.map(formatEvent);
+}
+
+/**
+ * Publish an attendance_rejected event for any 4xx response the submit
+ * handler sends once the session is known, so every early return is covered.
+ */
+function reportRejections(res, session, matricNo) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && res.statusCode < 500) {
+      publish(session._id, "attendance_rejected", {
+        matric_no: matricNo,
+        error: body?.error,
+        status_code: res.statusCode,
+      });
+    }
+    return json(body);
+  };
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getEventsSince,
+  reportRejections,
+};
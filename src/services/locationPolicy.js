@@ -0,0 +1,129 @@
+const Attendance = require("../models/Attendance");
+const { calculateDistance } = require("../utils/helpers");
+
+// Used when a session does not set its own accuracy limit
+const DEFAULT_MAX_ACCURACY_M = parseInt(process.env.GPS_MAX_ACCURACY_M) || 100;
+// Submissions sharing exact coordinates within a session before flagging
+const DUPLICATE_COORDINATE_THRESHOLD =
+  parseInt(process.env.SPOOF_DUPLICATE_COORDINATE_THRESHOLD) || 3;
+// Fastest plausible travel between two sessions on the same device
+const MAX_TRAVEL_SPEED_KMH =
+  parseFloat(process.env.SPOOF_MAX_TRAVEL_SPEED_KMH) || 200;
+// Ignore short hops where GPS jitter dominates the speed estimate
+const MIN_TRAVEL_DISTANCE_M = 1000;
+
+const hasOwnAccuracyLimit = (session) =>
+  session.max_accuracy_m !== undefined && session.max_accuracy_m !== null;
+
+const getAccuracyLimit = (session) =>
+  hasOwnAccuracyLimit(session)
+    ? session.max_accuracy_m
+    : DEFAULT_MAX_ACCURACY_M;
+
+const flag = (code, message, details = {}) => ({ code, message, details });
+
+/**
+ * Apply the session's GPS accuracy policy and spoofing heuristics to a
+ * submission that already passed the geofence check.
+ * Returns a rejection (error body) or a list of flags for manual review.
+ */
+async function evaluateLocation({
+  session,
+  lat,
+  lng,
+  accuracy,
+  deviceFingerprint,
+  now = new Date(),
+}) {
+  const flags = [];
+  const limit = getAccuracyLimit(session);
+
+  if (accuracy === null || accuracy === undefined) {
+    // Only sessions that set their own limit expect a reading; older
+    // clients that never send one are not held for review otherwise
+    if (hasOwnAccuracyLimit(session)) {
+      flags.push(
+        flag("accuracy_missing", "No GPS accuracy was reported", {
+          limit_m: limit,
+        })
+      );
+    }
+  } else if (accuracy === 0) {
+    // Real GPS fixes always carry some uncertainty; 0 suggests a mock
+    flags.push(flag("zero_accuracy", "GPS reported zero accuracy"));
+  } else if (accuracy > limit) {
+    if (session.accuracy_action === "reject") {
+      return {
+        rejection: {
+          success: false,
+          error: "GPS accuracy too low",
+          details: [
+            `Your GPS accuracy: ±${Math.round(accuracy)} meters`,
+            `Required accuracy: ±${limit} meters or better`,
+            "Move to an open area or near a window and try again",
+            "Turn on high-accuracy location in your device settings",
+          ],
+        },
+        flags,
+      };
+    }
+    flags.push(
+      flag("low_accuracy", "GPS accuracy exceeds the session limit", {
+        accuracy_m: accuracy,
+        limit_m: limit,
+      })
+    );
+  }
+
+  const sameCoordinates = await Attendance.countDocuments({
+    session_id: session._id,
+    lat,
+    lng,
+  });
+  if (sameCoordinates + 1 >= DUPLICATE_COORDINATE_THRESHOLD) {
+    flags.push(
+      flag(
+        "duplicate_coordinates",
+        "Identical coordinates were submitted by several students",
+        { matching_submissions: sameCoordinates }
+      )
+    );
+  }
+
+  const previous = await Attendance.findOne({
+    device_fingerprint: deviceFingerprint,
+    session_id: { $ne: session._id },
+    submitted_at: { $lt: now },
+  }).sort({ submitted_at: -1 });
+
+  if (previous) {
+    const distance = calculateDistance(previous.lat, previous.lng, lat, lng);
+    const elapsedHours = (now - previous.submitted_at) / (60 * 60 * 1000);
+    const speedKmh =
+      elapsedHours > 0 ? distance / 1000 / elapsedHours : Infinity;
+
+    if (distance >= MIN_TRAVEL_DISTANCE_M && speedKmh > MAX_TRAVEL_SPEED_KMH) {
+      flags.push(
+        flag(
+          "impossible_travel",
+          "Device moved implausibly fast since its previous submission",
+          {
+            previous_attendance_id: previous._id,
+            previous_session_id: previous.session_id,
+            distance_m: Math.round(distance),
+            elapsed_minutes: Math.round(elapsedHours * 60),
+            speed_kmh: Number.isFinite(speedKmh) ? Math.round(speedKmh) : null,
+          }
+        )
+      );
+    }
+  }
+
+  return { rejection: null, flags };
+}
+
+module.exports = {
+  DEFAULT_MAX_ACCURACY_M,
+  getAccuracyLimit,
+  evaluateLocation,
+};
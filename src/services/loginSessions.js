@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const LoginSession = require("../models/LoginSession");
+const Teacher = require("../models/Teacher");
+const Admin = require("../models/Admin");
+
+// Access tokens are short-lived; the refresh token keeps the login alive
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Teachers are suspended with `active: false`, admins through `status`
+const isAccountSuspended = (user) =>
+  user.active === false || (!!user.status && user.status !== "active");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Short label for the device list, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return "Unknown device";
+  }
+  return [browser && browser[0], system && `on ${system[0]}`]
+    .filter(Boolean)
+    .join(" ");
+};
+
+const issueTokens = (user, userType, session, refreshSecret) => {
+  const token = jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      userType,
+      sid: session._id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: `${session._id}.${refreshSecret}`,
+    expires_in: exp - iat,
+    refresh_expires_at: session.expires_at,
+  };
+};
+
+/**
+ * Open a login session for a teacher or admin and issue its first access
+ * and refresh tokens.
+ */
+async function startLoginSession(user, userType, req) {
+  const refreshSecret = crypto.randomBytes(32).toString("hex");
+  const userAgent = req.get("User-Agent") || "";
+
+  const session = await LoginSession.create({
+    user_id: user._id,
+    user_type: userType,
+    refresh_token_hash: hashToken(refreshSecret),
+    device: describeDevice(userAgent),
+    user_agent: userAgent,
+    ip: req.ip,
+    expires_at: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  return issueTokens(user, userType, session, refreshSecret);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented
+ * token is retired; reusing a retired token revokes the whole session.
+ */
+async function refreshLoginSession(refreshToken, req) {
+  const [sessionId, secret] = (refreshToken || "").split(".");
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  const session = await LoginSession.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw httpError(401, "Login session has expired or was revoked");
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash === session.previous_refresh_token_hash) {
+    session.revoked_at = new Date();
+    session.revoked_reason = "refresh_token_reuse";
+    await session.save();
+    throw httpError(401, "Refresh token was already used; please log in again");
+  }
+
+  const Model = session.user_type === "admin" ? Admin : Teacher;
+  const user = await Model.findById(session.user_id);
+  if (!user || isAccountSuspended(user)) {
+    throw httpError(401, "Account is no longer active");
+  }
+
+  // Rotate atomically so two concurrent refreshes cannot both succeed
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  const userAgent = req.get("User-Agent") || "";
+  const rotated = await LoginSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      refresh_token_hash: presentedHash,
+      revoked_at: null,
+    },
+    {
+      refresh_token_hash: hashToken(nextSecret),
+      previous_refresh_token_hash: presentedHash,
+      last_used_at: new Date(),
+      ip: req.ip,
+      user_agent: userAgent,
+      device: describeDevice(userAgent),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  return issueTokens(user, session.user_type, rotated, nextSecret);
+}
+
+// Active logins for a user, most recently used first
+async function listLoginSessions(userId, userType) {
+  return LoginSession.find({
+    user_id: userId,
+    user_type: userType,
+    revoked_at: null,
+    expires_at: { $gt: new Date() },
+  })
+    .select("device user_agent ip created_at last_used_at expires_at")
+    .sort({ last_used_at: -1 });
+}
+
+/**
+ * Revoke every active login matching the filter (e.g. one session, or all
+ * of a user's sessions). Returns how many were revoked.
+ */
+async function revokeLoginSessions(filter, { reason, revokedBy = null }) {
+  const result = await LoginSession.updateMany(
+    { ...filter, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason, revoked_by: revokedBy }
+  );
+  return result.modifiedCount;
+}
+
+// Used by the auth middleware on every request carrying a session id
+async function isLoginSessionActive(sessionId) {
+  const session = await LoginSession.findById(sessionId).select(
+    "revoked_at expires_at"
+  );
+  return !!session && session.isActive();
+}
+
+module.exports = {
+  isAccountSuspended,
+  startLoginSession,
+  refreshLoginSession,
+  listLoginSessions,
+  revokeLoginSessions,
+  isLoginSessionActive,
+};
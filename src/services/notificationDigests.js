@@ -0,0 +1,320 @@
+const Teacher = require("../models/Teacher");
+const Course = require("../models/Course");
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const CourseStudent = require("../models/CourseStudent");
+const StudentShareRequest = require("../models/StudentShareRequest");
+const Job = require("../models/Job");
+const EmailService = require("./emailService");
+const jobQueue = require("./jobQueue");
+const { teachingCourseIds } = require("./courseAccess");
+const {
+  getCoursePolicy,
+  getAttendedStatuses,
+  computeCourseEligibility,
+} = require("./attendancePolicy");
+const {
+  NOTIFICATION_EVENTS,
+  DIGEST_FREQUENCIES,
+  getNotificationPreferences,
+} = require("./notificationPreferences");
+
+const NOTIFICATION_DIGEST_JOB = "notification_digest";
+
+// Digests go out at this local hour; weekly ones on Mondays
+const DIGEST_HOUR = Number.isNaN(parseInt(process.env.NOTIFICATION_DIGEST_HOUR))
+  ? 7
+  : parseInt(process.env.NOTIFICATION_DIGEST_HOUR);
+const WEEKLY_DIGEST_DAY = 1;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const PERIOD_LABELS = { daily: "Daily", weekly: "Weekly" };
+
+// Students listed per course; the rest are counted
+const AT_RISK_STUDENTS_SHOWN = 10;
+
+const emailService = new EmailService();
+
+const DIGEST_EVENTS = Object.keys(NOTIFICATION_EVENTS).filter(
+  (event) => NOTIFICATION_EVENTS[event].digest
+);
+
+const roundRate = (value) => Math.round(value * 10) / 10;
+
+const formatDate = (date) =>
+  date.toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// The next digest time after `from`
+function getNextDigestTime(frequency, from = new Date()) {
+  const next = new Date(from);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  if (frequency === "weekly") {
+    while (next.getDay() !== WEEKLY_DIGEST_DAY) {
+      next.setDate(next.getDate() + 1);
+    }
+  }
+  return next;
+}
+
+// Queue the next digest run. `since` is where its period starts, so
+// consecutive digests cover every event exactly once.
+const scheduleDigest = (frequency, since = null) =>
+  jobQueue.enqueue(
+    NOTIFICATION_DIGEST_JOB,
+    { frequency, since },
+    { runAt: getNextDigestTime(frequency) }
+  );
+
+// Sessions held in the lecturer's courses, with their attendance rates
+async function summariseSessions(teacher, start, end) {
+  const courseIds = await teachingCourseIds(teacher._id);
+  const sessions = await Session.find({
+    course_id: { $in: courseIds },
+    start_ts: { $gte: start, $lt: end },
+  })
+    .populate("course_id", "course_code title attendance_policy")
+    .sort({ start_ts: 1 });
+
+  const enrolledByCourse = {};
+  const rows = [];
+  for (const session of sessions) {
+    const course = session.course_id;
+    if (!course) continue;
+
+    const courseKey = course._id.toString();
+    if (enrolledByCourse[courseKey] === undefined) {
+      enrolledByCourse[courseKey] = await CourseStudent.countDocuments({
+        course_id: course._id,
+      });
+    }
+    const enrolled = enrolledByCourse[courseKey];
+    const attended = await Attendance.countDocuments({
+      session_id: session._id,
+      status: { $in: getAttendedStatuses(getCoursePolicy(course)) },
+    });
+
+    rows.push({
+      course_code: course.course_code,
+      course_title: course.title,
+      session_code: session.session_code,
+      started_at: session.start_ts.toLocaleString(),
+      attended,
+      enrolled,
+      attendance_rate:
+        enrolled > 0 ? roundRate((attended / enrolled) * 100) : 0,
+    });
+  }
+
+  const averageAttendanceRate =
+    rows.length > 0
+      ? roundRate(
+          rows.reduce((sum, row) => sum + row.attendance_rate, 0) / rows.length
+        )
+      : 0;
+
+  return { sessions: rows, averageAttendanceRate };
+}
+
+// Flagged students in the lecturer's own courses that held sessions in the
+// period, the same courses the instant warning would have covered
+async function summariseAtRisk(teacher, start, end) {
+  const heldCourseIds = await Session.find({
+    start_ts: { $gte: start, $lt: end },
+  }).distinct("course_id");
+  const courses = await Course.find({
+    _id: { $in: heldCourseIds },
+    teacher_id: teacher._id,
+  });
+
+  const atRiskCourses = [];
+  for (const course of courses) {
+    const eligibility = await computeCourseEligibility(course);
+    if (!eligibility.policy.warning_emails_enabled) continue;
+
+    const flagged = [
+      ...eligibility.ineligible_students,
+      ...eligibility.at_risk_students,
+    ];
+    if (flagged.length === 0) continue;
+
+    atRiskCourses.push({
+      course_code: course.course_code,
+      course_title: course.title,
+      min_percentage: eligibility.policy.min_percentage,
+      students: flagged.slice(0, AT_RISK_STUDENTS_SHOWN),
+      more_count: Math.max(0, flagged.length - AT_RISK_STUDENTS_SHOWN),
+    });
+  }
+  return atRiskCourses;
+}
+
+const courseLabel = (course) =>
+  course ? `${course.course_code} - ${course.title}` : "a deleted course";
+
+// Share requests sent to the lecturer in the period
+async function summariseShareRequests(teacher, start, end) {
+  const requests = await StudentShareRequest.find({
+    target_teacher_id: teacher._id,
+    created_at: { $gte: start, $lt: end },
+  })
+    .populate("requester_id", "name")
+    .populate("course_id", "course_code title")
+    .populate("target_course_id", "course_code title")
+    .sort({ created_at: 1 });
+
+  return requests.map((request) => ({
+    requester_name: request.requester_id?.name || "A lecturer",
+    requester_course: courseLabel(request.course_id),
+    target_course: courseLabel(request.target_course_id),
+    student_count: request.student_ids.length,
+    status: request.status,
+    created_at: request.created_at.toLocaleString(),
+  }));
+}
+
+// The lecturer's own requests that were answered in the period
+async function summariseShareResponses(teacher, start, end) {
+  const requests = await StudentShareRequest.find({
+    requester_id: teacher._id,
+    status: { $in: ["approved", "rejected"] },
+    processed_at: { $gte: start, $lt: end },
+  })
+    .populate("target_teacher_id", "name")
+    .populate("target_course_id", "course_code title")
+    .sort({ processed_at: 1 });
+
+  return requests.map((request) => ({
+    responder_name: request.target_teacher_id?.name || "A lecturer",
+    source_course: courseLabel(request.target_course_id),
+    student_count: request.student_ids.length,
+    status: request.status,
+    response_message: request.response_message,
+    processed_at: request.processed_at.toLocaleString(),
+  }));
+}
+
+/**
+ * The digest context for one lecturer, covering the events they chose to
+ * receive at this frequency. Returns null when there is nothing to report.
+ */
+async function buildDigest(teacher, frequency, start, end) {
+  const preferences = getNotificationPreferences(teacher);
+  const wants = (event) => preferences[event] === frequency;
+
+  const digest = {
+    periodLabel: PERIOD_LABELS[frequency],
+    periodStart: formatDate(start),
+    periodEnd: formatDate(end),
+    showSessions: wants("session_started"),
+    showAtRisk: wants("attendance_warning"),
+    showShareRequests: wants("share_request"),
+    showShareResponses: wants("share_response"),
+    sessions: [],
+    averageAttendanceRate: 0,
+    atRiskCourses: [],
+    shareRequests: [],
+    shareResponses: [],
+  };
+
+  if (digest.showSessions) {
+    Object.assign(digest, await summariseSessions(teacher, start, end));
+  }
+  if (digest.showAtRisk) {
+    digest.atRiskCourses = await summariseAtRisk(teacher, start, end);
+  }
+  if (digest.showShareRequests) {
+    digest.shareRequests = await summariseShareRequests(teacher, start, end);
+  }
+  if (digest.showShareResponses) {
+    digest.shareResponses = await summariseShareResponses(teacher, start, end);
+  }
+
+  const hasContent =
+    digest.sessions.length > 0 ||
+    digest.atRiskCourses.length > 0 ||
+    digest.shareRequests.length > 0 ||
+    digest.shareResponses.length > 0;
+  return hasContent ? digest : null;
+}
+
+// Email every lecturer who collects notifications at this frequency. The
+// next run is queued first so a failure here never stops the schedule.
+async function sendNotificationDigests(job) {
+  const { frequency } = job.payload;
+  const end = new Date(job.run_at);
+  const start = job.payload.since
+    ? new Date(job.payload.since)
+    : new Date(end.getTime() - PERIOD_DAYS[frequency] * 24 * 60 * 60 * 1000);
+
+  const nextQueued = await Job.exists({
+    _id: { $ne: job._id },
+    type: NOTIFICATION_DIGEST_JOB,
+    "payload.frequency": frequency,
+    status: "pending",
+  });
+  if (!nextQueued) {
+    await scheduleDigest(frequency, end);
+  }
+
+  const teachers = await Teacher.find({
+    active: true,
+    $or: DIGEST_EVENTS.map((event) => ({
+      [`notification_preferences.${event}`]: frequency,
+    })),
+  }).select("name email notification_preferences");
+
+  const result = { frequency, teachers: teachers.length, sent: 0, failed: 0 };
+  for (const teacher of teachers) {
+    try {
+      const digest = await buildDigest(teacher, frequency, start, end);
+      if (!digest) continue;
+
+      await emailService.sendNotificationDigest(
+        teacher.email,
+        teacher.name,
+        digest
+      );
+      result.sent += 1;
+    } catch (error) {
+      // Retrying the job would resend the digests that did go out
+      console.error(
+        `Failed to send ${frequency} digest to ${teacher.email}:`,
+        error
+      );
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
+
+// Queue a digest run for any frequency that lost its job
+async function syncNotificationDigests() {
+  for (const frequency of DIGEST_FREQUENCIES) {
+    const queued = await Job.exists({
+      type: NOTIFICATION_DIGEST_JOB,
+      "payload.frequency": frequency,
+      status: { $in: ["pending", "running"] },
+    });
+    if (!queued) {
+      await scheduleDigest(frequency);
+    }
+  }
+}
+
+jobQueue.register(NOTIFICATION_DIGEST_JOB, sendNotificationDigests);
+
+module.exports = {
+  NOTIFICATION_DIGEST_JOB,
+  getNextDigestTime,
+  buildDigest,
+  sendNotificationDigests,
+  syncNotificationDigests,
+};
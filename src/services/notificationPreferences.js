@@ -0,0 +1,90 @@
+const Teacher = require("../models/Teacher");
+
+const { NOTIFICATION_FREQUENCIES } = Teacher;
+const DIGEST_FREQUENCIES = ["daily", "weekly"];
+
+/**
+ * Lecturer notifications that can be turned off or collected into a
+ * digest. OTPs, welcome emails, requested reports and support replies are
+ * always sent. Course assignments change what a lecturer teaches and
+ * nothing records them for a digest, so they are instant or off.
+ */
+const NOTIFICATION_EVENTS = {
+  session_started: {
+    description: "An attendance session you started is open",
+    digest: true,
+  },
+  attendance_warning: {
+    description:
+      "Students are flagged as at risk or near a course's attendance threshold",
+    digest: true,
+  },
+  share_request: {
+    description: "Another lecturer asks you to share students",
+    digest: true,
+  },
+  share_response: {
+    description: "Your student sharing request was approved or declined",
+    digest: true,
+  },
+  course_assignment: {
+    description: "An admin assigns or reassigns a course to you",
+    digest: false,
+  },
+};
+
+const allowedFrequencies = (event) =>
+  NOTIFICATION_EVENTS[event].digest
+    ? NOTIFICATION_FREQUENCIES
+    : NOTIFICATION_FREQUENCIES.filter(
+        (frequency) => !DIGEST_FREQUENCIES.includes(frequency)
+      );
+
+// A lecturer's setting for every event, with "instant" for unset ones
+function getNotificationPreferences(teacher) {
+  const stored = (teacher && teacher.notification_preferences) || {};
+  return Object.keys(NOTIFICATION_EVENTS).reduce((preferences, event) => {
+    preferences[event] = stored[event] || "instant";
+    return preferences;
+  }, {});
+}
+
+/**
+ * Problems with a `{ event: frequency }` update, as messages for a 400
+ * response. Unknown events and frequencies an event does not allow are
+ * reported.
+ */
+function findPreferenceErrors(update) {
+  return Object.entries(update).reduce((errors, [event, frequency]) => {
+    if (!NOTIFICATION_EVENTS[event]) {
+      errors.push(`Unknown notification event: ${event}`);
+    } else if (!allowedFrequencies(event).includes(frequency)) {
+      errors.push(
+        `${event} must be one of: ${allowedFrequencies(event).join(", ")}`
+      );
+    }
+    return errors;
+  }, []);
+}
+
+/**
+ * Whether the lecturer with this address wants `event` emailed right away.
+ * Addresses that do not belong to a lecturer always get the email.
+ */
+async function wantsInstantEmail(email, event) {
+  const teacher = await Teacher.findOne({
+    email: String(email).toLowerCase(),
+  }).select("notification_preferences");
+
+  return getNotificationPreferences(teacher)[event] === "instant";
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_FREQUENCIES,
+  DIGEST_FREQUENCIES,
+  allowedFrequencies,
+  getNotificationPreferences,
+  findPreferenceErrors,
+  wantsInstantEmail,
+};
@@ -0,0 +1,128 @@
+const Attendance = require("../models/Attendance");
+const AuditLog = require("../models/AuditLog");
+const liveFeed = require("./liveFeed");
+
+// Flag detail fields that point at another attendance record
+const RELATED_RECORD_FIELDS = ["attendance_id", "previous_attendance_id"];
+
+const getRelatedRecordIds = (record) =>
+  (record.flags || []).flatMap((flag) =>
+    RELATED_RECORD_FIELDS.map((field) => flag.details?.[field]).filter(Boolean)
+  );
+
+/**
+ * Attach the evidence a reviewer needs to each held submission: device
+ * fingerprint, FingerprintJS confidence, location quality and the prior
+ * records its flags refer to.
+ */
+async function attachReviewEvidence(records) {
+  const relatedIds = records.flatMap(getRelatedRecordIds);
+
+  const related = relatedIds.length
+    ? await Attendance.find({ _id: { $in: relatedIds } })
+        .populate("student_id", "matric_no name")
+        .populate("session_id", "session_code start_ts")
+        .select(
+          "student_id session_id status submitted_at lat lng accuracy device_fingerprint fpjs_visitor_id"
+        )
+        .lean()
+    : [];
+
+  const relatedById = {};
+  related.forEach((record) => {
+    relatedById[record._id.toString()] = record;
+  });
+
+  return records.map((record) => {
+    const data = record.toObject ? record.toObject() : record;
+    return {
+      ...data,
+      evidence: {
+        device_fingerprint: data.device_fingerprint,
+        fpjs_visitor_id: data.fpjs_visitor_id,
+        fpjs_confidence: data.fpjs_confidence
+          ? data.fpjs_confidence.score
+          : null,
+        accuracy_m: data.accuracy,
+        distance_from_location_m:
+          data.distance_from_location !== undefined
+            ? Math.round(data.distance_from_location)
+            : null,
+        venue_match: data.venue_match,
+        matching_records: getRelatedRecordIds(data)
+          .map((id) => relatedById[id.toString()])
+          .filter(Boolean),
+      },
+    };
+  });
+}
+
+/**
+ * Approve or reject held submissions. Approved records take the status they
+ * would have received without review (present or late); rejected ones
+ * become "rejected". Every decision is written to the audit log.
+ */
+async function decideReviews({ records, decision, note, decidedBy }) {
+  const decidedAt = new Date();
+  const auditEntries = [];
+
+  for (const record of records) {
+    const newStatus =
+      decision === "approve"
+        ? record.review?.requested_status || "present"
+        : "rejected";
+
+    record.status = newStatus;
+    record.reason =
+      decision === "approve"
+        ? "approved after review"
+        : `rejected after review${note ? `: ${note}` : ""}`;
+    record.set(
+      "review.decision",
+      decision === "approve" ? "approved" : "rejected"
+    );
+    record.set("review.decided_by", decidedBy.id);
+    record.set("review.decided_by_type", decidedBy.type);
+    record.set("review.decided_at", decidedAt);
+    record.set("review.decision_note", note);
+    await record.save();
+
+    liveFeed.publish(record.session_id, "attendance_marked", {
+      attendance_id: record._id,
+      student_id: record.student_id,
+      matric_no: record.matric_no_submitted,
+      status: newStatus,
+      reason: record.reason,
+      source: "review",
+    });
+
+    auditEntries.push({
+      actor_id: decidedBy.id,
+      actor_type: decidedBy.type,
+      action:
+        decision === "approve"
+          ? "attendance_review_approved"
+          : "attendance_review_rejected",
+      payload: {
+        attendance_id: record._id,
+        session_id: record.session_id,
+        course_id: record.course_id,
+        student_id: record.student_id,
+        flags: (record.flags || []).map((flag) => flag.code),
+        new_status: newStatus,
+        note,
+      },
+    });
+  }
+
+  if (auditEntries.length > 0) {
+    await AuditLog.insertMany(auditEntries);
+  }
+
+  return records;
+}
+
+module.exports = {
+  attachReviewEvidence,
+  decideReviews,
+};
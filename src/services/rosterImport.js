@@ -0,0 +1,305 @@
+const csv = require("fast-csv");
+const Student = require("../models/Student");
+const CourseStudent = require("../models/CourseStudent");
+const jobQueue = require("./jobQueue");
+const { isValidEmail, isValidMatricNo } = require("../utils/helpers");
+
+const ROSTER_IMPORT_JOB = "roster_import";
+
+// Uploads with more rows than this are enrolled by a background job
+const ROSTER_SYNC_LIMIT = parseInt(process.env.ROSTER_SYNC_LIMIT) || 200;
+
+const ROSTER_FIELDS = ["matric_no", "name", "email", "level", "phone"];
+const REQUIRED_FIELDS = ["matric_no", "name", "email", "level"];
+
+// Header spellings recognised when no explicit mapping is given
+const HEADER_ALIASES = {
+  matric_no: [
+    "matric_no",
+    "matric no",
+    "matric",
+    "matric number",
+    "matriculation number",
+    "reg no",
+    "registration number",
+  ],
+  name: ["name", "full name", "student name", "fullname"],
+  email: ["email", "email address", "e-mail"],
+  level: ["level", "lvl", "year level"],
+  phone: ["phone", "phone number", "mobile", "telephone"],
+};
+
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ")
+    .trim();
+
+/**
+ * Work out which spreadsheet column feeds each roster field. An explicit
+ * mapping ({ matric_no: "Reg Number", ... }) wins; remaining fields are
+ * matched against common header spellings.
+ */
+function resolveColumnMapping(headers, mapping = {}) {
+  const resolved = {};
+  const problems = [];
+
+  ROSTER_FIELDS.forEach((field) => {
+    if (mapping[field]) {
+      if (!headers.includes(mapping[field])) {
+        problems.push(`Column "${mapping[field]}" for ${field} was not found`);
+      } else {
+        resolved[field] = mapping[field];
+      }
+      return;
+    }
+
+    const aliases = HEADER_ALIASES[field].map(normalizeHeader);
+    const header = headers.find((candidate) =>
+      aliases.includes(normalizeHeader(candidate))
+    );
+    if (header) {
+      resolved[field] = header;
+    } else if (REQUIRED_FIELDS.includes(field)) {
+      problems.push(`No column found for ${field}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw httpError(400, "Column mapping failed", problems);
+  }
+  return resolved;
+}
+
+// Spreadsheet rows -> plain roster entries using the resolved mapping
+const mapRows = (rows, mapping) =>
+  rows.map(({ line, values }) => {
+    const entry = { line };
+    Object.entries(mapping).forEach(([field, header]) => {
+      entry[field] = (values[header] || "").trim();
+    });
+    return entry;
+  });
+
+// [status, reason] when a row cannot be imported; normalises row.level
+const validateRow = (entry, row) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !entry[field]);
+  if (missing.length > 0) {
+    return ["invalid", `Missing ${missing.join(", ")}`];
+  }
+  if (!isValidMatricNo(row.matric_no)) {
+    return ["invalid", "Invalid matric number"];
+  }
+  if (row.name.length < 2 || row.name.length > 100) {
+    return ["invalid", "Name must be 2-100 characters"];
+  }
+  if (!isValidEmail(row.email)) {
+    return ["invalid", "Invalid email address"];
+  }
+
+  const level = Number(row.level);
+  if (!Number.isInteger(level) || level < 100 || level > 600 || level % 100) {
+    return ["invalid_level", "Level must be 100, 200, 300, 400, 500 or 600"];
+  }
+  row.level = level;
+  return null;
+};
+
+const rowError = (row, status, reason) => ({
+  ...row,
+  status,
+  reason,
+});
+
+/**
+ * Classify every roster row without changing anything:
+ * - new: the student will be created and enrolled
+ * - existing: a known student will be enrolled
+ * - already_enrolled: nothing to do
+ * - conflicting_email: the matric number or email belongs to a different
+ *   student record
+ * - invalid_level / invalid / duplicate: the row cannot be imported
+ */
+async function previewRoster(courseId, entries) {
+  const seen = new Set();
+  const candidates = [];
+  const rows = [];
+
+  entries.forEach((entry) => {
+    const row = {
+      line: entry.line,
+      matric_no: (entry.matric_no || "").toUpperCase(),
+      name: entry.name || "",
+      email: (entry.email || "").toLowerCase(),
+      level: entry.level,
+      phone: entry.phone || undefined,
+    };
+
+    const problem = validateRow(entry, row);
+    if (problem) {
+      return rows.push(rowError(row, ...problem));
+    }
+
+    if (seen.has(row.matric_no) || seen.has(row.email)) {
+      return rows.push(
+        rowError(
+          row,
+          "duplicate",
+          "Matric number or email appears earlier in the file"
+        )
+      );
+    }
+    seen.add(row.matric_no);
+    seen.add(row.email);
+
+    rows.push(row);
+    candidates.push(row);
+  });
+
+  const students = await Student.find({
+    $or: [
+      { matric_no: { $in: candidates.map((row) => row.matric_no) } },
+      { email: { $in: candidates.map((row) => row.email) } },
+    ],
+  }).select("matric_no email");
+  const byMatric = new Map(students.map((s) => [s.matric_no, s]));
+  const byEmail = new Map(students.map((s) => [s.email, s]));
+
+  const enrolled = new Set(
+    (
+      await CourseStudent.find({
+        course_id: courseId,
+        student_id: { $in: students.map((s) => s._id) },
+      }).select("student_id")
+    ).map((enrollment) => enrollment.student_id.toString())
+  );
+
+  candidates.forEach((row) => {
+    const student = byMatric.get(row.matric_no);
+    const emailOwner = byEmail.get(row.email);
+
+    if (student && student.email !== row.email) {
+      row.status = "conflicting_email";
+      row.reason = `Student ${row.matric_no} is registered with a different email`;
+    } else if (!student && emailOwner) {
+      row.status = "conflicting_email";
+      row.reason = `Email is already used by student ${emailOwner.matric_no}`;
+    } else if (student && enrolled.has(student._id.toString())) {
+      row.status = "already_enrolled";
+      row.student_id = student._id;
+    } else if (student) {
+      row.status = "existing";
+      row.student_id = student._id;
+    } else {
+      row.status = "new";
+    }
+  });
+
+  const summary = { total_rows: rows.length };
+  rows.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+
+  return { rows, summary };
+}
+
+/**
+ * Enrol the importable rows of a roster. Returns counts plus the rows that
+ * were not imported, which make up the error report.
+ */
+async function commitRoster(courseId, entries, addedBy) {
+  const { rows } = await previewRoster(courseId, entries);
+  const result = {
+    students_created: 0,
+    enrolled: 0,
+    already_enrolled: 0,
+    errors: [],
+  };
+
+  for (const row of rows) {
+    if (row.status === "already_enrolled") {
+      result.already_enrolled++;
+      continue;
+    }
+    if (row.status !== "new" && row.status !== "existing") {
+      result.errors.push(row);
+      continue;
+    }
+
+    try {
+      let studentId = row.student_id;
+      if (row.status === "new") {
+        const student = await Student.create({
+          matric_no: row.matric_no,
+          name: row.name,
+          email: row.email,
+          level: row.level,
+          phone: row.phone,
+        });
+        studentId = student._id;
+        result.students_created++;
+      }
+
+      await CourseStudent.create({
+        course_id: courseId,
+        student_id: studentId,
+        added_by: addedBy,
+      });
+      result.enrolled++;
+    } catch (error) {
+      result.errors.push(
+        rowError(row, "failed", error.message || "Processing error")
+      );
+    }
+  }
+
+  return result;
+}
+
+// CSV of the rows that were not imported, for the uploader to fix
+function buildErrorReport(errors = []) {
+  return csv.writeToBuffer(
+    errors.map((row) => ({
+      line: row.line,
+      matric_no: row.matric_no,
+      name: row.name,
+      email: row.email,
+      level: row.level,
+      status: row.status,
+      reason: row.reason,
+    })),
+    { headers: true }
+  );
+}
+
+// Background enrolment for large uploads
+async function runRosterImport(job) {
+  const { course_id, entries, added_by, filename } = job.payload;
+  const result = await commitRoster(course_id, entries, added_by);
+
+  console.log(
+    `✅ Roster ${filename || ""} imported: ${result.enrolled} enrolled, ${
+      result.errors.length
+    } errors`
+  );
+  return { ...result, filename, total_rows: entries.length };
+}
+
+jobQueue.register(ROSTER_IMPORT_JOB, runRosterImport);
+
+module.exports = {
+  ROSTER_IMPORT_JOB,
+  ROSTER_SYNC_LIMIT,
+  resolveColumnMapping,
+  mapRows,
+  previewRoster,
+  commitRoster,
+  buildErrorReport,
+};
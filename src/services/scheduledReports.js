@@ -0,0 +1,83 @@
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const ReportGenerator = require("../utils/reportGenerator");
+const EmailService = require("./emailService");
+const jobQueue = require("./jobQueue");
+
+const SESSION_REPORT_JOB = "session_report";
+
+const emailService = new EmailService();
+
+// Generate the session report(s) and email them to the teacher. Each
+// format is keyed to the job, so a retry or a second run of the same job
+// does not email a report that was already queued.
+async function sendScheduledSessionReport(job) {
+  const { session_id, format, teacher_email, teacher_name } = job.payload;
+
+  const session = await Session.findById(session_id).populate(
+    "course_id",
+    "title course_code"
+  );
+
+  if (!session) {
+    throw new Error(`Session ${session_id} no longer exists`);
+  }
+
+  const attendanceData = await Attendance.find({ session_id })
+    .populate("student_id", "name email matric_no phone")
+    .sort({ submitted_at: -1 });
+
+  const sessionInfo = {
+    session_code: session.session_code,
+    start_ts: session.start_ts,
+    expiry_ts: session.expiry_ts,
+    grace_period_minutes: session.grace_period_minutes,
+    course_code: session.course_id?.course_code,
+    course_title: session.course_id?.title,
+  };
+
+  if (format === "csv" || format === "both") {
+    const csvBuffer = await ReportGenerator.generateSessionAttendanceCSV(
+      attendanceData,
+      sessionInfo
+    );
+    await emailService.sendAttendanceReport(
+      teacher_email,
+      teacher_name,
+      `${sessionInfo.course_title || "Course"} - Scheduled Session ${
+        sessionInfo.session_code
+      } (CSV)`,
+      csvBuffer,
+      "csv",
+      `session-report:${job._id}:csv`
+    );
+  }
+
+  if (format === "pdf" || format === "both") {
+    const pdfBuffer = await ReportGenerator.generateSessionAttendancePDF(
+      attendanceData,
+      sessionInfo,
+      { name: teacher_name, email: teacher_email }
+    );
+    await emailService.sendAttendanceReport(
+      teacher_email,
+      teacher_name,
+      `${sessionInfo.course_title || "Course"} - Scheduled Session ${
+        sessionInfo.session_code
+      } (PDF)`,
+      pdfBuffer,
+      "pdf",
+      `session-report:${job._id}:pdf`
+    );
+  }
+
+  console.log(
+    `✅ Scheduled report sent for session ${sessionInfo.session_code}`
+  );
+
+  return { total_records: attendanceData.length };
+}
+
+jobQueue.register(SESSION_REPORT_JOB, sendScheduledSessionReport);
+
+module.exports = { SESSION_REPORT_JOB, sendScheduledSessionReport };
@@ -0,0 +1,495 @@
+const Student = require("../models/Student");
+const CourseStudent = require("../models/CourseStudent");
+const Attendance = require("../models/Attendance");
+const AttendanceAppeal = require("../models/AttendanceAppeal");
+const DeviceFingerprint = require("../models/DeviceFingerprint");
+const StudentShareRequest = require("../models/StudentShareRequest");
+const StudentMerge = require("../models/StudentMerge");
+const AuditLog = require("../models/AuditLog");
+
+// How long a merge can be undone
+const MERGE_UNDO_HOURS = parseInt(process.env.STUDENT_MERGE_UNDO_HOURS) || 72;
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const MAX_NAME_BUCKET = 200;
+
+// A merge moves a student's whole history, archived terms included
+const ARCHIVED_TERMS_TOO = { allowArchived: true };
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// "CSC/2021/001" and "csc-2021-001" compare equal
+const normalizeMatric = (matricNo = "") =>
+  matricNo.toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// Word order and punctuation are ignored: "Smith, Jane" matches "Jane Smith"
+const normalizeName = (name = "") =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  const longest = Math.max(left.length, right.length);
+  return longest === 0 ? 0 : 1 - levenshtein(left, right) / longest;
+};
+
+// Keys shared by matric numbers at most one typo apart (deletion neighbourhood)
+const matricKeys = (matricNo) => {
+  const normalized = normalizeMatric(matricNo);
+  const keys = new Set([normalized]);
+  for (let i = 0; i < normalized.length; i++) {
+    keys.add(normalized.slice(0, i) + normalized.slice(i + 1));
+  }
+  return keys;
+};
+
+// Why two student records look like the same person, strongest first
+function compareStudents(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  if (a.email && a.email === b.email) {
+    reasons.push("same_email");
+    score += 50;
+  }
+
+  const similarity = nameSimilarity(a.name, b.name);
+  const similarName = similarity >= NAME_SIMILARITY_THRESHOLD;
+
+  // Two typos in the matric number only count when the names agree too
+  const matricDistance = levenshtein(
+    normalizeMatric(a.matric_no),
+    normalizeMatric(b.matric_no)
+  );
+  if (matricDistance <= 1 || (matricDistance === 2 && similarName)) {
+    reasons.push("similar_matric_no");
+    score += [40, 30, 15][matricDistance];
+  }
+
+  if (similarName) {
+    reasons.push("similar_name");
+    score += Math.round(similarity * 30);
+  }
+
+  if (a.level === b.level) {
+    score += 5;
+  }
+
+  // A shared name alone is too common to be evidence
+  const likely =
+    reasons.includes("same_email") ||
+    (reasons.includes("similar_matric_no") && reasons.length > 1) ||
+    matricDistance === 0;
+
+  return likely ? { score, reasons } : null;
+}
+
+/**
+ * Find pairs of student records that are probably the same person: same
+ * email, or matric numbers a typo apart (two typos when the names are
+ * near-identical). Only students whose ids are in `studentIds` are
+ * considered when it is given. Candidate pairs come from shared email,
+ * matric and name keys so the whole register is never compared pairwise.
+ */
+async function findDuplicateCandidates({ studentIds = null, limit = 50 } = {}) {
+  const filter = studentIds ? { _id: { $in: studentIds } } : {};
+  const students = await Student.find(filter)
+    .select("matric_no name email level created_at")
+    .lean();
+
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  students.forEach((student, index) => {
+    if (student.email) addToBucket(`email:${student.email}`, index);
+    matricKeys(student.matric_no).forEach((key) =>
+      addToBucket(`matric:${key}`, index)
+    );
+    normalizeName(student.name)
+      .split(" ")
+      .filter((token) => token.length > 2)
+      .forEach((token) => addToBucket(`name:${token}`, index));
+  });
+
+  const pairs = new Map();
+  buckets.forEach((indexes, bucket) => {
+    // Very common first names say little and would compare too many pairs
+    if (bucket.startsWith("name:") && indexes.length > MAX_NAME_BUCKET) {
+      return;
+    }
+
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const key = `${indexes[i]}:${indexes[j]}`;
+        if (pairs.has(key)) continue;
+
+        const a = students[indexes[i]];
+        const b = students[indexes[j]];
+        const match = compareStudents(a, b);
+        pairs.set(key, match && { students: [a, b], ...match });
+      }
+    }
+  });
+
+  return [...pairs.values()]
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Sessions where both students have an attendance record
+async function findClashingAttendance(survivorId, duplicateId) {
+  const survivorSessions = await Attendance.distinct("session_id", {
+    student_id: survivorId,
+  });
+  return Attendance.find({
+    student_id: duplicateId,
+    session_id: { $in: survivorSessions },
+  });
+}
+
+async function loadPair(survivorId, duplicateId) {
+  if (survivorId.toString() === duplicateId.toString()) {
+    throw httpError(400, "A student cannot be merged into itself");
+  }
+
+  const [survivor, duplicate] = await Promise.all([
+    Student.findById(survivorId),
+    Student.findById(duplicateId),
+  ]);
+  if (!survivor || !duplicate) {
+    throw httpError(404, "Student not found");
+  }
+  return { survivor, duplicate };
+}
+
+/**
+ * Describe what merging `duplicateId` into `survivorId` would do, without
+ * changing anything.
+ */
+async function previewMerge(survivorId, duplicateId) {
+  const { survivor, duplicate } = await loadPair(survivorId, duplicateId);
+
+  const survivorCourses = await CourseStudent.distinct("course_id", {
+    student_id: survivor._id,
+  });
+  const [
+    enrollments,
+    sharedEnrollments,
+    attendance,
+    clashingAttendance,
+    fingerprints,
+    appeals,
+  ] = await Promise.all([
+    CourseStudent.countDocuments({ student_id: duplicate._id }),
+    CourseStudent.countDocuments({
+      student_id: duplicate._id,
+      course_id: { $in: survivorCourses },
+    }),
+    Attendance.countDocuments({ student_id: duplicate._id }),
+    findClashingAttendance(survivor._id, duplicate._id),
+    DeviceFingerprint.countDocuments({ student_id: duplicate._id }),
+    AttendanceAppeal.countDocuments({ student_id: duplicate._id }),
+  ]);
+
+  const match = compareStudents(survivor, duplicate);
+
+  return {
+    surviving_student: survivor,
+    merged_student: duplicate,
+    match: match || { score: 0, reasons: [] },
+    changes: {
+      enrollments_moved: enrollments - sharedEnrollments,
+      enrollments_dropped: sharedEnrollments,
+      attendance_moved: attendance - clashingAttendance.length,
+      attendance_dropped: clashingAttendance.length,
+      device_fingerprints_moved: fingerprints,
+      appeals_moved: appeals,
+    },
+    undo_window_hours: MERGE_UNDO_HOURS,
+  };
+}
+
+/**
+ * Merge the duplicate student into the survivor: enrollments, attendance,
+ * device fingerprints, appeals and share requests move over and the
+ * duplicate is deleted. Where both records have an enrollment in the same
+ * course or attendance for the same session the survivor's is kept. A
+ * corrected `matricNo` can be set on the survivor at the same time.
+ */
+async function mergeStudents({ survivorId, duplicateId, matricNo, actor }) {
+  const { survivor, duplicate } = await loadPair(survivorId, duplicateId);
+
+  const previousValues = {};
+  if (matricNo && matricNo.toUpperCase() !== survivor.matric_no) {
+    const corrected = matricNo.toUpperCase();
+    const taken = await Student.exists({
+      matric_no: corrected,
+      _id: { $nin: [survivor._id, duplicate._id] },
+    });
+    if (taken) {
+      throw httpError(
+        409,
+        `Matric number ${corrected} belongs to another student`
+      );
+    }
+    previousValues.matric_no = survivor.matric_no;
+    survivor.matric_no = corrected;
+  }
+
+  const survivorCourses = await CourseStudent.distinct("course_id", {
+    student_id: survivor._id,
+  });
+  const droppedEnrollments = await CourseStudent.find({
+    student_id: duplicate._id,
+    course_id: { $in: survivorCourses },
+  });
+  const droppedAttendance = await findClashingAttendance(
+    survivor._id,
+    duplicate._id
+  );
+
+  const [enrollments, attendance, fingerprints, appeals, shareRequests] =
+    await Promise.all([
+      CourseStudent.find({
+        student_id: duplicate._id,
+        course_id: { $nin: survivorCourses },
+      }).distinct("_id"),
+      Attendance.find({
+        student_id: duplicate._id,
+        _id: { $nin: droppedAttendance.map((record) => record._id) },
+      }).distinct("_id"),
+      DeviceFingerprint.find({ student_id: duplicate._id }).distinct("_id"),
+      AttendanceAppeal.find({ student_id: duplicate._id }).distinct("_id"),
+      StudentShareRequest.find({
+        student_ids: { $eq: duplicate._id, $ne: survivor._id },
+      }).distinct("_id"),
+    ]);
+  // Requests listing both students just lose the duplicate
+  const sharedRequests = await StudentShareRequest.find({
+    student_ids: { $all: [duplicate._id, survivor._id] },
+  }).distinct("_id");
+
+  const merge = await StudentMerge.create({
+    surviving_student_id: survivor._id,
+    merged_student_id: duplicate._id,
+    merged_student: duplicate.toObject(),
+    previous_values: previousValues,
+    moved: {
+      course_students: enrollments,
+      attendance,
+      device_fingerprints: fingerprints,
+      attendance_appeals: appeals,
+      share_requests: shareRequests,
+    },
+    removed: {
+      course_students: droppedEnrollments.map((doc) => doc.toObject()),
+      attendance: droppedAttendance.map((doc) => doc.toObject()),
+      share_requests: sharedRequests,
+    },
+    performed_by: actor.id,
+    performed_by_type: actor.type,
+    undo_expires_at: new Date(Date.now() + MERGE_UNDO_HOURS * 60 * 60 * 1000),
+  });
+
+  const moveTo = { student_id: survivor._id };
+  await Promise.all([
+    CourseStudent.deleteMany(
+      { _id: { $in: droppedEnrollments.map((doc) => doc._id) } },
+      ARCHIVED_TERMS_TOO
+    ),
+    Attendance.deleteMany(
+      { _id: { $in: droppedAttendance.map((doc) => doc._id) } },
+      ARCHIVED_TERMS_TOO
+    ),
+  ]);
+  await Promise.all([
+    CourseStudent.updateMany(
+      { _id: { $in: enrollments } },
+      moveTo,
+      ARCHIVED_TERMS_TOO
+    ),
+    Attendance.updateMany(
+      { _id: { $in: attendance } },
+      moveTo,
+      ARCHIVED_TERMS_TOO
+    ),
+    DeviceFingerprint.updateMany({ _id: { $in: fingerprints } }, moveTo),
+    AttendanceAppeal.updateMany({ _id: { $in: appeals } }, moveTo),
+    StudentShareRequest.updateMany(
+      { _id: { $in: shareRequests } },
+      { $set: { "student_ids.$[old]": survivor._id } },
+      { arrayFilters: [{ old: duplicate._id }] }
+    ),
+    StudentShareRequest.updateMany(
+      { _id: { $in: sharedRequests } },
+      { $pull: { student_ids: duplicate._id } }
+    ),
+  ]);
+
+  await Student.deleteOne({ _id: duplicate._id });
+  await survivor.save();
+
+  await AuditLog.create({
+    actor_id: actor.id,
+    actor_type: actor.type,
+    action: "student_records_merged",
+    payload: {
+      merge_id: merge._id,
+      surviving_student_id: survivor._id,
+      merged_student_id: duplicate._id,
+      merged_matric_no: duplicate.matric_no,
+      corrected_matric_no: previousValues.matric_no ? survivor.matric_no : null,
+      moved: {
+        course_students: enrollments.length,
+        attendance: attendance.length,
+        device_fingerprints: fingerprints.length,
+        attendance_appeals: appeals.length,
+        share_requests: shareRequests.length,
+      },
+      removed: {
+        course_students: droppedEnrollments.length,
+        attendance: droppedAttendance.length,
+      },
+    },
+  });
+
+  return { merge, survivor };
+}
+
+/**
+ * Reverse a merge inside its undo window: the duplicate student comes back
+ * with its original id and every moved or removed record is restored.
+ */
+async function undoMerge(mergeId, actor) {
+  const merge = await StudentMerge.findById(mergeId);
+  if (!merge) {
+    throw httpError(404, "Merge not found");
+  }
+  if (merge.status === "undone") {
+    throw httpError(400, "This merge has already been undone");
+  }
+  if (!merge.canUndo()) {
+    throw httpError(400, "The undo window for this merge has passed");
+  }
+
+  const survivor = await Student.findById(merge.surviving_student_id);
+  if (!survivor) {
+    throw httpError(409, "The surviving student no longer exists");
+  }
+
+  const restoredMatric = merge.merged_student.matric_no;
+  const survivorMatric = merge.previous_values?.matric_no || survivor.matric_no;
+  const taken = await Student.exists({
+    matric_no: restoredMatric,
+    _id: { $ne: survivor._id },
+  });
+  if (taken || restoredMatric === survivorMatric) {
+    throw httpError(
+      409,
+      `Matric number ${restoredMatric} is now used by another student`
+    );
+  }
+
+  if (merge.previous_values?.matric_no) {
+    survivor.matric_no = merge.previous_values.matric_no;
+    await survivor.save();
+  }
+
+  await Student.collection.insertOne(merge.merged_student);
+
+  const moveBack = { student_id: merge.merged_student_id };
+  const { moved, removed } = merge;
+  await Promise.all([
+    CourseStudent.updateMany(
+      { _id: { $in: moved.course_students } },
+      moveBack,
+      ARCHIVED_TERMS_TOO
+    ),
+    Attendance.updateMany(
+      { _id: { $in: moved.attendance } },
+      moveBack,
+      ARCHIVED_TERMS_TOO
+    ),
+    DeviceFingerprint.updateMany(
+      { _id: { $in: moved.device_fingerprints } },
+      moveBack
+    ),
+    AttendanceAppeal.updateMany(
+      { _id: { $in: moved.attendance_appeals } },
+      moveBack
+    ),
+    StudentShareRequest.updateMany(
+      { _id: { $in: moved.share_requests } },
+      { $set: { "student_ids.$[moved]": merge.merged_student_id } },
+      { arrayFilters: [{ moved: survivor._id }] }
+    ),
+  ]);
+  if (removed.course_students.length > 0) {
+    await CourseStudent.collection.insertMany(removed.course_students);
+  }
+  if (removed.attendance.length > 0) {
+    await Attendance.collection.insertMany(removed.attendance);
+  }
+  await StudentShareRequest.updateMany(
+    { _id: { $in: removed.share_requests } },
+    { $push: { student_ids: merge.merged_student_id } }
+  );
+
+  merge.status = "undone";
+  merge.undone_at = new Date();
+  merge.undone_by = actor.id;
+  merge.undone_by_type = actor.type;
+  await merge.save();
+
+  await AuditLog.create({
+    actor_id: actor.id,
+    actor_type: actor.type,
+    action: "student_merge_undone",
+    payload: {
+      merge_id: merge._id,
+      surviving_student_id: merge.surviving_student_id,
+      restored_student_id: merge.merged_student_id,
+      restored_matric_no: restoredMatric,
+    },
+  });
+
+  return merge;
+}
+
+module.exports = {
+  MERGE_UNDO_HOURS,
+  findDuplicateCandidates,
+  previewMerge,
+  mergeStudents,
+  undoMerge,
+};
@@ -0,0 +1,277 @@
+const mongoose = require("mongoose");
+const Term = require("../models/Term");
+const Course = require("../models/Course");
+const CourseStudent = require("../models/CourseStudent");
+const Session = require("../models/Session");
+const Attendance = require("../models/Attendance");
+const Timetable = require("../models/Timetable");
+const { cancelScheduledOccurrence } = require("./timetableScheduler");
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Turn a `term` query parameter into a term id to filter on.
+ * "current" means the active term; "all" or nothing means no filter.
+ */
+async function resolveTermFilter(term) {
+  if (!term || term === "all") {
+    return null;
+  }
+  if (term === "current") {
+    const current = await Term.findCurrent();
+    if (!current) {
+      throw httpError(404, "No academic term is currently active");
+    }
+    return current._id;
+  }
+  if (!mongoose.isValidObjectId(term)) {
+    throw httpError(400, "term must be a term ID, 'current' or 'all'");
+  }
+  return new mongoose.Types.ObjectId(term);
+}
+
+/**
+ * Create a term. The first term becomes active straight away and adopts
+ * every course, session and attendance record created before terms existed;
+ * later terms wait as "upcoming" until a rollover activates them.
+ */
+async function createTerm(fields, createdBy) {
+  const current = await Term.findCurrent();
+  const term = await Term.create({
+    ...fields,
+    status: current ? "upcoming" : "active",
+    created_by: createdBy,
+  });
+
+  if (!current) {
+    const unstamped = { term_id: null };
+    await Promise.all([
+      Course.updateMany(unstamped, { term_id: term._id }),
+      Session.updateMany(unstamped, { term_id: term._id }),
+      Attendance.updateMany(unstamped, { term_id: term._id }),
+    ]);
+  }
+
+  return term;
+}
+
+// A rollover that stopped after archiving its term but before activating
+// the next one leaves no current term; it resumes from the archived term
+async function findInterruptedRollover() {
+  const term = await Term.findOne({
+    status: "archived",
+    rolled_over_to: { $ne: null },
+  }).sort({ archived_at: -1 });
+  if (
+    term &&
+    (await Term.exists({ _id: term.rolled_over_to, status: "upcoming" }))
+  ) {
+    return term;
+  }
+  return null;
+}
+
+// The upcoming term a rollover activates, created from `nextTermFields`
+// unless it already exists
+async function resolveNextTerm(nextTermId, nextTermFields, actor) {
+  if (nextTermId) {
+    const nextTerm = await Term.findById(nextTermId);
+    if (!nextTerm) {
+      throw httpError(404, "Next term not found");
+    }
+    if (nextTerm.status !== "upcoming") {
+      throw httpError(400, "The next term must be an upcoming term");
+    }
+    return nextTerm;
+  }
+
+  const existing = await Term.findOne({
+    academic_session: nextTermFields.academic_session,
+    semester: nextTermFields.semester,
+    status: "upcoming",
+  });
+  if (existing) {
+    return existing;
+  }
+  return Term.create({
+    ...nextTermFields,
+    status: "upcoming",
+    created_by: actor,
+  });
+}
+
+// Copy a course into the next term, or find the copy an earlier attempt
+// made. Returns the copy and whether it was created now.
+async function cloneCourse(course, nextTerm) {
+  const existing = await Course.findOne({
+    term_id: nextTerm._id,
+    cloned_from: course._id,
+  });
+  if (existing) {
+    return { clone: existing, created: false };
+  }
+
+  const clone = await Course.create({
+    teacher_id: course.teacher_id,
+    members: course.members.map((member) => ({
+      teacher_id: member.teacher_id,
+      role: member.role,
+      added_by: member.added_by,
+      added_at: member.added_at,
+    })),
+    course_code: course.course_code,
+    title: course.title,
+    level: course.level,
+    attendance_policy: course.attendance_policy,
+    term_id: nextTerm._id,
+    cloned_from: course._id,
+  });
+  return { clone, created: true };
+}
+
+/**
+ * Close the current term and make `nextTerm` current. The closing term is
+ * archived (read-only): its open sessions end and its timetables stop.
+ * Courses with their teaching teams, and optionally their enrollments, can
+ * be cloned into the new term.
+ *
+ * Every step can be repeated, so a rollover that fails part way is
+ * finished by running it again with the same next term.
+ */
+async function rolloverTerm({
+  nextTermId,
+  nextTermFields,
+  cloneCourses = false,
+  cloneEnrollments = false,
+  actor,
+}) {
+  const current =
+    (await Term.findCurrent()) || (await findInterruptedRollover());
+  if (!current) {
+    throw httpError(400, "There is no active term to roll over");
+  }
+
+  let nextTerm;
+  if (current.rolled_over_to) {
+    nextTerm = await Term.findById(current.rolled_over_to);
+    const sameTerm = nextTermId
+      ? nextTerm._id.equals(nextTermId)
+      : nextTerm.academic_session === nextTermFields.academic_session &&
+        nextTerm.semester === nextTermFields.semester;
+    if (!sameTerm) {
+      throw httpError(
+        409,
+        `A rollover to ${nextTerm.name} has already started; run it again with that term to finish it`
+      );
+    }
+  } else {
+    nextTerm = await resolveNextTerm(nextTermId, nextTermFields, actor);
+
+    // Claim the term so concurrent rollovers cannot both run
+    const claimed = await Term.findOneAndUpdate(
+      { _id: current._id, rolled_over_to: null },
+      { rolled_over_to: nextTerm._id }
+    );
+    if (!claimed) {
+      throw httpError(409, "A rollover of this term is already in progress");
+    }
+  }
+
+  const now = new Date();
+  const oldCourses = await Course.find({ term_id: current._id });
+  const oldCourseIds = oldCourses.map((course) => course._id);
+
+  // Clone while the next term is still upcoming, so a failure here leaves
+  // the closing term current and the rollover can simply be retried
+  let coursesCloned = 0;
+  let enrollmentsCloned = 0;
+
+  if (cloneCourses) {
+    for (const course of oldCourses) {
+      const { clone, created } = await cloneCourse(course, nextTerm);
+      if (created) coursesCloned++;
+
+      if (cloneEnrollments) {
+        const enrollments = await CourseStudent.find({ course_id: course._id });
+        if (enrollments.length > 0) {
+          const result = await CourseStudent.bulkWrite(
+            enrollments.map((enrollment) => ({
+              updateOne: {
+                filter: {
+                  course_id: clone._id,
+                  student_id: enrollment.student_id,
+                },
+                update: {
+                  $setOnInsert: {
+                    added_by: enrollment.added_by,
+                    added_at: now,
+                  },
+                },
+                upsert: true,
+              },
+            }))
+          );
+          enrollmentsCloned += result.upsertedCount;
+        }
+      }
+    }
+  }
+
+  // End anything still running in the closing term
+  const closedSessions = await Session.updateMany(
+    { term_id: current._id, is_active: true },
+    { is_active: false }
+  );
+  await Session.updateMany(
+    { term_id: current._id, expiry_ts: { $gt: now } },
+    { expiry_ts: now }
+  );
+
+  const slots = await Timetable.find({
+    course_id: { $in: oldCourseIds },
+    is_active: true,
+  });
+  for (const slot of slots) {
+    await cancelScheduledOccurrence(slot);
+  }
+  await Timetable.updateMany(
+    { _id: { $in: slots.map((slot) => slot._id) } },
+    { is_active: false, next_run_at: null, next_job_id: null }
+  );
+
+  // Archive first: only one term may be active at a time
+  if (current.status === "active") {
+    current.status = "archived";
+    current.archived_at = now;
+    current.archived_by = actor;
+    if (!current.end_date || current.end_date > now) {
+      current.end_date = now;
+    }
+    await current.save();
+  }
+
+  nextTerm.status = "active";
+  await nextTerm.save();
+
+  return {
+    archived_term: current,
+    current_term: nextTerm,
+    summary: {
+      sessions_closed: closedSessions.modifiedCount,
+      timetable_slots_stopped: slots.length,
+      courses_archived: oldCourses.length,
+      courses_cloned: coursesCloned,
+      enrollments_cloned: enrollmentsCloned,
+    },
+  };
+}
+
+module.exports = {
+  resolveTermFilter,
+  createTerm,
+  rolloverTerm,
+};
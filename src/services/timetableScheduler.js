@@ -0,0 +1,255 @@
+const Course = require("../models/Course");
+const Session = require("../models/Session");
+const Timetable = require("../models/Timetable");
+const Venue = require("../models/Venue");
+const Job = require("../models/Job");
+const EmailService = require("./emailService");
+const jobQueue = require("./jobQueue");
+const { scheduleAttendanceWarning } = require("./attendanceWarnings");
+const { emitSessionStarted, scheduleSessionEndedEvent } = require("./webhooks");
+const { generateSessionCode, generateNonce } = require("../utils/helpers");
+
+const TIMETABLE_OPEN_JOB = "timetable_session_open";
+const TIMETABLE_CLOSE_JOB = "timetable_session_close";
+
+// How far ahead to look for an occurrence that is not a skip date
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const emailService = new EmailService();
+
+// Local calendar day as YYYY-MM-DD, used to compare against skip dates
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const isSkippedDate = (course, date) => {
+  const key = toDateKey(date);
+  return (course.timetable_skip_dates || []).some((skip) => {
+    const start = toDateKey(skip.start_date);
+    const end = toDateKey(skip.end_date || skip.start_date);
+    return key >= start && key <= end;
+  });
+};
+
+// First occurrence of a slot strictly after `from` that is not skipped
+function getNextOccurrence(slot, course, from = new Date()) {
+  const [hours, minutes] = slot.start_time.split(":").map(Number);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const candidate = new Date(from);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(hours, minutes, 0, 0);
+
+    if (candidate.getDay() !== slot.weekday || candidate <= from) continue;
+    if (isSkippedDate(course, candidate)) continue;
+
+    return candidate;
+  }
+
+  return null;
+}
+
+// Cancel the queued opening for a slot, if any
+const cancelScheduledOccurrence = (slot) =>
+  slot.next_job_id
+    ? Job.updateOne(
+        { _id: slot.next_job_id, status: "pending" },
+        { status: "cancelled" }
+      )
+    : null;
+
+/**
+ * Replace the slot's queued opening with one for its next occurrence.
+ * Inactive slots and slots with no upcoming date are left unscheduled.
+ */
+async function scheduleNextOccurrence(slot, course, from = new Date()) {
+  await cancelScheduledOccurrence(slot);
+
+  const runAt = slot.is_active ? getNextOccurrence(slot, course, from) : null;
+
+  slot.next_run_at = runAt;
+  slot.next_job_id = null;
+
+  if (runAt) {
+    const job = await jobQueue.enqueue(
+      TIMETABLE_OPEN_JOB,
+      { timetable_id: slot._id, occurrence: runAt },
+      { runAt, createdBy: slot.teacher_id }
+    );
+    slot.next_job_id = job._id;
+  }
+
+  await slot.save();
+  return runAt;
+}
+
+// Reschedule every slot of a course, e.g. after its skip dates change
+async function rescheduleCourseTimetable(course) {
+  const slots = await Timetable.find({ course_id: course._id });
+  for (const slot of slots) {
+    await scheduleNextOccurrence(slot, course);
+  }
+}
+
+// Open the attendance session for one timetable occurrence
+async function openTimetableSession(job) {
+  const { timetable_id, occurrence } = job.payload;
+
+  const slot = await Timetable.findById(timetable_id);
+  if (!slot || !slot.is_active) {
+    return { skipped: "timetable slot removed or paused" };
+  }
+
+  // The slot was edited after this job was queued
+  if (!slot.next_job_id || !slot.next_job_id.equals(job._id)) {
+    return { skipped: "superseded by a newer schedule" };
+  }
+
+  const course = await Course.findById(slot.course_id).populate(
+    "teacher_id",
+    "name email"
+  );
+  if (!course || !course.teacher_id) {
+    return { skipped: "course not found" };
+  }
+
+  const occurrenceStart = new Date(occurrence);
+  const expiryTime = new Date(
+    occurrenceStart.getTime() + slot.duration_minutes * 60 * 1000
+  );
+
+  // Queue the following week before doing anything that may fail
+  await scheduleNextOccurrence(slot, course, occurrenceStart);
+
+  const now = new Date();
+  if (expiryTime <= now) {
+    return { skipped: "occurrence already over" };
+  }
+
+  const activeSession = await Session.findOne({
+    course_id: course._id,
+    is_active: true,
+    expiry_ts: { $gt: now },
+  });
+  if (activeSession) {
+    return { skipped: "course already has an active session" };
+  }
+
+  // A registered venue takes precedence over the slot's own coordinates
+  let location = slot.venue;
+  let venueId = null;
+  if (slot.venue_id) {
+    const venue = await Venue.findOne({ _id: slot.venue_id, is_active: true });
+    if (venue) {
+      location = venue.getCenter();
+      venueId = venue._id;
+    } else if (typeof slot.venue?.lat !== "number") {
+      return { skipped: "venue no longer available" };
+    }
+  }
+
+  const sessionCode = generateSessionCode();
+  const session = new Session({
+    course_id: course._id,
+    teacher_id: course.teacher_id._id,
+    session_code: sessionCode,
+    start_ts: now,
+    expiry_ts: expiryTime,
+    lat: location.lat,
+    lng: location.lng,
+    radius_m: slot.radius_m,
+    venue_id: venueId,
+    nonce: generateNonce(),
+    qr_enabled: slot.qr_enabled,
+    grace_period_minutes: slot.grace_period_minutes,
+    timetable_id: slot._id,
+  });
+
+  await session.save();
+
+  await jobQueue.enqueue(
+    TIMETABLE_CLOSE_JOB,
+    { session_id: session._id },
+    { runAt: expiryTime }
+  );
+
+  try {
+    await scheduleAttendanceWarning(session);
+  } catch (jobError) {
+    console.error("Failed to schedule attendance warning:", jobError);
+  }
+
+  try {
+    emitSessionStarted(session, course);
+    await scheduleSessionEndedEvent(session);
+  } catch (jobError) {
+    console.error("Failed to schedule session webhooks:", jobError);
+  }
+
+  try {
+    await emailService.sendSessionNotification(
+      course.teacher_id.email,
+      course.teacher_id.name,
+      course.title,
+      sessionCode,
+      true
+    );
+  } catch (emailError) {
+    console.error("Failed to send session notification email:", emailError);
+  }
+
+  console.log(
+    `✅ Timetabled session ${sessionCode} opened for ${course.course_code}`
+  );
+
+  return { session_id: session._id, session_code: sessionCode };
+}
+
+// Mark a timetabled session inactive once its window has passed
+async function closeTimetableSession(job) {
+  const result = await Session.updateOne(
+    { _id: job.payload.session_id, is_active: true },
+    { is_active: false }
+  );
+  return { closed: result.modifiedCount };
+}
+
+/**
+ * Make sure every active slot has a queued opening job. Run at startup so
+ * slots whose chain was broken (e.g. a job exhausted its retries) recover.
+ */
+async function syncTimetables() {
+  const slots = await Timetable.find({ is_active: true });
+
+  for (const slot of slots) {
+    const queued =
+      slot.next_job_id &&
+      (await Job.exists({
+        _id: slot.next_job_id,
+        status: { $in: ["pending", "running"] },
+      }));
+    if (queued) continue;
+
+    const course = await Course.findById(slot.course_id);
+    if (course) {
+      await scheduleNextOccurrence(slot, course);
+    }
+  }
+}
+
+jobQueue.register(TIMETABLE_OPEN_JOB, openTimetableSession);
+jobQueue.register(TIMETABLE_CLOSE_JOB, closeTimetableSession);
+
+module.exports = {
+  TIMETABLE_OPEN_JOB,
+  TIMETABLE_CLOSE_JOB,
+  getNextOccurrence,
+  isSkippedDate,
+  scheduleNextOccurrence,
+  cancelScheduledOccurrence,
+  rescheduleCourseTimetable,
+  syncTimetables,
+};
@@ -0,0 +1,514 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const jobQueue = require("./jobQueue");
+const { getCourseTeacherIds } = require("./courseAccess");
+
+const WEBHOOK_DELIVERY_JOB = "webhook_delivery";
+const SESSION_ENDED_EVENT_JOB = "webhook_session_ended";
+
+const WEBHOOK_EVENTS = [
+  "session.started",
+  "session.ended",
+  "attendance.submitted",
+  "attendance.manual_marked",
+  "share_request.created",
+  "share_request.approved",
+  "share_request.rejected",
+  "share_request.cancelled",
+  "teacher.created",
+];
+
+// Events only admin subscriptions receive
+const ADMIN_ONLY_EVENTS = ["teacher.created"];
+
+// Failed deliveries are retried with the job queue's exponential backoff
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Deliveries run in their own job lane, a few at a time, so endpoints that
+// time out only slow other deliveries
+const WEBHOOK_LANE = "webhooks";
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+
+// Receivers should reject signatures older than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const RESPONSE_BODY_LIMIT = 2048;
+
+// Endpoints may not resolve to loopback, private, link-local or other
+// non-public addresses, or webhooks would let subscribers reach internal
+// services. Set WEBHOOK_ALLOW_PRIVATE_URLS=true for local development.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+const allowPrivateUrls = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPrivateAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const privateAddressError = (hostname, address) =>
+  new Error(
+    hostname === address
+      ? `${address} is not a public address`
+      : `${hostname} resolves to ${address}, which is not a public address`
+  );
+
+// dns.lookup that refuses hosts with any non-public address, so the
+// address that is checked is the one connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(
+      ({ address }) => !allowPrivateUrls() && isPrivateAddress(address)
+    );
+    if (blocked) {
+      return callback(privateAddressError(hostname, blocked.address));
+    }
+    callback(null, addresses);
+  });
+}
+
+/**
+ * Throw unless a webhook URL's host is a public address or resolves only
+ * to public addresses. Used when a subscription is saved; deliveries check
+ * again when they connect, as DNS answers can change.
+ */
+async function assertPublicUrl(url) {
+  if (allowPrivateUrls()) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw privateAddressError(hostname, hostname);
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new Error(`${hostname} could not be resolved`);
+  }
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw privateAddressError(hostname, blocked.address);
+  }
+}
+
+// Keep the first few KB of a response and drop the rest unread. A body
+// that trickles in is cut off at the delivery timeout.
+const readResponseStart = (stream) =>
+  new Promise((resolve) => {
+    let text = "";
+    const timer = setTimeout(() => stream.destroy(), WEBHOOK_TIMEOUT_MS);
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      text += chunk;
+      if (text.length >= RESPONSE_BODY_LIMIT) stream.destroy();
+    });
+    stream.on("close", () => {
+      clearTimeout(timer);
+      resolve(text.slice(0, RESPONSE_BODY_LIMIT));
+    });
+    // A broken stream still closes, with whatever was read
+    stream.on("error", () => {});
+  });
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// "share_request.*" style patterns a subscription may use
+const eventFamilies = () => [
+  ...new Set(WEBHOOK_EVENTS.map((event) => `${event.split(".")[0]}.*`)),
+];
+
+const isKnownEvent = (pattern) =>
+  WEBHOOK_EVENTS.includes(pattern) || eventFamilies().includes(pattern);
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Signature of "<timestamp>.<body>", sent as X-UniTrack-Signature
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Check a delivery the way a receiver should: the signature must match the
+ * raw body and timestamp, and the timestamp must be recent.
+ */
+function verifySignature(
+  secret,
+  { signature, timestamp, body },
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!signature || !Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+// Active subscriptions that should receive an event
+const findSubscribers = (event, teacherIds = []) => {
+  const owners = [{ owner_type: "Admin" }];
+  if (!ADMIN_ONLY_EVENTS.includes(event) && teacherIds.length > 0) {
+    owners.push({ owner_type: "Teacher", owner_id: { $in: teacherIds } });
+  }
+
+  return WebhookSubscription.find({
+    is_active: true,
+    events: { $in: [event, `${event.split(".")[0]}.*`] },
+    $or: owners,
+  });
+};
+
+async function queueDelivery(subscription, payload, redeliveryOf = null) {
+  const delivery = await WebhookDelivery.create({
+    subscription_id: subscription._id,
+    event: payload.event,
+    event_id: payload.id,
+    payload,
+    redelivery_of: redeliveryOf,
+  });
+
+  const job = await jobQueue.enqueue(
+    WEBHOOK_DELIVERY_JOB,
+    { delivery_id: delivery._id },
+    { maxAttempts: WEBHOOK_MAX_ATTEMPTS }
+  );
+  delivery.job_id = job._id;
+  delivery.next_attempt_at = job.run_at;
+  await delivery.save();
+
+  return delivery;
+}
+
+/**
+ * Queue a delivery of an event to every subscription that covers it.
+ * `teacherIds` are the lecturers the event concerns; their own
+ * subscriptions receive it alongside admin subscriptions. Never throws, so
+ * callers do not have to guard webhook problems, and request handlers
+ * need not await it.
+ */
+async function emitWebhookEvent(event, data, { teacherIds = [] } = {}) {
+  try {
+    const subscriptions = await findSubscribers(
+      event,
+      teacherIds.filter(Boolean).map(idOf)
+    );
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const payload = {
+      id: new mongoose.Types.ObjectId().toString(),
+      event,
+      created_at: new Date().toISOString(),
+      data,
+    };
+    return await Promise.all(
+      subscriptions.map((subscription) => queueDelivery(subscription, payload))
+    );
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks:`, error);
+    return [];
+  }
+}
+
+// Send a test event to one subscription
+const sendPing = (subscription) =>
+  queueDelivery(subscription, {
+    id: new mongoose.Types.ObjectId().toString(),
+    event: "ping",
+    created_at: new Date().toISOString(),
+    data: {
+      subscription_id: subscription._id,
+      message: "Webhook endpoint reachable",
+    },
+  });
+
+// Queue the same payload again as a new delivery
+async function redeliver(delivery) {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription_id
+  );
+  if (!subscription) {
+    throw httpError(404, "Webhook subscription no longer exists");
+  }
+  if (!subscription.is_active) {
+    throw httpError(400, "Webhook subscription is disabled");
+  }
+  return queueDelivery(subscription, delivery.payload, delivery._id);
+}
+
+// POST one delivery; a failed attempt throws so the job queue retries it
+async function deliverWebhook(job) {
+  const delivery = await WebhookDelivery.findById(job.payload.delivery_id);
+  if (!delivery) {
+    return { skipped: "delivery not found" };
+  }
+
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription_id
+  ).select("+secret");
+  if (!subscription || !subscription.is_active) {
+    delivery.status = "failed";
+    delivery.error = "Subscription was removed or disabled";
+    delivery.next_attempt_at = undefined;
+    await delivery.save();
+    return { skipped: "subscription removed or disabled" };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  let failure = null;
+
+  delivery.attempts = job.attempts;
+  delivery.response_status = undefined;
+  delivery.response_body = undefined;
+
+  try {
+    // Literal IP hosts never reach the lookup, so check them up front
+    const { hostname } = new URL(subscription.url);
+    const literal = hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(literal) && !allowPrivateUrls() && isPrivateAddress(literal)) {
+      throw privateAddressError(literal, literal);
+    }
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "UniTrack-Webhooks/1.0",
+        "X-UniTrack-Event": delivery.event,
+        "X-UniTrack-Delivery": delivery._id.toString(),
+        "X-UniTrack-Timestamp": timestamp,
+        "X-UniTrack-Signature": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+      },
+      lookup: publicLookup,
+      proxy: false,
+      maxRedirects: 0,
+      responseType: "stream",
+      timeout: WEBHOOK_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+
+    delivery.response_status = response.status;
+    delivery.response_body = await readResponseStart(response.data);
+    if (response.status < 200 || response.status >= 300) {
+      failure = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    failure =
+      error.code === "ECONNABORTED" || error.code === "ETIMEDOUT"
+        ? `No response within ${WEBHOOK_TIMEOUT_MS}ms`
+        : error.message;
+  }
+
+  delivery.duration_ms = Date.now() - startedAt;
+  delivery.error = failure || undefined;
+  delivery.next_attempt_at = undefined;
+
+  if (!failure) {
+    delivery.status = "succeeded";
+    delivery.delivered_at = new Date();
+  } else if (job.attempts >= job.max_attempts) {
+    delivery.status = "failed";
+  } else {
+    delivery.status = "pending";
+    delivery.next_attempt_at = new Date(
+      Date.now() + jobQueue.getBackoffDelay(job.attempts)
+    );
+  }
+  await delivery.save();
+
+  if (delivery.status !== "pending") {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { last_delivery_at: new Date(), last_delivery_status: delivery.status }
+    );
+  }
+
+  if (failure) {
+    throw new Error(failure);
+  }
+  return { response_status: delivery.response_status };
+}
+
+// Event data shared by the session events
+const sessionEventData = (session, course) => ({
+  session_id: session._id,
+  session_code: session.session_code,
+  course: {
+    id: course._id,
+    course_code: course.course_code,
+    title: course.title,
+  },
+  teacher_id: idOf(session.teacher_id),
+  start_ts: session.start_ts,
+  expiry_ts: session.expiry_ts,
+  venue_id: session.venue_id || null,
+  timetable_id: session.timetable_id || null,
+});
+
+const emitSessionStarted = (session, course) =>
+  emitWebhookEvent("session.started", sessionEventData(session, course), {
+    teacherIds: getCourseTeacherIds(course),
+  });
+
+// session.ended is sent by a job at the session's expiry; ending a session
+// early moves that job forward
+const scheduleSessionEndedEvent = (session) =>
+  jobQueue.enqueue(
+    SESSION_ENDED_EVENT_JOB,
+    { session_id: session._id, reason: "expired" },
+    { runAt: session.expiry_ts }
+  );
+
+async function sendSessionEnded(job) {
+  const session = await Session.findById(job.payload.session_id).populate(
+    "course_id"
+  );
+  if (!session || !session.course_id) {
+    return { skipped: "session not found" };
+  }
+
+  const deliveries = await emitWebhookEvent(
+    "session.ended",
+    {
+      ...sessionEventData(session, session.course_id),
+      ended_at: session.expiry_ts,
+      reason: job.payload.reason,
+    },
+    { teacherIds: getCourseTeacherIds(session.course_id) }
+  );
+  return { deliveries: deliveries.length };
+}
+
+// attendance.manual_marked, for records a lecturer marked or corrected
+const emitAttendanceMarked = (course, attendance, student, extra = {}) =>
+  emitWebhookEvent(
+    "attendance.manual_marked",
+    {
+      attendance_id: attendance._id,
+      session_id: idOf(attendance.session_id),
+      course_id: course._id,
+      student: {
+        id: student._id,
+        matric_no: student.matric_no,
+        name: student.name,
+      },
+      status: attendance.status,
+      reason: attendance.reason || null,
+      ...extra,
+    },
+    { teacherIds: getCourseTeacherIds(course) }
+  );
+
+// share_request.* events go to both lecturers involved
+const emitShareRequestEvent = (event, shareRequest) =>
+  emitWebhookEvent(
+    event,
+    {
+      request_id: shareRequest._id,
+      status: shareRequest.status,
+      requester_id: idOf(shareRequest.requester_id),
+      target_teacher_id: idOf(shareRequest.target_teacher_id),
+      course_id: idOf(shareRequest.course_id),
+      target_course_id: idOf(shareRequest.target_course_id),
+      student_ids: shareRequest.student_ids.map(idOf),
+      processed_at: shareRequest.processed_at || null,
+    },
+    {
+      teacherIds: [shareRequest.requester_id, shareRequest.target_teacher_id],
+    }
+  );
+
+// teacher.created, for admin subscriptions only
+const emitTeacherCreated = (teacher, source) =>
+  emitWebhookEvent("teacher.created", {
+    teacher_id: teacher._id,
+    name: teacher.name,
+    email: teacher.email,
+    source,
+  });
+
+jobQueue.defineLane(WEBHOOK_LANE, { concurrency: WEBHOOK_CONCURRENCY });
+jobQueue.register(WEBHOOK_DELIVERY_JOB, deliverWebhook, {
+  lane: WEBHOOK_LANE,
+});
+jobQueue.register(SESSION_ENDED_EVENT_JOB, sendSessionEnded, {
+  lane: WEBHOOK_LANE,
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ADMIN_ONLY_EVENTS,
+  WEBHOOK_DELIVERY_JOB,
+  SESSION_ENDED_EVENT_JOB,
+  eventFamilies,
+  isKnownEvent,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  isPrivateAddress,
+  assertPublicUrl,
+  emitWebhookEvent,
+  emitSessionStarted,
+  scheduleSessionEndedEvent,
+  emitAttendanceMarked,
+  emitShareRequestEvent,
+  emitTeacherCreated,
+  sendPing,
+  redeliver,
+  deliverWebhook,
+};
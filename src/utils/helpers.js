@@ -35,6 +35,35 @@ const generateReceiptSignature = (sessionId, matricNo, timestamp, nonce) => {
   return crypto.createHash("sha256").update(data).digest("hex");
 };
 
+// Sign a rotating QR token for a session window using the session nonce
+const generateQrToken = (sessionId, window, nonce) => {
+  const signature = crypto
+    .createHmac("sha256", nonce)
+    .update(`${sessionId}:${window}`)
+    .digest("hex");
+  return `${sessionId}.${window}.${signature}`;
+};
+
+// Split a QR token into its parts (signature is not checked here)
+const parseQrToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [sessionId, window, signature] = token.split(".");
+  if (!/^[a-f0-9]{24}$/i.test(sessionId || "")) return null;
+  if (!/^\d+$/.test(window || "") || !signature) return null;
+  return { sessionId, window: parseInt(window), signature };
+};
+
+// Verify a QR token signature against the session nonce
+const verifyQrToken = (token, nonce) => {
+  const parsed = parseQrToken(token);
+  if (!parsed) return false;
+  const expected = generateQrToken(parsed.sessionId, parsed.window, nonce);
+  return (
+    expected.length === token.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))
+  );
+};
+
 // Calculate distance between two coordinates (Haversine formula)
 const calculateDistance = (lat1, lon1, lat2, lon2) => {
   const R = 6371000; // Earth's radius in meters
@@ -63,6 +92,85 @@ const isWithinRadius = (
   return distance <= radiusMeters;
 };
 
+// Ray-casting point-in-polygon test on lat/lng vertices
+const isPointInPolygon = (lat, lng, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const crosses =
+      a.lat > lat !== b.lat > lat &&
+      lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Approximate distance in meters from a point to a polygon's edges, using
+// an equirectangular projection (accurate at building scale)
+const distanceToPolygon = (lat, lng, points) => {
+  const metersPerDegLat = 110540;
+  const metersPerDegLng = 111320 * Math.cos((lat * Math.PI) / 180);
+  const project = (p) => ({
+    x: (p.lng - lng) * metersPerDegLng,
+    y: (p.lat - lat) * metersPerDegLat,
+  });
+
+  let min = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = project(points[j]);
+    const b = project(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq > 0
+        ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq))
+        : 0;
+    min = Math.min(min, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return min;
+};
+
+/**
+ * Match a location against a venue's geofence rules. Returns the first
+ * matching rule, or the distance to the nearest rule boundary when outside.
+ */
+const matchVenueGeofence = (venue, lat, lng) => {
+  let nearest = Infinity;
+
+  for (let i = 0; i < venue.polygons.length; i++) {
+    const polygon = venue.polygons[i];
+    if (isPointInPolygon(lat, lng, polygon.points)) {
+      return {
+        matched: true,
+        rule_type: "polygon",
+        rule_index: i,
+        rule_label: polygon.label,
+        distance_m: 0,
+      };
+    }
+    nearest = Math.min(nearest, distanceToPolygon(lat, lng, polygon.points));
+  }
+
+  for (let i = 0; i < venue.circles.length; i++) {
+    const circle = venue.circles[i];
+    const distance = calculateDistance(circle.lat, circle.lng, lat, lng);
+    if (distance <= circle.radius_m) {
+      return {
+        matched: true,
+        rule_type: "circle",
+        rule_index: i,
+        rule_label: circle.label,
+        distance_m: distance,
+      };
+    }
+    nearest = Math.min(nearest, distance - circle.radius_m);
+  }
+
+  return { matched: false, distance_m: nearest };
+};
+
 // Sanitize input to prevent injection attacks
 const sanitizeInput = (input) => {
   if (typeof input !== "string") return input;
@@ -114,8 +222,14 @@ module.exports = {
   generateNonce,
   generateDeviceFingerprint,
   generateReceiptSignature,
+  generateQrToken,
+  parseQrToken,
+  verifyQrToken,
   calculateDistance,
   isWithinRadius,
+  isPointInPolygon,
+  distanceToPolygon,
+  matchVenueGeofence,
   sanitizeInput,
   generateRandomPassword,
   formatDate,
@@ -249,8 +249,8 @@ class ReportGenerator {
              .fontSize(10)
              .font("Helvetica-Bold");
 
-          const sessionColWidths = [25, 80, 90, 60, 60, 80];
-          const sessionHeaders = ["#", "Session Code", "Date", "Present", "Absent", "Attendance %"];
+          const sessionColWidths = [25, 80, 90, 55, 55, 55, 80];
+          const sessionHeaders = ["#", "Session Code", "Date", "Present", "Absent", "Excused", "Attendance %"];
           
           let xPos = 50;
           sessionHeaders.forEach((header, index) => {
@@ -287,11 +287,12 @@ class ReportGenerator {
               sessionDate,
               session.present_count.toString(),
               session.absent_count.toString(),
+              (session.excused_count || 0).toString(),
               `${attendanceRate}%`
             ];
 
             sessionRowData.forEach((data, colIndex) => {
-              if (colIndex === 5) { // Attendance rate column
+              if (colIndex === 6) { // Attendance rate column
                 const rate = parseFloat(attendanceRate);
                 if (rate >= 75) doc.fillColor(successGreen);
                 else if (rate >= 50) doc.fillColor(warningOrange);
@@ -325,8 +326,8 @@ class ReportGenerator {
            .fontSize(10)
            .font("Helvetica-Bold");
 
-        const colWidths = [25, 80, 110, 60, 50, 60, 70];
-        const headers = ["#", "Matric No", "Name", "Attended", "Total", "Rate %", "Meets 75%"];
+        const colWidths = [25, 75, 105, 55, 50, 45, 55, 70];
+        const headers = ["#", "Matric No", "Name", "Attended", "Excused", "Total", "Rate %", "Meets 75%"];
         
         let xPos = 50;
         headers.forEach((header, index) => {
@@ -363,15 +364,16 @@ class ReportGenerator {
               student.matric_no,
               student.name.length > 16 ? student.name.substring(0, 13) + "..." : student.name,
               student.sessions_attended.toString(),
+              (student.sessions_excused || 0).toString(),
               student.total_sessions.toString(),
               student.attendance_rate.toFixed(1),
               meets75
             ];
 
             rowData.forEach((data, colIndex) => {
-              if (colIndex === 5) { // Rate % column
+              if (colIndex === 6) { // Rate % column
                 doc.fillColor(textColor);
-              } else if (colIndex === 6) { // Meets 75% column
+              } else if (colIndex === 7) { // Meets 75% column
                 doc.fillColor(textColor);
               } else {
                 doc.fillColor(darkText);
@@ -434,11 +436,11 @@ class ReportGenerator {
     // Session Overview
     if (reportData.session_overview && reportData.session_overview.length > 0) {
       csv += "Session Overview\n";
-      csv += "#,Session Code,Date,Present Count,Absent Count,Attendance Rate\n";
+      csv += "#,Session Code,Date,Present Count,Absent Count,Excused Count,Attendance Rate\n";
       
       reportData.session_overview.forEach((session, index) => {
         const sessionDate = new Date(session.start_ts).toLocaleDateString("en-US");
-        csv += `${index + 1},${session.session_code},${sessionDate},${session.present_count},${session.absent_count},${session.attendance_rate.toFixed(1)}%\n`;
+        csv += `${index + 1},${session.session_code},${sessionDate},${session.present_count},${session.absent_count},${session.excused_count || 0},${session.attendance_rate.toFixed(1)}%\n`;
       });
       csv += "\n";
     }
@@ -446,17 +448,409 @@ class ReportGenerator {
     // All Students Attendance Summary
     if (reportData.all_students && reportData.all_students.length > 0) {
       csv += "All Students Attendance Summary\n";
-      csv += "#,Matric No,Name,Attended,Total,Rate %,Meets 75%\n";
+      csv += "#,Matric No,Name,Attended,Excused,Total,Rate %,Meets 75%\n";
       
       reportData.all_students.forEach((student, index) => {
         const meets75 = student.attendance_rate >= 75 ? "Yes" : "No";
-        csv += `${index + 1},${student.matric_no},${student.name},${student.sessions_attended},${student.total_sessions},${student.attendance_rate.toFixed(1)},${meets75}\n`;
+        csv += `${index + 1},${student.matric_no},${student.name},${student.sessions_attended},${student.sessions_excused || 0},${student.total_sessions},${student.attendance_rate.toFixed(1)},${meets75}\n`;
       });
     }
 
     return Buffer.from(csv, "utf-8");
   }
 
+  // Count session submissions by status (late arrivals counted separately)
+  static summarizeSessionAttendance(attendanceData) {
+    const summary = {
+      total: attendanceData.length,
+      present: 0,
+      late: 0,
+      manual_present: 0,
+      absent: 0,
+      rejected: 0,
+      excused: 0,
+    };
+    attendanceData.forEach((record) => {
+      if (summary[record.status] !== undefined) {
+        summary[record.status]++;
+      }
+    });
+    return summary;
+  }
+
+  static generateSessionAttendanceCSV(attendanceData, sessionInfo) {
+    const summary = ReportGenerator.summarizeSessionAttendance(attendanceData);
+    const grace = sessionInfo.grace_period_minutes;
+
+    let csv = "Session Attendance Report\n\n";
+    csv += `Course Code,${sessionInfo.course_code || "N/A"}\n`;
+    csv += `Course Title,${sessionInfo.course_title || "N/A"}\n`;
+    csv += `Session Code,${sessionInfo.session_code}\n`;
+    csv += `Started,"${new Date(sessionInfo.start_ts).toLocaleString("en-US")}"\n`;
+    csv += `Grace Period,${grace !== undefined && grace !== null ? `${grace} minutes` : "None"}\n\n`;
+
+    csv += "Summary\n";
+    csv += `Total Submissions,${summary.total}\n`;
+    csv += `On Time,${summary.present}\n`;
+    csv += `Late,${summary.late}\n`;
+    csv += `Manually Marked Present,${summary.manual_present}\n`;
+    csv += `Absent,${summary.absent}\n`;
+    csv += `Rejected,${summary.rejected}\n`;
+    csv += `Excused,${summary.excused}\n\n`;
+
+    csv += "#,Matric No,Name,Email,Status,Submitted At,Distance (m)\n";
+    attendanceData.forEach((record, index) => {
+      const student = record.student_id || {};
+      const matricNo = student.matric_no || record.matric_no_submitted;
+      const submittedAt = record.submitted_at
+        ? new Date(record.submitted_at).toLocaleString("en-US")
+        : "N/A";
+      const distance =
+        record.distance_from_location !== undefined &&
+        record.distance_from_location !== null
+          ? Math.round(record.distance_from_location)
+          : "N/A";
+      csv += `${index + 1},${matricNo},"${student.name || "Unknown"}",${student.email || ""},${record.status},"${submittedAt}",${distance}\n`;
+    });
+
+    return Buffer.from(csv, "utf-8");
+  }
+
+  static generateSessionAttendancePDF(attendanceData, sessionInfo, teacherInfo = {}) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: "A4", margin: 50 });
+        const chunks = [];
+
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+        const primaryBlue = "#2563eb";
+        const darkText = "#1f2937";
+        const lightGray = "#6b7280";
+        const successGreen = "#059669";
+        const warningOrange = "#d97706";
+        const errorRed = "#dc2626";
+
+        const statusColors = {
+          present: successGreen,
+          manual_present: successGreen,
+          excused: primaryBlue,
+          late: warningOrange,
+          absent: errorRed,
+          rejected: errorRed,
+        };
+
+        const summary = ReportGenerator.summarizeSessionAttendance(attendanceData);
+        const grace = sessionInfo.grace_period_minutes;
+
+        doc.fillColor(primaryBlue)
+           .fontSize(20)
+           .font("Helvetica-Bold")
+           .text("Session Attendance Report", 50, 50);
+
+        doc.fillColor(darkText)
+           .fontSize(11)
+           .font("Helvetica")
+           .text(`${sessionInfo.course_code || ""} - ${sessionInfo.course_title || "Course"}`, 50, 80)
+           .text(`Session code: ${sessionInfo.session_code}`, 50, 96)
+           .text(`Started: ${new Date(sessionInfo.start_ts).toLocaleString("en-US")}`, 50, 112)
+           .text(`Grace period: ${grace !== undefined && grace !== null ? `${grace} minutes` : "None"}`, 50, 128);
+
+        if (teacherInfo.name) {
+          doc.text(`Lecturer: ${teacherInfo.name}`, 50, 144);
+        }
+
+        let yPos = 175;
+
+        doc.fillColor(primaryBlue)
+           .fontSize(14)
+           .font("Helvetica-Bold")
+           .text("Summary", 50, yPos);
+
+        yPos += 20;
+
+        doc.fillColor(darkText)
+           .fontSize(10)
+           .font("Helvetica")
+           .text(`Total submissions: ${summary.total}`, 50, yPos)
+           .text(`On time: ${summary.present}`, 200, yPos)
+           .text(`Late: ${summary.late}`, 320, yPos)
+           .text(`Manual: ${summary.manual_present}`, 420, yPos);
+
+        yPos += 15;
+
+        doc.text(`Absent: ${summary.absent}`, 50, yPos)
+           .text(`Rejected: ${summary.rejected}`, 200, yPos)
+           .text(`Excused: ${summary.excused}`, 320, yPos);
+
+        yPos += 30;
+
+        const colWidths = [25, 85, 150, 90, 140];
+        const headers = ["#", "Matric No", "Name", "Status", "Submitted At"];
+
+        const drawHeaders = () => {
+          doc.fillColor(darkText)
+             .fontSize(10)
+             .font("Helvetica-Bold");
+
+          let xPos = 50;
+          headers.forEach((header, index) => {
+            doc.text(header, xPos, yPos);
+            xPos += colWidths[index];
+          });
+
+          yPos += 15;
+
+          doc.strokeColor(lightGray)
+             .lineWidth(1)
+             .moveTo(50, yPos)
+             .lineTo(540, yPos)
+             .stroke();
+
+          yPos += 8;
+        };
+
+        drawHeaders();
+
+        attendanceData.forEach((record, index) => {
+          if (yPos > 750) {
+            doc.addPage();
+            yPos = 50;
+            drawHeaders();
+          }
+
+          const student = record.student_id || {};
+          const name = student.name || "Unknown";
+          const rowData = [
+            (index + 1).toString(),
+            student.matric_no || record.matric_no_submitted,
+            name.length > 24 ? name.substring(0, 21) + "..." : name,
+            record.status,
+            record.submitted_at
+              ? new Date(record.submitted_at).toLocaleString("en-US")
+              : "N/A",
+          ];
+
+          doc.fontSize(9).font("Helvetica");
+
+          let xPos = 50;
+          rowData.forEach((data, colIndex) => {
+            doc.fillColor(colIndex === 3 ? statusColors[record.status] || darkText : darkText);
+            doc.text(data, xPos, yPos);
+            xPos += colWidths[colIndex];
+          });
+
+          yPos += 15;
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  static generateEligibilityReportCSV(eligibilityData) {
+    const { course, policy, summary } = eligibilityData;
+    let csv = "Exam Eligibility Report\n\n";
+
+    // Course and policy information
+    csv += "Course Information\n";
+    csv += `Course Code,${course.course_code}\n`;
+    csv += `Course Title,${course.title}\n`;
+    csv += `Course Level,${course.level}\n`;
+    csv += `Total Sessions,${summary.total_sessions}\n`;
+    csv += `Total Students,${summary.total_students}\n\n`;
+
+    csv += "Attendance Policy\n";
+    csv += `Minimum Attendance,${policy.min_percentage}%\n`;
+    csv += `Manual Present Counts,${policy.count_manual_present ? "Yes" : "No"}\n`;
+    csv += `Excused Absence Grace,${policy.excused_absence_grace}\n\n`;
+
+    csv += "Summary\n";
+    csv += `Eligible Students,${summary.eligible_count}\n`;
+    csv += `Ineligible Students,${summary.ineligible_count}\n`;
+    csv += `Eligible but At Risk,${summary.at_risk_count}\n\n`;
+
+    const addStudentTable = (title, students) => {
+      csv += `${title}\n`;
+      csv += "#,Matric No,Name,Attended,Missed,Excused,Counted Sessions,Rate %,Sessions Needed\n";
+      students.forEach((student, index) => {
+        csv += `${index + 1},${student.matric_no},${student.name},${student.sessions_attended},${student.sessions_missed},${student.excused_absences_applied},${student.counted_sessions},${student.attendance_rate.toFixed(2)},${student.sessions_needed}\n`;
+      });
+      csv += "\n";
+    };
+
+    addStudentTable("Ineligible Students", eligibilityData.ineligible_students);
+    addStudentTable("Eligible Students", eligibilityData.eligible_students);
+
+    return Buffer.from(csv, "utf-8");
+  }
+
+  static generateAtRiskReportCSV(atRiskData) {
+    const { course, policy, summary } = atRiskData;
+    let csv = "At-Risk Students Report\n\n";
+
+    csv += "Course Information\n";
+    csv += `Course Code,${course.course_code}\n`;
+    csv += `Course Title,${course.title}\n`;
+    csv += `Course Level,${course.level}\n`;
+    csv += `Total Sessions,${summary.total_sessions}\n`;
+    csv += `Total Students,${summary.total_students}\n\n`;
+
+    csv += "Early-Warning Rules\n";
+    csv += `Minimum Attendance,${policy.min_percentage}%\n`;
+    csv += `Consecutive Absence Limit,${policy.consecutive_absence_limit || "Off"}\n`;
+    csv += `Trend Window (sessions),${policy.trend_window}\n`;
+    csv += `Trend Drop,${policy.trend_drop ? `${policy.trend_drop} points` : "Off"}\n\n`;
+
+    csv += "Summary\n";
+    csv += `At-Risk Students,${summary.at_risk_count}\n`;
+    csv += `Consecutive Absences,${summary.consecutive_absences_count}\n`;
+    csv += `Falling Attendance,${summary.declining_trend_count}\n`;
+    csv += `Below Threshold,${summary.below_threshold_count}\n\n`;
+
+    csv += "At-Risk Students\n";
+    csv += "#,Matric No,Name,Email,Rate %,Consecutive Absences,Previous Rate %,Recent Rate %,Last Attended,Last Alerted,Reasons\n";
+    atRiskData.students.forEach((student, index) => {
+      const previousRate =
+        student.previous_rate === null ? "" : student.previous_rate;
+      const recentRate =
+        student.recent_rate === null ? "" : student.recent_rate;
+      const lastAttended = student.last_attended_at
+        ? new Date(student.last_attended_at).toLocaleDateString()
+        : "Never";
+      const lastAlerted = student.last_alerted_at
+        ? new Date(student.last_alerted_at).toLocaleDateString()
+        : "";
+      csv += `${index + 1},${student.matric_no},${student.name},${student.email || ""},${student.attendance_rate.toFixed(2)},${student.consecutive_absences},${previousRate},${recentRate},${lastAttended},${lastAlerted},"${student.reason_details.join("; ")}"\n`;
+    });
+
+    return Buffer.from(csv, "utf-8");
+  }
+
+  static generateEligibilityReportPDF(eligibilityData) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { course, policy, summary } = eligibilityData;
+        const doc = new PDFDocument({ size: "A4", margin: 50 });
+        const chunks = [];
+
+        doc.on("data", (chunk) => chunks.push(chunk));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+        const primaryBlue = "#2563eb";
+        const darkText = "#1f2937";
+        const lightGray = "#6b7280";
+        const successGreen = "#059669";
+        const warningOrange = "#d97706";
+        const errorRed = "#dc2626";
+
+        // Header
+        doc.fillColor(darkText)
+           .fontSize(22)
+           .font("Helvetica-Bold")
+           .text("Exam Eligibility Report", 50, 50);
+
+        let yPos = 90;
+        doc.fillColor(darkText)
+           .fontSize(12)
+           .font("Helvetica")
+           .text(`${course.course_code} - ${course.title} (Level ${course.level})`, 50, yPos);
+        yPos += 20;
+        doc.text(`Minimum attendance: ${policy.min_percentage}%   Manual present counts: ${policy.count_manual_present ? "Yes" : "No"}   Excused absence grace: ${policy.excused_absence_grace}`, 50, yPos);
+        yPos += 20;
+        doc.text(`Sessions counted: ${summary.total_sessions}   Students: ${summary.total_students}`, 50, yPos);
+        yPos += 25;
+
+        doc.fillColor(successGreen)
+           .font("Helvetica-Bold")
+           .text(`Eligible: ${summary.eligible_count}`, 50, yPos);
+        doc.fillColor(errorRed)
+           .text(`Ineligible: ${summary.ineligible_count}`, 180, yPos);
+        doc.fillColor(warningOrange)
+           .text(`At risk: ${summary.at_risk_count}`, 320, yPos);
+        yPos += 35;
+
+        const colWidths = [25, 150, 100, 60, 55, 60];
+        const headers = ["#", "Student Name", "Matric No", "Attended", "Rate %", "Needed"];
+
+        const addStudentTable = (title, students, color) => {
+          if (yPos > 700) {
+            doc.addPage();
+            yPos = 50;
+          }
+
+          doc.fillColor(primaryBlue)
+             .fontSize(16)
+             .font("Helvetica-Bold")
+             .text(title, 50, yPos);
+          yPos += 25;
+
+          doc.fillColor(darkText).fontSize(10).font("Helvetica-Bold");
+          let xPos = 50;
+          headers.forEach((header, index) => {
+            doc.text(header, xPos, yPos);
+            xPos += colWidths[index];
+          });
+          yPos += 15;
+          doc.strokeColor(lightGray)
+             .lineWidth(1)
+             .moveTo(50, yPos)
+             .lineTo(540, yPos)
+             .stroke();
+          yPos += 8;
+
+          if (students.length === 0) {
+            doc.fillColor(lightGray).font("Helvetica").text("None", 50, yPos);
+            yPos += 30;
+            return;
+          }
+
+          students.forEach((student, index) => {
+            if (yPos > 750) {
+              doc.addPage();
+              yPos = 50;
+            }
+
+            const values = [
+              `${index + 1}`,
+              student.name.substring(0, 28),
+              student.matric_no,
+              `${student.sessions_attended}/${student.counted_sessions}`,
+              student.attendance_rate.toFixed(1),
+              `${student.sessions_needed}`,
+            ];
+
+            doc.fillColor(student.status === "at_risk" ? warningOrange : color)
+               .fontSize(9)
+               .font("Helvetica");
+            xPos = 50;
+            values.forEach((value, colIndex) => {
+              doc.text(value, xPos, yPos);
+              xPos += colWidths[colIndex];
+            });
+            yPos += 15;
+          });
+
+          yPos += 20;
+        };
+
+        addStudentTable("Ineligible Students", eligibilityData.ineligible_students, errorRed);
+        addStudentTable("Eligible Students", eligibilityData.eligible_students, darkText);
+
+        doc.fillColor(lightGray)
+           .fontSize(8)
+           .text(`Generated: ${new Date(eligibilityData.generated_at).toLocaleString("en-US")}`, 50, 780);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   // Enhanced admin attendance report methods for backward compatibility
   static async generateEnhancedAdminAttendanceCSV(attendanceData) {
     let csv = "Enhanced Admin Attendance Report\n\n";
@@ -0,0 +1,218 @@
+const path = require("path");
+const csv = require("fast-csv");
+const AdmZip = require("adm-zip");
+
+// Largest sheet Excel itself can hold: row 1,048,576 and column XFD
+const XLSX_MAX_ROW = 1048576;
+const XLSX_MAX_COLUMN = 16384;
+// Rows and cells read from one file, so a small upload cannot expand into
+// arrays that exhaust memory
+const MAX_ROWS = 20000;
+const MAX_CELLS = 500000;
+// Uncompressed size of any one part of a workbook; zip entries can inflate
+// to hundreds of times their upload size
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+const decodeXml = (text = "") =>
+  text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+
+// Text of every <t> element (rich text is split across several runs)
+const textOf = (xml = "") =>
+  [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeXml(match[1]))
+    .join("");
+
+// "B12" -> 1 (zero-based column index)
+const columnIndex = (ref) =>
+  ref
+    .replace(/\d+$/, "")
+    .toUpperCase()
+    .split("")
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// adm-zip inflates no further than an entry's declared size, so checking
+// that size before inflating bounds the memory the entry can take
+const readZipText = (zip, name) => {
+  const entry = zip.getEntry(name);
+  if (!entry) return null;
+  if (entry.header.size > MAX_ENTRY_BYTES) {
+    throw new Error(
+      `Workbook part ${name} is larger than ${MAX_ENTRY_BYTES / 1024 / 1024}MB uncompressed`
+    );
+  }
+  // A declared size of 0 would be inflated without any limit
+  return entry.header.size === 0 ? "" : entry.getData().toString("utf8");
+};
+
+// Path of the first worksheet, following the workbook relationships
+const firstSheetPath = (zip) => {
+  const workbook = readZipText(zip, "xl/workbook.xml") || "";
+  const rels = readZipText(zip, "xl/_rels/workbook.xml.rels") || "";
+  const sheet = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+
+  if (sheet) {
+    const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map((match) => match[0])
+      .find((tag) => tag.includes(`Id="${sheet[1]}"`));
+    const target = rel && rel.match(/Target="([^"]+)"/);
+    if (target) {
+      return target[1].startsWith("/") ? target[1].slice(1) : `xl/${target[1]}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+};
+
+// Rows of the first worksheet as arrays of cell text
+const readXlsxRows = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error("File is not a valid XLSX workbook");
+  }
+
+  const sheet = readZipText(zip, firstSheetPath(zip));
+  if (!sheet) {
+    throw new Error("Workbook has no worksheet");
+  }
+
+  const sharedStrings = [
+    ...(readZipText(zip, "xl/sharedStrings.xml") || "").matchAll(
+      /<si\b[^>]*>([\s\S]*?)<\/si>/g
+    ),
+  ].map((match) => textOf(match[1]));
+
+  const rows = [];
+  let cellCount = 0;
+  for (const rowMatch of sheet.matchAll(
+    /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g
+  )) {
+    // Blank rows are left out of the XML; keep the file's row numbers
+    const rowNumber =
+      parseInt((rowMatch[0].match(/\br="(\d+)"/) || [])[1]) || rows.length + 1;
+    if (rowNumber > XLSX_MAX_ROW) {
+      throw new Error(`Row ${rowNumber} is beyond the last row of a sheet`);
+    }
+    if (rowNumber > MAX_ROWS) {
+      throw new Error(`Files can have at most ${MAX_ROWS} rows`);
+    }
+
+    const cells = [];
+    for (const cellMatch of (rowMatch[1] || "").matchAll(
+      /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+    )) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || "";
+      const ref = attributes.match(/\br="([A-Z]+\d+)"/i);
+      const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+      const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let text = "";
+      if (type === "s") {
+        text = sharedStrings[parseInt(value)] || "";
+      } else if (type === "inlineStr") {
+        text = textOf(body);
+      } else if (value !== undefined) {
+        text = decodeXml(value);
+      }
+
+      const column = ref ? columnIndex(ref[1]) : cells.length;
+      if (column >= XLSX_MAX_COLUMN) {
+        throw new Error(`Cell ${ref[1]} is beyond column XFD`);
+      }
+      cellCount += column >= cells.length ? column - cells.length + 1 : 0;
+      if (cellCount > MAX_CELLS) {
+        throw new Error(`Files can have at most ${MAX_CELLS} cells`);
+      }
+      cells[column] = text.trim();
+    }
+    rows[rowNumber - 1] = Array.from(cells, (cell) => cell || "");
+  }
+  return Array.from(rows, (cells) => cells || []);
+};
+
+const readCsvRows = (buffer) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    let cellCount = 0;
+    const stream = csv
+      .parseString(buffer.toString("utf8").replace(/^\uFEFF/, ""), {
+        trim: true,
+      })
+      .on("error", (error) =>
+        reject(new Error(`File is not valid CSV: ${error.message}`))
+      )
+      .on("data", (row) => {
+        cellCount += row.length;
+        if (rows.length >= MAX_ROWS || cellCount > MAX_CELLS) {
+          stream.destroy();
+          reject(
+            new Error(
+              `Files can have at most ${MAX_ROWS} rows and ${MAX_CELLS} cells`
+            )
+          );
+          return;
+        }
+        rows.push(row);
+      })
+      .on("end", () => resolve(rows));
+  });
+
+/**
+ * Read a CSV or XLSX file (first worksheet) into its header names and rows
+ * of `values` keyed by header. Blank rows are dropped; `line` is the row's
+ * number in the file so problems can be reported against it.
+ */
+async function parseSpreadsheet(buffer, filename) {
+  const extension = path.extname(filename || "").toLowerCase();
+  let rows;
+
+  if (extension === ".xlsx") {
+    rows = readXlsxRows(buffer);
+  } else if (extension === ".csv") {
+    rows = await readCsvRows(buffer);
+  } else {
+    throw new Error("Only CSV and XLSX files are supported");
+  }
+
+  const numbered = rows
+    .map((cells, index) => ({ cells, line: index + 1 }))
+    .filter(({ cells }) => cells.some((cell) => cell !== ""));
+
+  if (numbered.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRow, ...dataRows] = numbered;
+  const headers = headerRow.cells.map((header) => header.trim());
+
+  return {
+    headers,
+    rows: dataRows.map(({ cells, line }) => {
+      const values = {};
+      headers.forEach((header, index) => {
+        if (header) values[header] = cells[index] || "";
+      });
+      return { line, values };
+    }),
+  };
+}
+
+module.exports = { parseSpreadsheet };
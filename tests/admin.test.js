@@ -0,0 +1,103 @@
+jest.mock("../src/services/emailService");
+
+const express = require("express");
+const request = require("supertest");
+const Admin = require("../src/models/Admin");
+const ApiKey = require("../src/models/ApiKey");
+const Attendance = require("../src/models/Attendance");
+const AuditLog = require("../src/models/AuditLog");
+const EmailService = require("../src/services/emailService");
+const adminRoutes = require("../src/routes/admin");
+const { API_KEY_HEADER } = require("../src/services/apiKeys");
+const ReportGenerator = require("../src/utils/reportGenerator");
+
+const app = express();
+app.use(express.json());
+app.use("/api/admin", adminRoutes);
+
+// A query that resolves to `value` however many times it is populated
+const queryOf = (value) => {
+  const query = {
+    populate: () => query,
+    sort: () => Promise.resolve(value),
+  };
+  return query;
+};
+
+describe("admin attendance reports with an API key", () => {
+  const admin = new Admin({
+    name: "Registry Admin",
+    email: "registry@unitrack.test",
+    permissions: ["view_all_reports"],
+  });
+  // Every EmailService instance shares the mocked prototype
+  const { sendAttendanceReport } = EmailService.prototype;
+
+  beforeEach(() => {
+    jest.spyOn(ApiKey, "findOne").mockResolvedValue(
+      new ApiKey({
+        name: "Registry export",
+        scopes: ["reports:read"],
+        created_by: admin._id,
+      })
+    );
+    jest.spyOn(ApiKey, "updateOne").mockResolvedValue({});
+    jest.spyOn(Admin, "findById").mockResolvedValue(admin);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest.spyOn(Attendance, "find").mockReturnValue(queryOf([]));
+    jest
+      .spyOn(ReportGenerator, "generateEnhancedAdminAttendanceCSV")
+      .mockResolvedValue(Buffer.from("matric_no\n"));
+    jest
+      .spyOn(ReportGenerator, "generateAdminAttendancePDF")
+      .mockResolvedValue(Buffer.from("%PDF-1.4"));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendAttendanceReport.mockClear();
+  });
+
+  it("emails the CSV report to the admin who issued the key", async () => {
+    const res = await request(app)
+      .get("/api/admin/attendance/report.csv?email=true")
+      .set(API_KEY_HEADER, "utk_test");
+
+    expect(res.status).toBe(200);
+    expect(sendAttendanceReport).toHaveBeenCalledWith(
+      "registry@unitrack.test",
+      "Registry Admin",
+      "System-wide Attendance Report",
+      expect.any(Buffer),
+      "csv"
+    );
+  });
+
+  it("names the issuing admin on the PDF report", async () => {
+    const res = await request(app)
+      .get("/api/admin/attendance/report.pdf")
+      .set(API_KEY_HEADER, "utk_test");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(ReportGenerator.generateAdminAttendancePDF).toHaveBeenCalledWith(
+      [],
+      expect.objectContaining({ adminName: "Registry Admin" })
+    );
+  });
+
+  it("emails the PDF report to the admin who issued the key", async () => {
+    const res = await request(app)
+      .get("/api/admin/attendance/report.pdf?email=true")
+      .set(API_KEY_HEADER, "utk_test");
+
+    expect(res.status).toBe(200);
+    expect(sendAttendanceReport).toHaveBeenCalledWith(
+      "registry@unitrack.test",
+      "Registry Admin",
+      "System-wide Attendance Report",
+      expect.any(Buffer),
+      "pdf"
+    );
+  });
+});
@@ -0,0 +1,31 @@
+const { isIpAllowed } = require("../src/services/apiKeys");
+
+describe("isIpAllowed", () => {
+  it("allows every address when there is no allowlist", () => {
+    expect(isIpAllowed([], "203.0.113.7")).toBe(true);
+    expect(isIpAllowed(undefined, "203.0.113.7")).toBe(true);
+  });
+
+  it("matches single addresses and CIDR ranges", () => {
+    const allowlist = ["198.51.100.10", "203.0.113.0/24", "2001:db8::/32"];
+
+    expect(isIpAllowed(allowlist, "198.51.100.10")).toBe(true);
+    expect(isIpAllowed(allowlist, "203.0.113.200")).toBe(true);
+    expect(isIpAllowed(allowlist, "2001:db8::1")).toBe(true);
+    expect(isIpAllowed(allowlist, "198.51.100.11")).toBe(false);
+    expect(isIpAllowed(allowlist, "2001:db9::1")).toBe(false);
+  });
+
+  it("treats IPv4-mapped IPv6 clients as IPv4", () => {
+    expect(isIpAllowed(["203.0.113.0/24"], "::ffff:203.0.113.5")).toBe(true);
+  });
+
+  it("refuses clients without a valid address", () => {
+    expect(isIpAllowed(["203.0.113.0/24"], "")).toBe(false);
+    expect(isIpAllowed(["203.0.113.0/24"], "not-an-ip")).toBe(false);
+  });
+
+  it("ignores invalid allowlist entries", () => {
+    expect(isIpAllowed(["bogus", "203.0.113.0/99"], "203.0.113.5")).toBe(false);
+  });
+});
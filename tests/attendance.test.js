@@ -0,0 +1,225 @@
+jest.mock("../src/services/emailService");
+jest.mock("../src/services/webhooks", () => ({
+  ...jest.requireActual("../src/services/webhooks"),
+  emitWebhookEvent: jest.fn(),
+}));
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Admin = require("../src/models/Admin");
+const Attendance = require("../src/models/Attendance");
+const AuditLog = require("../src/models/AuditLog");
+const Course = require("../src/models/Course");
+const CourseStudent = require("../src/models/CourseStudent");
+const DeviceFingerprint = require("../src/models/DeviceFingerprint");
+const LiveEvent = require("../src/models/LiveEvent");
+const LoginSession = require("../src/models/LoginSession");
+const QrTokenRedemption = require("../src/models/QrTokenRedemption");
+const Session = require("../src/models/Session");
+const Student = require("../src/models/Student");
+const Teacher = require("../src/models/Teacher");
+const attendanceRoutes = require("../src/routes/attendance");
+const { generateQrToken } = require("../src/utils/helpers");
+
+process.env.JWT_SECRET = "test-secret";
+
+const app = express();
+app.set("trust proxy", 1);
+app.use(express.json());
+app.use("/api/attendance", attendanceRoutes);
+
+// A query that resolves to `value` whether it is awaited, populated or sorted
+const queryOf = (value) => ({
+  populate: () => Promise.resolve(value),
+  sort: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+describe("POST /api/attendance/submit with a QR token", () => {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    session_code: "1234",
+    nonce: "session-nonce",
+    qr_enabled: true,
+    qr_rotation_seconds: 30,
+    lat: 6.5,
+    lng: 3.4,
+    radius_m: 100,
+    course_id: {
+      _id: new mongoose.Types.ObjectId(),
+      title: "Data Structures",
+      course_code: "CSC 201",
+      teacher_id: new mongoose.Types.ObjectId(),
+    },
+    teacher_id: { _id: new mongoose.Types.ObjectId(), name: "Dr. Okafor" },
+    getQrWindow: () => 4,
+    isLateSubmission: () => false,
+  };
+  const token = generateQrToken(session._id, 4, session.nonce);
+  let redemptions;
+  let submissions = 0;
+
+  beforeEach(() => {
+    session.start_ts = new Date(Date.now() - 2 * 60 * 1000);
+    session.expiry_ts = new Date(Date.now() + 60 * 60 * 1000);
+    redemptions = new Map();
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(Session, "findOne").mockReturnValue(queryOf(session));
+    jest
+      .spyOn(Student, "findOne")
+      .mockImplementation(({ matric_no }) =>
+        Promise.resolve({ _id: matric_no, name: matric_no, matric_no })
+      );
+    jest.spyOn(CourseStudent, "findOne").mockResolvedValue({});
+    jest.spyOn(Attendance, "findOne").mockImplementation(() => queryOf(null));
+    jest.spyOn(Attendance, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Attendance, "deleteOne").mockResolvedValue({});
+    jest.spyOn(Attendance.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(DeviceFingerprint, "findOneAndUpdate").mockResolvedValue({});
+    jest
+      .spyOn(LiveEvent, "create")
+      .mockImplementation(async (fields) => new LiveEvent(fields));
+
+    // Redemptions live in memory, keyed the way the unique index keys them
+    const keyOf = (filter) => `${filter.token_hash}|${filter.matric_no}`;
+    jest
+      .spyOn(QrTokenRedemption, "findOne")
+      .mockImplementation(async (filter) => redemptions.get(keyOf(filter)));
+    jest
+      .spyOn(QrTokenRedemption, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        if (!redemptions.has(keyOf(filter))) {
+          redemptions.set(keyOf(filter), { ...filter, ...update.$setOnInsert });
+        }
+        return redemptions.get(keyOf(filter));
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const submit = (matricNo, device) =>
+    request(app)
+      .post("/api/attendance/submit")
+      // Every submission comes from its own phone, under the rate limit
+      .set("X-Forwarded-For", `198.51.100.${++submissions}`)
+      .send({
+        matric_no: matricNo,
+        qr_token: token,
+        lat: 6.5,
+        lng: 3.4,
+        device_info: { device_fingerprint: device },
+      });
+
+  it("accepts the same token from every student in the window", async () => {
+    const first = await submit("CSC/2021/001", "device-a");
+    const second = await submit("CSC/2021/002", "device-b");
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(redemptions.size).toBe(2);
+  });
+
+  it("refuses a student's token replayed from another device", async () => {
+    await submit("CSC/2021/001", "device-a");
+
+    const replay = await submit("CSC/2021/001", "device-c");
+
+    expect(replay.status).toBe(400);
+    expect(replay.body.error).toBe("QR token has already been used");
+    expect(Attendance.prototype.save).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("GET /api/attendance/course/:courseId/stats", () => {
+  const owner = new Teacher({
+    name: "Dr. Okafor",
+    email: "okafor@unitrack.test",
+  });
+  const ta = new Teacher({ name: "Ada Eze", email: "eze@unitrack.test" });
+  const admin = new Admin({
+    name: "Registry Admin",
+    email: "registry@unitrack.test",
+  });
+  const course = new Course({
+    teacher_id: owner._id,
+    members: [{ teacher_id: ta._id, role: "ta" }],
+    course_code: "CSC 201",
+    title: "Data Structures",
+    level: 200,
+  });
+
+  const tokenFor = (user, userType) =>
+    jwt.sign(
+      { id: user._id, userType, sid: new mongoose.Types.ObjectId() },
+      process.env.JWT_SECRET
+    );
+
+  beforeEach(() => {
+    jest.spyOn(LoginSession, "findById").mockReturnValue({
+      select: async () =>
+        new LoginSession({ expires_at: new Date(Date.now() + 60000) }),
+    });
+    jest.spyOn(Teacher, "findById").mockResolvedValue(ta);
+    jest.spyOn(Admin, "findById").mockResolvedValue(admin);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest.spyOn(Course, "findOne").mockResolvedValue(course);
+    jest.spyOn(Session, "countDocuments").mockResolvedValue(3);
+    jest.spyOn(CourseStudent, "countDocuments").mockResolvedValue(40);
+    jest.spyOn(Attendance, "aggregate").mockResolvedValue([
+      { _id: "present", count: 30 },
+      { _id: "late", count: 4 },
+      { _id: "absent", count: 6 },
+    ]);
+    const recent = {
+      populate: () => recent,
+      sort: () => recent,
+      limit: async () => [],
+    };
+    jest.spyOn(Attendance, "find").mockReturnValue(recent);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getStats = (token) =>
+    request(app)
+      .get(`/api/attendance/course/${course._id}/stats`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("gives a TA on the course its statistics", async () => {
+    const res = await getStats(tokenFor(ta, "teacher"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.statistics.attendance_counts).toEqual({
+      present: 34,
+      late: 4,
+      absent: 6,
+      excused: 0,
+      total_submissions: 40,
+    });
+    expect(Course.findOne.mock.calls[0][0].$or).toContainEqual({
+      members: {
+        $elemMatch: {
+          teacher_id: ta._id,
+          role: { $in: ["co_lecturer", "ta"] },
+        },
+      },
+    });
+  });
+
+  it("gives an admin the statistics of any course", async () => {
+    const res = await getStats(tokenFor(admin, "admin"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.statistics.total_students).toBe(40);
+    expect(Course.findOne).toHaveBeenCalledWith({ _id: course._id.toString() });
+  });
+});
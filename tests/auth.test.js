@@ -0,0 +1,155 @@
+jest.mock("../src/services/emailService");
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const EmailOtp = require("../src/models/EmailOtp");
+const Student = require("../src/models/Student");
+const EmailService = require("../src/services/emailService");
+const authRoutes = require("../src/routes/auth");
+
+process.env.JWT_SECRET = "test-secret";
+
+const app = express();
+app.set("trust proxy", 1);
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+describe("student OTP login", () => {
+  // Siblings registered with one family email address
+  const students = [
+    new Student({
+      name: "Chidi Obi",
+      matric_no: "CSC/2021/001",
+      email: "obi.family@unitrack.test",
+    }),
+    new Student({
+      name: "Amaka Obi",
+      matric_no: "CSC/2023/014",
+      email: "obi.family@unitrack.test",
+    }),
+  ];
+  const { sendOTP } = EmailService.prototype;
+  let codes;
+  let requests = 0;
+
+  beforeEach(() => {
+    codes = [];
+
+    jest
+      .spyOn(Student, "findOne")
+      .mockImplementation(
+        async ({ matric_no }) =>
+          students.find((student) => student.matric_no === matric_no) || null
+      );
+
+    // Login codes live in memory and are matched the way the routes query them
+    const belongsTo = (code, filter) =>
+      code.student_id.equals(filter.student_id) &&
+      code.purpose === filter.purpose &&
+      code.used === filter.used;
+    jest.spyOn(EmailOtp, "create").mockImplementation(async (fields) => {
+      const code = new EmailOtp(fields);
+      codes.push(code);
+      return code;
+    });
+    jest.spyOn(EmailOtp, "updateMany").mockImplementation(async (filter) => {
+      codes
+        .filter((code) => belongsTo(code, filter))
+        .forEach((code) => code.set({ used: true }));
+    });
+    jest
+      .spyOn(EmailOtp, "findOneAndUpdate")
+      .mockImplementation(async (filter) => {
+        const code = codes.find(
+          (candidate) =>
+            belongsTo(candidate, filter) &&
+            candidate.otp === filter.otp &&
+            candidate.expires_at > filter.expires_at.$gt
+        );
+        code?.set({ used: true });
+        return code || null;
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendOTP.mockClear();
+  });
+
+  // Every request comes from its own address, under the rate limits
+  const post = (path, body) =>
+    request(app)
+      .post(`/api/auth/student/${path}`)
+      .set("X-Forwarded-For", `203.0.113.${++requests}`)
+      .send(body);
+
+  const requestCode = async (matricNo) => {
+    await post("request_otp", { matric_no: matricNo });
+    return codes[codes.length - 1].otp;
+  };
+
+  it("sends a code bound to the student who asked for it", async () => {
+    const res = await post("request_otp", { matric_no: "csc/2023/014" });
+
+    expect(res.status).toBe(200);
+    expect(codes).toHaveLength(1);
+    expect(codes[0].student_id).toEqual(students[1]._id);
+    expect(sendOTP).toHaveBeenCalledWith(
+      "obi.family@unitrack.test",
+      codes[0].otp,
+      "student login"
+    );
+  });
+
+  it("logs the student in once with their code", async () => {
+    const otp = await requestCode("CSC/2021/001");
+
+    const login = await post("verify_otp", {
+      matric_no: "CSC/2021/001",
+      otp,
+    });
+    const replay = await post("verify_otp", {
+      matric_no: "CSC/2021/001",
+      otp,
+    });
+
+    expect(login.status).toBe(200);
+    expect(jwt.verify(login.body.token, process.env.JWT_SECRET)).toMatchObject({
+      id: students[0]._id.toString(),
+      matric_no: "CSC/2021/001",
+      userType: "student",
+    });
+    expect(replay.status).toBe(400);
+  });
+
+  it("does not let a code sent to a shared email sign in a sibling", async () => {
+    const otp = await requestCode("CSC/2021/001");
+
+    const res = await post("verify_otp", { matric_no: "CSC/2023/014", otp });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Invalid or expired OTP");
+    expect(codes[0].used).toBe(false);
+  });
+
+  it("retires the earlier code when a new one is requested", async () => {
+    const first = await requestCode("CSC/2021/001");
+    await requestCode("CSC/2021/001");
+
+    const res = await post("verify_otp", {
+      matric_no: "CSC/2021/001",
+      otp: first,
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("answers an unknown matriculation number like a known one", async () => {
+    const res = await post("request_otp", { matric_no: "CSC/2019/999" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/^If the matriculation number/);
+    expect(sendOTP).not.toHaveBeenCalled();
+  });
+});
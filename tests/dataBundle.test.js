@@ -0,0 +1,269 @@
+jest.mock("../src/services/timetableScheduler", () => ({
+  syncTimetables: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Term = require("../src/models/Term");
+const Venue = require("../src/models/Venue");
+const Teacher = require("../src/models/Teacher");
+const Student = require("../src/models/Student");
+const Course = require("../src/models/Course");
+const CourseStudent = require("../src/models/CourseStudent");
+const Timetable = require("../src/models/Timetable");
+const Session = require("../src/models/Session");
+const Attendance = require("../src/models/Attendance");
+const AttendanceAppeal = require("../src/models/AttendanceAppeal");
+const FAQ = require("../src/models/FAQ");
+const { exportBundle, importBundle } = require("../src/services/dataBundle");
+
+const { ObjectId } = mongoose.Types;
+
+const MODELS = {
+  terms: Term,
+  venues: Venue,
+  teachers: Teacher,
+  students: Student,
+  courses: Course,
+  course_students: CourseStudent,
+  timetables: Timetable,
+  sessions: Session,
+  attendance: Attendance,
+  attendance_appeals: AttendanceAppeal,
+  faqs: FAQ,
+};
+
+// Equality as the filters here use it: ids, dates and null/missing alike
+const sameValue = (a, b) => String(a ?? null) === String(b ?? null);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") {
+      return condition.some((alternative) => matches(doc, alternative));
+    }
+    if (condition && condition.$in) {
+      return condition.$in.some((value) => sameValue(doc[field], value));
+    }
+    return sameValue(doc[field], condition);
+  });
+
+const findFirst = (docs, filter) =>
+  docs.find((doc) => matches(doc, filter)) || null;
+
+// Point every model's driver collection at an in-memory store
+const useStore = (store) => {
+  Object.entries(MODELS).forEach(([name, model]) => {
+    const docs = () => store[name] || (store[name] = []);
+    const found = (filter) => docs().filter((doc) => matches(doc, filter));
+
+    jest.spyOn(model.collection, "find").mockImplementation((filter) => ({
+      project: () => ({ toArray: async () => found(filter) }),
+      toArray: async () => found(filter),
+    }));
+    jest
+      .spyOn(model.collection, "findOne")
+      .mockImplementation(async (filter) => found(filter)[0] || null);
+    jest
+      .spyOn(model.collection, "insertMany")
+      .mockImplementation(async (inserted) => {
+        docs().push(...inserted);
+        return { insertedCount: inserted.length };
+      });
+    jest
+      .spyOn(model.collection, "deleteMany")
+      .mockImplementation(async (filter) => {
+        store[name] = docs().filter((doc) => !matches(doc, filter));
+      });
+  });
+  jest
+    .spyOn(Term, "exists")
+    .mockImplementation(async (filter) => findFirst(store.terms || [], filter));
+};
+
+// One term with a course, two enrolled students, a session and attendance
+const buildSystem = () => {
+  const term = {
+    _id: new ObjectId(),
+    name: "2025/2026 First Semester",
+    academic_session: "2025/2026",
+    semester: "first",
+    status: "active",
+  };
+  const teacher = {
+    _id: new ObjectId(),
+    name: "Dr. Okafor",
+    email: "okafor@unitrack.test",
+  };
+  const students = ["CSC/2021/001", "CSC/2021/002"].map((matricNo) => ({
+    _id: new ObjectId(),
+    name: matricNo,
+    matric_no: matricNo,
+  }));
+  const course = {
+    _id: new ObjectId(),
+    course_code: "CSC 201",
+    title: "Data Structures",
+    level: 200,
+    teacher_id: teacher._id,
+    term_id: term._id,
+  };
+  const session = {
+    _id: new ObjectId(),
+    session_code: "4821",
+    course_id: course._id,
+    teacher_id: teacher._id,
+    term_id: term._id,
+    start_ts: new Date("2025-10-06T09:00:00Z"),
+  };
+
+  return {
+    terms: [term],
+    teachers: [teacher],
+    students,
+    courses: [course],
+    course_students: students.map((student) => ({
+      _id: new ObjectId(),
+      course_id: course._id,
+      student_id: student._id,
+    })),
+    sessions: [session],
+    attendance: [
+      {
+        _id: new ObjectId(),
+        session_id: session._id,
+        course_id: course._id,
+        student_id: students[0]._id,
+        matric_no_submitted: students[0].matric_no,
+        term_id: term._id,
+      },
+    ],
+  };
+};
+
+// Change the uncompressed size a zip's central directory declares
+const declareSize = (buffer, entryName, size) => {
+  const patched = Buffer.from(buffer);
+  const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+  for (
+    let offset = patched.indexOf(signature);
+    offset !== -1;
+    offset = patched.indexOf(signature, offset + 46)
+  ) {
+    const nameLength = patched.readUInt16LE(offset + 28);
+    const name = patched.toString(
+      "utf8",
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    if (name === entryName) patched.writeUInt32LE(size, offset + 24);
+  }
+  return patched;
+};
+
+describe("data bundle import", () => {
+  let source;
+  let bundle;
+
+  beforeAll(async () => {
+    source = buildSystem();
+    useStore(source);
+    ({ buffer: bundle } = await exportBundle({ scope: "system" }));
+    jest.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reports what would be imported without writing on a dry run", async () => {
+    const target = {};
+    useStore(target);
+
+    const result = await importBundle(bundle, { dryRun: true });
+
+    expect(result.dry_run).toBe(true);
+    expect(result.summary.students).toEqual({
+      in_bundle: 2,
+      inserted: 2,
+      remapped: 0,
+      matched_existing: 0,
+    });
+    expect(result.summary.attendance.inserted).toBe(1);
+    expect(Course.collection.insertMany).not.toHaveBeenCalled();
+    expect(Object.values(target).flat()).toEqual([]);
+  });
+
+  it("gives taken ids new ids and rewrites the references to them", async () => {
+    const [student] = source.students;
+    const existingTeacher = {
+      _id: new ObjectId(),
+      name: "Dr. Okafor",
+      email: "okafor@unitrack.test",
+    };
+    const target = {
+      teachers: [existingTeacher],
+      // Another student already holds the first student's id
+      students: [{ _id: student._id, matric_no: "MTH/2020/009" }],
+    };
+    useStore(target);
+
+    const result = await importBundle(bundle);
+
+    expect(result.summary.teachers.matched_existing).toBe(1);
+    expect(result.summary.students.remapped).toBe(1);
+
+    const imported = target.students.find(
+      (doc) => doc.matric_no === student.matric_no
+    );
+    expect(imported._id.toString()).not.toBe(student._id.toString());
+    expect(target.attendance[0].student_id).toEqual(imported._id);
+    expect(
+      target.course_students.map((doc) => doc.student_id.toString())
+    ).toContain(imported._id.toString());
+    expect(target.courses[0].teacher_id).toEqual(existingTeacher._id);
+    expect(target.sessions[0].teacher_id).toEqual(existingTeacher._id);
+  });
+
+  it("adds nothing when the same bundle is imported twice", async () => {
+    const target = {};
+    useStore(target);
+    await importBundle(bundle);
+    const countsAfterFirst = Object.values(target).map((docs) => docs.length);
+
+    const result = await importBundle(bundle);
+
+    Object.values(result.summary).forEach((counts) => {
+      expect(counts.inserted + counts.remapped).toBe(0);
+      expect(counts.matched_existing).toBe(counts.in_bundle);
+    });
+    expect(Object.values(target).map((docs) => docs.length)).toEqual(
+      countsAfterFirst
+    );
+  });
+
+  it("deletes what it wrote when a later write fails", async () => {
+    const target = {};
+    useStore(target);
+    Attendance.collection.insertMany.mockRejectedValue(
+      new Error("E11000 duplicate key error")
+    );
+
+    await expect(importBundle(bundle)).rejects.toThrow("E11000");
+
+    expect(Object.values(target).flat()).toEqual([]);
+    expect(Student.collection.deleteMany).toHaveBeenCalled();
+  });
+
+  it("refuses a bundle file that would inflate beyond the cap", async () => {
+    useStore({});
+    const oversized = declareSize(
+      bundle,
+      "collections/attendance.ndjson",
+      300 * 1024 * 1024
+    );
+
+    await expect(importBundle(oversized)).rejects.toMatchObject({
+      status: 400,
+      details: ["collections/attendance.ndjson is too large"],
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const EmailMessage = require("../src/models/EmailMessage");
+const Job = require("../src/models/Job");
+const jobQueue = require("../src/services/jobQueue");
+const {
+  EMAIL_DELIVERY_JOB,
+  getTransporter,
+  resendEmail,
+} = require("../src/services/emailOutbox");
+const { createSmtpSink } = require("../scripts/smtp-sink");
+
+const rejectedAddress = "nobody@unitrack.test";
+
+describe("email outbox", () => {
+  let sink;
+  let message;
+
+  beforeAll(async () => {
+    sink = createSmtpSink({ failFirst: 1, reject: [rejectedAddress] });
+    await new Promise((resolve) => sink.listen(0, "127.0.0.1", resolve));
+
+    process.env.EMAIL_HOST = "127.0.0.1";
+    process.env.EMAIL_PORT = sink.address().port;
+    process.env.EMAIL_USER = "outbox";
+    process.env.EMAIL_PASS = "secret";
+    process.env.EMAIL_FROM = "UniTrack <noreply@unitrack.test>";
+  });
+
+  afterAll(async () => {
+    getTransporter().close();
+    await new Promise((resolve) => sink.close(resolve));
+  });
+
+  beforeEach(() => {
+    message = new EmailMessage({
+      type: "session-notification",
+      to: "ada@unitrack.test",
+      subject: "CSC 201 session code",
+      html: "<p>Your session code is ABC123</p>",
+    });
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(EmailMessage, "findById")
+      .mockImplementation(async () => message);
+    jest.spyOn(EmailMessage.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest
+      .spyOn(Job, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => ({
+        _id: filter._id,
+        ...update.$set,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runAttempt = (attempts) =>
+    jobQueue.processJob({
+      _id: new mongoose.Types.ObjectId(),
+      type: EMAIL_DELIVERY_JOB,
+      payload: { message_id: message._id },
+      attempts,
+      max_attempts: 5,
+    });
+
+  it("retries a temporary SMTP failure and then sends", async () => {
+    const first = await runAttempt(1);
+    expect(first.status).toBe("pending");
+    expect(first.run_at.getTime()).toBeGreaterThan(Date.now());
+    expect(message.status).toBe("pending");
+    expect(message.next_attempt_at).toBeInstanceOf(Date);
+    expect(message.delivery_attempts[0]).toMatchObject({
+      attempt: 1,
+      status: "failed",
+      response_code: 451,
+    });
+
+    const second = await runAttempt(2);
+    expect(second.status).toBe("completed");
+    expect(message.status).toBe("sent");
+    expect(message.attempts).toBe(2);
+    expect(message.sent_at).toBeInstanceOf(Date);
+    expect(message.delivery_attempts[1].status).toBe("sent");
+    expect(message.delivery_attempts[1].smtp_response).toMatch(/^250/);
+
+    const received = sink.messages[sink.messages.length - 1];
+    expect(received.to).toEqual(["ada@unitrack.test"]);
+    expect(received.subject).toBe("CSC 201 session code");
+  });
+
+  it("fails a rejected recipient without retrying", async () => {
+    message.to = rejectedAddress;
+
+    const result = await runAttempt(1);
+
+    expect(result.status).toBe("completed");
+    expect(result.result.status).toBe("failed");
+    expect(message.status).toBe("failed");
+    expect(message.next_attempt_at).toBeUndefined();
+    expect(message.delivery_attempts[0].response_code).toBe(550);
+  });
+
+  it("resends a failed message as a new message", async () => {
+    message.status = "failed";
+    const job = { _id: new mongoose.Types.ObjectId(), run_at: new Date() };
+    jest.spyOn(jobQueue, "enqueue").mockResolvedValue(job);
+    jest
+      .spyOn(EmailMessage, "create")
+      .mockImplementation(async (fields) => new EmailMessage(fields));
+
+    const resent = await resendEmail(message);
+
+    expect(resent._id).not.toEqual(message._id);
+    expect(resent.resend_of).toEqual(message._id);
+    expect(resent.status).toBe("pending");
+    expect(resent.subject).toBe(message.subject);
+    expect(resent.job_id).toEqual(job._id);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      EMAIL_DELIVERY_JOB,
+      { message_id: resent._id },
+      expect.objectContaining({ priority: 1 })
+    );
+  });
+
+  it("only resends failed messages", async () => {
+    message.status = "sent";
+
+    await expect(resendEmail(message)).rejects.toMatchObject({
+      status: 400,
+      message: "Only failed emails can be resent",
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  generateQrToken,
+  verifyQrToken,
+  matchVenueGeofence,
+} = require("../src/utils/helpers");
+
+describe("verifyQrToken", () => {
+  const sessionId = "64b7f0c2a1b2c3d4e5f60718";
+  const nonce = "session-nonce";
+
+  it("accepts a token signed with the session nonce", () => {
+    const token = generateQrToken(sessionId, 42, nonce);
+
+    expect(verifyQrToken(token, nonce)).toBe(true);
+  });
+
+  it("rejects a token signed with another nonce", () => {
+    const token = generateQrToken(sessionId, 42, "other-nonce");
+
+    expect(verifyQrToken(token, nonce)).toBe(false);
+  });
+
+  it("rejects a token whose window was changed", () => {
+    const [id, , signature] = generateQrToken(sessionId, 42, nonce).split(".");
+
+    expect(verifyQrToken(`${id}.43.${signature}`, nonce)).toBe(false);
+  });
+
+  it("rejects malformed tokens", () => {
+    expect(verifyQrToken("not-a-token", nonce)).toBe(false);
+    expect(verifyQrToken(`${sessionId}.x.abc`, nonce)).toBe(false);
+    expect(verifyQrToken(undefined, nonce)).toBe(false);
+  });
+});
+
+describe("matchVenueGeofence", () => {
+  // A square of roughly 110m a side around (6.5, 3.4)
+  const venue = {
+    polygons: [
+      {
+        label: "Main hall",
+        points: [
+          { lat: 6.4995, lng: 3.3995 },
+          { lat: 6.4995, lng: 3.4005 },
+          { lat: 6.5005, lng: 3.4005 },
+          { lat: 6.5005, lng: 3.3995 },
+        ],
+      },
+    ],
+    circles: [{ label: "Annex", lat: 6.51, lng: 3.4, radius_m: 50 }],
+  };
+
+  it("matches a point inside a polygon", () => {
+    const match = matchVenueGeofence(venue, 6.5, 3.4);
+
+    expect(match).toEqual({
+      matched: true,
+      rule_type: "polygon",
+      rule_index: 0,
+      rule_label: "Main hall",
+      distance_m: 0,
+    });
+  });
+
+  it("matches a point inside a circle", () => {
+    const match = matchVenueGeofence(venue, 6.5101, 3.4);
+
+    expect(match.matched).toBe(true);
+    expect(match.rule_type).toBe("circle");
+    expect(match.rule_label).toBe("Annex");
+    expect(match.distance_m).toBeLessThan(50);
+  });
+
+  it("reports the distance to the nearest rule when outside", () => {
+    const match = matchVenueGeofence(venue, 6.5, 3.4015);
+
+    expect(match.matched).toBe(false);
+    // 0.001 degrees of longitude past the polygon edge is about 110m
+    expect(match.distance_m).toBeGreaterThan(100);
+    expect(match.distance_m).toBeLessThan(120);
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const Job = require("../src/models/Job");
+const jobQueue = require("../src/services/jobQueue");
+
+describe("JobQueue", () => {
+  let queue;
+
+  beforeEach(() => {
+    // A queue of its own, so the handlers registered by services stay out
+    queue = new jobQueue.constructor();
+    queue.defineLane("email", { concurrency: 2 });
+    queue.register("send_email", jest.fn(), { lane: "email" });
+    queue.register("build_report", jest.fn());
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest
+      .spyOn(Job, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => ({
+        _id: filter._id,
+        ...update.$set,
+      }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const claimedJob = (type, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    payload: {},
+    attempts: 1,
+    max_attempts: 3,
+    ...fields,
+  });
+
+  it("claims due or stale jobs of one lane, highest priority first", async () => {
+    await queue.claimNextJob("email");
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter.type).toEqual({ $in: ["send_email"] });
+    expect(filter.$or[0]).toMatchObject({ status: "pending" });
+    expect(filter.$or[1]).toMatchObject({
+      status: "running",
+      locked_at: { $lt: expect.any(Date) },
+    });
+    expect(update).toEqual({
+      $set: {
+        status: "running",
+        locked_at: expect.any(Date),
+        locked_by: queue.workerId,
+      },
+      $inc: { attempts: 1 },
+    });
+    expect(options.sort).toEqual({ priority: -1, run_at: 1 });
+  });
+
+  it("completes a job only while this worker still holds its claim", async () => {
+    const job = claimedJob("build_report");
+    queue.handlers.build_report.mockResolvedValue({ rows: 12 });
+
+    const finished = await queue.processJob(job);
+
+    const [filter, update] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: job._id,
+      status: "running",
+      locked_by: queue.workerId,
+      attempts: 1,
+    });
+    expect(update.$set).toMatchObject({
+      status: "completed",
+      result: { rows: 12 },
+    });
+    expect(update.$unset).toEqual({
+      last_error: 1,
+      locked_at: 1,
+      locked_by: 1,
+    });
+    expect(finished.status).toBe("completed");
+  });
+
+  it("retries a failed job with backoff until its attempts run out", async () => {
+    queue.handlers.build_report.mockRejectedValue(
+      new Error("Report generation timed out")
+    );
+
+    const retried = await queue.processJob(claimedJob("build_report"));
+    const failed = await queue.processJob(
+      claimedJob("build_report", { attempts: 3 })
+    );
+
+    expect(retried.status).toBe("pending");
+    expect(retried.last_error).toBe("Report generation timed out");
+    expect(retried.run_at.getTime()).toBeGreaterThan(Date.now());
+    expect(failed.status).toBe("failed");
+    expect(failed.run_at).toBeUndefined();
+  });
+
+  it("discards the outcome of a job cancelled while it ran", async () => {
+    Job.findOneAndUpdate.mockResolvedValue(null);
+
+    const finished = await queue.processJob(claimedJob("build_report"));
+
+    expect(finished).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("was cancelled or reclaimed while running")
+    );
+  });
+
+  it("does not poll without a database connection", async () => {
+    await queue.tick();
+
+    expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const Attendance = require("../src/models/Attendance");
+const {
+  DEFAULT_MAX_ACCURACY_M,
+  evaluateLocation,
+} = require("../src/services/locationPolicy");
+
+const codesOf = (result) => result.flags.map((flag) => flag.code);
+
+describe("evaluateLocation", () => {
+  let previousSubmission;
+
+  beforeEach(() => {
+    previousSubmission = null;
+    jest.spyOn(Attendance, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Attendance, "findOne").mockImplementation(() => ({
+      sort: () => Promise.resolve(previousSubmission),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const submit = (session, fields = {}) =>
+    evaluateLocation({
+      session: { _id: "session-1", ...session },
+      lat: 6.5,
+      lng: 3.4,
+      accuracy: 10,
+      deviceFingerprint: "device-1",
+      ...fields,
+    });
+
+  it("passes an accurate submission without flags", async () => {
+    const result = await submit({});
+
+    expect(result).toEqual({ rejection: null, flags: [] });
+  });
+
+  it("does not flag a missing accuracy when the session sets no limit", async () => {
+    const result = await submit({}, { accuracy: null });
+
+    expect(codesOf(result)).toEqual([]);
+  });
+
+  it("flags a missing accuracy when the session sets a limit", async () => {
+    const result = await submit({ max_accuracy_m: 30 }, { accuracy: null });
+
+    expect(codesOf(result)).toEqual(["accuracy_missing"]);
+    expect(result.flags[0].details).toEqual({ limit_m: 30 });
+  });
+
+  it("flags a zero accuracy as a likely mock location", async () => {
+    const result = await submit({}, { accuracy: 0 });
+
+    expect(codesOf(result)).toEqual(["zero_accuracy"]);
+  });
+
+  it("flags or rejects poor accuracy depending on the session", async () => {
+    const poor = { accuracy: DEFAULT_MAX_ACCURACY_M + 1 };
+
+    const flagged = await submit({}, poor);
+    expect(codesOf(flagged)).toEqual(["low_accuracy"]);
+
+    const rejected = await submit({ accuracy_action: "reject" }, poor);
+    expect(rejected.rejection.error).toBe("GPS accuracy too low");
+  });
+
+  it("flags coordinates shared by several submissions", async () => {
+    Attendance.countDocuments.mockResolvedValue(2);
+
+    const result = await submit({});
+
+    expect(codesOf(result)).toEqual(["duplicate_coordinates"]);
+  });
+
+  it("flags a device that moved implausibly fast", async () => {
+    const now = new Date("2026-03-02T10:00:00Z");
+    previousSubmission = {
+      _id: "attendance-0",
+      session_id: "session-0",
+      lat: 9.05,
+      lng: 7.49,
+      submitted_at: new Date(now.getTime() - 30 * 60 * 1000),
+    };
+
+    const result = await submit({}, { now });
+
+    expect(codesOf(result)).toEqual(["impossible_travel"]);
+    expect(result.flags[0].details.elapsed_minutes).toBe(30);
+  });
+});
@@ -0,0 +1,155 @@
+const jwt = require("jsonwebtoken");
+const LoginSession = require("../src/models/LoginSession");
+const Teacher = require("../src/models/Teacher");
+const {
+  startLoginSession,
+  refreshLoginSession,
+  revokeLoginSessions,
+  isLoginSessionActive,
+} = require("../src/services/loginSessions");
+
+process.env.JWT_SECRET = "test-secret";
+
+describe("staff login sessions", () => {
+  const req = {
+    ip: "203.0.113.5",
+    get: () =>
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36",
+  };
+  let teacher;
+  let sessions;
+
+  beforeEach(() => {
+    teacher = new Teacher({
+      name: "Dr. Okafor",
+      email: "okafor@unitrack.test",
+    });
+    sessions = [];
+
+    const byId = (id) =>
+      sessions.find((session) => session._id.equals(id)) || null;
+    // Resolves to the stored session whether awaited or selected first
+    jest.spyOn(LoginSession, "findById").mockImplementation((id) => ({
+      select: async () => byId(id),
+      then: (resolve, reject) =>
+        Promise.resolve(byId(id)).then(resolve, reject),
+    }));
+    jest.spyOn(LoginSession, "create").mockImplementation(async (fields) => {
+      const session = new LoginSession(fields);
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(LoginSession.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest
+      .spyOn(LoginSession, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        const session = byId(filter._id);
+        if (
+          !session ||
+          session.refresh_token_hash !== filter.refresh_token_hash ||
+          session.revoked_at
+        ) {
+          return null;
+        }
+        return session.set(update);
+      });
+    jest
+      .spyOn(LoginSession, "updateMany")
+      .mockImplementation(async (filter, update) => {
+        const revoked = sessions.filter(
+          (session) =>
+            session.user_id.equals(filter.user_id) && !session.revoked_at
+        );
+        revoked.forEach((session) => session.set(update));
+        return { modifiedCount: revoked.length };
+      });
+    jest.spyOn(Teacher, "findById").mockImplementation(async () => teacher);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("rotates the refresh token and keeps the login", async () => {
+    const login = await startLoginSession(teacher, "teacher", req);
+
+    const refreshed = await refreshLoginSession(login.refresh_token, req);
+    const again = await refreshLoginSession(refreshed.refresh_token, req);
+
+    expect(refreshed.refresh_token).not.toBe(login.refresh_token);
+    expect(again.refresh_token).not.toBe(refreshed.refresh_token);
+    expect(jwt.verify(again.token, process.env.JWT_SECRET)).toMatchObject({
+      id: teacher._id.toString(),
+      userType: "teacher",
+      sid: sessions[0]._id.toString(),
+    });
+    expect(sessions[0].device).toBe("Chrome on Windows");
+    expect(sessions).toHaveLength(1);
+  });
+
+  it("revokes the whole login when a retired refresh token is reused", async () => {
+    const login = await startLoginSession(teacher, "teacher", req);
+    const refreshed = await refreshLoginSession(login.refresh_token, req);
+
+    await expect(
+      refreshLoginSession(login.refresh_token, req)
+    ).rejects.toMatchObject({
+      status: 401,
+      message: "Refresh token was already used; please log in again",
+    });
+    expect(sessions[0].revoked_reason).toBe("refresh_token_reuse");
+    // The holder of the current token is signed out too
+    await expect(
+      refreshLoginSession(refreshed.refresh_token, req)
+    ).rejects.toMatchObject({ status: 401 });
+    expect(await isLoginSessionActive(sessions[0]._id)).toBe(false);
+  });
+
+  it("lets only one of two concurrent refreshes rotate the token", async () => {
+    const login = await startLoginSession(teacher, "teacher", req);
+
+    const results = await Promise.allSettled([
+      refreshLoginSession(login.refresh_token, req),
+      refreshLoginSession(login.refresh_token, req),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results[1].reason).toMatchObject({
+      status: 401,
+      message: "Invalid refresh token",
+    });
+  });
+
+  it("stops refreshing once the account is suspended", async () => {
+    const login = await startLoginSession(teacher, "teacher", req);
+    teacher.active = false;
+
+    await expect(
+      refreshLoginSession(login.refresh_token, req)
+    ).rejects.toMatchObject({
+      status: 401,
+      message: "Account is no longer active",
+    });
+  });
+
+  it("revokes every active login of a user", async () => {
+    await startLoginSession(teacher, "teacher", req);
+    await startLoginSession(teacher, "teacher", req);
+
+    const revoked = await revokeLoginSessions(
+      { user_id: teacher._id, user_type: "teacher" },
+      { reason: "admin_forced" }
+    );
+
+    expect(revoked).toBe(2);
+    for (const session of sessions) {
+      expect(session.revoked_reason).toBe("admin_forced");
+      expect(await isLoginSessionActive(session._id)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock("../src/services/emailService");
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const AuditLog = require("../src/models/AuditLog");
+const Course = require("../src/models/Course");
+const Job = require("../src/models/Job");
+const LoginSession = require("../src/models/LoginSession");
+const Session = require("../src/models/Session");
+const Teacher = require("../src/models/Teacher");
+const Term = require("../src/models/Term");
+const sessionRoutes = require("../src/routes/sessions");
+const { SESSION_REPORT_JOB } = require("../src/services/scheduledReports");
+
+process.env.JWT_SECRET = "test-secret";
+
+const app = express();
+app.use(express.json());
+app.use("/api/sessions", sessionRoutes);
+
+const teacher = new Teacher({
+  name: "Dr. Okafor",
+  email: "okafor@unitrack.test",
+});
+const token = jwt.sign(
+  { id: teacher._id, userType: "teacher", sid: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+describe("scheduled session report changes", () => {
+  let job;
+
+  beforeEach(() => {
+    job = new Job({
+      type: SESSION_REPORT_JOB,
+      payload: { session_id: new mongoose.Types.ObjectId(), format: "csv" },
+      status: "pending",
+      run_at: new Date(Date.now() + 60 * 60 * 1000),
+      created_by: teacher._id,
+    });
+
+    jest.spyOn(LoginSession, "findById").mockReturnValue({
+      select: async () =>
+        new LoginSession({ expires_at: new Date(Date.now() + 60000) }),
+    });
+    jest.spyOn(Teacher, "findById").mockResolvedValue(teacher);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+
+    // The job applies an update only while the filter still matches it,
+    // as the database would
+    const isChangeable = (filter) =>
+      filter._id.toString() === job._id.toString() &&
+      filter.status.$in.includes(job.status) &&
+      (job.locked_by ?? null) === filter.locked_by;
+    jest
+      .spyOn(Job, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        if (!isChangeable(filter)) return null;
+        job.set(update.$set || update);
+        Object.keys(update.$unset || {}).forEach((field) =>
+          job.set(field, undefined)
+        );
+        return job;
+      });
+    jest.spyOn(Job, "findOne").mockImplementation((filter) => ({
+      select: async () =>
+        filter._id.toString() === job._id.toString() ? job : null,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reschedule = (id) =>
+    request(app)
+      .patch(`/api/sessions/lecturer/scheduled-reports/${id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ email_date: "2099-01-15", email_time: "08:30", format: "pdf" });
+
+  const cancel = (id) =>
+    request(app)
+      .delete(`/api/sessions/lecturer/scheduled-reports/${id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("reschedules a failed report", async () => {
+    job.set({ status: "failed", attempts: 3, last_error: "SMTP timeout" });
+
+    const res = await reschedule(job._id);
+
+    expect(res.status).toBe(200);
+    expect(job.status).toBe("pending");
+    expect(job.attempts).toBe(0);
+    expect(job.last_error).toBeUndefined();
+    expect(job.payload.format).toBe("pdf");
+    expect(job.run_at).toEqual(new Date("2099-01-15T08:30:00"));
+  });
+
+  it("leaves a report a worker has claimed alone", async () => {
+    job.set({ status: "running", locked_by: "worker-1", attempts: 1 });
+
+    const rescheduled = await reschedule(job._id);
+    const cancelled = await cancel(job._id);
+
+    expect(rescheduled.status).toBe(409);
+    expect(rescheduled.body.error).toBe(
+      "Cannot reschedule a report that is running"
+    );
+    expect(cancelled.status).toBe(409);
+    expect(job.status).toBe("running");
+    expect(job.attempts).toBe(1);
+  });
+
+  it("cancels a pending report", async () => {
+    const res = await cancel(job._id);
+
+    expect(res.status).toBe(200);
+    expect(job.status).toBe("cancelled");
+  });
+
+  it("answers 404 for a report the lecturer does not have", async () => {
+    const res = await cancel(new mongoose.Types.ObjectId());
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("sessions in an archived term", () => {
+  const archivedTerm = new Term({
+    academic_session: "2024/2025",
+    semester: "second",
+    status: "archived",
+  });
+  let session;
+
+  beforeEach(() => {
+    session = new Session({
+      course_id: new mongoose.Types.ObjectId(),
+      teacher_id: teacher._id,
+      term_id: archivedTerm._id,
+      session_code: "4821",
+      start_ts: new Date(),
+      expiry_ts: new Date(Date.now() + 60 * 60 * 1000),
+      lat: 6.5,
+      lng: 3.4,
+      nonce: "session-nonce",
+      is_active: true,
+    });
+
+    jest.spyOn(LoginSession, "findById").mockReturnValue({
+      select: async () =>
+        new LoginSession({ expires_at: new Date(Date.now() + 60000) }),
+    });
+    jest.spyOn(Teacher, "findById").mockResolvedValue(teacher);
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    jest
+      .spyOn(Course, "find")
+      .mockReturnValue({ distinct: async () => [session.course_id] });
+    jest.spyOn(Session, "findOne").mockResolvedValue(session);
+    jest
+      .spyOn(Term, "exists")
+      .mockImplementation(async (filter) =>
+        filter._id.toString() === archivedTerm._id.toString()
+          ? { _id: archivedTerm._id }
+          : null
+      );
+    jest.spyOn(Session.prototype, "save");
+    jest.spyOn(Job, "updateMany");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("refuses to end a session of an archived term", async () => {
+    const res = await request(app)
+      .patch(`/api/sessions/${session._id}/end`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Sessions in an archived term are read-only");
+    expect(Session.prototype.save).not.toHaveBeenCalled();
+    expect(Job.updateMany).not.toHaveBeenCalled();
+    expect(session.is_active).toBe(true);
+  });
+});
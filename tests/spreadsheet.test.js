@@ -0,0 +1,142 @@
+const AdmZip = require("adm-zip");
+const { parseSpreadsheet } = require("../src/utils/spreadsheet");
+
+// A minimal workbook whose first worksheet holds `sheetData`
+const buildXlsx = (sheetData, sharedStrings = []) => {
+  const zip = new AdmZip();
+  zip.addFile(
+    "xl/workbook.xml",
+    Buffer.from(
+      '<workbook><sheets><sheet name="Roster" sheetId="1" r:id="rId1"/></sheets></workbook>'
+    )
+  );
+  zip.addFile(
+    "xl/_rels/workbook.xml.rels",
+    Buffer.from(
+      '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'
+    )
+  );
+  zip.addFile(
+    "xl/sharedStrings.xml",
+    Buffer.from(
+      `<sst>${sharedStrings.map((text) => `<si><t>${text}</t></si>`).join("")}</sst>`
+    )
+  );
+  zip.addFile(
+    "xl/worksheets/sheet1.xml",
+    Buffer.from(`<worksheet><sheetData>${sheetData}</sheetData></worksheet>`)
+  );
+  return zip.toBuffer();
+};
+
+describe("parseSpreadsheet", () => {
+  it("reads CSV rows keyed by header with their line numbers", async () => {
+    const csv =
+      "\uFEFFmatric_no,name\nCSC/2021/001, Ada \n\nCSC/2021/002,Ben\n";
+
+    const result = await parseSpreadsheet(Buffer.from(csv), "roster.csv");
+
+    expect(result.headers).toEqual(["matric_no", "name"]);
+    expect(result.rows).toEqual([
+      { line: 2, values: { matric_no: "CSC/2021/001", name: "Ada" } },
+      { line: 4, values: { matric_no: "CSC/2021/002", name: "Ben" } },
+    ]);
+  });
+
+  it("reads shared, inline and numeric XLSX cells", async () => {
+    const buffer = buildXlsx(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="3"><c r="A3" t="inlineStr"><is><t>CSC/2021/001</t></is></c>' +
+        '<c r="B3"><v>300</v></c></row>',
+      ["matric_no", "level"]
+    );
+
+    const result = await parseSpreadsheet(buffer, "roster.xlsx");
+
+    expect(result.headers).toEqual(["matric_no", "level"]);
+    expect(result.rows).toEqual([
+      { line: 3, values: { matric_no: "CSC/2021/001", level: "300" } },
+    ]);
+  });
+
+  it("decodes XML entities in cell text", async () => {
+    const buffer = buildXlsx(
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>name</t></is></c></row>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>O&apos;Neil &amp; Co &#233;</t></is></c></row>'
+    );
+
+    const result = await parseSpreadsheet(buffer, "roster.xlsx");
+
+    expect(result.rows[0].values.name).toBe("O'Neil & Co é");
+  });
+
+  it("rejects rows beyond the last row of a sheet", async () => {
+    const buffer = buildXlsx(
+      '<row r="1048577"><c r="A1048577"><v>1</v></c></row>'
+    );
+
+    await expect(parseSpreadsheet(buffer, "roster.xlsx")).rejects.toThrow(
+      "beyond the last row"
+    );
+  });
+
+  it("rejects cells beyond column XFD", async () => {
+    const buffer = buildXlsx('<row r="1"><c r="XFE1"><v>1</v></c></row>');
+
+    await expect(parseSpreadsheet(buffer, "roster.xlsx")).rejects.toThrow(
+      "beyond column XFD"
+    );
+  });
+
+  it("caps the number of rows before building them", async () => {
+    const buffer = buildXlsx(
+      '<row r="500000"><c r="A500000"><v>1</v></c></row>'
+    );
+
+    await expect(parseSpreadsheet(buffer, "roster.xlsx")).rejects.toThrow(
+      "at most 20000 rows"
+    );
+  });
+
+  it("caps the number of cells before building them", async () => {
+    const rows = Array.from(
+      { length: 40 },
+      (_, index) =>
+        `<row r="${index + 1}"><c r="XFD${index + 1}"><v>1</v></c></row>`
+    ).join("");
+
+    await expect(
+      parseSpreadsheet(buildXlsx(rows), "roster.xlsx")
+    ).rejects.toThrow("at most 500000 cells");
+  });
+
+  it("caps the number of CSV rows", async () => {
+    const csv = "matric_no\n".repeat(20001);
+
+    await expect(
+      parseSpreadsheet(Buffer.from(csv), "roster.csv")
+    ).rejects.toThrow("at most 20000 rows");
+  });
+
+  it("rejects workbook parts that inflate beyond the size cap", async () => {
+    // Well under 1MB as uploaded, 33MB once inflated
+    const buffer = buildXlsx(" ".repeat(33 * 1024 * 1024));
+
+    expect(buffer.length).toBeLessThan(1024 * 1024);
+    await expect(parseSpreadsheet(buffer, "roster.xlsx")).rejects.toThrow(
+      "xl/worksheets/sheet1.xml is larger than 32MB uncompressed"
+    );
+  });
+
+  it("rejects files that are not workbooks", async () => {
+    await expect(
+      parseSpreadsheet(Buffer.from("not a zip"), "roster.xlsx")
+    ).rejects.toThrow("not a valid XLSX workbook");
+  });
+
+  it("rejects other file types", async () => {
+    await expect(
+      parseSpreadsheet(Buffer.from(""), "roster.txt")
+    ).rejects.toThrow("Only CSV and XLSX files are supported");
+  });
+});
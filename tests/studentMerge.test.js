@@ -0,0 +1,243 @@
+const mongoose = require("mongoose");
+const Attendance = require("../src/models/Attendance");
+const AttendanceAppeal = require("../src/models/AttendanceAppeal");
+const AuditLog = require("../src/models/AuditLog");
+const CourseStudent = require("../src/models/CourseStudent");
+const DeviceFingerprint = require("../src/models/DeviceFingerprint");
+const Student = require("../src/models/Student");
+const StudentMerge = require("../src/models/StudentMerge");
+const StudentShareRequest = require("../src/models/StudentShareRequest");
+const { mergeStudents, undoMerge } = require("../src/services/studentMerge");
+
+const { ObjectId } = mongoose.Types;
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Equality, $in and $nin as the merge filters use them
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$in) {
+      return condition.$in.some((value) => sameId(doc[field], value));
+    }
+    if (condition && condition.$nin) {
+      return !condition.$nin.some((value) => sameId(doc[field], value));
+    }
+    return sameId(doc[field], condition);
+  });
+
+// A query over `docs` that can be awaited or narrowed to distinct ids
+const queryOver = (docs) => ({
+  distinct: async (field) => docs.map((doc) => doc[field]),
+  then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+});
+
+// Point the student-owned models at in-memory records
+const useRecords = (model, records) => {
+  const found = (filter) => records.filter((doc) => matches(doc, filter));
+
+  jest
+    .spyOn(model, "find")
+    .mockImplementation((filter) => queryOver(found(filter)));
+  jest
+    .spyOn(model, "distinct")
+    .mockImplementation(async (field, filter) =>
+      found(filter).map((doc) => doc[field])
+    );
+  jest.spyOn(model, "updateMany").mockImplementation(async (filter, update) => {
+    found(filter).forEach((doc) => doc.set(update));
+  });
+  jest.spyOn(model, "deleteMany").mockImplementation(async (filter) => {
+    found(filter).forEach((doc) => records.splice(records.indexOf(doc), 1));
+  });
+  jest
+    .spyOn(model.collection, "insertMany")
+    .mockImplementation(async (inserted) => {
+      records.push(...inserted.map((fields) => new model(fields)));
+    });
+};
+
+describe("student merge and undo", () => {
+  const actor = { id: new ObjectId(), type: "Admin" };
+  const courses = [new ObjectId(), new ObjectId()];
+  const sessionIds = [new ObjectId(), new ObjectId()];
+  let survivor;
+  let duplicate;
+  let students;
+  let enrollments;
+  let attendance;
+  let merges;
+
+  beforeEach(() => {
+    survivor = new Student({
+      name: "Chidi Obi",
+      matric_no: "CSC/2021/001",
+      email: "chidi@unitrack.test",
+    });
+    duplicate = new Student({
+      name: "Chidi Obi",
+      matric_no: "CSC/2021/01",
+      email: "chidi@unitrack.test",
+    });
+    students = [survivor, duplicate];
+    // Both are enrolled in the first course; only the duplicate in the second
+    enrollments = [
+      new CourseStudent({ course_id: courses[0], student_id: survivor._id }),
+      new CourseStudent({ course_id: courses[0], student_id: duplicate._id }),
+      new CourseStudent({ course_id: courses[1], student_id: duplicate._id }),
+    ];
+    // Both signed in to the first session; only the duplicate to the second
+    attendance = [
+      new Attendance({ session_id: sessionIds[0], student_id: survivor._id }),
+      new Attendance({ session_id: sessionIds[0], student_id: duplicate._id }),
+      new Attendance({ session_id: sessionIds[1], student_id: duplicate._id }),
+    ];
+    merges = [];
+
+    useRecords(CourseStudent, enrollments);
+    useRecords(Attendance, attendance);
+    useRecords(DeviceFingerprint, []);
+    useRecords(AttendanceAppeal, []);
+    useRecords(StudentShareRequest, []);
+
+    const studentById = (id) =>
+      students.find((student) => sameId(student._id, id)) || null;
+    jest
+      .spyOn(Student, "findById")
+      .mockImplementation(async (id) => studentById(id));
+    jest
+      .spyOn(Student, "exists")
+      .mockImplementation(
+        async (filter) =>
+          students.find(
+            (student) =>
+              student.matric_no === filter.matric_no &&
+              !(filter._id.$nin || [filter._id.$ne]).some((id) =>
+                sameId(student._id, id)
+              )
+          ) || null
+      );
+    jest.spyOn(Student, "deleteOne").mockImplementation(async ({ _id }) => {
+      students = students.filter((student) => !sameId(student._id, _id));
+    });
+    jest
+      .spyOn(Student.collection, "insertOne")
+      .mockImplementation(async (fields) => {
+        students.push(new Student(fields));
+      });
+    jest.spyOn(Student.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+
+    jest.spyOn(StudentMerge, "create").mockImplementation(async (fields) => {
+      const merge = new StudentMerge(fields);
+      merges.push(merge);
+      return merge;
+    });
+    jest
+      .spyOn(StudentMerge, "findById")
+      .mockImplementation(
+        async (id) => merges.find((merge) => sameId(merge._id, id)) || null
+      );
+    jest.spyOn(StudentMerge.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const owners = (records) =>
+    records.map((record) => [
+      String(record.course_id || record.session_id),
+      String(record.student_id),
+    ]);
+
+  const merge = (fields = {}) =>
+    mergeStudents({
+      survivorId: survivor._id,
+      duplicateId: duplicate._id,
+      actor,
+      ...fields,
+    });
+
+  it("moves the duplicate's history to the survivor and keeps the survivor's on clashes", async () => {
+    await merge();
+
+    expect(students).toEqual([survivor]);
+    expect(owners(enrollments)).toEqual([
+      [String(courses[0]), String(survivor._id)],
+      [String(courses[1]), String(survivor._id)],
+    ]);
+    expect(owners(attendance)).toEqual([
+      [String(sessionIds[0]), String(survivor._id)],
+      [String(sessionIds[1]), String(survivor._id)],
+    ]);
+    // Attendance in archived terms moves with the student
+    expect(Attendance.updateMany).toHaveBeenCalledWith(
+      expect.anything(),
+      { student_id: survivor._id },
+      { allowArchived: true }
+    );
+  });
+
+  it("corrects the survivor's matric number unless another student has it", async () => {
+    students.push(
+      new Student({ name: "Ngozi Ade", matric_no: "CSC/2021/002" })
+    );
+
+    await expect(merge({ matricNo: "csc/2021/002" })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(StudentMerge.create).not.toHaveBeenCalled();
+
+    const { survivor: merged } = await merge({ matricNo: "csc/2021/100" });
+    expect(merged.matric_no).toBe("CSC/2021/100");
+  });
+
+  it("restores both students exactly as they were on undo", async () => {
+    const { merge: record } = await merge({ matricNo: "CSC/2021/100" });
+
+    await undoMerge(record._id, actor);
+
+    expect(survivor.matric_no).toBe("CSC/2021/001");
+    const restored = students.find((student) =>
+      sameId(student._id, duplicate._id)
+    );
+    expect(restored.matric_no).toBe("CSC/2021/01");
+    expect(owners(enrollments)).toHaveLength(3);
+    expect(owners(enrollments)).toEqual(
+      expect.arrayContaining([
+        [String(courses[0]), String(survivor._id)],
+        [String(courses[0]), String(duplicate._id)],
+        [String(courses[1]), String(duplicate._id)],
+      ])
+    );
+    expect(owners(attendance)).toEqual(
+      expect.arrayContaining([
+        [String(sessionIds[0]), String(survivor._id)],
+        [String(sessionIds[0]), String(duplicate._id)],
+        [String(sessionIds[1]), String(duplicate._id)],
+      ])
+    );
+    expect(owners(attendance)).toHaveLength(3);
+    expect(record.status).toBe("undone");
+  });
+
+  it("undoes a merge only once and only inside its window", async () => {
+    const { merge: record } = await merge();
+    await undoMerge(record._id, actor);
+
+    await expect(undoMerge(record._id, actor)).rejects.toMatchObject({
+      status: 400,
+      message: "This merge has already been undone",
+    });
+
+    record.set({ status: "merged", undo_expires_at: new Date(Date.now() - 1) });
+    await expect(undoMerge(record._id, actor)).rejects.toMatchObject({
+      status: 400,
+      message: "The undo window for this merge has passed",
+    });
+  });
+});
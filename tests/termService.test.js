@@ -0,0 +1,147 @@
+jest.mock("../src/services/timetableScheduler", () => ({
+  cancelScheduledOccurrence: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Course = require("../src/models/Course");
+const Session = require("../src/models/Session");
+const Term = require("../src/models/Term");
+const Timetable = require("../src/models/Timetable");
+const { rolloverTerm } = require("../src/services/termService");
+
+describe("term rollover", () => {
+  let current;
+  let nextTerm;
+  let course;
+
+  beforeEach(() => {
+    current = new Term({
+      academic_session: "2025/2026",
+      semester: "first",
+      status: "active",
+    });
+    nextTerm = new Term({
+      academic_session: "2025/2026",
+      semester: "second",
+      status: "upcoming",
+    });
+    course = new Course({
+      teacher_id: new mongoose.Types.ObjectId(),
+      course_code: "CSC 201",
+      title: "Data Structures",
+      level: 200,
+      term_id: current._id,
+    });
+
+    jest.spyOn(Term, "findCurrent").mockResolvedValue(current);
+    jest.spyOn(Term, "findById").mockResolvedValue(nextTerm);
+    jest.spyOn(Term, "findOneAndUpdate").mockImplementation(async () => {
+      current.rolled_over_to = nextTerm._id;
+      return current;
+    });
+    jest.spyOn(Term.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Course, "find").mockResolvedValue([course]);
+    jest.spyOn(Course, "findOne").mockResolvedValue(null);
+    jest
+      .spyOn(Course, "create")
+      .mockImplementation(async (fields) => new Course(fields));
+    jest.spyOn(Session, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Timetable, "find").mockResolvedValue([]);
+    jest.spyOn(Timetable, "updateMany").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("archives the current term and activates the next", async () => {
+    const result = await rolloverTerm({
+      nextTermId: nextTerm._id,
+      cloneCourses: true,
+    });
+
+    expect(current.status).toBe("archived");
+    expect(current.archived_at).toEqual(expect.any(Date));
+    expect(nextTerm.status).toBe("active");
+    // Only one term may be active, so the archive is saved first
+    expect(Term.prototype.save.mock.contexts).toEqual([current, nextTerm]);
+    expect(Course.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        course_code: "CSC 201",
+        term_id: nextTerm._id,
+        cloned_from: course._id,
+      })
+    );
+    expect(result.summary).toMatchObject({
+      sessions_closed: 2,
+      courses_archived: 1,
+      courses_cloned: 1,
+    });
+  });
+
+  it("refuses a rollover another request has already claimed", async () => {
+    Term.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(
+      rolloverTerm({ nextTermId: nextTerm._id })
+    ).rejects.toMatchObject({
+      status: 409,
+      message: "A rollover of this term is already in progress",
+    });
+    expect(Session.updateMany).not.toHaveBeenCalled();
+    expect(current.status).toBe("active");
+  });
+});
+
+describe("archived term query guard", () => {
+  const archivedTermId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest
+      .spyOn(Term, "find")
+      .mockReturnValue({ distinct: async () => [archivedTermId] });
+    jest
+      .spyOn(Session.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("refuses an update that would touch an archived term", async () => {
+    jest.spyOn(Session, "exists").mockResolvedValue({ _id: "session" });
+
+    await expect(
+      Session.updateOne({ session_code: "4821" }, { is_active: false })
+    ).rejects.toMatchObject({
+      status: 400,
+      message: "Sessions in an archived term are read-only",
+    });
+    expect(Session.exists).toHaveBeenCalledWith({
+      $and: [{ session_code: "4821" }, { term_id: { $in: [archivedTermId] } }],
+    });
+    expect(Session.collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("lets updates outside archived terms through", async () => {
+    jest.spyOn(Session, "exists").mockResolvedValue(null);
+
+    await Session.updateOne({ session_code: "4821" }, { is_active: false });
+
+    expect(Session.collection.updateOne).toHaveBeenCalled();
+  });
+
+  it("lets deliberate clean-ups through without a lookup", async () => {
+    await Session.updateOne(
+      { session_code: "4821" },
+      { is_active: false },
+      { allowArchived: true }
+    );
+
+    expect(Term.find).not.toHaveBeenCalled();
+    expect(Session.collection.updateOne).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const Job = require("../src/models/Job");
+const WebhookDelivery = require("../src/models/WebhookDelivery");
+const WebhookSubscription = require("../src/models/WebhookSubscription");
+const jobQueue = require("../src/services/jobQueue");
+const {
+  WEBHOOK_DELIVERY_JOB,
+  signPayload,
+  verifySignature,
+} = require("../src/services/webhooks");
+const { createWebhookReceiver } = require("../scripts/webhook-receiver");
+
+const secret = "whsec_test";
+
+describe("signPayload and verifySignature", () => {
+  const body = JSON.stringify({ event: "session.started" });
+
+  it("verifies a fresh signature over the raw body", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature(secret, { signature, timestamp, body })).toBe(true);
+  });
+
+  it("rejects another secret, a changed body or a missing signature", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(verifySignature("whsec_other", { signature, timestamp, body })).toBe(
+      false
+    );
+    expect(
+      verifySignature(secret, { signature, timestamp, body: `${body} ` })
+    ).toBe(false);
+    expect(
+      verifySignature(secret, { signature: undefined, timestamp, body })
+    ).toBe(false);
+  });
+
+  it("rejects a timestamp outside the tolerance", () => {
+    const timestamp = (Math.floor(Date.now() / 1000) - 600).toString();
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(verifySignature(secret, { signature, timestamp, body }, 300)).toBe(
+      false
+    );
+  });
+});
+
+describe("webhook delivery job", () => {
+  let receiver;
+  let subscription;
+  let delivery;
+  let jobUpdates;
+
+  beforeAll(async () => {
+    receiver = createWebhookReceiver({ secret, failFirst: 1 });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    subscription = new WebhookSubscription({
+      description: "Test receiver",
+      url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+      secret,
+      events: ["session.*"],
+      owner_type: "Admin",
+      owner_id: new mongoose.Types.ObjectId(),
+      is_active: true,
+    });
+    delivery = new WebhookDelivery({
+      subscription_id: subscription._id,
+      event: "session.started",
+      event_id: "evt_1",
+      payload: { event: "session.started", data: { session_code: "ABC123" } },
+      status: "pending",
+    });
+    jobUpdates = [];
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(WebhookDelivery, "findById").mockResolvedValue(delivery);
+    jest.spyOn(delivery, "save").mockResolvedValue(delivery);
+    jest.spyOn(WebhookSubscription, "findById").mockReturnValue({
+      select: () => Promise.resolve(subscription),
+    });
+    jest.spyOn(WebhookSubscription, "updateOne").mockResolvedValue({});
+    jest
+      .spyOn(Job, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        jobUpdates.push(update);
+        return { _id: filter._id, ...update.$set };
+      });
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    jest.restoreAllMocks();
+  });
+
+  const runAttempt = (attempts) =>
+    jobQueue.processJob({
+      _id: new mongoose.Types.ObjectId(),
+      type: WEBHOOK_DELIVERY_JOB,
+      payload: { delivery_id: delivery._id },
+      attempts,
+      max_attempts: 3,
+    });
+
+  it("retries a failed attempt and records the signed delivery", async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+
+    const first = await runAttempt(1);
+    expect(first.status).toBe("pending");
+    expect(first.last_error).toBe("Endpoint responded with HTTP 500");
+    expect(first.run_at.getTime()).toBeGreaterThan(Date.now());
+    expect(delivery.status).toBe("pending");
+    expect(delivery.response_status).toBe(500);
+    expect(WebhookSubscription.updateOne).not.toHaveBeenCalled();
+
+    const second = await runAttempt(2);
+    expect(second.status).toBe("completed");
+    expect(jobUpdates[1].$unset.last_error).toBe(1);
+    expect(delivery.status).toBe("succeeded");
+    expect(delivery.attempts).toBe(2);
+    expect(delivery.response_status).toBe(200);
+    expect(delivery.response_body).toBe('{"received":true}');
+    expect(WebhookSubscription.updateOne).toHaveBeenCalledWith(
+      { _id: subscription._id },
+      expect.objectContaining({ last_delivery_status: "succeeded" })
+    );
+
+    const received = receiver.deliveries.slice(-2);
+    expect(received.map((entry) => entry.verified)).toEqual([true, true]);
+    expect(received[1]).toMatchObject({
+      id: delivery._id.toString(),
+      event: "session.started",
+      payload: delivery.payload,
+    });
+  });
+
+  it("refuses to deliver to a private address", async () => {
+    const before = receiver.deliveries.length;
+
+    const result = await runAttempt(3);
+
+    expect(result.status).toBe("failed");
+    expect(result.last_error).toBe("127.0.0.1 is not a public address");
+    expect(delivery.status).toBe("failed");
+    expect(receiver.deliveries).toHaveLength(before);
+  });
+});